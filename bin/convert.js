@@ -0,0 +1,778 @@
+// # nodegame-widgets survey converter
+//
+// Converts surveys exported from Qualtrics (.qsf) or SurveyJS (.json)
+// into the configuration options of a ChoiceManager widget.
+//
+// Files are read from disk, no network access is required.
+//
+// Question types are mapped as follows:
+//
+//   - single choice: ChoiceTable (or Dropdown, if displayed as a list)
+//   - multiple choice: ChoiceTable with selectMultiple
+//   - matrix: ChoiceTableGroup
+//   - text entry: CustomInput
+//   - slider: Slider
+//   - descriptive text: ContentBox
+//
+// Unsupported question types, and features that could not be converted
+// (e.g., display logic), are listed in the report.
+
+// Export converter
+module.exports.convert = convert;
+module.exports.convertFile = convertFile;
+module.exports.convertQSF = convertQSF;
+module.exports.convertSurveyJS = convertSurveyJS;
+
+// Dependencies
+var fs = require('fs'),
+    path = require('path');
+
+// Date formats accepted by CustomInput (see CustomInput.setDateFormat).
+var DATE_FORMATS = [
+    'mm-dd-yy', 'dd-mm-yy', 'mm-dd-yyyy', 'dd-mm-yyyy',
+    'mm.dd.yy', 'dd.mm.yy', 'mm.dd.yyyy', 'dd.mm.yyyy',
+    'mm/dd/yy', 'dd/mm/yy', 'mm/dd/yyyy', 'dd/mm/yyyy'
+];
+
+// ## convertFile
+//
+// Reads a QSF or SurveyJS file from disk and converts it
+//
+// @param {string} file The path to the file
+// @param {object} options Optional. Options for the conversion:
+//
+//   - format: 'qsf' or 'surveyjs'. Default: auto-detected
+//   - id: the id of the ChoiceManager. Default: the name of the survey
+//
+// @return {object} An object with properties `options`, the options of
+//   ChoiceManager, and `report`
+//
+// @see convert
+function convertFile(file, options) {
+    var json;
+    if ('string' !== typeof file) {
+        throw new TypeError('convertFile: file must be string. Found: ' +
+                            file);
+    }
+    json = fs.readFileSync(path.resolve(file), 'utf8');
+    try {
+        json = JSON.parse(json);
+    }
+    catch(e) {
+        throw new Error('convertFile: file is not valid JSON: ' + file +
+                        ' (' + e.message + ')');
+    }
+    return convert(json, options);
+}
+
+// ## convert
+//
+// Converts a parsed QSF or SurveyJS survey
+//
+// @param {object} survey The parsed survey
+// @param {object} options Optional. Options for the conversion
+//
+// @return {object} An object with properties `options` and `report`
+//
+// @see convertFile
+function convert(survey, options) {
+    var format;
+    if ('object' !== typeof survey || !survey) {
+        throw new TypeError('convert: survey must be object. Found: ' +
+                            survey);
+    }
+    options = options || {};
+    format = options.format;
+    if (!format) {
+        if (survey.SurveyElements) format = 'qsf';
+        else if (survey.pages || survey.elements || survey.questions) {
+            format = 'surveyjs';
+        }
+        else {
+            throw new Error('convert: unknown survey format. Expected ' +
+                            'a Qualtrics QSF or SurveyJS JSON export');
+        }
+    }
+    if (format === 'qsf') return convertQSF(survey, options);
+    if (format === 'surveyjs') return convertSurveyJS(survey, options);
+    throw new Error('convert: format must be "qsf", "surveyjs" or ' +
+                    'undefined. Found: ' + format);
+}
+
+// ## convertQSF
+//
+// Converts a parsed Qualtrics QSF survey
+//
+// Blocks and page breaks become pages. Questions in the trash are skipped.
+//
+// @param {object} qsf The parsed survey
+// @param {object} options Optional. Options for the conversion
+//
+// @return {object} An object with properties `options` and `report`
+function convertQSF(qsf, options) {
+    var conv, questions, blocks, i, j, el, block, be;
+
+    if (!qsf || !Array.isArray(qsf.SurveyElements)) {
+        throw new TypeError('convertQSF: SurveyElements must be array. ' +
+                            'Found: ' + (qsf && qsf.SurveyElements));
+    }
+    options = options || {};
+    conv = new Converter('qsf', options.id ||
+                         (qsf.SurveyEntry && qsf.SurveyEntry.SurveyName));
+
+    questions = {};
+    for (i = 0; i < qsf.SurveyElements.length; i++) {
+        el = qsf.SurveyElements[i];
+        if (el.Element === 'SQ' && el.Payload) {
+            questions[el.Payload.QuestionID || el.PrimaryAttribute] =
+                el.Payload;
+        }
+        else if (el.Element === 'BL') {
+            blocks = el.Payload;
+        }
+    }
+
+    // Payload of blocks can be an array or an object.
+    if (blocks && !Array.isArray(blocks)) blocks = objValues(blocks);
+
+    if (blocks) {
+        for (i = 0; i < blocks.length; i++) {
+            block = blocks[i];
+            if (!block || block.Type === 'Trash') continue;
+            conv.newPage();
+            be = block.BlockElements || [];
+            for (j = 0; j < be.length; j++) {
+                if (be[j].Type === 'Page Break') {
+                    conv.newPage();
+                }
+                else if (be[j].Type === 'Question') {
+                    if (questions[be[j].QuestionID]) {
+                        convertQSFQuestion(conv, questions[be[j].QuestionID]);
+                    }
+                    else {
+                        conv.warn(be[j].QuestionID, 'question not found');
+                    }
+                }
+            }
+        }
+    }
+    // No blocks, just add all questions in order.
+    else {
+        conv.newPage();
+        for (i in questions) {
+            if (questions.hasOwnProperty(i)) {
+                convertQSFQuestion(conv, questions[i]);
+            }
+        }
+    }
+
+    return conv.end();
+}
+
+// ## convertSurveyJS
+//
+// Converts a parsed SurveyJS survey
+//
+// Pages are preserved; panels are flattened.
+//
+// @param {object} sjs The parsed survey
+// @param {object} options Optional. Options for the conversion
+//
+// @return {object} An object with properties `options` and `report`
+function convertSurveyJS(sjs, options) {
+    var conv, pages, i;
+
+    if ('object' !== typeof sjs || !sjs) {
+        throw new TypeError('convertSurveyJS: survey must be object. ' +
+                            'Found: ' + sjs);
+    }
+    options = options || {};
+    conv = new Converter('surveyjs', options.id ||
+                         getSurveyJSText(sjs.title) || sjs.surveyId);
+
+    if (Array.isArray(sjs.pages)) {
+        pages = sjs.pages;
+    }
+    else {
+        pages = [ { elements: sjs.elements || sjs.questions || [] } ];
+    }
+    for (i = 0; i < pages.length; i++) {
+        conv.newPage();
+        convertSurveyJSElements(conv, pages[i].elements ||
+                                pages[i].questions || []);
+    }
+
+    return conv.end();
+}
+
+// ## Converter
+//
+// Collects forms, pages and the report during a conversion
+//
+// @param {string} format The format of the survey
+// @param {string} id Optional. The id of the ChoiceManager
+function Converter(format, id) {
+    this.format = format;
+    this.id = id;
+    this.forms = [];
+    this.pages = [];
+    this.ids = {};
+    this.report = {
+        format: format,
+        // Number of questions found and converted.
+        total: 0,
+        converted: 0,
+        unsupported: [],
+        warnings: []
+    };
+}
+
+// ### Converter.newPage
+//
+// Starts a new page, unless the current one is empty
+Converter.prototype.newPage = function() {
+    if (!this.pages.length || this.pages[this.pages.length-1].length) {
+        this.pages.push([]);
+    }
+};
+
+// ### Converter.add
+//
+// Adds a form to the current page
+//
+// @param {object} form The options of the form, including the widget name
+Converter.prototype.add = function(form) {
+    var id, i;
+    // Ids must be unique in ChoiceManager.
+    id = form.id;
+    i = 1;
+    while (this.ids[form.id]) {
+        form.id = id + '_' + (++i);
+    }
+    if (form.id !== id) {
+        this.warn(id, 'duplicated id, renamed to ' + form.id);
+    }
+    this.ids[form.id] = true;
+    // ChoiceTable does not accept both options, a correct choice is
+    // also required.
+    if (form.requiredChoice && form.correctChoice !== undefined) {
+        delete form.requiredChoice;
+        form.required = true;
+    }
+    this.forms.push(form);
+    this.pages[this.pages.length-1].push(form.id);
+};
+
+// ### Converter.unsupported
+//
+// Records a question that could not be converted
+//
+// @param {string} id The id of the question
+// @param {string} type The type of the question
+// @param {string} reason Optional. Why it is not supported
+Converter.prototype.unsupported = function(id, type, reason) {
+    this.report.unsupported.push({
+        id: id,
+        type: type,
+        reason: reason || 'unsupported question type'
+    });
+};
+
+// ### Converter.warn
+//
+// Records a feature that could not be converted
+//
+// @param {string} id The id of the question
+// @param {string} msg The warning message
+Converter.prototype.warn = function(id, msg) {
+    this.report.warnings.push({ id: id, message: msg });
+};
+
+// ### Converter.end
+//
+// Returns the options of the ChoiceManager and the report
+//
+// @return {object} An object with properties `options` and `report`
+Converter.prototype.end = function() {
+    var options, pages;
+    options = { forms: this.forms };
+    if (this.id) options.id = toId(this.id);
+    pages = this.pages.filter(function(p) { return p.length; });
+    if (pages.length > 1) options.pages = pages;
+    this.report.converted = this.report.total -
+        this.report.unsupported.length;
+    return { options: options, report: this.report };
+};
+
+// ## QSF helpers
+
+// ### convertQSFQuestion
+//
+// Converts a QSF question and adds it to the converter
+//
+// @param {Converter} conv The converter
+// @param {object} q The Payload of the question
+function convertQSFQuestion(conv, q) {
+    var id, type, sel, subSel, form, required, settings, choices, i;
+
+    id = toId(q.DataExportTag || q.QuestionID);
+    type = q.QuestionType;
+    sel = q.Selector;
+    subSel = q.SubSelector;
+    settings = (q.Validation && q.Validation.Settings) || {};
+    required = settings.ForceResponse === 'ON';
+
+    // Timing and meta info questions are not displayed.
+    if (type === 'Timing' || type === 'Meta') return;
+
+    conv.report.total++;
+
+    if (q.DisplayLogic) conv.warn(id, 'display logic not converted');
+    if (q.Randomization) {
+        conv.warn(id, 'randomization converted to shuffleChoices');
+    }
+
+    form = { id: id, mainText: q.QuestionText };
+
+    if (type === 'DB') {
+        form.name = 'ContentBox';
+    }
+    else if (type === 'MC') {
+        choices = getQSFChoices(q.Choices, q.ChoiceOrder);
+        if (sel === 'DL' || sel === 'SB') {
+            form.name = 'Dropdown';
+            form.choices = choices.map(function(c) { return c[1]; });
+            form.tag = 'select';
+        }
+        else if (sel === 'SAVR' || sel === 'SAHR' || sel === 'SACOL' ||
+                 sel === 'MAVR' || sel === 'MAHR' || sel === 'MACOL') {
+
+            form.name = 'ChoiceTable';
+            form.choices = choices;
+            if (sel.charAt(0) === 'M') form.selectMultiple = true;
+            if (sel.charAt(2) === 'V') form.orientation = 'V';
+        }
+        else {
+            conv.unsupported(id, type + '/' + sel, 'unsupported selector');
+            return;
+        }
+        if (required) form.requiredChoice = true;
+    }
+    else if (type === 'Matrix') {
+        if (sel !== 'Likert' ||
+            (subSel && subSel !== 'SingleAnswer' &&
+             subSel !== 'MultipleAnswer')) {
+
+            conv.unsupported(id, type + '/' + sel +
+                             (subSel ? '/' + subSel : ''),
+                             'unsupported matrix selector');
+            return;
+        }
+        form.name = 'ChoiceTableGroup';
+        form.items = getQSFChoices(q.Choices, q.ChoiceOrder)
+            .map(function(c) {
+                return { id: toId(id + '_' + c[0]), left: c[1] };
+            });
+        form.choices = getQSFChoices(q.Answers, q.AnswerOrder);
+        if (subSel === 'MultipleAnswer') form.selectMultiple = true;
+        if (required) form.requiredChoice = true;
+    }
+    else if (type === 'TE') {
+        if (sel === 'FORM') {
+            conv.unsupported(id, type + '/' + sel,
+                             'forms with multiple fields are not supported');
+            return;
+        }
+        if (sel !== 'SL' && sel !== 'ML' && sel !== 'ESTB' && sel !== 'PW') {
+            conv.unsupported(id, type + '/' + sel, 'unsupported selector');
+            return;
+        }
+        if (sel === 'ML' || sel === 'ESTB') {
+            conv.warn(id, 'multi-line text converted to single line');
+        }
+        form.name = 'CustomInput';
+        setQSFContentType(conv, form, settings);
+        if (required) form.required = true;
+    }
+    else if (type === 'Slider') {
+        if (sel !== 'HSLIDER' && sel !== 'HBAR') {
+            conv.unsupported(id, type + '/' + sel, 'unsupported selector');
+            return;
+        }
+        choices = getQSFChoices(q.Choices, q.ChoiceOrder);
+        // One slider for each statement.
+        for (i = 0; i < choices.length; i++) {
+            form = {
+                id: choices.length > 1 ? toId(id + '_' + choices[i][0]) : id,
+                name: 'Slider',
+                mainText: (i === 0 ? q.QuestionText + '<br>' : '') +
+                    choices[i][1]
+            };
+            setQSFSliderRange(form, q.Configuration || {});
+            if (required) form.required = true;
+            conv.add(form);
+        }
+        return;
+    }
+    else {
+        conv.unsupported(id, type + (sel ? '/' + sel : ''));
+        return;
+    }
+
+    if (q.Randomization && form.name === 'ChoiceTable') {
+        form.shuffleChoices = true;
+    }
+
+    conv.add(form);
+}
+
+// ### getQSFChoices
+//
+// Returns the choices of a QSF question in display order
+//
+// @param {object} choices The Choices (or Answers) object
+// @param {array} order Optional. The ChoiceOrder (or AnswerOrder)
+//
+// @return {array} Array of [ value, display ] pairs
+function getQSFChoices(choices, order) {
+    var res, i, key;
+    res = [];
+    if (!choices) return res;
+    if (!Array.isArray(order)) order = Object.keys(choices);
+    for (i = 0; i < order.length; i++) {
+        key = '' + order[i];
+        if (choices[key]) res.push([ key, choices[key].Display ]);
+    }
+    return res;
+}
+
+// ### setQSFContentType
+//
+// Sets the type and validation of a CustomInput from QSF settings
+//
+// @param {Converter} conv The converter
+// @param {object} form The options of the form
+// @param {object} settings The Validation.Settings of the question
+function setQSFContentType(conv, form, settings) {
+    var num, format;
+    form.type = 'text';
+    if (settings.Type === 'MinChar' && settings.MinChars) {
+        form.min = parseInt(settings.MinChars, 10);
+    }
+    else if (settings.Type === 'ContentType') {
+        switch(settings.ContentType) {
+        case 'ValidNumber':
+            num = settings.ValidNumber || {};
+            form.type = num.NumDecimals === '0' ? 'int' : 'number';
+            if (num.Min !== undefined && num.Min !== '') {
+                form.min = parseFloat(num.Min);
+            }
+            if (num.Max !== undefined && num.Max !== '') {
+                form.max = parseFloat(num.Max);
+            }
+            break;
+        case 'ValidDate':
+            form.type = 'date';
+            if (settings.ValidDateType === 'DateWithFormat' &&
+                settings.ValidDate) {
+
+                format = settings.ValidDate.toLowerCase();
+                if (DATE_FORMATS.indexOf(format) !== -1) {
+                    form.format = format;
+                }
+                else {
+                    conv.warn(form.id, 'date format not supported, ' +
+                              'using mm/dd/yyyy: ' + settings.ValidDate);
+                }
+            }
+            break;
+        case 'ValidUSZip':
+            form.type = 'us_zip';
+            break;
+        case 'ValidPhone':
+            form.type = 'phone';
+            form.country = 'US';
+            break;
+        case 'ValidZip':
+            form.type = 'postal_code';
+            form.country = 'US';
+            break;
+        default:
+            conv.warn(form.id, 'content validation not converted: ' +
+                      settings.ContentType);
+        }
+    }
+    else if (settings.Type && settings.Type !== 'None') {
+        conv.warn(form.id, 'validation not converted: ' + settings.Type);
+    }
+}
+
+// ### setQSFSliderRange
+//
+// Sets min, max and initial value of a Slider from QSF configuration
+//
+// @param {object} form The options of the form
+// @param {object} c The Configuration of the question
+function setQSFSliderRange(form, c) {
+    var min, max;
+    min = parseInt(c.CSSliderMin, 10);
+    max = parseInt(c.CSSliderMax, 10);
+    if (!isNaN(min)) form.min = min;
+    if (!isNaN(max)) form.max = max;
+    if (!isNaN(min) && !isNaN(max)) {
+        form.initialValue = Math.round((min + max) / 2);
+    }
+}
+
+// ## SurveyJS helpers
+
+// ### convertSurveyJSElements
+//
+// Converts the elements of a SurveyJS page or panel
+//
+// @param {Converter} conv The converter
+// @param {array} elements The elements
+function convertSurveyJSElements(conv, elements) {
+    var i;
+    for (i = 0; i < elements.length; i++) {
+        if (elements[i].type === 'panel') {
+            convertSurveyJSElements(conv, elements[i].elements ||
+                                    elements[i].questions || []);
+        }
+        else {
+            convertSurveyJSQuestion(conv, elements[i]);
+        }
+    }
+}
+
+// ### convertSurveyJSQuestion
+//
+// Converts a SurveyJS question and adds it to the converter
+//
+// @param {Converter} conv The converter
+// @param {object} q The question
+function convertSurveyJSQuestion(conv, q) {
+    var id, form, type, i, min, max, step;
+
+    id = toId(q.name);
+    type = q.type;
+    conv.report.total++;
+
+    if (q.visibleIf) conv.warn(id, 'visibleIf not converted');
+    if (q.enableIf) conv.warn(id, 'enableIf not converted');
+
+    form = { id: id };
+    if (q.title || q.name) form.mainText = getSurveyJSText(q.title) || q.name;
+    if (q.description) form.hint = getSurveyJSText(q.description);
+
+    switch(type) {
+    case 'radiogroup':
+    case 'checkbox':
+        form.name = 'ChoiceTable';
+        form.choices = getSurveyJSChoices(q.choices);
+        if (q.hasOther) form.choices.push([ 'other', 'Other' ]);
+        if (type === 'checkbox') {
+            form.selectMultiple = q.maxSelectedChoices || true;
+            if (q.hasOther) conv.warn(id, 'text of other choice not converted');
+        }
+        if (!q.colCount || q.colCount === 1) form.orientation = 'V';
+        if (q.choicesOrder === 'random') form.shuffleChoices = true;
+        break;
+    case 'dropdown':
+        form.name = 'Dropdown';
+        form.choices = getSurveyJSChoices(q.choices)
+            .map(function(c) { return c[1]; });
+        form.tag = 'select';
+        break;
+    case 'boolean':
+        form.name = 'ChoiceTable';
+        form.choices = [
+            [ 'true', getSurveyJSText(q.labelTrue) || 'Yes' ],
+            [ 'false', getSurveyJSText(q.labelFalse) || 'No' ]
+        ];
+        break;
+    case 'rating':
+        form.name = 'ChoiceTable';
+        if (q.rateValues) {
+            form.choices = getSurveyJSChoices(q.rateValues);
+        }
+        else {
+            form.choices = [];
+            min = 'undefined' === typeof q.rateMin ? 1 : q.rateMin;
+            max = 'undefined' === typeof q.rateMax ? 5 : q.rateMax;
+            step = q.rateStep || 1;
+            for (i = min; i <= max; i += step) form.choices.push('' + i);
+        }
+        if (q.minRateDescription) {
+            form.left = getSurveyJSText(q.minRateDescription);
+        }
+        if (q.maxRateDescription) {
+            form.right = getSurveyJSText(q.maxRateDescription);
+        }
+        break;
+    case 'matrix':
+        form.name = 'ChoiceTableGroup';
+        form.items = getSurveyJSChoices(q.rows).map(function(r) {
+            return { id: toId(id + '_' + r[0]), left: r[1] };
+        });
+        form.choices = getSurveyJSChoices(q.columns);
+        break;
+    case 'text':
+    case 'comment':
+        form.name = 'CustomInput';
+        setSurveyJSInputType(conv, form, q);
+        if (type === 'comment') {
+            conv.warn(id, 'multi-line text converted to single line');
+        }
+        break;
+    case 'nouislider':
+        form.name = 'Slider';
+        if ('undefined' !== typeof q.rangeMin) form.min = q.rangeMin;
+        if ('undefined' !== typeof q.rangeMax) form.max = q.rangeMax;
+        break;
+    case 'html':
+        form.name = 'ContentBox';
+        form.content = getSurveyJSText(q.html) || '';
+        break;
+    default:
+        conv.unsupported(id, type);
+        return;
+    }
+
+    if (q.isRequired) {
+        if (form.name === 'CustomInput' || form.name === 'Slider') {
+            form.required = true;
+        }
+        else if (form.name !== 'ContentBox') {
+            form.requiredChoice = true;
+        }
+    }
+    if (q.correctAnswer !== undefined && form.name === 'ChoiceTable') {
+        form.correctChoice = getSurveyJSCorrect(form.choices,
+                                                q.correctAnswer);
+    }
+
+    conv.add(form);
+}
+
+// ### getSurveyJSChoices
+//
+// Returns the choices of a SurveyJS question
+//
+// @param {array} choices Array of values or objects with value and text
+//
+// @return {array} Array of [ value, display ] pairs
+function getSurveyJSChoices(choices) {
+    if (!Array.isArray(choices)) return [];
+    return choices.map(function(c) {
+        if (c && 'object' === typeof c) {
+            return [ '' + c.value, getSurveyJSText(c.text) || '' + c.value ];
+        }
+        return [ '' + c, '' + c ];
+    });
+}
+
+// ### getSurveyJSCorrect
+//
+// Returns the indexes of the correct choices of a SurveyJS question
+//
+// @param {array} choices The converted choices
+// @param {mixed} correct The correct answer (or answers)
+//
+// @return {number|array} The index (or indexes) of correct choices
+function getSurveyJSCorrect(choices, correct) {
+    var values;
+    values = choices.map(function(c) { return c[0]; });
+    if (Array.isArray(correct)) {
+        return correct.map(function(c) { return values.indexOf('' + c); });
+    }
+    return values.indexOf('' + correct);
+}
+
+// ### setSurveyJSInputType
+//
+// Sets the type and validation of a CustomInput from SurveyJS options
+//
+// @param {Converter} conv The converter
+// @param {object} form The options of the form
+// @param {object} q The question
+function setSurveyJSInputType(conv, form, q) {
+    var i, v;
+    switch(q.inputType) {
+    case 'number':
+        form.type = 'number';
+        if ('undefined' !== typeof q.min) form.min = Number(q.min);
+        if ('undefined' !== typeof q.max) form.max = Number(q.max);
+        break;
+    case 'date':
+        form.type = 'date';
+        break;
+    case 'time':
+        form.type = 'time';
+        break;
+    case 'datetime-local':
+        form.type = 'datetime';
+        break;
+    case undefined:
+    case 'text':
+        form.type = 'text';
+        break;
+    default:
+        form.type = 'text';
+        conv.warn(form.id, 'inputType converted to text: ' + q.inputType);
+    }
+    if (!q.validators) return;
+    for (i = 0; i < q.validators.length; i++) {
+        v = q.validators[i];
+        if (v.type === 'numeric') {
+            if (form.type === 'text') form.type = 'number';
+            if ('undefined' !== typeof v.minValue) form.min = v.minValue;
+            if ('undefined' !== typeof v.maxValue) form.max = v.maxValue;
+        }
+        else if (v.type === 'text' && form.type === 'text') {
+            if ('undefined' !== typeof v.minLength) form.min = v.minLength;
+            if ('undefined' !== typeof v.maxLength) form.max = v.maxLength;
+        }
+        else {
+            conv.warn(form.id, 'validator not converted: ' + v.type);
+        }
+    }
+}
+
+// ### getSurveyJSText
+//
+// Returns a localizable SurveyJS string (the default locale, if an object)
+//
+// @param {string|object} text The text
+//
+// @return {string|undefined} The text
+function getSurveyJSText(text) {
+    if ('object' === typeof text && text) {
+        return text['default'] || text.en || objValues(text)[0];
+    }
+    return text;
+}
+
+// ## Helpers
+
+// ### toId
+//
+// Returns a valid form id (no spaces or special characters)
+//
+// @param {string} str The string
+//
+// @return {string} The id
+function toId(str) {
+    return ('' + str).trim().replace(/[^\w\-]+/g, '_');
+}
+
+// ### objValues
+//
+// Returns the values of an object
+//
+// @param {object} obj The object
+//
+// @return {array} The values
+function objValues(obj) {
+    return Object.keys(obj).map(function(k) { return obj[k]; });
+}
@@ -12,6 +12,7 @@ var pkg = require('../package.json'),
     version = pkg.version;
 
 var build = require('./build.js').build;
+var convertFile = require('./convert.js').convertFile;
 
 var rootDir = path.resolve(__dirname, '..') + '/';
 var buildDir = path.resolve(rootDir, 'build') + '/';
@@ -60,6 +61,43 @@ program
 
     });
 
+program
+    .command('import <file>')
+    .description('Converts a Qualtrics (.qsf) or SurveyJS (.json) survey ' +
+                 'into ChoiceManager options')
+    .option('-f, --format <format>', 'qsf or surveyjs (default: auto)')
+    .option('-i, --id <id>', 'the id of the ChoiceManager')
+    .option('-o, --output <file>', 'write options to file (default: stdout)')
+    .action(function(file, options) {
+        var res, out, i, r;
+        res = convertFile(file, {
+            format: options.format,
+            id: options.id
+        });
+        out = JSON.stringify(res.options, null, 4);
+        if (options.output) {
+            fs.writeFileSync(options.output, out);
+            console.log('ChoiceManager options written to: ' +
+                        options.output);
+        }
+        else {
+            console.log(out);
+        }
+        r = res.report;
+        // Report goes to stderr, not to mix with options on stdout.
+        console.error('Converted ' + r.converted + ' of ' +
+                      r.total + ' questions (' + r.format + ').');
+        for (i = 0; i < r.unsupported.length; i++) {
+            console.error('  - unsupported: ' + r.unsupported[i].id + ' (' +
+                          r.unsupported[i].type + '): ' +
+                          r.unsupported[i].reason);
+        }
+        for (i = 0; i < r.warnings.length; i++) {
+            console.error('  - warning: ' + r.warnings[i].id + ': ' +
+                          r.warnings[i].message);
+        }
+    });
+
 
 // Parsing options
 program.parse(process.argv);
@@ -872,10 +872,20 @@
      *
      * Emits an event within the widget
      *
+     * The event is also emitted on the global event bus of node.widgets,
+     * with the widget as first parameter.
+     *
      * @see NDDB.emit
+     * @see Widgets.on
      */
     Widget.prototype.emit = function() {
+        var args;
+        args = Array.prototype.slice.call(arguments);
         NDDB.prototype.emit.apply(this, arguments);
+        if (node.widgets && 'function' === typeof node.widgets.emit) {
+            args.splice(1, 0, this);
+            node.widgets.emit.apply(node.widgets, args);
+        }
     };
 
     /**
@@ -72,6 +72,148 @@
          */
         this.collapseTarget = null;
 
+        /**
+         * ### Widgets.hooks
+         *
+         * Listeners of the global event bus, by event name
+         *
+         * @see Widgets.on
+         */
+        this.hooks = {};
+
+        /**
+         * ### Widgets.persistAdapters
+         *
+         * Functions to save and restore the state of widgets with `persist`
+         *
+         * Each key is the name of a widget, and each value is an object
+         * with two methods:
+         *
+         *   - get: function(w) returning the state to save (must be
+         *       serializable to JSON)
+         *   - set: function(w, state) restoring the saved state
+         *
+         * Add new adapters to persist other widgets.
+         *
+         * @see Widgets.get
+         */
+        this.persistAdapters = {
+            ChoiceTable: {
+                get: function(w) {
+                    return w.getValues({
+                        markAttempt: false,
+                        highlight: false
+                    }).choice;
+                },
+                set: function(w, state) {
+                    if (state !== null && 'undefined' !== typeof state) {
+                        w.setValues({ values: state });
+                    }
+                }
+            },
+            CustomInput: {
+                get: function(w) {
+                    return w.getValues({ valuesOnly: true });
+                },
+                set: function(w, state) {
+                    if (state) w.setValues({ value: state });
+                }
+            },
+            Slider: {
+                // Values are on the scale of the slider (not percentages),
+                // and arrays with more than one thumb.
+                get: function(w) {
+                    return w.getValues({
+                        markAttempt: false,
+                        highlight: false
+                    }).value;
+                },
+                set: function(w, state) {
+                    if (state !== null && 'undefined' !== typeof state) {
+                        w.setValues({ value: state });
+                    }
+                }
+            },
+            Feedback: {
+                get: function(w) {
+                    return w.getValues({
+                        feedbackOnly: true,
+                        verify: false,
+                        markAttempt: false,
+                        highlight: false
+                    });
+                },
+                set: function(w, state) {
+                    if (state) w.setValues({ feedback: state, verify: false });
+                }
+            }
+        };
+
+        /**
+         * ### Widgets.paradataWidgets
+         *
+         * Names of the widgets collecting paradata by default
+         *
+         * Other widgets collect paradata only if option `paradata` is TRUE.
+         *
+         * @see Widgets.get
+         */
+        this.paradataWidgets = {
+            ChoiceTable: true,
+            ChoiceTableGroup: true,
+            CustomInput: true,
+            CustomInputGroup: true,
+            Dropdown: true,
+            Feedback: true,
+            SemanticDifferential: true,
+            Slider: true
+        };
+
+        /**
+         * ### Widgets.attentionChecks
+         *
+         * The results of the attention checks, by widget wid
+         *
+         * Each result is an object with properties: id, widgetName,
+         * value, passed, and time. Only the latest result of each
+         * widget is kept.
+         *
+         * @see Widgets.get
+         * @see Widgets.attentionFailures
+         */
+        this.attentionChecks = {};
+
+        /**
+         * ### Widgets.attentionFailures
+         *
+         * The number of attention checks currently failed
+         *
+         * @see Widgets.attentionChecks
+         * @see Widgets.setAttentionThreshold
+         */
+        this.attentionFailures = 0;
+
+        /**
+         * ### Widgets.attentionThreshold
+         *
+         * The number of failed attention checks emitting an event, or null
+         *
+         * @see Widgets.setAttentionThreshold
+         */
+        this.attentionThreshold = null;
+
+        /**
+         * ### Widgets.attentionThresholdReached
+         *
+         * TRUE, if the attention threshold was reached
+         *
+         * The threshold event is emitted only once, unless the threshold
+         * is raised above the current failures.
+         *
+         * @see Widgets.setAttentionThreshold
+         */
+        this.attentionThresholdReached = false;
+
         that = this;
         node.registerSetup('widgets', function(conf) {
             var name, root, collapseTarget;
@@ -89,6 +231,10 @@
             // Destroy all existing widgets.
             if (conf.destroyAll) that.destroyAll();
 
+            if ('undefined' !== typeof conf.attentionThreshold) {
+                that.setAttentionThreshold(conf.attentionThreshold);
+            }
+
             // Append existing widgets.
             if (conf.append) {
                 for (name in conf.append) {
@@ -141,6 +287,17 @@
             node.widgets.garbageCollection();
         });
 
+        // Persisted values are not needed once the step is done.
+        node.on('REALLY_DONE', function() {
+            var i, len;
+            i = -1, len = that.instances.length;
+            for ( ; ++i < len ; ) {
+                if (that.instances[i].persist) {
+                    clearPersisted(that.instances[i]);
+                }
+            }
+        });
+
         node.info('node-widgets: loading');
     }
 
@@ -208,6 +365,42 @@
      *        and a button to hide body is added to the header
      *   - collapsed: boolan flag, TRUE if widget is collapsed (body hidden)
      *   - closable: boolean flag, TRUE if the widget can be closed (destroyed)
+     *   - persist: object with the storage and the key under which the
+     *        values of the widget are saved, if option `persist` is set
+     *   - paradata: object collecting paradata, if option `paradata` is
+     *        set, or if the widget is listed in `Widgets.paradataWidgets`
+     *
+     * Option `persist` (TRUE, 'local', or 'session') saves the values of
+     * the widget in localStorage (TRUE, 'local') or sessionStorage every
+     * time they change, and restores them when the widget is appended
+     * again in the same step (e.g., after a page reload). Saved values are
+     * removed when the step is done. The widget must have an id, and an
+     * adapter in `Widgets.persistAdapters`.
+     *
+     * Option `paradata` (TRUE or FALSE) enables or disables the collection
+     * of paradata. Paradata are added under the key `paradata` to the
+     * object returned by the `getValues` method of the widget (unless
+     * getValues is called with option `paradata` or `valuesOnly` set):
+     *
+     *   - firstInteraction: time of the first interaction with the widget
+     *        (click, key pressed, focus, or change), or null
+     *   - totalTime: milliseconds since the widget was appended (or
+     *        created, if not yet appended)
+     *   - focusTime: milliseconds during which the widget had the focus
+     *   - focus: number of times the widget (or one of its inputs) got
+     *        the focus
+     *   - blur: number of times the widget (or one of its inputs) lost
+     *        the focus
+     *   - changes: array of changes of value made by the user, each of
+     *        the type `{ time: 1234, value: 'a' }` (changes made by
+     *        setValues, e.g., when persisted values are restored, are
+     *        not included)
+     *   - pastes: array of paste events, each of the type
+     *        `{ time: 1234, length: 10 }`
+     *
+     * The time of the first interaction, of changes and of pastes is
+     * measured from the beginning of the step; totalTime and focusTime
+     * are durations.
      *
      * Calls the `listeners` method of the widget. Any event listener
      * registered here will be automatically removed when the widget
@@ -237,7 +430,7 @@
      * @see Widgets.instances
      */
     Widgets.prototype.get = function(widgetName, options) {
-        var WidgetPrototype, widget, changes, tmp;
+        var WidgetPrototype, widget, changes, tmp, getValues, setValues;
 
         if ('string' !== typeof widgetName) {
             throw new TypeError('Widgets.get: widgetName must be string.' +
@@ -356,7 +549,11 @@
             enabled: [],
             destroyed: [],
             highlighted: [],
-            unhighlighted: []
+            unhighlighted: [],
+            created: [],
+            appended: [],
+            changed: [],
+            invalid: []
         };
 
         // By default destroy widget on exit step.
@@ -395,6 +592,23 @@
         if (options.hidden) widget._hidden = true;
         if (options.docked) widget._docked = true;
 
+        // Persist values across page reloads.
+        if (options.persist) setPersist(this, widget, options.persist);
+
+        // Collect paradata (timing, changes, focus, pastes).
+        if ('undefined' === typeof options.paradata) {
+            tmp = !!this.paradataWidgets[widgetName];
+        }
+        else {
+            tmp = !!options.paradata;
+        }
+        if (tmp) setParadata(widget);
+
+        // Count the failures of an attention check.
+        if ('undefined' !== typeof options.attentionCheck) {
+            setAttentionCheck(widget, options.attentionCheck);
+        }
+
         // Call init.
         widget.init(options);
 
@@ -499,10 +713,57 @@
             this.emit('destroyed');
         };
 
+        // Emit 'invalid' when getValues reports a failed validation
+        // (unless it is not an attempt), and add paradata (if any).
+        getValues = widget.getValues;
+        if ('function' === typeof getValues) {
+            widget.getValues = function(opts) {
+                var res;
+                res = getValues.apply(widget, arguments);
+                if (res && res.isCorrect === false &&
+                    (!opts || opts.markAttempt !== false)) {
+
+                    widget.emit('invalid', res);
+                }
+                if (widget.attentionCheck && res && 'object' === typeof res &&
+                    (!opts || (opts.markAttempt !== false &&
+                               !opts.valuesOnly))) {
+
+                    checkAttention(node.widgets, widget, res);
+                }
+                if (widget.paradata && res && 'object' === typeof res &&
+                    (!opts || (opts.paradata !== false && !opts.valuesOnly))) {
+
+                    res.paradata = getParadata(widget);
+                }
+                return res;
+            };
+        }
+
+        // Changes made by setValues (e.g., when persisted values are
+        // restored) are not paradata. Some widgets emit 'changed'
+        // asynchronously, so changes are recorded again after a timeout.
+        setValues = widget.setValues;
+        if (widget.paradata && 'function' === typeof setValues) {
+            widget.setValues = function() {
+                var p;
+                p = widget.paradata;
+                p.settingValues++;
+                try {
+                    return setValues.apply(widget, arguments);
+                }
+                finally {
+                    setTimeout(function() { p.settingValues--; });
+                }
+            };
+        }
+
         // Store widget instance (e.g., used for destruction).
         if (options.storeRef !== false) this.instances.push(widget);
         else widget.storeRef = false;
 
+        widget.emit('created');
+
         return widget;
     };
 
@@ -673,9 +934,19 @@
             W.adjustFrameHeight(undefined, 150);
         }
 
+        // Restore values (if any), and save them when they change.
+        if (w.persist) {
+            restorePersisted(w);
+            addPersistListeners(w);
+        }
+
+        if (w.paradata) addParadataListeners(w);
+
         // Store reference of last appended widget (.get method set storeRef).
         if (w.storeRef !== false) this.lastAppended = w;
 
+        w.emit('appended', root);
+
         return w;
     };
 
@@ -854,8 +1125,1000 @@
         return res;
     };
 
+    /**
+     * ### Widgets.on
+     *
+     * Registers a listener on the global event bus of all widgets
+     *
+     * All events emitted by any widget are also emitted on the bus,
+     * with the widget as first parameter. Events include:
+     *
+     *   - created: the widget was created by Widgets.get
+     *   - appended: the widget was appended, with the root element
+     *   - changed: the user changed the value of the widget (input
+     *       widgets), with widget-specific parameters
+     *   - invalid: validation failed when values were requested with
+     *       getValues, with the result of getValues (not emitted if
+     *       option `markAttempt` is false)
+     *   - attentionFailed: an attention check was failed, with the
+     *       result of the check (see Widgets.setAttentionThreshold)
+     *   - destroyed: the widget was destroyed
+     *
+     * as well as UI events such as 'highlighted', 'hidden', or 'disabled'.
+     *
+     * The special event '*' receives all events, with the name of
+     * the event as first parameter.
+     *
+     *  ```
+     *     node.widgets.on('changed', function(w, value) {
+     *         console.log(w.widgetName, w.id, value);
+     *     });
+     *     node.widgets.on('*', function(event, w) {
+     *         log(event, w.id);
+     *     });
+     *  ```
+     *
+     * @param {string} event The name of the event, or '*'
+     * @param {function} cb The listener
+     *
+     * @see Widgets.off
+     * @see Widget.emit
+     */
+    Widgets.prototype.on = function(event, cb) {
+        if ('string' !== typeof event) {
+            throw new TypeError('Widgets.on: event must be string. Found: ' +
+                                event);
+        }
+        if ('function' !== typeof cb) {
+            throw new TypeError('Widgets.on: cb must be function. Found: ' +
+                                cb);
+        }
+        if (!this.hooks[event]) this.hooks[event] = [];
+        this.hooks[event].push(cb);
+    };
+
+    /**
+     * ### Widgets.off
+     *
+     * Removes a listener from the global event bus
+     *
+     * @param {string} event The name of the event, or '*'
+     * @param {function} cb Optional. The listener to remove. If undefined,
+     *   all listeners of the event are removed
+     *
+     * @return {boolean} TRUE, if a listener was removed
+     *
+     * @see Widgets.on
+     */
+    Widgets.prototype.off = function(event, cb) {
+        var i, len, hooks;
+        if ('string' !== typeof event) {
+            throw new TypeError('Widgets.off: event must be string. Found: ' +
+                                event);
+        }
+        hooks = this.hooks[event];
+        if (!hooks || !hooks.length) return false;
+        if ('undefined' === typeof cb) {
+            this.hooks[event] = [];
+            return true;
+        }
+        i = -1, len = hooks.length;
+        for ( ; ++i < len ; ) {
+            if (hooks[i] === cb) {
+                hooks.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * ### Widgets.emit
+     *
+     * Emits an event on the global event bus
+     *
+     * Widgets do not need to call this method directly, Widget.emit does.
+     * Errors thrown by listeners are caught, so that they cannot break
+     * the widget emitting the event.
+     *
+     * @param {string} event The name of the event
+     * @param {Widget} w The widget emitting the event
+     * @param {mixed} Optional. Any number of parameters for the listeners
+     *
+     * @see Widgets.on
+     * @see Widget.emit
+     */
+    Widgets.prototype.emit = function(event) {
+        var args;
+        args = Array.prototype.slice.call(arguments, 1);
+        callHooks(this.hooks[event], args, event);
+        args.unshift(event);
+        callHooks(this.hooks['*'], args, event);
+    };
+
+    /**
+     * ### Widgets.setAttentionThreshold
+     *
+     * Sets the number of failed attention checks emitting an event
+     *
+     * Any widget created with option `attentionCheck` is an attention
+     * check (including the items of ChoiceTableGroup). The option is the
+     * expected answer, and it is compared with the `value` property
+     * returned by the widget's getValues method.
+     * It can be:
+     *
+     *   - a string, compared without considering case and surrounding
+     *       whitespaces,
+     *   - a number or a boolean, compared strictly,
+     *   - an array, containing all the acceptable answers, or the
+     *       expected selection if the value is also an array,
+     *   - a function, receiving the value, the result of getValues and
+     *       the widget, and returning TRUE if the check is passed.
+     *
+     * Checks are evaluated when values are requested with getValues,
+     * except if options `markAttempt` is FALSE or `valuesOnly` is TRUE.
+     * A missing answer fails the check. Correctness is never displayed.
+     *
+     * Every failed check emits the 'attentionFailed' event on the global
+     * bus (with the result of the check). When the number of checks
+     * currently failed reaches the threshold, the 'attentionThreshold'
+     * event is emitted once (with the number of failures). If the
+     * threshold is lowered below the current failures, the event is
+     * emitted immediately, with null instead of the widget. If it is
+     * raised above them, the event can be emitted again.
+     *
+     * The threshold can also be set with the 'widgets' setup option
+     * `attentionThreshold`.
+     *
+     *  ```
+     *     node.widgets.setAttentionThreshold(2);
+     *     node.widgets.on('attentionThreshold', function(w, failures) {
+     *         node.say('screenout', 'SERVER', failures);
+     *     });
+     *  ```
+     *
+     * @param {number|null} threshold An integer > 0, or null to remove it
+     *
+     * @see Widgets.attentionFailures
+     * @see Widgets.on
+     */
+    Widgets.prototype.setAttentionThreshold = function(threshold) {
+        if (threshold !== null &&
+            ('number' !== typeof threshold || !J.isInt(threshold, 0))) {
+
+            throw new TypeError('Widgets.setAttentionThreshold: threshold ' +
+                                'must be an integer > 0 or null. Found: ' +
+                                threshold);
+        }
+        this.attentionThreshold = threshold;
+        // The new threshold can be reached again.
+        if (threshold === null || this.attentionFailures < threshold) {
+            this.attentionThresholdReached = false;
+        }
+        checkAttentionThreshold(this, null);
+    };
+
+    /**
+     * ### Widgets.fromSchema
+     *
+     * Creates a survey from a declarative JSON schema
+     *
+     * The schema is converted into the options of a ChoiceManager widget,
+     * whose forms are the questions of the schema. The ChoiceManager is
+     * created with Widgets.get and, if a root is specified, appended
+     * with Widgets.append.
+     *
+     * The schema is an object (or a JSON string) with the following
+     * properties:
+     *
+     *   - id: the id of the survey (ChoiceManager). Default: 'survey'
+     *   - title, mainText, className: as in ChoiceManager
+     *   - shuffle: if TRUE, questions are shuffled (within each page)
+     *   - questions: an array of questions (see below)
+     *   - pages: alternatively, an array of pages, each page being an
+     *       array of questions or an object with a `questions` array
+     *   - options: other options passed as they are to ChoiceManager
+     *
+     * Each question is an object with the following properties:
+     *
+     *   - id: the id of the question (required)
+     *   - type: the type of question (see below). Default: 'choice'
+     *   - widget: alternatively, the name of any registered widget
+     *   - text: the text of the question
+     *   - hint: the hint below the text of the question
+     *   - choices: the available choices, for choice-like types
+     *   - items: the rows of a 'matrix' question
+     *   - required: if TRUE, an answer is required
+     *   - validation: an object with the validation rules. Rules depend
+     *       on the type: `correct` for choice-like types and slider,
+     *       `min` and `max` number of selected choices for checkbox, and
+     *       any option of CustomInput (e.g., `min`, `max`, `minDate`)
+     *       plus `pattern` (a regex string) and `message` for input types
+     *   - showIf: an object whose keys are the ids of other questions and
+     *       values are the answers (or arrays of answers) for which the
+     *       question is displayed. See `ChoiceManager.setForms`
+     *   - options: other options passed as they are to the widget
+     *
+     * Available types are: 'choice' (or 'radio'), 'checkbox', 'dropdown',
+     * 'slider', 'matrix', and all the types of CustomInput (e.g., 'text',
+     * 'int', 'float', 'date', 'time'). Other input types can be added
+     * with `CustomInput.addType`.
+     *
+     *  ```
+     *     node.widgets.fromSchema({
+     *         id: 'demographics',
+     *         pages: [
+     *             [
+     *                 { id: 'age', type: 'int', text: 'Your age?',
+     *                   required: true, validation: { min: 18, max: 99 } },
+     *                 { id: 'gender', text: 'Your gender?',
+     *                   choices: [ 'Male', 'Female', 'Other' ] }
+     *             ],
+     *             [
+     *                 { id: 'other', type: 'text', text: 'Please specify',
+     *                   showIf: { gender: 'Other' } }
+     *             ]
+     *         ]
+     *     }, 'container');
+     *  ```
+     *
+     * @param {object|string} schema The schema, or its JSON string
+     * @param {object|string} root Optional. The HTML element (or its id)
+     *   under which the survey is appended. If not specified, the survey
+     *   is created, but not appended.
+     *
+     * @return {ChoiceManager} The ChoiceManager widget
+     *
+     * @see Widgets.get
+     * @see Widgets.append
+     * @see ChoiceManager
+     */
+    Widgets.prototype.fromSchema = function(schema, root) {
+        var options, forms, pages, page, questions, i, len, j, len2;
+        var ids, q;
+
+        if ('string' === typeof schema) {
+            try {
+                schema = JSON.parse(schema);
+            }
+            catch(e) {
+                throw new Error('Widgets.fromSchema: schema is not a ' +
+                                'valid JSON string: ' + e.message);
+            }
+        }
+        if ('object' !== typeof schema || !schema) {
+            throw new TypeError('Widgets.fromSchema: schema must be object ' +
+                                'or string. Found: ' + schema);
+        }
+
+        if (schema.pages) {
+            if (!J.isArray(schema.pages) || !schema.pages.length) {
+                throw new TypeError('Widgets.fromSchema: pages must be a ' +
+                                    'non-empty array or undefined. Found: ' +
+                                    schema.pages);
+            }
+            if (schema.questions) {
+                throw new Error('Widgets.fromSchema: schema cannot have ' +
+                                'both pages and questions');
+            }
+            pages = [];
+        }
+        else if (!J.isArray(schema.questions) || !schema.questions.length) {
+            throw new TypeError('Widgets.fromSchema: questions must be a ' +
+                                'non-empty array. Found: ' +
+                                schema.questions);
+        }
+
+        forms = [];
+        ids = {};
+        len = pages ? schema.pages.length : 1;
+        for (i = 0; i < len; i++) {
+            if (pages) {
+                page = schema.pages[i];
+                questions = J.isArray(page) ? page : page && page.questions;
+                if (!J.isArray(questions) || !questions.length) {
+                    throw new TypeError('Widgets.fromSchema: page ' + (i+1) +
+                                        ' must be a non-empty array of ' +
+                                        'questions or an object with a ' +
+                                        'questions array. Found: ' + page);
+                }
+                pages.push([]);
+            }
+            else {
+                questions = schema.questions;
+            }
+            len2 = questions.length;
+            for (j = 0; j < len2; j++) {
+                q = schemaQuestionToForm(this, questions[j]);
+                if (ids[q.id]) {
+                    throw new Error('Widgets.fromSchema: duplicated ' +
+                                    'question id: ' + q.id);
+                }
+                ids[q.id] = q;
+                forms.push(q);
+                if (pages) pages[i].push(q.id);
+            }
+        }
+
+        // Conditions on ChoiceTables are evaluated on the index of the
+        // choices: replace the text of the choices with their index.
+        len = forms.length;
+        for (i = 0; i < len; i++) {
+            q = forms[i].conditional;
+            if (q && 'object' === typeof q) {
+                for (j in q) {
+                    if (q.hasOwnProperty(j) && ids[j] &&
+                        ids[j].name === 'ChoiceTable') {
+
+                        q[j] = choicesToIndexes(ids[j].choices, q[j]);
+                    }
+                }
+            }
+        }
+
+        options = {
+            id: 'undefined' === typeof schema.id ? 'survey' : schema.id,
+            forms: forms
+        };
+        if (pages) options.pages = pages;
+        if ('undefined' !== typeof schema.title) options.title = schema.title;
+        if ('undefined' !== typeof schema.mainText) {
+            options.mainText = schema.mainText;
+        }
+        if ('undefined' !== typeof schema.className) {
+            options.className = schema.className;
+        }
+        if (schema.shuffle) options.shuffleForms = true;
+        if (schema.options) {
+            if ('object' !== typeof schema.options) {
+                throw new TypeError('Widgets.fromSchema: options must be ' +
+                                    'object or undefined. Found: ' +
+                                    schema.options);
+            }
+            J.mixin(options, schema.options);
+        }
+
+        if ('undefined' === typeof root) {
+            return this.get('ChoiceManager', options);
+        }
+        return this.append('ChoiceManager', root, options);
+    };
+
     // ## Helper functions
 
+    // ### schemaTypes
+    //
+    // Maps the types of questions in Widgets.fromSchema to widgets
+    //
+    // Types not found here are looked up in CustomInput.types.
+    //
+    // @see Widgets.fromSchema
+    //
+    var schemaTypes = {
+        choice: { name: 'ChoiceTable' },
+        radio: { name: 'ChoiceTable' },
+        checkbox: { name: 'ChoiceTable', multiple: true },
+        dropdown: { name: 'Dropdown' },
+        slider: { name: 'Slider' },
+        matrix: { name: 'ChoiceTableGroup' }
+    };
+
+    // ### schemaQuestionToForm
+    //
+    // Converts a question of a schema into the options of a form
+    //
+    // @param {Widgets} that The Widgets instance
+    // @param {object} q The question
+    //
+    // @return {object} The options of the form, including the name of
+    //   the widget, as required by ChoiceManager.setForms
+    //
+    // @see Widgets.fromSchema
+    //
+    function schemaQuestionToForm(that, q) {
+        var form, type, val, str, CI;
+
+        if ('object' !== typeof q || !q) {
+            throw new TypeError('Widgets.fromSchema: question must be ' +
+                                'object. Found: ' + q);
+        }
+        if ('string' !== typeof q.id || q.id.trim() === '') {
+            throw new TypeError('Widgets.fromSchema: question id must be ' +
+                                'a non-empty string. Found: ' + q.id);
+        }
+        str = ' (question "' + q.id + '")';
+
+        form = { id: q.id };
+
+        if (q.widget) {
+            if ('string' !== typeof q.widget || !that.widgets[q.widget]) {
+                throw new Error('Widgets.fromSchema: widget not found: ' +
+                                q.widget + str);
+            }
+            form.name = q.widget;
+        }
+        else {
+            type = 'undefined' === typeof q.type ? 'choice' : q.type;
+            if (schemaTypes[type]) {
+                form.name = schemaTypes[type].name;
+                if (schemaTypes[type].multiple) form.selectMultiple = true;
+            }
+            else {
+                CI = that.widgets.CustomInput;
+                if (!CI || !CI.types || !CI.types[type]) {
+                    throw new Error('Widgets.fromSchema: unknown question ' +
+                                    'type: ' + type + str);
+                }
+                form.name = 'CustomInput';
+                form.type = type;
+            }
+        }
+
+        if ('undefined' !== typeof q.text) form.mainText = q.text;
+        if ('undefined' !== typeof q.hint) form.hint = q.hint;
+        if ('undefined' !== typeof q.choices) form.choices = q.choices;
+        if ('undefined' !== typeof q.items) form.items = q.items;
+        if (q.required) {
+            form.required = true;
+            // Slider supports only required (requiredChoice is deprecated).
+            if (form.name !== 'CustomInput' && form.name !== 'Slider') {
+                form.requiredChoice = true;
+            }
+        }
+
+        val = q.validation;
+        if ('undefined' !== typeof val) {
+            if ('object' !== typeof val || !val) {
+                throw new TypeError('Widgets.fromSchema: validation must ' +
+                                    'be object or undefined. Found: ' + val +
+                                    str);
+            }
+            setSchemaValidation(form, val, str);
+        }
+
+        if ('undefined' !== typeof q.showIf) {
+            if ('object' !== typeof q.showIf || !q.showIf) {
+                throw new TypeError('Widgets.fromSchema: showIf must ' +
+                                    'be object or undefined. Found: ' +
+                                    q.showIf + str);
+            }
+            form.conditional = J.clone(q.showIf);
+        }
+
+        if (q.options) {
+            if ('object' !== typeof q.options) {
+                throw new TypeError('Widgets.fromSchema: options must ' +
+                                    'be object or undefined. Found: ' +
+                                    q.options + str);
+            }
+            J.mixin(form, q.options);
+        }
+
+        return form;
+    }
+
+    // ### setSchemaValidation
+    //
+    // Adds the validation rules of a question to the options of a form
+    //
+    // @param {object} form The options of the form
+    // @param {object} val The validation rules of the question
+    // @param {string} str The question id, for error messages
+    //
+    // @see schemaQuestionToForm
+    //
+    function setSchemaValidation(form, val, str) {
+        var p, re, msg;
+
+        if (form.name === 'CustomInput') {
+            for (p in val) {
+                if (val.hasOwnProperty(p) &&
+                    p !== 'pattern' && p !== 'message') {
+
+                    form[p] = val[p];
+                }
+            }
+            if ('undefined' !== typeof val.pattern) {
+                try {
+                    re = new RegExp(val.pattern);
+                }
+                catch(e) {
+                    throw new Error('Widgets.fromSchema: pattern is not a ' +
+                                    'valid regular expression: ' +
+                                    val.pattern + str);
+                }
+                msg = val.message || 'Invalid format';
+                form.userValidation = function(res) {
+                    if (!res.err && 'string' === typeof res.value &&
+                        !re.test(res.value)) {
+
+                        res.err = msg;
+                    }
+                };
+            }
+            return;
+        }
+
+        if ('undefined' !== typeof val.correct) {
+            if (form.name === 'Slider') {
+                form.correctValue = val.correct;
+            }
+            else if (form.name === 'ChoiceTable') {
+                form.correctChoice = choicesToIndexes(form.choices,
+                                                      val.correct);
+            }
+            else {
+                form.correctChoice = val.correct;
+            }
+        }
+        if (form.selectMultiple) {
+            if ('undefined' !== typeof val.min) {
+                form.requiredChoice = val.min;
+                form.required = val.min > 0;
+            }
+            if ('undefined' !== typeof val.max) form.selectMultiple = val.max;
+        }
+        // A correct choice is also required, and ChoiceTable does not
+        // accept both options.
+        if ('undefined' !== typeof form.correctChoice) {
+            delete form.requiredChoice;
+        }
+    }
+
+
+    // ### choicesToIndexes
+    //
+    // Replaces the text of choices with their index in the choices array
+    //
+    // Values that are not the text of a choice are left unchanged.
+    //
+    // @param {array} choices The choices of a question
+    // @param {mixed} values A value or an array of values
+    //
+    // @return {mixed} The value or the array of values with indexes
+    //
+    // @see Widgets.fromSchema
+    //
+    function choicesToIndexes(choices, values) {
+        var i, len, res, idx;
+        if (!J.isArray(choices)) return values;
+        if (!J.isArray(values)) return choicesToIndexes(choices, [values])[0];
+        res = new Array(values.length);
+        i = -1, len = values.length;
+        for ( ; ++i < len ; ) {
+            res[i] = values[i];
+            if ('string' === typeof values[i]) {
+                idx = choices.indexOf(values[i]);
+                if (idx !== -1) res[i] = idx;
+            }
+        }
+        return res;
+    }
+
+    // ### callHooks
+    //
+    // Calls the listeners of the global event bus, catching errors
+    //
+    // @param {array} hooks Optional. The listeners
+    // @param {array} args The parameters for the listeners
+    // @param {string} event The name of the event, for error messages
+    //
+    // @see Widgets.emit
+    //
+    function callHooks(hooks, args, event) {
+        var i, len;
+        if (!hooks) return;
+        // Listeners might remove themselves.
+        hooks = hooks.slice();
+        i = -1, len = hooks.length;
+        for ( ; ++i < len ; ) {
+            try {
+                hooks[i].apply(node.widgets, args);
+            }
+            catch(e) {
+                node.warn('Widgets.emit: listener of event "' + event +
+                          '" threw an error: ' + e);
+            }
+        }
+    }
+
+    // ### setPersist
+    //
+    // Evaluates option persist and sets the persist property of a widget
+    //
+    // @param {Widgets} that The Widgets instance
+    // @param {Widget} w The widget
+    // @param {boolean|string} persist The value of the option
+    //
+    // @see Widgets.get
+    //
+    function setPersist(that, w, persist) {
+        var storage, step;
+        if (persist === true || persist === 'local') {
+            storage = 'localStorage';
+        }
+        else if (persist === 'session') {
+            storage = 'sessionStorage';
+        }
+        else {
+            throw new TypeError('Widgets.get: options.persist must be ' +
+                                'boolean, "local", "session" or undefined. ' +
+                                'Found: ' + persist);
+        }
+        if ('undefined' === typeof w.id) {
+            throw new Error('Widgets.get: options.persist requires an id ' +
+                            'for widget ' + w.widgetName);
+        }
+        if (!that.persistAdapters[w.widgetName]) {
+            node.warn('Widgets.get: persist is not supported by widget ' +
+                      w.widgetName + '. Add an adapter to ' +
+                      'node.widgets.persistAdapters');
+            return;
+        }
+        step = node.game.getCurrentGameStage();
+        w.persist = {
+            storage: storage,
+            key: 'nodegame_widgets_' +
+                ((node.player && node.player.id) || '') + '_' +
+                (step ? step.toString() : '') + '_' + w.id
+        };
+    }
+
+    // ### getStorage
+    //
+    // Returns the storage of a widget with persist, or null if not available
+    //
+    // Browsers might throw when accessing the storage (e.g., if cookies
+    // are disabled).
+    //
+    // @param {Widget} w The widget
+    //
+    // @return {Storage|null} The storage
+    //
+    function getStorage(w) {
+        try {
+            return window[w.persist.storage] || null;
+        }
+        catch(e) {
+            return null;
+        }
+    }
+
+    // ### savePersisted
+    //
+    // Saves the current values of a widget with persist
+    //
+    // @param {Widget} w The widget
+    //
+    function savePersisted(w) {
+        var storage, state;
+        if (w.persist.cleared || w.destroyed) return;
+        storage = getStorage(w);
+        if (!storage) return;
+        try {
+            state = node.widgets.persistAdapters[w.widgetName].get(w);
+            storage.setItem(w.persist.key, JSON.stringify(state));
+        }
+        catch(e) {
+            node.warn('Widgets: could not save values of widget ' + w.id +
+                      ': ' + e);
+        }
+    }
+
+    // ### restorePersisted
+    //
+    // Restores the saved values of a widget with persist, if any
+    //
+    // @param {Widget} w The widget
+    //
+    function restorePersisted(w) {
+        var storage, state;
+        storage = getStorage(w);
+        if (!storage) return;
+        try {
+            state = storage.getItem(w.persist.key);
+            if (state === null) return;
+            node.widgets.persistAdapters[w.widgetName].set(w,
+                                                           JSON.parse(state));
+        }
+        catch(e) {
+            node.warn('Widgets: could not restore values of widget ' + w.id +
+                      ': ' + e);
+        }
+    }
+
+    // ### clearPersisted
+    //
+    // Removes the saved values of a widget with persist
+    //
+    // Values are not saved anymore afterwards.
+    //
+    // @param {Widget} w The widget
+    //
+    function clearPersisted(w) {
+        var storage;
+        w.persist.cleared = true;
+        storage = getStorage(w);
+        if (!storage) return;
+        try {
+            storage.removeItem(w.persist.key);
+        }
+        catch(e) {
+            node.warn('Widgets: could not remove values of widget ' + w.id +
+                      ': ' + e);
+        }
+    }
+
+    // ### addPersistListeners
+    //
+    // Saves the values of a widget whenever the user interacts with it
+    //
+    // Values are saved asynchronously, after the widget has processed
+    // the event.
+    //
+    // @param {Widget} w The widget
+    //
+    function addPersistListeners(w) {
+        var timeout, save;
+        save = function() {
+            if (timeout) clearTimeout(timeout);
+            timeout = setTimeout(function() {
+                timeout = null;
+                savePersisted(w);
+            });
+        };
+        w.panelDiv.addEventListener('click', save);
+        w.panelDiv.addEventListener('input', save);
+        w.panelDiv.addEventListener('change', save);
+    }
+
+    // ### setAttentionCheck
+    //
+    // Validates option attentionCheck and sets it on a widget
+    //
+    // @param {Widget} w The widget
+    // @param {mixed} expected The expected answer
+    //
+    // @see Widgets.get
+    // @see Widgets.setAttentionThreshold
+    //
+    function setAttentionCheck(w, expected) {
+        if ('string' !== typeof expected && 'number' !== typeof expected &&
+            'boolean' !== typeof expected && 'function' !== typeof expected &&
+            !J.isArray(expected)) {
+
+            throw new TypeError('Widgets.get: options.attentionCheck must ' +
+                                'be string, number, boolean, array, ' +
+                                'function or undefined. Found: ' + expected);
+        }
+        if ('function' !== typeof w.getValues) {
+            throw new Error('Widgets.get: options.attentionCheck requires ' +
+                            'method getValues in widget ' + w.widgetName);
+        }
+        w.attentionCheck = { expected: expected };
+    }
+
+    // ### checkAttention
+    //
+    // Evaluates the attention check of a widget and updates the counts
+    //
+    // @param {Widgets} that The Widgets instance
+    // @param {Widget} w The widget
+    // @param {object} res The result of getValues
+    //
+    // @see Widgets.setAttentionThreshold
+    //
+    function checkAttention(that, w, res) {
+        var expected, value, passed, result, old, i, len;
+        expected = w.attentionCheck.expected;
+        value = res.value;
+        if ('function' === typeof expected) {
+            passed = !!expected.call(w, value, res, w);
+        }
+        else if (value === null || 'undefined' === typeof value ||
+                 (J.isArray(value) && !value.length)) {
+
+            passed = false;
+        }
+        else if (J.isArray(value)) {
+            passed = J.isArray(expected) &&
+                J.equals(value.slice(0).sort(), expected.slice(0).sort());
+        }
+        else if (J.isArray(expected)) {
+            passed = false;
+            i = -1, len = expected.length;
+            for ( ; ++i < len ; ) {
+                if (isExpectedValue(expected[i], value)) {
+                    passed = true;
+                    break;
+                }
+            }
+        }
+        else {
+            passed = isExpectedValue(expected, value);
+        }
+
+        result = {
+            id: w.id,
+            widgetName: w.widgetName,
+            value: value,
+            passed: passed,
+            time: J.now()
+        };
+        old = that.attentionChecks[w.wid];
+        that.attentionChecks[w.wid] = result;
+        if (old && !old.passed) that.attentionFailures--;
+        w.attentionCheck.passed = passed;
+        if (passed) return;
+
+        that.attentionFailures++;
+        w.emit('attentionFailed', result);
+        checkAttentionThreshold(that, w);
+    }
+
+    // ### checkAttentionThreshold
+    //
+    // Emits the 'attentionThreshold' event, if the threshold is reached
+    //
+    // The event is emitted only once, until the threshold is changed.
+    //
+    // @param {Widgets} that This instance
+    // @param {Widget|null} w The widget of the last failed check, or null
+    //   if the threshold was changed
+    //
+    // @see Widgets.setAttentionThreshold
+    //
+    function checkAttentionThreshold(that, w) {
+        if (!that.attentionThresholdReached &&
+            that.attentionThreshold !== null &&
+            that.attentionFailures >= that.attentionThreshold) {
+
+            that.attentionThresholdReached = true;
+            that.emit('attentionThreshold', w, that.attentionFailures);
+        }
+    }
+
+    // ### isExpectedValue
+    //
+    // Compares a single value with the expected one
+    //
+    // Strings are compared ignoring case and surrounding whitespaces.
+    //
+    // @param {mixed} expected The expected value
+    // @param {mixed} value The value to compare
+    //
+    // @return {boolean} TRUE, if the value is the expected one
+    //
+    // @see checkAttention
+    //
+    function isExpectedValue(expected, value) {
+        if ('string' === typeof expected && 'string' === typeof value) {
+            return expected.trim().toLowerCase() ===
+                value.trim().toLowerCase();
+        }
+        return expected === value;
+    }
+
+    // ### setParadata
+    //
+    // Sets the paradata property of a widget and records its changes
+    //
+    // Changes are recorded from the 'changed' events of the widget,
+    // except those emitted while setValues is running.
+    //
+    // @param {Widget} w The widget
+    //
+    // @see Widgets.get
+    //
+    function setParadata(w) {
+        w.paradata = {
+            timeCreated: J.now(),
+            timeAppended: null,
+            firstInteraction: null,
+            focusBegin: null,
+            focusTime: 0,
+            // Greater than 0 while setValues is running.
+            settingValues: 0,
+            focus: 0,
+            blur: 0,
+            changes: [],
+            pastes: []
+        };
+        w.on('changed', function() {
+            var value;
+            if (w.paradata.settingValues) return;
+            value = arguments.length > 1 ?
+                Array.prototype.slice.call(arguments) : arguments[0];
+            markInteraction(w);
+            w.paradata.changes.push({
+                time: node.timer.getTimeSince('step'),
+                value: value
+            });
+        });
+    }
+
+    // ### markInteraction
+    //
+    // Records the time of the first interaction with a widget, if not set
+    //
+    // @param {Widget} w The widget
+    //
+    function markInteraction(w) {
+        if (w.paradata.firstInteraction !== null) return;
+        w.paradata.firstInteraction = node.timer.getTimeSince('step');
+    }
+
+    // ### addParadataListeners
+    //
+    // Adds the DOM listeners collecting the paradata of an appended widget
+    //
+    // Events bubble up to the panelDiv from all the inputs of the widget.
+    //
+    // @param {Widget} w The widget
+    //
+    // @see setParadata
+    //
+    function addParadataListeners(w) {
+        var p, root, interaction;
+        p = w.paradata;
+        p.timeAppended = J.now();
+        root = w.panelDiv;
+
+        interaction = function() { markInteraction(w); };
+        root.addEventListener('mousedown', interaction);
+        root.addEventListener('touchstart', interaction);
+        root.addEventListener('keydown', interaction);
+
+        root.addEventListener('focusin', function() {
+            markInteraction(w);
+            p.focus++;
+            p.focusBegin = J.now();
+        });
+        root.addEventListener('focusout', function() {
+            p.blur++;
+            if (p.focusBegin !== null) {
+                p.focusTime += J.now() - p.focusBegin;
+                p.focusBegin = null;
+            }
+        });
+        root.addEventListener('paste', function(e) {
+            var text;
+            markInteraction(w);
+            text = e.clipboardData ? e.clipboardData.getData('text') : null;
+            p.pastes.push({
+                time: node.timer.getTimeSince('step'),
+                length: 'string' === typeof text ? text.length : null
+            });
+        });
+    }
+
+    // ### getParadata
+    //
+    // Returns a copy of the paradata collected for a widget
+    //
+    // @param {Widget} w The widget
+    //
+    // @return {object} The paradata
+    //
+    // @see Widgets.get
+    //
+    function getParadata(w) {
+        var p, now;
+        p = w.paradata;
+        now = J.now();
+        return {
+            firstInteraction: p.firstInteraction,
+            totalTime: now - (p.timeAppended === null ?
+                              p.timeCreated : p.timeAppended),
+            focusTime: p.focusTime +
+                (p.focusBegin === null ? 0 : now - p.focusBegin),
+            focus: p.focus,
+            blur: p.blur,
+            changes: p.changes.slice(),
+            pastes: p.pastes.slice()
+        };
+    }
+
     // ### checkDepErrMsg
     //
     // Prints out an error message for a dependency not met.
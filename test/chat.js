@@ -0,0 +1,192 @@
+/**
+ * # Chat moderation tests
+ */
+var assert = require('assert');
+var sandbox = require('./lib/sandbox');
+
+describe('Chat moderation', function() {
+    var node, Chat;
+
+    // Creates a chat and returns the listener of incoming messages.
+    function chat(opts) {
+        var w, hooks;
+        hooks = {};
+        node.on.data = function(event, cb) { hooks[event] = cb; };
+        node.on.preconnect = node.on.pdisconnect = function() {};
+        w = new Chat();
+        w.texts = {};
+        w.isCollapsed = function() { return true; };
+        w.setTitle = function() {};
+        opts.useSubmitButton = false;
+        w.init(opts);
+        w.bodyDiv = new sandbox.El('div');
+        w.append();
+        w.listeners();
+        w.onData = hooks;
+        w.receive = function(from, txt) {
+            hooks.CHAT({
+                from: from,
+                to: 'me',
+                id: 'id_' + from,
+                data: { msg: txt, msgId: 'msg_' + from + '_' + txt }
+            });
+        };
+        return w;
+    }
+
+    function mask(txt) {
+        return txt.replace(Chat.piiPatterns.phones, '***');
+    }
+
+    before(function() {
+        node = sandbox([ 'widgets/Chat.js' ]);
+        Chat = node.widgets.widgets.Chat;
+    });
+
+    describe('#piiPatterns.phones', function() {
+
+        it('should match phone numbers', function() {
+            assert.strictEqual(mask('call 555-123-4567'), 'call ***');
+            assert.strictEqual(mask('call +1 (555) 123-4567 now'),
+                               'call *** now');
+            assert.strictEqual(mask('call 5551234'), 'call ***');
+        });
+
+        it('should not match ordinary numbers', function() {
+            assert.strictEqual(mask('I offer 123456'), 'I offer 123456');
+            assert.strictEqual(mask('I bid 100 200'), 'I bid 100 200');
+            assert.strictEqual(mask('I bid 100 200 300'),
+                               'I bid 100 200 300');
+            assert.strictEqual(mask('accept 12.50 or 7'), 'accept 12.50 or 7');
+            assert.strictEqual(mask('round 2021, offer 3.5'),
+                               'round 2021, offer 3.5');
+            assert.strictEqual(mask('id 123456789012'), 'id 123456789012');
+        });
+    });
+
+    describe('incoming messages', function() {
+
+        it('should not count or store blocked messages', function() {
+            var w, values;
+            w = chat({
+                participants: [ 'p1' ],
+                storeMsgs: true,
+                moderation: [ { type: 'regex', patterns: [ 'spam' ],
+                                action: 'block' } ]
+            });
+            w.receive('p1', 'buy spam');
+            values = w.getValues();
+            assert.strictEqual(values.totReceived, 0);
+            assert.strictEqual(values.totUnread, 0);
+            assert.strictEqual(values.msgs.length, 0);
+            assert.strictEqual(values.transcript.length, 0);
+            assert.strictEqual(values.moderated.length, 1);
+            assert.strictEqual(values.moderated[0].blocked, true);
+        });
+
+        it('should not moderate invalid messages', function() {
+            var w;
+            w = chat({
+                participants: [ 'p1' ],
+                moderation: [ { type: 'regex', patterns: [ 'spam' ] } ]
+            });
+            w.receive('p9', 'spam from a stranger');
+            w.receive('me', 'my own spam');
+            w.receive('p1', { spam: true });
+            assert.strictEqual(w.moderated.length, 0);
+            assert.strictEqual(w.getValues().totReceived, 0);
+        });
+
+        it('should store the masked text', function() {
+            var w, values;
+            w = chat({
+                participants: [ 'p1' ],
+                storeMsgs: true,
+                moderation: [ { type: 'pii' } ]
+            });
+            w.receive('p1', 'mail me at a@b.com');
+            values = w.getValues();
+            assert.strictEqual(values.totReceived, 1);
+            assert.strictEqual(values.totUnread, 1);
+            assert.strictEqual(values.msgs[0].text.msg, 'mail me at ***');
+            assert.strictEqual(values.transcript[0].msg, 'mail me at ***');
+            assert.strictEqual(values.moderated[0].original,
+                               'mail me at a@b.com');
+        });
+    });
+
+    describe('history', function() {
+
+        // A message in the history sent by another participant.
+        function entry(from, txt, dt) {
+            return {
+                msgId: 'h_' + from + '_' + txt,
+                from: from,
+                msg: txt,
+                timestamp: Date.now() + dt
+            };
+        }
+
+        // Returns the classes of the displayed messages.
+        function displayed(w) {
+            return w.chatDiv.childNodes.map(function(div) {
+                return div.className.replace('chat_msg chat_msg_', '');
+            });
+        }
+
+        it('should ignore history and reactions from non-participants',
+           function() {
+               var w;
+               w = chat({ participants: [ 'p1' ], reactions: [ 'x' ] });
+               w.receive('p1', 'hello');
+               w.onData.CHAT_HISTORY({
+                   from: 'p9',
+                   data: [ entry('p9', 'fake', -1000) ]
+               });
+               w.onData.CHAT_REACTION({
+                   from: 'p9',
+                   data: { msgId: 'msg_p1_hello', emoji: 'x' }
+               });
+               assert.strictEqual(w.messages.length, 1);
+               assert.deepEqual(w.messages[0].reactions, {});
+           });
+
+        it('should moderate the messages in the history', function() {
+            var w;
+            w = chat({
+                participants: [ 'p1' ],
+                moderation: [ { type: 'regex', patterns: [ 'spam' ],
+                                action: 'block' } ]
+            });
+            w.onData.CHAT_HISTORY({
+                from: 'p1',
+                data: [
+                    entry('p1', 'hello', -2000),
+                    entry('p1', 'buy spam', -1000),
+                    // Not sent by p1.
+                    entry('p2', 'hi', -1000)
+                ]
+            });
+            assert.deepEqual(w.messages.map(function(m) {
+                return m.msg;
+            }), [ 'hello' ]);
+            assert.strictEqual(w.moderated.length, 1);
+        });
+
+        it('should keep events in order with the messages', function() {
+            var w;
+            w = chat({ participants: [ 'p1' ] });
+            w.writeMsg('reconnected', { id: 'p1' });
+            w.onData.CHAT_HISTORY({
+                from: 'p1',
+                data: [
+                    entry('p1', 'after', 10000),
+                    entry('p1', 'before', -10000)
+                ]
+            });
+            assert.deepEqual(displayed(w),
+                             [ 'incoming', 'event', 'incoming' ]);
+            assert.ok(/before/.test(w.chatDiv.childNodes[0].innerHTML));
+        });
+    });
+});
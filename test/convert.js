@@ -0,0 +1,149 @@
+/**
+ * # Survey converter tests
+ */
+var assert = require('assert');
+var path = require('path');
+var sandbox = require('./lib/sandbox');
+var convertFile = require('../bin/convert.js').convertFile;
+
+describe('Survey converter', function() {
+
+    // Returns the converted form with the given id.
+    function getForm(res, id) {
+        return res.options.forms.filter(function(f) {
+            return f.id === id;
+        })[0];
+    }
+
+    function fixture(file) {
+        return path.join(__dirname, 'fixtures', file);
+    }
+
+    describe('QSF', function() {
+        var res;
+
+        before(function() {
+            res = convertFile(fixture('survey.qsf'));
+        });
+
+        it('converts all questions and keeps page breaks', function() {
+            assert.strictEqual(res.report.format, 'qsf');
+            assert.strictEqual(res.report.total, 7);
+            assert.strictEqual(res.report.converted, 7);
+            assert.deepStrictEqual(res.report.unsupported, []);
+            assert.strictEqual(res.options.id, 'Fixture_survey');
+            assert.deepStrictEqual(res.options.pages, [
+                [ 'color', 'pets', 'country' ],
+                [ 'age', 'comment', 'birth', 'start' ]
+            ]);
+        });
+
+        it('maps MC selectors to ChoiceTable and Dropdown', function() {
+            var f;
+            f = getForm(res, 'color');
+            assert.strictEqual(f.name, 'ChoiceTable');
+            assert.deepStrictEqual(f.choices, [ [ '2', 'Blue' ],
+                                                [ '1', 'Red' ] ]);
+            assert.strictEqual(f.orientation, 'V');
+            assert.strictEqual(f.selectMultiple, undefined);
+            assert.strictEqual(f.requiredChoice, true);
+
+            f = getForm(res, 'pets');
+            assert.strictEqual(f.name, 'ChoiceTable');
+            assert.strictEqual(f.orientation, undefined);
+            assert.strictEqual(f.selectMultiple, true);
+
+            f = getForm(res, 'country');
+            assert.strictEqual(f.name, 'Dropdown');
+            assert.strictEqual(f.tag, 'select');
+            assert.deepStrictEqual(f.choices, [ 'Italy', 'Spain' ]);
+        });
+
+        it('maps TE content types to CustomInput', function() {
+            var f;
+            f = getForm(res, 'age');
+            assert.strictEqual(f.name, 'CustomInput');
+            assert.strictEqual(f.type, 'int');
+            assert.strictEqual(f.min, 18);
+            assert.strictEqual(f.max, 99);
+            assert.strictEqual(f.required, true);
+
+            f = getForm(res, 'comment');
+            assert.strictEqual(f.type, 'text');
+            assert.strictEqual(f.min, 5);
+            assert.ok(res.report.warnings.some(function(w) {
+                return w.id === 'comment' && /multi-line/.test(w.message);
+            }));
+        });
+
+        it('converts only date formats supported by CustomInput', function() {
+            var f;
+            f = getForm(res, 'birth');
+            assert.strictEqual(f.type, 'date');
+            assert.strictEqual(f.format, 'dd/mm/yyyy');
+
+            f = getForm(res, 'start');
+            assert.strictEqual(f.type, 'date');
+            assert.strictEqual(f.format, undefined);
+            assert.ok(res.report.warnings.some(function(w) {
+                return w.id === 'start' && /date format/.test(w.message);
+            }));
+        });
+
+        it('creates CustomInputs from the date questions', function() {
+            var node, CustomInput;
+            node = sandbox([ 'widgets/CustomInput.js' ]);
+            CustomInput = node.widgets.widgets.CustomInput;
+            [ 'birth', 'start' ].forEach(function(id) {
+                var w;
+                w = new CustomInput();
+                w.texts = {};
+                w.init(getForm(res, id));
+            });
+        });
+    });
+
+    describe('SurveyJS', function() {
+        var res;
+
+        before(function() {
+            res = convertFile(fixture('survey.json'));
+        });
+
+        it('converts all questions and keeps pages', function() {
+            assert.strictEqual(res.report.format, 'surveyjs');
+            assert.strictEqual(res.report.converted, 4);
+            assert.deepStrictEqual(res.options.pages, [
+                [ 'color', 'pets' ], [ 'age', 'birth' ]
+            ]);
+        });
+
+        it('maps choice questions to ChoiceTable', function() {
+            var f;
+            f = getForm(res, 'color');
+            assert.strictEqual(f.name, 'ChoiceTable');
+            assert.strictEqual(f.orientation, 'V');
+            assert.strictEqual(f.requiredChoice, true);
+
+            f = getForm(res, 'pets');
+            assert.strictEqual(f.orientation, undefined);
+            assert.strictEqual(f.selectMultiple, true);
+            assert.deepStrictEqual(f.choices, [ [ 'cat', 'Cat' ],
+                                                [ 'dog', 'Dog' ] ]);
+        });
+
+        it('maps text input types to CustomInput', function() {
+            var f;
+            f = getForm(res, 'age');
+            assert.strictEqual(f.name, 'CustomInput');
+            assert.strictEqual(f.type, 'number');
+            assert.strictEqual(f.min, 18);
+            assert.strictEqual(f.max, 99);
+
+            f = getForm(res, 'birth');
+            assert.strictEqual(f.type, 'date');
+            assert.strictEqual(f.format, undefined);
+            assert.strictEqual(f.required, true);
+        });
+    });
+});
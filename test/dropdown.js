@@ -0,0 +1,41 @@
+/**
+ * # Dropdown tests
+ */
+var assert = require('assert');
+var sandbox = require('./lib/sandbox');
+
+describe('Dropdown', function() {
+    var node;
+
+    before(function() {
+        node = sandbox([ 'widgets/Dropdown.js' ]);
+    });
+
+    describe('shuffleChoices', function() {
+
+        it('should shuffle choices within their groups', function() {
+            var w, i, j, groups;
+            w = node.widgets.get('Dropdown', {
+                id: 'd',
+                listeners: false,
+                shuffleChoices: true,
+                choices: [
+                    'x',
+                    { group: 'A', choices: [ 'a1', 'a2', 'a3' ] },
+                    { group: 'B', choices: [ 'b1', 'b2' ] }
+                ]
+            });
+            for (i = 0; i < 20; i++) {
+                w.setChoices(w.choices);
+                assert.strictEqual(w.order.length, 6);
+                assert.deepEqual(w.order.slice(0).sort(),
+                                 [ 0, 1, 2, 3, 4, 5 ]);
+                groups = [];
+                for (j = 0; j < w.order.length; j++) {
+                    groups.push(w.choicesGroups[w.order[j]]);
+                }
+                assert.deepEqual(groups, [ null, 'A', 'A', 'A', 'B', 'B' ]);
+            }
+        });
+    });
+});
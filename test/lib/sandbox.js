@@ -0,0 +1,148 @@
+/**
+ * # Sandbox
+ *
+ * Loads widgets in a sandbox with a minimal fake DOM and node object
+ *
+ * Widgets run in the browser, so only what the tests need is faked.
+ */
+var vm = require('vm');
+var fs = require('fs');
+var path = require('path');
+var J = require('JSUS').JSUS;
+
+var root = path.resolve(__dirname, '..', '..');
+
+module.exports = sandbox;
+module.exports.El = El;
+
+// ## El
+//
+// A minimal DOM element
+function El(tag) {
+    this.tagName = tag;
+    this.nodeName = tag.toUpperCase();
+    this.nodeType = 1;
+    this.childNodes = [];
+    this.className = '';
+    this.style = {};
+    this.value = '';
+    this.innerHTML = '';
+    this.parentNode = null;
+}
+El.prototype.appendChild = function(c) {
+    if (c.parentNode) c.parentNode.removeChild(c);
+    c.parentNode = this;
+    this.childNodes.push(c);
+    return c;
+};
+El.prototype.insertBefore = function(c, ref) {
+    var idx;
+    if (c.parentNode) c.parentNode.removeChild(c);
+    c.parentNode = this;
+    idx = this.childNodes.indexOf(ref);
+    if (idx === -1) this.childNodes.push(c);
+    else this.childNodes.splice(idx, 0, c);
+    return c;
+};
+El.prototype.removeChild = function(c) {
+    var idx;
+    idx = this.childNodes.indexOf(c);
+    if (idx !== -1) this.childNodes.splice(idx, 1);
+    c.parentNode = null;
+    return c;
+};
+El.prototype.setAttribute = function(k, v) { this[k] = v; };
+El.prototype.getAttribute = function(k) { return this[k]; };
+El.prototype.addEventListener = function() {};
+El.prototype.focus = function() {};
+Object.defineProperty(El.prototype, 'firstChild', {
+    get: function() { return this.childNodes[0] || null; }
+});
+Object.defineProperty(El.prototype, 'lastChild', {
+    get: function() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+});
+
+// ## add
+//
+// Creates an element with some properties, and appends it to a parent
+function add(tag, parent, opts) {
+    var el;
+    el = new El(tag);
+    J.mixin(el, opts);
+    if (parent) parent.appendChild(el);
+    return el;
+}
+
+// ## NDDB
+//
+// A minimal database, with the events used by widgets (`this.hooks`)
+function NDDB() { this.db = []; this.hooks = {}; }
+NDDB.prototype.insert = function(o) { this.db.push(o); };
+NDDB.prototype.fetch = function() { return this.db.slice(0); };
+NDDB.prototype.on = function(event, cb) {
+    // Widgets created without node.widgets.get have no hooks.
+    if (!this.hooks) this.hooks = {};
+    if (!this.hooks[event]) this.hooks[event] = [];
+    this.hooks[event].push(cb);
+};
+NDDB.prototype.emit = function(event) {
+    var args, hooks, i;
+    hooks = this.hooks && this.hooks[event];
+    if (!hooks) return;
+    args = Array.prototype.slice.call(arguments, 1);
+    for (i = 0; i < hooks.length; i++) hooks[i].apply(this, args);
+};
+
+// ## sandbox
+//
+// Loads the files (relative to the root of the repo) and returns node
+function sandbox(files) {
+    var node, ctx;
+    node = {
+        JSUS: J,
+        NDDB: NDDB,
+        player: { id: 'me' },
+        timer: { getTimeSince: function() { return 0; } },
+        events: {
+            setRecordChanges: function() {},
+            getChanges: function() { return null; }
+        },
+        registerSetup: function() {},
+        on: function() {},
+        info: function() {},
+        warn: function() {},
+        say: function() {}
+    };
+    ctx = {
+        node: node,
+        J: J,
+        W: {
+            add: add,
+            append: add,
+            get: function(tag, opts) { return add(tag, null, opts); },
+            cssRule: function() {},
+            getHeader: function() { return null; },
+            getElementById: function() { return null; },
+            adjustFrameHeight: function() {}
+        },
+        window: { node: node },
+        document: {
+            createElement: function(tag) { return new El(tag); },
+            createTextNode: function(txt) {
+                return add('#text', null, { textContent: txt });
+            }
+        },
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout
+    };
+    vm.createContext(ctx);
+    [ 'lib/Widget.js', 'lib/Widgets.js' ].concat(files)
+        .forEach(function(file) {
+            vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'),
+                            ctx, { filename: file });
+        });
+    return node;
+}
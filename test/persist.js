@@ -0,0 +1,76 @@
+/**
+ * # Persist adapters tests
+ */
+var assert = require('assert');
+var sandbox = require('./lib/sandbox');
+
+function slider(node, opts) {
+    var w;
+    w = new node.widgets.widgets.Slider();
+    opts.displayValue = false;
+    opts.displayNoChange = false;
+    w.init(opts);
+    w.bodyDiv = new sandbox.El('div');
+    w.append();
+    return w;
+}
+
+describe('Widgets.persistAdapters.Slider', function() {
+    var node, adapter;
+
+    before(function() {
+        node = sandbox([ 'widgets/Slider.js' ]);
+        adapter = node.widgets.persistAdapters.Slider;
+    });
+
+    it('should restore the value with min and max other than 0/100',
+       function(done) {
+           var w, state;
+           w = slider(node, { min: 0, max: 10, initialValue: 2 });
+           w.setValues({ value: 5 });
+           setTimeout(function() {
+               state = adapter.get(w);
+               assert.strictEqual(state, 5);
+               w = slider(node, { min: 0, max: 10, initialValue: 2 });
+               adapter.set(w, state);
+               setTimeout(function() {
+                   assert.strictEqual(w.getValues().value, 5);
+                   done();
+               });
+           });
+       });
+
+    it('should keep the thumb hidden if the slider was not moved',
+       function(done) {
+           var w, state;
+           w = slider(node, { min: 1, max: 7, noInitialThumb: true });
+           setTimeout(function() {
+               state = adapter.get(w);
+               assert.strictEqual(state, null);
+               w = slider(node, { min: 1, max: 7, noInitialThumb: true });
+               adapter.set(w, state);
+               w.setValues({ value: null });
+               setTimeout(function() {
+                   assert.strictEqual(w.thumbShown, false);
+                   assert.strictEqual(w.getValues().value, null);
+                   done();
+               });
+           });
+       });
+
+    it('should restore the values of multiple thumbs', function(done) {
+        var w, state;
+        w = slider(node, { min: -20, max: 20, thumbs: 2 });
+        w.setValues({ value: [ -10, 15 ] });
+        setTimeout(function() {
+            state = adapter.get(w);
+            assert.deepEqual(state, [ -10, 15 ]);
+            w = slider(node, { min: -20, max: 20, thumbs: 2 });
+            adapter.set(w, state);
+            setTimeout(function() {
+                assert.deepEqual(w.getValues().value, [ -10, 15 ]);
+                done();
+            });
+        });
+    });
+});
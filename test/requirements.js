@@ -0,0 +1,64 @@
+/**
+ * # Requirements tests
+ */
+var assert = require('assert');
+var sandbox = require('./lib/sandbox');
+
+describe('Requirements.checks.latency', function() {
+    var node, latency, w;
+
+    // Replies to the first n GET messages, then times out.
+    function server(n) {
+        node.get = function(label, cb, to, opts) {
+            setTimeout(function() {
+                if (n-- > 0) cb(1);
+                else opts.timeoutCb();
+            });
+        };
+    }
+
+    before(function() {
+        node = sandbox([ 'widgets/Requirements.js' ]);
+        latency = node.widgets.widgets.Requirements.checks.latency;
+        w = { getText: function(name) { return name; } };
+    });
+
+    it('should pass if the server replies quickly', function(done) {
+        server(3);
+        latency(function(success, errors, data) {
+            assert.strictEqual(success, true);
+            assert.strictEqual(data.times.length, 3);
+            done();
+        }, {}, w);
+    });
+
+    it('should warn and pass if the server never replies', function(done) {
+        var warned;
+        server(0);
+        node.warn = function() { warned = true; };
+        latency(function(success, errors, data) {
+            assert.strictEqual(success, true);
+            assert.strictEqual(data.noReply, true);
+            assert.strictEqual(warned, true);
+            done();
+        }, {}, w);
+    });
+
+    it('should fail if the server never replies and strict is true',
+       function(done) {
+           server(0);
+           latency(function(success, errors) {
+               assert.strictEqual(success, false);
+               assert.deepEqual(errors, [ 'latency' ]);
+               done();
+           }, { strict: true }, w);
+       });
+
+    it('should fail if the server stops replying', function(done) {
+        server(1);
+        latency(function(success) {
+            assert.strictEqual(success, false);
+            done();
+        }, {}, w);
+    });
+});
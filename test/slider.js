@@ -0,0 +1,63 @@
+/**
+ * # Slider tests
+ */
+var assert = require('assert');
+var sandbox = require('./lib/sandbox');
+
+describe('Slider', function() {
+    var node;
+
+    before(function() {
+        node = sandbox([ 'widgets/Slider.js' ]);
+    });
+
+    describe('noInitialThumb', function() {
+
+        function slider() {
+            var w;
+            w = new node.widgets.widgets.Slider();
+            w.init({
+                min: 1,
+                max: 7,
+                initialValue: 4,
+                noInitialThumb: true,
+                displayValue: false,
+                displayNoChange: false
+            });
+            w.bodyDiv = new sandbox.El('div');
+            w.append();
+            return w;
+        }
+
+        function isHidden(w) {
+            return /slider-nothumb/.test(w.slider.parentNode.className);
+        }
+
+        it('should hide the thumb until the first interaction',
+           function(done) {
+               var w;
+               w = slider();
+               setTimeout(function() {
+                   assert.strictEqual(isHidden(w), true);
+                   assert.strictEqual(w.getValues().value, null);
+                   w.slider.onpointerdown();
+                   assert.strictEqual(isHidden(w), false);
+                   done();
+               });
+           });
+
+        it('should select the initial value when clicked', function(done) {
+            var w;
+            w = slider();
+            // No input event, the value did not change.
+            w.slider.onpointerdown();
+            w.slider.onclick();
+            setTimeout(function() {
+                assert.strictEqual(isHidden(w), false);
+                assert.strictEqual(w.moved, true);
+                assert.strictEqual(w.getValues().value, 4);
+                done();
+            });
+        });
+    });
+});
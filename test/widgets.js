@@ -0,0 +1,203 @@
+/**
+ * # node.widgets tests
+ */
+var assert = require('assert');
+var sandbox = require('./lib/sandbox');
+
+describe('node.widgets', function() {
+    var node;
+
+    // Creates a widget whose getValues returns option `res`.
+    function foo(opts) {
+        opts.listeners = false;
+        return node.widgets.get('Foo', opts);
+    }
+
+    beforeEach(function() {
+        // Registered anew, because the sandbox changes its prototype.
+        function Foo() {}
+        Foo.version = '0.1.0';
+        Foo.description = 'Test widget.';
+        Foo.title = false;
+        Foo.prototype.init = function(opts) { this.res = opts.res; };
+        Foo.prototype.getValues = function() { return this.res; };
+        // Emits 'changed' like a widget updating its UI asynchronously.
+        Foo.prototype.setValues = function(opts) {
+            var that;
+            that = this;
+            setTimeout(function() { that.emit('changed', opts.value); });
+        };
+
+        node = sandbox([ 'widgets/CustomInput.js',
+                         'widgets/CustomInputGroup.js' ]);
+        node.widgets.register('Foo', Foo);
+    });
+
+    describe('invalid event', function() {
+
+        it('should be emitted when validation fails', function() {
+            var w, found;
+            w = foo({ res: { value: 1, isCorrect: false } });
+            node.widgets.on('invalid', function(widget, res) {
+                found = [ widget, res ];
+            });
+            w.getValues();
+            assert.strictEqual(found[0], w);
+            assert.strictEqual(found[1].value, 1);
+        });
+
+        it('should not be emitted if markAttempt is false', function() {
+            var w, n;
+            w = foo({ res: { value: 1, isCorrect: false } });
+            n = 0;
+            node.widgets.on('invalid', function() { n++; });
+            w.getValues({ markAttempt: false });
+            assert.strictEqual(n, 0);
+            w.getValues({ markAttempt: true });
+            assert.strictEqual(n, 1);
+        });
+    });
+
+    describe('paradata', function() {
+
+        // Returns the values of the changes recorded in paradata.
+        function changes(w) {
+            return w.getValues().paradata.changes.map(function(c) {
+                return c.value;
+            });
+        }
+
+        it('should record changes by the user, not by setValues',
+            function(done) {
+                var w;
+                w = foo({ res: {}, paradata: true });
+                w.setValues({ value: 1 });
+                setTimeout(function() {
+                    w.emit('changed', 2);
+                    assert.deepEqual(changes(w), [ 2 ]);
+                    done();
+                }, 10);
+            });
+
+        it('should be collected by CustomInputGroup, not its items',
+            function(done) {
+                var w, events;
+                w = node.widgets.append('CustomInputGroup',
+                                        new sandbox.El('div'), {
+                                            id: 'g',
+                                            items: [ 'a', 'b' ]
+                                        });
+                assert.ok(w.paradata);
+                w.items.forEach(function(i) {
+                    assert.strictEqual(i.paradata, undefined);
+                });
+                events = [];
+                node.widgets.on('changed', function(widget, id, value) {
+                    if (widget === w) events.push([ id, value ]);
+                });
+                w.setValues({ value: '1' });
+                w.items[1].validationSpeed = 0;
+                w.items[1].input.value = '3';
+                w.items[1].input.oninput();
+                setTimeout(function() {
+                    assert.deepEqual(events, [ [ 'b', '3' ] ]);
+                    assert.deepEqual(changes(w), [ [ 'b', '3' ] ]);
+                    done();
+                }, 20);
+            });
+    });
+
+    describe('CustomInputGroup with constantSum', function() {
+
+        it('should emit the new total when an input changes',
+            function(done) {
+                var w, events;
+                w = node.widgets.append('CustomInputGroup',
+                                        new sandbox.El('div'), {
+                                            id: 'g',
+                                            items: [ 'a', 'b' ],
+                                            constantSum: { total: 10 }
+                                        });
+                events = [];
+                w.on('changed', function(id, value, sum) {
+                    events.push([ id, value, sum ]);
+                });
+                w.items[0].validationSpeed = 0;
+                w.items[1].validationSpeed = 0;
+                w.items[0].input.value = '4';
+                w.items[0].input.oninput();
+                setTimeout(function() {
+                    w.items[1].input.value = '5';
+                    w.items[1].input.oninput();
+                    setTimeout(function() {
+                        assert.deepEqual(events, [ [ 'a', '4', 4 ],
+                                                   [ 'b', '5', 9 ] ]);
+                        assert.strictEqual(w.summaryInput.input.value, 9);
+                        done();
+                    }, 10);
+                }, 10);
+            });
+    });
+
+    describe('setAttentionThreshold', function() {
+        var events;
+
+        // Creates a failed attention check.
+        function fail() {
+            foo({ res: { value: 'no' }, attentionCheck: 'yes' }).getValues();
+        }
+
+        beforeEach(function() {
+            events = [];
+            node.widgets.on('attentionThreshold', function(w, failures) {
+                events.push([ w, failures ]);
+            });
+        });
+
+        it('should accept only integers > 0 or null', function() {
+            [ '3', 0, 1.5, -1, undefined ].forEach(function(t) {
+                assert.throws(function() {
+                    node.widgets.setAttentionThreshold(t);
+                }, /threshold must be an integer/);
+            });
+            node.widgets.setAttentionThreshold(3);
+            assert.strictEqual(node.widgets.attentionThreshold, 3);
+            node.widgets.setAttentionThreshold(null);
+            assert.strictEqual(node.widgets.attentionThreshold, null);
+        });
+
+        it('should emit the event when the threshold is reached', function() {
+            node.widgets.setAttentionThreshold(2);
+            fail();
+            assert.strictEqual(events.length, 0);
+            fail();
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0][1], 2);
+            fail();
+            assert.strictEqual(events.length, 1);
+        });
+
+        it('should emit the event when lowered below the failures',
+           function() {
+               node.widgets.setAttentionThreshold(3);
+               fail();
+               fail();
+               assert.strictEqual(events.length, 0);
+               node.widgets.setAttentionThreshold(2);
+               assert.deepEqual(events, [ [ null, 2 ] ]);
+               assert.strictEqual(node.widgets.attentionThresholdReached,
+                                  true);
+           });
+
+        it('should emit the event again when raised', function() {
+            node.widgets.setAttentionThreshold(1);
+            fail();
+            assert.strictEqual(events.length, 1);
+            node.widgets.setAttentionThreshold(2);
+            assert.strictEqual(node.widgets.attentionThresholdReached, false);
+            fail();
+            assert.strictEqual(events.length, 2);
+            assert.strictEqual(events[1][1], 2);
+        });
+    });
+});
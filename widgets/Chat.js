@@ -5,10 +5,8 @@
  *
  * Creates a simple configurable chat
  *
- * // TODO: add bootstrap badge to count msg when collapsed
  * // TODO: check on data if message comes back
  * // TODO: highlight better incoming msg. Play sound?
- * // TODO: removeParticipant and addParticipant methods.
  *
  * www.nodegame.org
  */
@@ -24,12 +22,20 @@
 
     Chat.texts = {
         outgoing: function(w, data) {
+            if (data.direct) {
+                return '<span class="chat_direct">(private to ' +
+                    (w.recipientToNameMap[data.direct] || data.direct) +
+                    ')</span> ' + data.msg;
+            }
             return data.msg;
             // return '<span class="chat_msg_me">' + data.msg + '</span>';
         },
         incoming: function(w, data) {
             var str;
             str = '<span>';
+            if (data.direct) {
+                str += '<span class="chat_direct">(private)</span> ';
+            }
             if (w.recipientsIds.length > 1) {
                 str += '<span class="chat_id_other">' +
                     (w.senderToNameMap[data.id] || data.id) + '</span>: ';
@@ -40,6 +46,21 @@
         quit: function(w, data) {
             return (w.senderToNameMap[data.id] || data.id) + ' left the chat';
         },
+        joined: function(w, data) {
+            return (w.senderToNameMap[data.id] || data.id) +
+                ' joined the chat';
+        },
+        reconnected: function(w, data) {
+            return (w.senderToNameMap[data.id] || data.id) + ' reconnected';
+        },
+        participant: function(w, data) {
+            return data.name + ' <span class="chat_status">' +
+                data.status + '</span>';
+        },
+        directTo: function(w, data) {
+            return 'Private message to ' + data.name +
+                ' <span class="chat_direct_cancel">&times;</span>';
+        },
         noMoreParticipants: function() {
             return 'No active participant left. Chat disabled.';
         },
@@ -53,12 +74,67 @@
                 'Type something and press enter to send' : 'Type something';
         },
         submitButton: 'Send',
-        isTyping: 'is typing...'
+        isTyping: 'is typing...',
+        timestamp: function(w, data) {
+            var d, m;
+            d = new Date(data.timestamp);
+            m = d.getMinutes();
+            return d.getHours() + ':' + (m < 10 ? '0' + m : m);
+        },
+        olderMsgs: 'Show older messages',
+        blocked: function(w, data) {
+            return 'Your message was not sent: ' + data.reason + '.';
+        },
+        moderation: function(w, data) {
+            if (data.type === 'maxLength') {
+                return 'too long (max ' + data.max + ' characters)';
+            }
+            if (data.type === 'rateLimit') {
+                return 'too many messages, please wait';
+            }
+            if (data.type === 'pii') return 'personal information';
+            return 'inappropriate content';
+        }
+    };
+
+    /**
+     * ## Chat.piiPatterns
+     *
+     * The patterns used by the moderation filter of type 'pii'
+     *
+     * Phone numbers must have at least seven digits and end with a group
+     * of four digits, e.g., 555-123-4567, +1 (555) 123-4567, or 1234567.
+     * Shorter numbers, like offers and prices, are not matched, but
+     * numbers with seven or eight digits are (e.g., 1000000).
+     */
+    Chat.piiPatterns = {
+        emails: /[A-Z0-9._%+\-]+@[A-Z0-9.\-]+\.[A-Z]{2,}/gi,
+        phones: new RegExp('(?:\\+\\d{1,3}[\\s.\\-]?)?' +
+                           '(?:\\(\\d{2,4}\\)\\s?|\\b\\d{2,4}[\\s.\\-])?' +
+                           '\\b\\d{3,4}[\\s.\\-]?\\d{4}\\b', 'g')
+    };
+
+    /**
+     * ## Chat.reactions
+     *
+     * The default emoji reactions (thumbs up, heart, laugh, surprise, sad)
+     */
+    Chat.reactions = [
+        '\uD83D\uDC4D', '\u2764\uFE0F', '\uD83D\uDE02', '\uD83D\uDE2E',
+        '\uD83D\uDE22'
+    ];
+
+    // Default actions of the moderation filters.
+    var defaultActions = {
+        regex: 'mask',
+        maxLength: 'block',
+        rateLimit: 'block',
+        pii: 'mask'
     };
 
     // ## Meta-data
 
-    Chat.version = '1.5.0';
+    Chat.version = '1.8.0';
     Chat.description = 'Offers a uni-/bi-directional communication interface ' +
         'between players, or between players and the server.';
 
@@ -205,6 +281,63 @@
          */
         this.recipientsIdsQuitted = null;
 
+        /**
+         * ### Chat.participantsStatus
+         *
+         * Map recipient id to status: 'online', 'typing', 'offline', 'left'
+         *
+         * @see Chat.showParticipants
+         */
+        this.participantsStatus = {};
+
+        /**
+         * ### Chat.showParticipants
+         *
+         * If TRUE, a panel with the participants and their status is shown
+         *
+         * @see Chat.participantsDiv
+         */
+        this.showParticipants = null;
+
+        /**
+         * ### Chat.participantsDiv
+         *
+         * The DIV listing the participants
+         *
+         * @see Chat.showParticipants
+         */
+        this.participantsDiv = null;
+
+        /**
+         * ### Chat.directMsgs
+         *
+         * If TRUE, private messages can be sent to a single participant
+         *
+         * Direct messages are enabled by clicking on a participant in
+         * the participants panel, or with `setDirectRecipient`.
+         *
+         * @see Chat.setDirectRecipient
+         */
+        this.directMsgs = null;
+
+        /**
+         * ### Chat.directTo
+         *
+         * The recipient id of the current direct messages, or null
+         *
+         * @see Chat.setDirectRecipient
+         */
+        this.directTo = null;
+
+        /**
+         * ### Chat.directDiv
+         *
+         * The DIV displaying the recipient of direct messages
+         *
+         * @see Chat.setDirectRecipient
+         */
+        this.directDiv = null;
+
         /**
          * ### Chat.senderToNameMap
          *
@@ -290,6 +423,107 @@
          */
         this.preprocessMsg = null;
 
+        /**
+         * ### Chat.moderation
+         *
+         * Array of moderation filters applied to every message, or null
+         *
+         * Filters are applied in order after preprocessMsg.
+         *
+         * @see Chat.init
+         * @see Chat.moderated
+         */
+        this.moderation = null;
+
+        /**
+         * ### Chat.moderated
+         *
+         * Array of all the messages changed, flagged or blocked by a filter
+         *
+         * Each entry is an object with properties: msgId, type, from,
+         * original, msg, blocked, actions, time, and timestamp.
+         *
+         * @see Chat.moderation
+         */
+        this.moderated = [];
+
+        /**
+         * ### Chat.messages
+         *
+         * Array of all incoming and outgoing messages
+         *
+         * Each message is an object with properties: msgId, type
+         * ('incoming' or 'outgoing'), from, name, to, msg, time,
+         * timestamp, and reactions.
+         *
+         * @see Chat.getValues
+         */
+        this.messages = [];
+
+        /**
+         * ### Chat.messagesById
+         *
+         * Map of all messages by msgId
+         *
+         * @see Chat.messages
+         */
+        this.messagesById = {};
+
+        /**
+         * ### Chat.msgDivs
+         *
+         * Map of the divs displaying the messages by msgId
+         *
+         * Divs are kept when removed from the chat to show older messages.
+         *
+         * @see Chat.showOlderMsgs
+         */
+        this.msgDivs = {};
+
+        /**
+         * ### Chat.historyLimit
+         *
+         * The max number of messages displayed, or null for all
+         *
+         * Older messages can be displayed again with a button.
+         *
+         * @see Chat.showOlderMsgs
+         */
+        this.historyLimit = null;
+
+        /**
+         * ### Chat.firstShown
+         *
+         * The index in `messages` of the oldest message displayed
+         *
+         * @see Chat.historyLimit
+         */
+        this.firstShown = 0;
+
+        /**
+         * ### Chat.olderButton
+         *
+         * The button to display older messages
+         *
+         * @see Chat.historyLimit
+         */
+        this.olderButton = null;
+
+        /**
+         * ### Chat.showTimestamps
+         *
+         * If TRUE, the time of every message is displayed
+         */
+        this.showTimestamps = null;
+
+        /**
+         * ### Chat.reactions
+         *
+         * Array of emoji reactions to messages, or null
+         *
+         * @see Chat.react
+         */
+        this.reactions = null;
     }
 
     // ## Chat methods
@@ -322,9 +556,33 @@
      *        printed at the beginning of the chat. Default: FALSE.
      *   - `printNames`: If TRUE, the names of the participants of the chat
      *        is printed at the beginning of the chat. Default: FALSE.
+     *   - `historyLimit`: The max number of messages displayed, older
+     *        messages are displayed with a button. Default: all.
+     *   - `showTimestamps`: If TRUE, the time of every message is
+     *        displayed. Default: FALSE.
+     *   - `reactions`: If TRUE, messages can receive emoji reactions, or
+     *        an array of emoji to use. Default: FALSE.
+     *   - `showParticipants`: If TRUE, a panel with the participants and
+     *        their status is displayed. Default: FALSE.
+     *   - `directMsgs`: If TRUE, private messages can be sent to a single
+     *        participant by clicking on its name. Default: FALSE.
+     *   - `moderation`: An array of filters applied to incoming and
+     *        outgoing messages. Each filter is a function or an object
+     *        with a `type` and an `action` ('block', 'mask', or 'flag'):
+     *          - `{ type: 'regex', patterns: [ 'word', /regex/ ] }`,
+     *             default action: 'mask';
+     *          - `{ type: 'maxLength', max: 200 }`, default action:
+     *             'block', 'mask' truncates the message;
+     *          - `{ type: 'rateLimit', msgs: 5, seconds: 10 }`, per
+     *             sender, default action: 'block', 'mask' not allowed;
+     *          - `{ type: 'pii', emails: true, phones: true }`, default
+     *             action: 'mask'.
+     *        Option `mask` sets the replacement string. Default: '***'.
+     *        Functions are called with (msg, code, from, chat) and can
+     *        return an object with properties action, msg, and reason.
      */
     Chat.prototype.init = function(opts) {
-        var tmp, i, rec, sender, that;
+        var tmp, i, that;
         opts = opts || {};
         that = this;
 
@@ -340,6 +598,18 @@
                                 'or undefined. Found: ' + tmp);
         }
 
+        tmp = opts.moderation;
+        if (tmp) {
+            if (!J.isArray(tmp)) {
+                throw new TypeError('Chat.init: moderation must be array ' +
+                                    'or undefined. Found: ' + tmp);
+            }
+            this.moderation = [];
+            for (i = 0; i < tmp.length; i++) {
+                this.moderation.push(parseFilter(tmp[i]));
+            }
+        }
+
         // Chat id.
         tmp = opts.chatEvent;
         if (tmp) {
@@ -375,39 +645,21 @@
         }
 
         // Build maps.
-        this.recipientsIds = new Array(tmp.length);
+        this.recipientsIds = [];
         this.recipientsIdsQuitted = [];
         this.recipientToSenderMap = {};
         this.recipientToNameMap = {};
         this.senderToNameMap = {};
         this.senderToRecipientMap = {};
+        this.participantsStatus = {};
 
         for (i = 0; i < tmp.length; i++) {
-            // Everything i the same if string.
-            if ('string' === typeof tmp[i]) {
-                this.recipientsIds[i] = tmp[i];
-                this.recipientToNameMap[tmp[i]] = tmp[i];
-                this.recipientToSenderMap[tmp[i]] = tmp[i];
-                this.senderToRecipientMap[tmp[i]] = tmp[i];
-                this.senderToNameMap[tmp[i]] = tmp[i];
-            }
-            // Sender may be different from receiver if object.
-            else if ('object' === typeof tmp[i]) {
-                rec = tmp[i].recipient;
-                sender = tmp[i].sender;
-                this.recipientsIds[i] = rec;
-                this.recipientToSenderMap[rec] = sender || rec;
-                this.recipientToNameMap[rec] = tmp[i].name || rec;
-                this.senderToRecipientMap[sender] = rec;
-                this.senderToNameMap[sender] = this.recipientToNameMap[rec];
-            }
-            else {
-                throw new TypeError('Chat.init: participants array must ' +
-                                    'contain string or object. Found: ' +
-                                    tmp[i]);
-            }
+            this.addParticipant(tmp[i]);
         }
 
+        this.showParticipants = !!opts.showParticipants;
+        this.directMsgs = !!opts.directMsgs;
+
         // Other.
         this.uncollapseOnMsg = opts.uncollapseOnMsg || false;
 
@@ -423,9 +675,34 @@
             this.initialMsg = opts.initialMsg;
         }
 
+        if ('undefined' !== typeof opts.historyLimit) {
+            if (!J.isInt(opts.historyLimit, 0)) {
+                throw new TypeError('Chat.init: historyLimit must be a ' +
+                                    'positive integer or undefined. Found: ' +
+                                    opts.historyLimit);
+            }
+            this.historyLimit = opts.historyLimit;
+        }
+
+        this.showTimestamps = !!opts.showTimestamps;
+
+        tmp = opts.reactions;
+        if (tmp === true) {
+            this.reactions = Chat.reactions.slice(0);
+        }
+        else if (J.isArray(tmp) && tmp.length) {
+            this.reactions = tmp;
+        }
+        else if ('undefined' !== typeof tmp && tmp !== false) {
+            throw new TypeError('Chat.init: reactions must be boolean, ' +
+                                'non-empty array, or undefined. Found: ' +
+                                tmp);
+        }
+
         this.on('uncollapsed', function() {
             // Make sure that we do not have the title highlighted any more.
-            that.setTitle(that.title);
+            that.stats.unread = 0;
+            setUnreadBadge(that);
             if (that.recipientsIds.length) {
                 node.say(that.chatEvent + '_COLLAPSE',
                          that.recipientsIds, false);
@@ -453,6 +730,24 @@
         var that, inputGroup, initialText;
         that = this;
 
+        if (this.showParticipants) {
+            this.participantsDiv = W.add('div', this.bodyDiv, {
+                className: 'chat_participants'
+            });
+            this.participantsDiv.onclick = function(e) {
+                var el;
+                e = e || window.event;
+                el = e.target || e.srcElement;
+                // Click might be on the status span.
+                if (!el.getAttribute('data-id')) el = el.parentNode;
+                if (!el || !el.getAttribute('data-id')) return;
+                if (!that.directMsgs || that.receiverOnly) return;
+                el = el.getAttribute('data-id');
+                that.setDirectRecipient(that.directTo === el ? null : el);
+            };
+            renderParticipants(this);
+        }
+
         this.chatDiv = W.get('div', { className: 'chat_chat' });
         this.bodyDiv.appendChild(this.chatDiv);
 
@@ -462,6 +757,16 @@
             inputGroup = document.createElement('div');
             inputGroup.className = 'chat_inputgroup';
 
+            if (this.directMsgs) {
+                this.directDiv = W.add('div', inputGroup, {
+                    className: 'chat_direct_to'
+                });
+                this.directDiv.style.display = 'none';
+                this.directDiv.onclick = function() {
+                    that.setDirectRecipient(null);
+                };
+            }
+
             this.textarea = W.get('textarea', {
                 className: 'chat_textarea form-control',
                 placeholder: this.getText('textareaPlaceholder')
@@ -527,6 +832,129 @@
         }
     };
 
+    /**
+     * ### Chat.addParticipant
+     *
+     * Adds a participant to the chat
+     *
+     * A participant who previously left the chat can be added again.
+     *
+     * @param {string|object} p The id of the participant, or an object
+     *   with properties: recipient (the id to send messages to), sender
+     *   (the id of incoming messages, default: recipient), and name
+     *
+     * @return {boolean} TRUE, if the participant was added
+     *
+     * @see Chat.removeParticipant
+     */
+    Chat.prototype.addParticipant = function(p) {
+        var rec, sender, name, idx;
+        // Everything is the same if string.
+        if ('string' === typeof p) {
+            rec = sender = name = p;
+        }
+        // Sender may be different from receiver if object.
+        else if (p && 'object' === typeof p &&
+                 'string' === typeof p.recipient) {
+
+            rec = p.recipient;
+            sender = p.sender || rec;
+            name = p.name || rec;
+        }
+        else {
+            throw new TypeError('Chat.addParticipant: participant must ' +
+                                'be string or object with a recipient. ' +
+                                'Found: ' + p);
+        }
+        if (this.recipientsIds.indexOf(rec) !== -1) return false;
+
+        this.recipientToNameMap[rec] = name;
+        this.recipientToSenderMap[rec] = sender;
+        this.senderToRecipientMap[sender] = rec;
+        this.senderToNameMap[sender] = name;
+
+        idx = this.recipientsIdsQuitted.indexOf(rec);
+        if (idx !== -1) this.recipientsIdsQuitted.splice(idx, 1);
+
+        this.recipientsIds.push(rec);
+        // Chat was disabled when the last participant left.
+        if (this.recipientsIds.length === 1 && this.disabled &&
+            this.textarea) {
+
+            this.enable();
+        }
+        this.participantsStatus[rec] = 'online';
+        if (this.chatDiv) {
+            this.writeMsg('joined', { id: sender });
+            renderParticipants(this);
+        }
+        return true;
+    };
+
+    /**
+     * ### Chat.removeParticipant
+     *
+     * Removes a participant from the chat
+     *
+     * If no participant is left, the chat is disabled.
+     *
+     * @param {string} id The recipient or sender id of the participant
+     *
+     * @return {boolean} TRUE, if the participant was removed
+     *
+     * @see Chat.addParticipant
+     */
+    Chat.prototype.removeParticipant = function(id) {
+        var rec, idx;
+        rec = this.senderToRecipientMap[id] || id;
+        idx = this.recipientsIds.indexOf(rec);
+        if (idx === -1) return false;
+
+        this.recipientsIds.splice(idx, 1);
+        this.recipientsIdsQuitted.push(rec);
+        this.participantsStatus[rec] = 'left';
+        this.clearIsTyping(this.recipientToSenderMap[rec]);
+        if (this.directTo === rec) this.setDirectRecipient(null);
+        renderParticipants(this);
+
+        if (this.recipientsIds.length === 0 && this.chatDiv) {
+            this.writeMsg('noMoreParticipants');
+            this.disable();
+        }
+        return true;
+    };
+
+    /**
+     * ### Chat.setDirectRecipient
+     *
+     * Sets the participant receiving the next (private) messages
+     *
+     * @param {string|null} id The recipient id of a participant, or null
+     *   to send messages to all participants again
+     *
+     * @see Chat.directMsgs
+     */
+    Chat.prototype.setDirectRecipient = function(id) {
+        if (id !== null && this.recipientsIds.indexOf(id) === -1) {
+            throw new Error('Chat.setDirectRecipient: participant not ' +
+                            'found: ' + id);
+        }
+        this.directTo = id;
+        if (this.directDiv) {
+            if (id === null) {
+                this.directDiv.style.display = 'none';
+            }
+            else {
+                this.directDiv.innerHTML = this.getText('directTo', {
+                    id: id,
+                    name: this.recipientToNameMap[id]
+                });
+                this.directDiv.style.display = '';
+            }
+        }
+        renderParticipants(this);
+    };
+
     /**
      * ### Chat.readTextarea
      *
@@ -557,16 +985,95 @@
      * @see Chat.chatDiv
      */
     Chat.prototype.writeMsg = function(code, data) {
-        var c;
+        var c, entry;
         c = (code === 'incoming' || code === 'outgoing') ? code : 'event';
         c = W.add('div', this.chatDiv, {
             innerHTML: this.getText(code, data),
             className: 'chat_msg chat_msg_' + c
         });
+        // Events are not stored, the timestamp keeps them in order when
+        // the history is redrawn.
+        if (code !== 'incoming' && code !== 'outgoing') {
+            c.setAttribute('data-timestamp', J.now());
+        }
+        // Stored messages have timestamps and reactions.
+        entry = data && data.msgId && this.messagesById[data.msgId];
+        if (entry) {
+            decorateMsg(this, c, entry);
+            this.msgDivs[entry.msgId] = c;
+            trimHistory(this);
+        }
         this.scrollToBottom();
         return c;
     };
 
+    /**
+     * ### Chat.showOlderMsgs
+     *
+     * Displays again messages removed because of the history limit
+     *
+     * @param {number} n Optional. The number of messages to display.
+     *   Default: historyLimit
+     *
+     * @see Chat.historyLimit
+     */
+    Chat.prototype.showOlderMsgs = function(n) {
+        var before, div, i, len;
+        n = n || this.historyLimit;
+        // The oldest message currently displayed.
+        before = null;
+        i = this.firstShown - 1, len = this.messages.length;
+        for ( ; ++i < len ; ) {
+            before = this.msgDivs[this.messages[i].msgId];
+            if (before) break;
+        }
+        while (n > 0 && this.firstShown > 0) {
+            this.firstShown--;
+            div = this.msgDivs[this.messages[this.firstShown].msgId];
+            // Silent messages are not displayed.
+            if (!div) continue;
+            this.chatDiv.insertBefore(div, before || null);
+            before = div;
+            n--;
+        }
+        if (this.olderButton && this.firstShown === 0) {
+            this.olderButton.style.display = 'none';
+        }
+    };
+
+    /**
+     * ### Chat.react
+     *
+     * Adds or removes an emoji reaction to a message and notifies others
+     *
+     * Reactions are sent with event chatEvent + '_REACTION'.
+     *
+     * @param {string} msgId The id of the message
+     * @param {string} emoji The emoji
+     *
+     * @return {boolean} TRUE if the reaction was added, FALSE if removed
+     *
+     * @see Chat.reactions
+     */
+    Chat.prototype.react = function(msgId, emoji) {
+        var entry, remove, to;
+        entry = this.messagesById[msgId];
+        if (!entry) {
+            throw new Error('Chat.react: message not found: ' + msgId);
+        }
+        if (!this.reactions || this.reactions.indexOf(emoji) === -1) {
+            throw new Error('Chat.react: invalid reaction: ' + emoji);
+        }
+        remove = !setReaction(this, entry, node.player.id, emoji);
+        to = this.recipientsIds;
+        if (to.length) {
+            node.say(this.chatEvent + '_REACTION',
+                     to.length === 1 ? to[0] : to,
+                     { msgId: msgId, emoji: emoji, remove: remove });
+        }
+        return !remove;
+    };
+
     /**
      * ### Chat.writeMsg
      *
@@ -577,12 +1084,15 @@
      * @param {object} data The content of the message
      * @param {string} code A value indicating the the type of msg. Available:
      *   'incoming', 'outgoing', and anything else.
+     * @param {string} from Optional. The sender of the msg, used by
+     *   moderation filters. Default: node.player.id
      *
-     * @return {string} msg The rendered msg
+     * @return {string|null} msg The rendered msg, or null if blocked
+     *   by a moderation filter
      *
      * @see Chat.chatDiv
      */
-    Chat.prototype.renderMsg = function(data, code) {
+    Chat.prototype.renderMsg = function(data, code, from) {
         var msg;
         if ('function' === typeof this.preprocessMsg) {
             this.preprocessMsg(data, code);
@@ -593,6 +1103,9 @@
         else {
             msg = data.msg;
         }
+        if (this.moderation && msg !== '' && 'undefined' !== typeof msg) {
+            msg = moderateMsg(this, data, code, from, '' + msg);
+        }
         return msg;
     };
 
@@ -609,47 +1122,94 @@
         var that = this;
 
         node.on.data(this.chatEvent, function(msg) {
-            if (!that.handleMsg(msg)) return;
+            var data, text;
+            // Validate, then moderate: blocked messages are not counted as
+            // received or unread, stored, or displayed.
+            if (!checkMsg(that, msg, true)) return;
+            text = that.renderMsg(msg.data, 'incoming', msg.from);
+            if (text === null) {
+                that.clearIsTyping(msg.from);
+                return;
+            }
+            if (!that.handleMsg(msg, true)) return;
 
             that.stats.received++;
             // Store message if so requested.
             if (that.storeMsgs) {
                 that.db.insert({
                     from: msg.from,
-                    text: msg.data,
+                    // With the moderated text.
+                    text: J.merge(msg.data, { msg: text }),
                     time: node.timer.getTimeSince('step'),
                     timestamp: J.now()
                 });
             }
             // Remove is typing sign, if any.
             that.clearIsTyping(msg.from);
-            msg = {
-                msg: that.renderMsg(msg.data, 'incoming'),
-                id: msg.from
+            data = {
+                msg: text,
+                id: msg.from,
+                msgId: msg.data.msgId || msg.id,
+                direct: !!msg.data.direct
             };
-            that.writeMsg('incoming', msg);
+            storeMsg(that, 'incoming', data, msg.from, msg.to);
+            that.writeMsg('incoming', data);
+        });
+
+        node.on.data(this.chatEvent + '_REACTION', function(msg) {
+            var entry;
+            if (!that.reactions || !msg.data) return;
+            if (!checkMsg(that, msg)) return;
+            entry = that.messagesById[msg.data.msgId];
+            if (!entry || that.reactions.indexOf(msg.data.emoji) === -1) {
+                return;
+            }
+            if (!!msg.data.remove === hasReacted(entry, msg.from,
+                                                 msg.data.emoji)) {
+
+                setReaction(that, entry, msg.from, msg.data.emoji);
+            }
         });
 
         node.on.data(this.chatEvent + '_QUIT', function(msg) {
-            var i, len, rec;
             if (!that.handleMsg(msg)) return;
             that.writeMsg('quit', { id: msg.from });
-            len = that.recipientsIds.length;
-            for ( i = 0 ; i < len ; i++) {
-                if (that.recipientsIds[i] ===
-                    that.senderToRecipientMap[msg.from]) {
+            if (!that.removeParticipant(msg.from)) {
+                node.warn('Chat: participant quitted not found: ' + msg.from);
+            }
+        });
 
-                    rec = that.recipientsIds.splice(i, 1);
-                    that.recipientsIdsQuitted.push(rec);
+        // A participant reconnected: send the messages exchanged so far.
+        node.on.preconnect(function(p) {
+            var rec;
+            rec = that.senderToRecipientMap[p.id];
+            if (!rec) return;
+            if (that.recipientsIds.indexOf(rec) === -1) {
+                that.addParticipant({
+                    recipient: rec,
+                    sender: p.id,
+                    name: that.recipientToNameMap[rec]
+                });
+            }
+            else {
+                setStatus(that, rec, 'online');
+                that.writeMsg('reconnected', { id: p.id });
+            }
+            sendHistory(that, rec);
+        });
 
-                    if (that.recipientsIds.length === 0) {
-                        that.writeMsg('noMoreParticipants');
-                        that.disable();
-                    }
-                    break;
-                }
+        node.on.pdisconnect(function(p) {
+            var rec;
+            rec = that.senderToRecipientMap[p.id];
+            if (rec && that.recipientsIds.indexOf(rec) !== -1) {
+                that.clearIsTyping(p.id);
+                setStatus(that, rec, 'offline');
             }
-            node.warn('Chat: participant quitted not found: ' + msg.from);
+        });
+
+        node.on.data(this.chatEvent + '_HISTORY', function(msg) {
+            if (!J.isArray(msg.data) || !checkMsg(that, msg)) return;
+            loadHistory(that, msg.data, msg.from);
         });
 
         node.on.data(this.chatEvent + '_COLLAPSE', function(msg) {
@@ -682,6 +1242,11 @@
             });
         }
         this.scrollToBottom();
+        if (this.participantsStatus[this.senderToRecipientMap[id]] ===
+            'online') {
+
+            setStatus(this, this.senderToRecipientMap[id], 'typing');
+        }
         // Add new timeout (msg are sent every 4000).
         that = this;
         this.isTypingTimeouts[id] = setTimeout(function() {
@@ -699,6 +1264,11 @@
         if (this.isTypingDivs[id]) {
             this.isTypingDivs[id].style.display = 'none';
         }
+        if (this.participantsStatus[this.senderToRecipientMap[id]] ===
+            'typing') {
+
+            setStatus(this, this.senderToRecipientMap[id], 'online');
+        }
     };
 
     /**
@@ -707,15 +1277,18 @@
      * Checks a (incoming) message and takes some actions
      *
      * If chat is minimized, it maximizes it if option `uncollapseOnMsg`
-     * it TRUE; otherwise, it increments the stats for unread messages.
+     * it TRUE; otherwise, it increments the stats for unread messages
+     * and updates the badge in the title.
      *
      * @param {string} msg The content of the message
+     * @param {boolean} unread Optional. If TRUE, the message is a chat
+     *   message which counts as unread
      *
      * @return {boolean} TRUE if the message is valid
      *
      * @see Chat.chatDiv
      */
-    Chat.prototype.handleMsg = function(msg) {
+    Chat.prototype.handleMsg = function(msg, unread) {
         var from;
         from = msg.from;
         if (from === node.player.id || from === node.player.sid) {
@@ -728,8 +1301,8 @@
                 this.stats.unread = 0;
             }
             else {
-                this.setTitle('<strong>' + this.title + '</strong>');
-                this.stats.unread++;
+                if (unread) this.stats.unread++;
+                setUnreadBadge(this, true);
             }
         }
         return true;
@@ -754,8 +1327,10 @@
             totSent: this.stats.sent,
             totReceived: this.stats.received,
             totUnread: this.stats.unread,
-            initialMsg: this.initialMsg
+            initialMsg: this.initialMsg,
+            transcript: J.clone(this.messages)
         };
+        if (this.moderation) out.moderated = J.clone(this.moderated);
         if (this.db) out.msgs = this.db.fetch();
         return out;
     };
@@ -769,11 +1344,13 @@
      * @param {object} opts Optional. Configutation options:
      *   - msg: the msg to send. If undefined, it reads the value from textarea;
      *          if function it executes it and uses the return value.
-     *   - recipients: array of recipients. Default: this.recipientsIds.
+     *   - recipients: array of recipients. Default: this.recipientsIds,
+     *          or the recipient of direct messages, if one is set.
+     *   - direct: the id of a participant to send a private msg to.
      *   - silent: does not write the msg on the chat.
      */
     Chat.prototype.sendMsg = function(opts) {
-        var to, ids, that;
+        var to, ids, that, txt;
 
         // No msg sent.
         if (this.isDisabled()) {
@@ -792,6 +1369,7 @@
         else {
             if ('undefined' === typeof opts) {
                 opts = { msg: this.readTextarea() };
+                txt = opts.msg;
             }
             else if ('string' === typeof opts || 'number' === typeof opts) {
                 opts = { msg: opts };
@@ -803,14 +1381,31 @@
             }
         }
 
+        opts.msgId = J.randomString(16, 'a0');
+
         // Calls preprocessMsg and if opts.msg is function, executes it.
-        opts.msg = this.renderMsg(opts, 'outgoing');
+        // Then, applies moderation filters, if any.
+        opts.msg = this.renderMsg(opts, 'outgoing', node.player.id);
+
+        if (opts.msg === null) {
+            // Gives the sender a chance to edit the message.
+            if ('string' === typeof txt && this.textarea) {
+                this.textarea.value = txt;
+            }
+            return;
+        }
 
         // Move cursor at the beginning.
         if (opts.msg === '') {
             node.warn('Chat: message has no text, not sent.');
             return;
         }
+        // Private msg to one participant.
+        if (!opts.recipients && !opts.direct && this.directTo) {
+            opts.direct = this.directTo;
+        }
+        if (opts.direct) opts.recipients = [ opts.direct ];
+
         // Simplify things, if there is only one recipient.
         ids = opts.recipients || this.recipientsIds;
         if (ids.length === 0) {
@@ -822,6 +1417,9 @@
 
         node.say(this.chatEvent, to, opts);
 
+        this.stats.sent++;
+        storeMsg(this, 'outgoing', opts, node.player.id, ids);
+
         if (!opts.silent) {
             that = this;
             // TODO: check the comment: // to not used now.
@@ -842,6 +1440,478 @@
 
     // ## Helper functions.
 
+    // ### checkMsg
+    // Returns TRUE if the msg comes from a participant and is well-formed.
+    function checkMsg(that, msg, hasText) {
+        var rec, data;
+        if (msg.from === node.player.id || msg.from === node.player.sid) {
+            node.warn('Chat: your own message came back: ' + msg.id);
+            return false;
+        }
+        rec = that.senderToRecipientMap[msg.from];
+        if (!rec || that.recipientsIds.indexOf(rec) === -1) {
+            node.warn('Chat: message from a non-participant ignored: ' +
+                      msg.from);
+            return false;
+        }
+        data = msg.data;
+        if (hasText && (!data || 'object' !== typeof data ||
+            ('string' !== typeof data.msg && 'number' !== typeof data.msg))) {
+
+            node.warn('Chat: malformed message ignored: ' + msg.id);
+            return false;
+        }
+        return true;
+    }
+
+    // ### storeMsg
+    // Adds a message to the history.
+    function storeMsg(that, type, data, from, to) {
+        var entry;
+        entry = {
+            msgId: data.msgId,
+            type: type,
+            from: from,
+            name: type === 'incoming' ? that.senderToNameMap[from] : null,
+            to: J.isArray(to) ? to.slice(0) : to,
+            msg: data.msg,
+            direct: data.direct || false,
+            time: node.timer.getTimeSince('step'),
+            timestamp: J.now(),
+            reactions: {}
+        };
+        that.messages.push(entry);
+        that.messagesById[entry.msgId] = entry;
+        return entry;
+    }
+
+    // ### decorateMsg
+    // Adds timestamp and reactions to the div of a message.
+    function decorateMsg(that, div, entry) {
+        var bar;
+        if (that.showTimestamps) {
+            W.add('span', div, {
+                className: 'chat_time',
+                innerHTML: that.getText('timestamp', entry)
+            });
+        }
+        if (that.reactions) {
+            bar = W.add('div', div, { className: 'chat_reactions' });
+            bar.onclick = function(e) {
+                var emoji;
+                e = e || window.event;
+                emoji = (e.target || e.srcElement).getAttribute('data-emoji');
+                if (emoji && !that.isDisabled()) that.react(entry.msgId, emoji);
+            };
+            renderReactions(that, entry, bar);
+        }
+    }
+
+    // ### renderReactions
+    // Displays the emoji reactions of a message with their counts.
+    function renderReactions(that, entry, bar) {
+        var i, len, emoji, ids, btn;
+        if (!bar) {
+            bar = that.msgDivs[entry.msgId];
+            if (!bar) return;
+            bar = bar.lastChild;
+        }
+        bar.innerHTML = '';
+        i = -1, len = that.reactions.length;
+        for ( ; ++i < len ; ) {
+            emoji = that.reactions[i];
+            ids = entry.reactions[emoji] || [];
+            btn = W.add('span', bar, {
+                className: 'chat_reaction' + (ids.length ? ' active' : '') +
+                    (ids.indexOf(node.player.id) !== -1 ? ' mine' : ''),
+                innerHTML: emoji + (ids.length ? ' ' + ids.length : '')
+            });
+            btn.setAttribute('data-emoji', emoji);
+        }
+    }
+
+    // ### hasReacted
+    // Returns TRUE if a participant reacted with an emoji to a message.
+    function hasReacted(entry, id, emoji) {
+        var ids = entry.reactions[emoji];
+        return !!ids && ids.indexOf(id) !== -1;
+    }
+
+    // ### setReaction
+    // Toggles a reaction, returns TRUE if it was added.
+    function setReaction(that, entry, id, emoji) {
+        var ids, idx;
+        ids = entry.reactions[emoji];
+        if (!ids) ids = entry.reactions[emoji] = [];
+        idx = ids.indexOf(id);
+        if (idx === -1) ids.push(id);
+        else ids.splice(idx, 1);
+        if (!ids.length) delete entry.reactions[emoji];
+        renderReactions(that, entry);
+        return idx === -1;
+    }
+
+    // ### trimHistory
+    // Removes the oldest displayed messages above the history limit.
+    function trimHistory(that) {
+        var div;
+        if (!that.historyLimit) return;
+        while (that.messages.length - that.firstShown > that.historyLimit) {
+            div = that.msgDivs[that.messages[that.firstShown].msgId];
+            if (div && div.parentNode) div.parentNode.removeChild(div);
+            that.firstShown++;
+        }
+        if (that.firstShown > 0) {
+            if (!that.olderButton) {
+                that.olderButton = W.get('button', {
+                    className: 'btn btn-sm btn-light chat_older',
+                    innerHTML: that.getText('olderMsgs')
+                });
+                that.olderButton.onclick = function() {
+                    that.showOlderMsgs();
+                };
+            }
+            that.olderButton.style.display = '';
+            that.chatDiv.insertBefore(that.olderButton,
+                                      that.chatDiv.firstChild);
+        }
+    }
+
+    // ### setStatus
+    // Updates the status of a participant in the participants panel.
+    function setStatus(that, rec, status) {
+        that.participantsStatus[rec] = status;
+        renderParticipants(that);
+    }
+
+    // ### renderParticipants
+    // Displays the names and status of all participants.
+    function renderParticipants(that) {
+        var rec, el;
+        if (!that.participantsDiv) return;
+        that.participantsDiv.innerHTML = '';
+        for (rec in that.participantsStatus) {
+            if (that.participantsStatus.hasOwnProperty(rec)) {
+                el = W.add('div', that.participantsDiv, {
+                    className: 'chat_participant chat_status_' +
+                        that.participantsStatus[rec] +
+                        (that.directTo === rec ? ' chat_direct_active' : ''),
+                    innerHTML: that.getText('participant', {
+                        id: rec,
+                        name: that.recipientToNameMap[rec],
+                        status: that.participantsStatus[rec]
+                    })
+                });
+                el.setAttribute('data-id', rec);
+            }
+        }
+    }
+
+    // ### sendHistory
+    // Sends to a reconnected participant the messages exchanged with it.
+    function sendHistory(that, rec) {
+        var i, len, m, sender, out;
+        sender = that.recipientToSenderMap[rec];
+        out = [];
+        i = -1, len = that.messages.length;
+        for ( ; ++i < len ; ) {
+            m = that.messages[i];
+            if ((m.type === 'incoming' && m.from === sender) ||
+                (m.type === 'outgoing' &&
+                 (m.to === rec || (J.isArray(m.to) &&
+                                   m.to.indexOf(rec) !== -1)))) {
+
+                out.push(m);
+            }
+        }
+        if (out.length) node.say(that.chatEvent + '_HISTORY', rec, out);
+    }
+
+    // ### loadHistory
+    // Adds the messages sent by another participant after a reconnection.
+    function loadHistory(that, msgs, from) {
+        var i, len, m, added, limit, events, div, j;
+        i = -1, len = msgs.length;
+        for ( ; ++i < len ; ) {
+            m = msgs[i];
+            if (!m || !m.msgId || that.messagesById[m.msgId]) continue;
+            // Only messages exchanged between the sender and this player.
+            if ((m.from !== from && m.from !== node.player.id) ||
+                ('string' !== typeof m.msg && 'number' !== typeof m.msg) ||
+                'number' !== typeof m.timestamp) {
+
+                node.warn('Chat: invalid message in history ignored: ' +
+                          m.msgId);
+                continue;
+            }
+            // Same message, seen from this side.
+            m.type = m.from === node.player.id ? 'outgoing' : 'incoming';
+            if (m.type === 'incoming' && that.moderation) {
+                m.msg = moderateMsg(that, m, 'incoming', m.from, '' + m.msg);
+                if (m.msg === null) continue;
+            }
+            m.name = m.type === 'incoming' ?
+                (that.senderToNameMap[m.from] || null) : null;
+            m.reactions = m.reactions || {};
+            if (m.direct) {
+                m.direct = m.type === 'incoming' ||
+                    that.senderToRecipientMap[from] || from;
+            }
+            that.messages.push(m);
+            that.messagesById[m.msgId] = m;
+            added = true;
+        }
+        if (!added) return;
+        that.messages.sort(function(a, b) {
+            return a.timestamp - b.timestamp;
+        });
+        if (!that.chatDiv) return;
+
+        // Events (e.g., a participant left) are kept, in timestamp order.
+        events = [];
+        i = -1, len = that.chatDiv.childNodes.length;
+        for ( ; ++i < len ; ) {
+            div = that.chatDiv.childNodes[i];
+            if (div.getAttribute && div.getAttribute('data-timestamp')) {
+                events.push(div);
+            }
+        }
+
+        // Redraw all messages in order, trimming only at the end.
+        for (i in that.msgDivs) {
+            if (that.msgDivs.hasOwnProperty(i) &&
+                that.msgDivs[i].parentNode) {
+
+                that.msgDivs[i].parentNode.removeChild(that.msgDivs[i]);
+            }
+        }
+        that.msgDivs = {};
+        that.firstShown = 0;
+        limit = that.historyLimit;
+        that.historyLimit = null;
+        j = 0;
+        i = -1, len = that.messages.length;
+        for ( ; ++i < len ; ) {
+            m = that.messages[i];
+            for ( ; j < events.length ; j++) {
+                if (Number(events[j].getAttribute('data-timestamp')) >
+                    m.timestamp) {
+
+                    break;
+                }
+                that.chatDiv.appendChild(events[j]);
+            }
+            that.writeMsg(m.type, {
+                msg: m.msg,
+                id: m.from,
+                msgId: m.msgId,
+                direct: m.direct
+            });
+        }
+        for ( ; j < events.length ; j++) that.chatDiv.appendChild(events[j]);
+        that.historyLimit = limit;
+        trimHistory(that);
+    }
+
+    // ### setUnreadBadge
+    // Highlights the title and displays the number of unread messages.
+    function setUnreadBadge(that, highlight) {
+        var title;
+        if (!that.title || !that.panelDiv) return;
+        if (!highlight) {
+            that.setTitle(that.title);
+            return;
+        }
+        title = '<strong>' + that.title + '</strong>';
+        if (that.stats.unread) {
+            title += ' <span class="badge badge-primary chat_badge">' +
+                that.stats.unread + '</span>';
+        }
+        that.setTitle(title);
+    }
+
+    // ### parseFilter
+    // Validates a moderation filter and adds the default values.
+    function parseFilter(f) {
+        var out, i, len, p;
+        if ('function' === typeof f) return { type: 'custom', cb: f };
+        if ('object' !== typeof f || !f) {
+            throw new TypeError('Chat.init: moderation filter must be ' +
+                                'object or function. Found: ' + f);
+        }
+        if (!defaultActions[f.type]) {
+            throw new TypeError('Chat.init: unknown moderation filter ' +
+                                'type: ' + f.type);
+        }
+        out = {
+            type: f.type,
+            action: f.action || defaultActions[f.type],
+            mask: 'undefined' === typeof f.mask ? '***' : '' + f.mask
+        };
+        if (!isAction(out.action) ||
+            (f.type === 'rateLimit' && out.action === 'mask')) {
+
+            throw new TypeError('Chat.init: invalid action for moderation ' +
+                                'filter ' + f.type + '. Found: ' +
+                                out.action);
+        }
+        if (f.type === 'regex') {
+            if (!J.isArray(f.patterns) || !f.patterns.length) {
+                throw new TypeError('Chat.init: regex moderation filter ' +
+                                    'requires a non-empty patterns array. ' +
+                                    'Found: ' + f.patterns);
+            }
+            out.patterns = [];
+            i = -1, len = f.patterns.length;
+            for ( ; ++i < len ; ) {
+                p = f.patterns[i];
+                if ('string' === typeof p) {
+                    p = p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                    p = new RegExp('\\b' + p + '\\b', 'gi');
+                }
+                else if (Object.prototype.toString.call(p) ===
+                         '[object RegExp]') {
+                    // Make it global to mask all occurrences.
+                    p = new RegExp(p.source, 'g' + (p.ignoreCase ? 'i' : '') +
+                                   (p.multiline ? 'm' : ''));
+                }
+                else {
+                    throw new TypeError('Chat.init: regex moderation ' +
+                                        'filter patterns must be string ' +
+                                        'or RegExp. Found: ' + p);
+                }
+                out.patterns.push(p);
+            }
+        }
+        else if (f.type === 'maxLength') {
+            out.max = J.isInt(f.max, 0);
+            if (out.max === false) {
+                throw new TypeError('Chat.init: maxLength moderation ' +
+                                    'filter requires max to be a positive ' +
+                                    'integer. Found: ' + f.max);
+            }
+        }
+        else if (f.type === 'rateLimit') {
+            out.msgs = J.isInt(f.msgs, 0);
+            out.seconds = J.isNumber(f.seconds, 0);
+            if (out.msgs === false || out.seconds === false) {
+                throw new TypeError('Chat.init: rateLimit moderation ' +
+                                    'filter requires msgs and seconds to ' +
+                                    'be positive numbers. Found: ' +
+                                    f.msgs + ', ' + f.seconds);
+            }
+            // Timestamps of recent messages by sender.
+            out.senders = {};
+        }
+        else {
+            out.patterns = [];
+            if (f.emails !== false) out.patterns.push(Chat.piiPatterns.emails);
+            if (f.phones !== false) out.patterns.push(Chat.piiPatterns.phones);
+        }
+        return out;
+    }
+
+    // ### isAction
+    // Returns TRUE if the moderation action is valid.
+    function isAction(action) {
+        return action === 'block' || action === 'mask' || action === 'flag';
+    }
+
+    // ### moderateMsg
+    // Applies all moderation filters and records moderated messages.
+    function moderateMsg(that, data, code, from, msg) {
+        var i, len, f, res, actions, blocked, entry, original;
+        original = msg;
+        from = from || node.player.id;
+        actions = [];
+        i = -1, len = that.moderation.length;
+        for ( ; ++i < len ; ) {
+            f = that.moderation[i];
+            res = applyFilter(that, f, msg, code, from);
+            if (!res) continue;
+            actions.push({
+                filter: f.type,
+                action: res.action,
+                reason: res.reason || that.getText('moderation', f)
+            });
+            if (res.action === 'block') {
+                blocked = true;
+                break;
+            }
+            if (res.action === 'mask') msg = res.msg;
+        }
+        if (!actions.length) return msg;
+
+        entry = {
+            msgId: data.msgId,
+            type: code,
+            from: from,
+            original: original,
+            msg: blocked ? null : msg,
+            blocked: !!blocked,
+            actions: actions,
+            time: node.timer.getTimeSince('step'),
+            timestamp: J.now()
+        };
+        that.moderated.push(entry);
+        that.emit('moderated', entry);
+
+        if (!blocked) return msg;
+        if (code === 'outgoing') {
+            that.writeMsg('blocked', {
+                reason: actions[actions.length-1].reason
+            });
+        }
+        return null;
+    }
+
+    // ### applyFilter
+    // Applies one moderation filter, returns null if the msg is fine.
+    function applyFilter(that, f, msg, code, from) {
+        var res, i, len, found, now, times;
+        if (f.type === 'custom') {
+            res = f.cb(msg, code, from, that);
+            if (!res || !res.action) return null;
+            if (!isAction(res.action)) {
+                throw new TypeError('Chat: moderation filter returned an ' +
+                                    'invalid action: ' + res.action);
+            }
+            return {
+                action: res.action,
+                msg: 'string' === typeof res.msg ? res.msg : msg,
+                reason: res.reason
+            };
+        }
+        if (f.type === 'maxLength') {
+            if (msg.length <= f.max) return null;
+            return { action: f.action, msg: msg.substr(0, f.max) };
+        }
+        if (f.type === 'rateLimit') {
+            now = J.now();
+            times = f.senders[from] || (f.senders[from] = []);
+            while (times.length && times[0] <= now - (f.seconds * 1000)) {
+                times.shift();
+            }
+            if (times.length >= f.msgs) {
+                // Blocked messages do not count.
+                if (f.action === 'flag') times.push(now);
+                return { action: f.action };
+            }
+            times.push(now);
+            return null;
+        }
+        // Types regex and pii.
+        found = false;
+        i = -1, len = f.patterns.length;
+        for ( ; ++i < len ; ) {
+            msg = msg.replace(f.patterns[i], function() {
+                found = true;
+                return f.mask;
+            });
+        }
+        return found ? { action: f.action, msg: msg } : null;
+    }
+
     // ### sendMsg
     // Reads the textarea and delivers the msg to the server.
     function sendAmTyping(that) {
@@ -15,13 +15,21 @@
 
     // ## Meta-data
 
-    ChoiceManager.version = '1.4.1';
+    ChoiceManager.version = '1.7.0';
     ChoiceManager.description = 'Groups together and manages a set of ' +
         'survey forms (e.g., ChoiceTable).';
 
     ChoiceManager.title = false;
     ChoiceManager.className = 'choicemanager';
 
+    ChoiceManager.texts = {
+        next: 'Next',
+        previous: 'Previous',
+        pageOf: function(w, page) {
+            return 'Page ' + (page + 1) + ' of ' + w.pages.length;
+        }
+    };
+
     // ## Dependencies
 
     ChoiceManager.dependencies = {};
@@ -75,6 +83,37 @@
          */
         this.formsById = null;
 
+        /**
+         * ### ChoiceManager.conditionals
+         *
+         * Map form id to the condition under which the form is displayed
+         *
+         * @see ChoiceManager.setForms
+         * @see ChoiceManager.checkConditionals
+         */
+        this.conditionals = null;
+
+        /**
+         * ### ChoiceManager.hiddenByConditional
+         *
+         * Map form id to TRUE, if the form is hidden by its condition
+         *
+         * @see ChoiceManager.checkConditionals
+         */
+        this.hiddenByConditional = {};
+
+        /**
+         * ### ChoiceManager.answers
+         *
+         * Map form id to its current answer, used to evaluate conditions
+         *
+         * After an interaction, only the answer of the form that changed
+         * is read again.
+         *
+         * @see ChoiceManager.checkConditionals
+         */
+        this.answers = null;
+
         /**
          * ### ChoiceManager.order
          *
@@ -89,6 +128,78 @@
          */
         this.shuffleForms = null;
 
+        /**
+         * ### ChoiceManager.pages
+         *
+         * Array of pages, each containing the ids of the forms in the page
+         *
+         * If set, only the forms of the current page are displayed.
+         *
+         * @see ChoiceManager.setPages
+         * @see ChoiceManager.currentPage
+         */
+        this.pages = null;
+
+        /**
+         * ### ChoiceManager.currentPage
+         *
+         * The index of the page currently displayed
+         *
+         * @see ChoiceManager.setPage
+         */
+        this.currentPage = null;
+
+        /**
+         * ### ChoiceManager.pagesTime
+         *
+         * Array of milliseconds spent on each page
+         *
+         * The time spent on the current page is added when leaving it.
+         */
+        this.pagesTime = null;
+
+        /**
+         * ### ChoiceManager.pagesVisits
+         *
+         * Array of the number of times each page was displayed
+         */
+        this.pagesVisits = null;
+
+        /**
+         * ### ChoiceManager.timePageBegin
+         *
+         * The time when the current page was displayed
+         */
+        this.timePageBegin = null;
+
+        /**
+         * ### ChoiceManager.pagesDiv
+         *
+         * The div containing the navigation buttons between pages
+         */
+        this.pagesDiv = null;
+
+        /**
+         * ### ChoiceManager.previousButton
+         *
+         * The button displaying the previous page
+         */
+        this.previousButton = null;
+
+        /**
+         * ### ChoiceManager.nextButton
+         *
+         * The button validating the current page and displaying the next one
+         */
+        this.nextButton = null;
+
+        /**
+         * ### ChoiceManager.spanPage
+         *
+         * The span with the number of the current page
+         */
+        this.spanPage = null;
+
         /**
          * ### ChoiceManager.group
          *
@@ -173,6 +284,8 @@
      *   - forms: the forms to displayed, formatted as explained in
      *       `ChoiceManager.setForms`
      *   - formsOptions: a set of default options to add to every form
+     *   - pages: groups the forms into pages, formatted as explained in
+     *       `ChoiceManager.setPages`
      *
      * @param {object} options Configuration options
      *
@@ -249,6 +362,15 @@
         // After all configuration options are evaluated, add forms.
 
         if ('undefined' !== typeof options.forms) this.setForms(options.forms);
+
+        // Pages are made of forms.
+        if ('undefined' !== typeof options.pages && options.pages !== false) {
+            if (!this.forms) {
+                throw new Error('ChoiceManager.init: options.pages cannot ' +
+                                'be set without options.forms');
+            }
+            this.setPages(options.pages);
+        }
     };
 
     /**
@@ -270,6 +392,31 @@
      *     }
      *  ```
      *
+     * Forms can be displayed conditionally upon the answers given to
+     * other forms with the `conditional` option. It can be:
+     *
+     *   - an object whose keys are form ids and values are the
+     *       expected answers: a number or string (must match), an array
+     *       (any of its elements must match), or a function returning
+     *       TRUE if the answer is accepted. All keys must be satisfied.
+     *   - a function receiving an object with the answers of all forms
+     *       and returning TRUE if the form should be displayed.
+     *
+     *  ```
+     *     {
+     *        name: 'ChoiceTable',
+     *        id: 'weapon',
+     *        mainText: 'Which weapon did you use?',
+     *        choices: [ 'Knife', 'Gun', 'Other' ],
+     *        // Displayed only if the second choice (No) was selected.
+     *        conditional: { crime: 1 }
+     *     }
+     *  ```
+     *
+     * The answer of a form is its current choice (e.g., ChoiceTable), or
+     * its value (e.g., CustomInput). Forms hidden by their condition have
+     * undefined answer.
+     *
      * @param {array|function} forms The array of forms or a function
      *   returning an array of forms
      *
@@ -278,9 +425,11 @@
      * @see ChoiceManager.shuffleForms
      * @see ChoiceManager.buildForms
      * @see ChoiceManager.buildTableAndForms
+     * @see ChoiceManager.checkConditionals
      */
     ChoiceManager.prototype.setForms = function(forms) {
         var form, formsById, i, len, parsedForms, name;
+        var conditional, conditionals, id;
         if ('function' === typeof forms) {
             parsedForms = forms.call(node.game);
             if (!J.isArray(parsedForms)) {
@@ -304,10 +453,12 @@
 
         // Manual clone forms.
         formsById = {};
+        conditionals = null;
         forms = new Array(len);
         i = -1;
         for ( ; ++i < len ; ) {
             form = parsedForms[i];
+            conditional = form.conditional;
             if (!node.widgets.isWidget(form)) {
                 // TODO: smart checking form name. Maybe in Stager already?
                 name = form.name || 'ChoiceTable';
@@ -329,6 +480,20 @@
             forms[i] = form;
             formsById[form.id] = forms[i];
 
+            if ('undefined' !== typeof conditional) {
+                if ('function' !== typeof conditional &&
+                    ('object' !== typeof conditional || !conditional)) {
+
+                    throw new TypeError('ChoiceManager.setForms: ' +
+                                        'conditional must be object, ' +
+                                        'function or undefined. Found: ' +
+                                        conditional + ' (form "' + form.id +
+                                        '")');
+                }
+                if (!conditionals) conditionals = {};
+                conditionals[form.id] = conditional;
+            }
+
             if (form.required || form.requiredChoice || form.correctChoice) {
                 // False is set manually, otherwise undefined.
                 if (this.required === false) {
@@ -339,15 +504,172 @@
                 this.required = true;
             }
         }
+        // Conditions can refer only to existing forms.
+        if (conditionals) {
+            for (id in conditionals) {
+                if (conditionals.hasOwnProperty(id) &&
+                    'object' === typeof conditionals[id]) {
+
+                    for (name in conditionals[id]) {
+                        if (conditionals[id].hasOwnProperty(name) &&
+                            !formsById[name]) {
+
+                            throw new Error('ChoiceManager.setForms: ' +
+                                            'conditional of form "' + id +
+                                            '" refers to unknown form: ' +
+                                            name);
+                        }
+                    }
+                }
+            }
+        }
+
+        // Dependent forms (e.g., cascading dropdowns) can refer to their
+        // parent by id.
+        i = -1;
+        for ( ; ++i < len ; ) {
+            form = forms[i];
+            if ('string' === typeof form.parent &&
+                'function' === typeof form.setParent) {
+
+                if (!formsById[form.parent]) {
+                    throw new Error('ChoiceManager.setForms: form "' +
+                                    form.id + '" refers to unknown ' +
+                                    'parent: ' + form.parent);
+                }
+                form.setParent(formsById[form.parent]);
+            }
+        }
+
         // Assigned verified forms.
         this.forms = forms;
         this.formsById = formsById;
+        this.conditionals = conditionals;
+        this.hiddenByConditional = {};
+        this.answers = null;
 
         // Save the order in which the choices will be added.
         this.order = J.seq(0, len-1);
         if (this.shuffleForms) this.order = J.shuffle(this.order);
     };
 
+    /**
+     * ### ChoiceManager.setPages
+     *
+     * Groups the forms into pages
+     *
+     * Only the forms of the current page are displayed, and the user
+     * navigates through pages with the Next and Previous buttons.
+     *
+     * The pages parameter can be:
+     *
+     *   - TRUE: each form is on a separate page
+     *   - a number: the number of forms per page (in display order)
+     *   - an array of pages, where each page is an array of form ids.
+     *       Each form must be in exactly one page. If forms are
+     *       shuffled, they are shuffled only within their page.
+     *
+     * Must be called after forms have been set already.
+     *
+     * @param {boolean|number|array} pages The pages
+     *
+     * @see ChoiceManager.setForms
+     * @see ChoiceManager.setPage
+     * @see ChoiceManager.order
+     */
+    ChoiceManager.prototype.setPages = function(pages) {
+        var i, len, j, lenJ, page, id, idx, perPage, found, order;
+
+        if (!this.forms) {
+            throw new Error('ChoiceManager.setPages: forms not set.');
+        }
+        if (this.dl) {
+            throw new Error('ChoiceManager.setPages: cannot set pages ' +
+                            'after append.');
+        }
+
+        len = this.forms.length;
+        if (pages === true) pages = 1;
+        if ('number' === typeof pages) {
+            perPage = J.isInt(pages, 0);
+            if (perPage === false) {
+                throw new TypeError('ChoiceManager.setPages: if number, ' +
+                                    'pages must be a positive integer. ' +
+                                    'Found: ' + pages);
+            }
+            pages = [];
+            i = -1;
+            for ( ; ++i < len ; ) {
+                if (i % perPage === 0) {
+                    page = [];
+                    pages.push(page);
+                }
+                page.push(this.forms[this.order[i]].id);
+            }
+            order = this.order;
+        }
+        else if (J.isArray(pages) && pages.length) {
+            // Map form id to index in the forms array.
+            idx = {};
+            i = -1;
+            for ( ; ++i < len ; ) {
+                idx[this.forms[i].id] = i;
+            }
+            found = {};
+            order = [];
+            i = -1, len = pages.length;
+            for ( ; ++i < len ; ) {
+                page = pages[i];
+                if ('string' === typeof page) page = [ page ];
+                if (!J.isArray(page) || !page.length) {
+                    throw new TypeError('ChoiceManager.setPages: each page ' +
+                                        'must be a non-empty array or a ' +
+                                        'string. Found: ' + page);
+                }
+                page = page.slice(0);
+                if (this.shuffleForms) page = J.shuffle(page);
+                j = -1, lenJ = page.length;
+                for ( ; ++j < lenJ ; ) {
+                    id = page[j];
+                    if (!this.formsById[id]) {
+                        throw new Error('ChoiceManager.setPages: unknown ' +
+                                        'form id in page ' + (i + 1) + ': ' +
+                                        id);
+                    }
+                    if (found[id]) {
+                        throw new Error('ChoiceManager.setPages: form "' + id +
+                                        '" is in more than one page');
+                    }
+                    found[id] = true;
+                    order.push(idx[id]);
+                }
+                pages[i] = page;
+            }
+            if (order.length !== this.forms.length) {
+                throw new Error('ChoiceManager.setPages: all forms must be ' +
+                                'in a page. Forms in pages: ' + order.length +
+                                ', forms: ' + this.forms.length);
+            }
+        }
+        else {
+            throw new TypeError('ChoiceManager.setPages: pages must be ' +
+                                'TRUE, a positive integer or a non-empty ' +
+                                'array. Found: ' + pages);
+        }
+
+        // Forms are displayed in the order of the pages.
+        this.order = order;
+        this.pages = pages;
+        this.currentPage = null;
+        this.pagesTime = new Array(pages.length);
+        this.pagesVisits = new Array(pages.length);
+        i = -1, len = pages.length;
+        for ( ; ++i < len ; ) {
+            this.pagesTime[i] = 0;
+            this.pagesVisits[i] = 0;
+        }
+    };
+
     /**
      * ### ChoiceManager.buildDl
      *
@@ -373,6 +695,7 @@
     };
 
     ChoiceManager.prototype.append = function() {
+        var that, onchange;
         // Id must be unique.
         if (W.getElementById(this.id)) {
             throw new Error('ChoiceManager.append: id is not ' +
@@ -394,6 +717,54 @@
         // Append Dl.
         this.bodyDiv.appendChild(this.dl);
 
+        // Navigation between pages.
+        if (this.pages) {
+            that = this;
+            this.pagesDiv = W.append('div', this.bodyDiv, {
+                className: ChoiceManager.className + '-pages'
+            });
+            this.previousButton = W.append('button', this.pagesDiv, {
+                className: 'btn btn-default ' + ChoiceManager.className +
+                    '-previous',
+                innerHTML: this.getText('previous')
+            });
+            this.previousButton.type = 'button';
+            this.previousButton.onclick = function() {
+                that.previous();
+            };
+            this.spanPage = W.append('span', this.pagesDiv, {
+                className: ChoiceManager.className + '-page'
+            });
+            this.nextButton = W.append('button', this.pagesDiv, {
+                className: 'btn btn-default ' + ChoiceManager.className +
+                    '-next',
+                innerHTML: this.getText('next')
+            });
+            this.nextButton.type = 'button';
+            this.nextButton.onclick = function() {
+                that.next();
+            };
+        }
+
+        // Conditional forms are re-evaluated after every interaction.
+        if (this.conditionals) {
+            that = this;
+            this.checkConditionals();
+            onchange = function(e) {
+                var form;
+                form = getFormOfElement(that, e.target);
+                // Not a form (e.g., the navigation buttons).
+                if (!form) return;
+                if (that.checkConditionals(form)) {
+                    if (that.pages) updatePagesDiv(that);
+                    W.adjustFrameHeight();
+                }
+            };
+            this.dl.addEventListener('click', onchange);
+            this.dl.addEventListener('input', onchange);
+            this.dl.addEventListener('change', onchange);
+        }
+
         // Creates a free-text textarea, possibly with placeholder text.
         if (this.freeText) {
             this.textarea = document.createElement('textarea');
@@ -405,6 +776,203 @@
             // Append textarea.
             this.bodyDiv.appendChild(this.textarea);
         }
+
+        if (this.pages) this.setPage(getNextPage(this, -1, 1) || 0);
+    };
+
+    /**
+     * ### ChoiceManager.setPage
+     *
+     * Displays the forms of a page and hides all the others
+     *
+     * The time spent on the previous page is updated.
+     *
+     * @param {number} page The index of the page to display
+     *
+     * @see ChoiceManager.pages
+     * @see ChoiceManager.next
+     * @see ChoiceManager.previous
+     */
+    ChoiceManager.prototype.setPage = function(page) {
+        var i, len, j, lenJ, form, now;
+        if (!this.pages) {
+            throw new Error('ChoiceManager.setPage: pages not set.');
+        }
+        if (false === J.isInt(page, -1, this.pages.length)) {
+            throw new TypeError('ChoiceManager.setPage: page must be an ' +
+                                'integer between 0 and ' +
+                                (this.pages.length - 1) + '. Found: ' + page);
+        }
+        if (!this.dl) {
+            throw new Error('ChoiceManager.setPage: widget not appended.');
+        }
+
+        now = node.timer.getTimeSince('step');
+        if (this.currentPage !== null) {
+            this.pagesTime[this.currentPage] += now - this.timePageBegin;
+        }
+
+        i = -1, len = this.pages.length;
+        for ( ; ++i < len ; ) {
+            j = -1, lenJ = this.pages[i].length;
+            for ( ; ++j < lenJ ; ) {
+                form = this.formsById[this.pages[i][j]];
+                // The dt element containing the form.
+                form.panelDiv.parentNode.style.display = i === page ?
+                    '' : 'none';
+            }
+        }
+
+        this.currentPage = page;
+        this.pagesVisits[page]++;
+        this.timePageBegin = now;
+
+        updatePagesDiv(this);
+        W.adjustFrameHeight();
+    };
+
+    /**
+     * ### ChoiceManager.next
+     *
+     * Validates the forms of the current page and displays the next page
+     *
+     * Pages whose forms are all hidden by a condition are skipped.
+     *
+     * @return {boolean} TRUE, if the next page was displayed
+     *
+     * @see ChoiceManager.validatePage
+     * @see ChoiceManager.previous
+     */
+    ChoiceManager.prototype.next = function() {
+        var page;
+        if (!this.pages || this.currentPage === null) return false;
+        if (!this.validatePage(this.currentPage)) return false;
+        page = getNextPage(this, this.currentPage, 1);
+        if (page === null) return false;
+        this.setPage(page);
+        if ('function' === typeof this.bodyDiv.scrollIntoView) {
+            this.bodyDiv.scrollIntoView({ behavior: 'smooth' });
+        }
+        return true;
+    };
+
+    /**
+     * ### ChoiceManager.previous
+     *
+     * Displays the previous page, keeping the values already entered
+     *
+     * Pages whose forms are all hidden by a condition are skipped.
+     *
+     * @return {boolean} TRUE, if the previous page was displayed
+     *
+     * @see ChoiceManager.next
+     */
+    ChoiceManager.prototype.previous = function() {
+        var page;
+        if (!this.pages || this.currentPage === null) return false;
+        page = getNextPage(this, this.currentPage, -1);
+        if (page === null) return false;
+        this.setPage(page);
+        return true;
+    };
+
+    /**
+     * ### ChoiceManager.validatePage
+     *
+     * Returns TRUE if all the forms of a page have valid values
+     *
+     * Forms that are hidden or disabled are not validated.
+     *
+     * @param {number} page The index of the page
+     * @param {boolean} highlight Optional. If FALSE, invalid forms are
+     *   not highlighted. Default: TRUE
+     *
+     * @return {boolean} TRUE, if all forms in the page are valid
+     *
+     * @see ChoiceManager.next
+     */
+    ChoiceManager.prototype.validatePage = function(page, highlight) {
+        var i, len, form, res, valid;
+        if (!this.pages || !this.pages[page]) {
+            throw new Error('ChoiceManager.validatePage: page not found: ' +
+                            page);
+        }
+        valid = true;
+        i = -1, len = this.pages[page].length;
+        for ( ; ++i < len ; ) {
+            form = this.formsById[this.pages[page][i]];
+            if (this.hiddenByConditional[form.id] ||
+                form.isHidden() || form.isDisabled()) {
+
+                continue;
+            }
+            res = form.getValues({
+                markAttempt: true,
+                highlight: highlight !== false
+            });
+            if (!res) continue;
+            if (isMissingValue(form, res) || res.isCorrect === false) {
+                valid = false;
+            }
+        }
+        // Adjust frame heights because of error msgs.
+        if (!valid) W.adjustFrameHeight();
+        return valid;
+    };
+
+    /**
+     * ### ChoiceManager.checkConditionals
+     *
+     * Shows or hides forms according to their conditions
+     *
+     * Conditions are evaluated repeatedly until no form changes its
+     * visibility, so that a form may depend on a conditional form.
+     *
+     * @param {object} changedForm Optional. The form whose answer changed,
+     *   only its answer is read again. Default: the answers of all forms
+     *
+     * @return {boolean} TRUE, if the visibility of any form changed
+     *
+     * @see ChoiceManager.setForms
+     * @see ChoiceManager.hiddenByConditional
+     */
+    ChoiceManager.prototype.checkConditionals = function(changedForm) {
+        var i, len, form, show, changed, loopChanged, loops, answers;
+        if (!this.conditionals) return false;
+        if (changedForm && this.answers) {
+            this.answers[changedForm.id] = getAnswer(changedForm);
+        }
+        else {
+            this.answers = getAnswers(this);
+        }
+        len = this.forms.length;
+        changed = false;
+        loops = 0;
+        do {
+            loopChanged = false;
+            answers = getVisibleAnswers(this);
+            i = -1;
+            for ( ; ++i < len ; ) {
+                form = this.forms[i];
+                if (!this.conditionals[form.id]) continue;
+                show = evaluateConditional(this, this.conditionals[form.id],
+                                           answers);
+                if (show && this.hiddenByConditional[form.id]) {
+                    this.hiddenByConditional[form.id] = false;
+                    form.show();
+                    loopChanged = true;
+                }
+                else if (!show && !this.hiddenByConditional[form.id]) {
+                    this.hiddenByConditional[form.id] = true;
+                    form.hide();
+                    loopChanged = true;
+                }
+            }
+            if (loopChanged) changed = true;
+        }
+        while (loopChanged && ++loops < len);
+
+        return changed;
     };
 
     /**
@@ -439,6 +1007,10 @@
         for ( ; ++i < len ; ) {
             this.forms[i].disable();
         }
+        if (this.pagesDiv) {
+            this.previousButton.disabled = true;
+            this.nextButton.disabled = true;
+        }
         this.disabled = true;
         this.emit('disabled');
     };
@@ -456,6 +1028,7 @@
             this.forms[i].enable();
         }
         this.disabled = false;
+        if (this.pagesDiv) updatePagesDiv(this);
         this.emit('enabled')
     };
 
@@ -593,6 +1166,13 @@
      *   - highlight:   If TRUE, forms that do not have a correct value
      *      will be highlighted. Default: TRUE.
      *
+     * Forms hidden by their condition are not validated, and their ids
+     * are listed under the `hidden` property instead of `forms`.
+     *
+     * If forms are grouped into pages, the `pages` property contains
+     * the ids of the forms, the time spent, and the number of visits
+     * for every page.
+     *
      * @return {object} Object containing the choice and paradata
      *
      * @see ChoiceManager.verifyChoice
@@ -604,6 +1184,7 @@
             forms: {},
             missValues: []
         };
+        if (this.conditionals) obj.hidden = [];
         if ('undefined' !== typeof this.id) obj.id = this.id;
         opts = opts || {};
         if ('undefined' === typeof opts.markAttempt) opts.markAttempt = true;
@@ -612,8 +1193,12 @@
         i = -1, len = this.forms.length;
         for ( ; ++i < len ; ) {
             form = this.forms[i];
+            // Skipped by conditional display.
+            if (this.hiddenByConditional[form.id]) {
+                obj.hidden.push(form.id);
+            }
             // If it is hidden or disabled we do not do validation.
-            if (form.isHidden() || form.isDisabled()) {
+            else if (form.isHidden() || form.isDisabled()) {
                 res = form.getValues({
                     markAttempt: false,
                     highlight: false
@@ -625,12 +1210,7 @@
                 res = form.getValues(opts);
                 if (!res) continue;
                 obj.forms[form.id] = res;
-                // Backward compatible (requiredChoice).
-                if ((form.required || form.requiredChoice) &&
-                    (obj.forms[form.id].choice === null ||
-                     (form.selectMultiple &&
-                      !obj.forms[form.id].choice.length))) {
-
+                if (isMissingValue(form, res)) {
                     obj.missValues.push(form.id);
                     lastErrored = form;
                 }
@@ -643,6 +1223,11 @@
             }
         }
         if (lastErrored) {
+            // Display the page containing the error.
+            if (this.pages && this.dl && opts.highlight) {
+                i = getPageOfForm(this, lastErrored.id);
+                if (i !== this.currentPage) this.setPage(i);
+            }
             if (opts.highlight &&
                 'function' === typeof lastErrored.bodyDiv.scrollIntoView) {
 
@@ -656,6 +1241,7 @@
         }
         // if (obj.missValues.length) obj.isCorrect = false;
         if (this.textarea) obj.freetext = this.textarea.value;
+        if (this.pages) obj.pages = getPagesValues(this);
 
         // Simplify everything, if requested.
         if (opts.simplify || this.simplify) {
@@ -663,6 +1249,8 @@
             obj = obj.forms;
             if (res.isCorrect === false) obj.isCorrect = false;
             if (res.freetext) obj.freetext = res.freetext;
+            if (res.hidden && res.hidden.length) obj.hidden = res.hidden;
+            if (res.pages) obj.pages = res.pages;
         }
         return obj;
     };
@@ -693,22 +1281,249 @@
 
     // ## Helper methods.
 
-// In progress.
-//     const createOnClick = (choice, question) => {
-//     return function(value, removed, td) {
-//         var w, hide;
-//         w = node.widgets.lastAppended.formsById[question];
-//         if (J.isArray(choice)) {
-//             hide = !J.inArray(this.currentChoice, choice);
-//         }
-//         else {
-//             hide = this.currentChoice !== choice;
-//         }
-//         if (hide) w.hide();
-//         else w.show();
-//         W.adjustFrameHeight();
-//     };
-// };
-// onclick: createOnClick([0, 1], 'crypto_occupation')
+    // ### isMissingValue
+    //
+    // Returns TRUE if a required form has no value
+    //
+    // @param {object} form The form
+    // @param {object} res The return value of form.getValues
+    //
+    // @return {boolean} TRUE, if the form is required and has no value
+    //
+    function isMissingValue(form, res) {
+        // Backward compatible (requiredChoice).
+        return !!((form.required || form.requiredChoice) &&
+                  (res.choice === null ||
+                   (form.selectMultiple && !res.choice.length)));
+    }
+
+    // ### getPageOfForm
+    //
+    // Returns the index of the page containing a form
+    //
+    // @param {ChoiceManager} that This instance
+    // @param {string} id The id of the form
+    //
+    // @return {number} The index of the page, or -1 if not found
+    //
+    function getPageOfForm(that, id) {
+        var i, len;
+        i = -1, len = that.pages.length;
+        for ( ; ++i < len ; ) {
+            if (J.inArray(id, that.pages[i])) return i;
+        }
+        return -1;
+    }
+
+    // ### getNextPage
+    //
+    // Returns the index of the closest page with at least one visible form
+    //
+    // @param {ChoiceManager} that This instance
+    // @param {number} page The index of the page to start from (excluded)
+    // @param {number} dir 1 to search forward, -1 backward
+    //
+    // @return {number|null} The index of the page, or null if not found
+    //
+    function getNextPage(that, page, dir) {
+        var j, lenJ;
+        page += dir;
+        for ( ; page >= 0 && page < that.pages.length ; page += dir) {
+            j = -1, lenJ = that.pages[page].length;
+            for ( ; ++j < lenJ ; ) {
+                if (!that.hiddenByConditional[that.pages[page][j]]) {
+                    return page;
+                }
+            }
+        }
+        return null;
+    }
+
+    // ### updatePagesDiv
+    //
+    // Updates the navigation buttons and the number of the current page
+    //
+    // @param {ChoiceManager} that This instance
+    //
+    function updatePagesDiv(that) {
+        var hasNext;
+        if (!that.pagesDiv || that.currentPage === null) return;
+        that.previousButton.disabled = that.disabled ||
+            getNextPage(that, that.currentPage, -1) === null;
+        hasNext = getNextPage(that, that.currentPage, 1) !== null;
+        that.nextButton.disabled = !!that.disabled;
+        that.nextButton.style.display = hasNext ? '' : 'none';
+        that.spanPage.innerHTML = that.getText('pageOf', that.currentPage);
+    }
+
+    // ### getPagesValues
+    //
+    // Returns the forms, the time spent, and the visits of every page
+    //
+    // @param {ChoiceManager} that This instance
+    //
+    // @return {array} Array of objects, one per page
+    //
+    function getPagesValues(that) {
+        var i, len, res, time;
+        res = new Array(that.pages.length);
+        i = -1, len = that.pages.length;
+        for ( ; ++i < len ; ) {
+            time = that.pagesTime[i];
+            // Add time spent so far on the current page.
+            if (i === that.currentPage) {
+                time += node.timer.getTimeSince('step') - that.timePageBegin;
+            }
+            res[i] = {
+                forms: that.pages[i].slice(0),
+                time: time,
+                visits: that.pagesVisits[i]
+            };
+        }
+        return res;
+    }
+
+    // ### getAnswers
+    //
+    // Returns the current answers of all forms, used to evaluate conditions
+    //
+    // @param {ChoiceManager} that This instance
+    //
+    // @return {object} Map form id to answer
+    //
+    function getAnswers(that) {
+        var i, len, answers;
+        answers = {};
+        i = -1, len = that.forms.length;
+        for ( ; ++i < len ; ) {
+            answers[that.forms[i].id] = getAnswer(that.forms[i]);
+        }
+        return answers;
+    }
+
+    // ### getAnswer
+    //
+    // Returns the current answer of a form
+    //
+    // @param {object} form The form
+    //
+    // @return {mixed} The answer, or undefined if the form has no value
+    //
+    function getAnswer(form) {
+        var res;
+        // ChoiceTable-like forms. Calling getValues might display errors.
+        if ('undefined' !== typeof form.currentChoice) {
+            return J.clone(form.currentChoice);
+        }
+        res = form.getValues({ markAttempt: false, highlight: false });
+        // ContentBox does not return a value.
+        if (!res) return;
+        return 'undefined' !== typeof res.choice ? res.choice : res.value;
+    }
+
+    // ### getVisibleAnswers
+    //
+    // Returns the cached answers, except for forms hidden by a condition
+    //
+    // @param {ChoiceManager} that This instance
+    //
+    // @return {object} Map form id to answer
+    //
+    function getVisibleAnswers(that) {
+        var id, answers;
+        answers = {};
+        for (id in that.answers) {
+            if (that.answers.hasOwnProperty(id) &&
+                !that.hiddenByConditional[id]) {
+
+                answers[id] = that.answers[id];
+            }
+        }
+        return answers;
+    }
+
+    // ### getFormOfElement
+    //
+    // Returns the form containing an element
+    //
+    // @param {ChoiceManager} that This instance
+    // @param {HTMLElement} el The element
+    //
+    // @return {object|null} The form, or null if not found
+    //
+    function getFormOfElement(that, el) {
+        var i, len, div;
+        i = -1, len = that.forms.length;
+        for ( ; ++i < len ; ) {
+            div = that.forms[i].panelDiv || that.forms[i].bodyDiv;
+            if (div && div.contains(el)) return that.forms[i];
+        }
+        return null;
+    }
+
+    // ### evaluateConditional
+    //
+    // Returns TRUE if a form should be displayed
+    //
+    // @param {ChoiceManager} that This instance
+    // @param {object|function} conditional The condition to evaluate
+    // @param {object} answers The current answers of all forms
+    //
+    // @return {boolean} TRUE, if the condition is satisfied
+    //
+    // @see ChoiceManager.setForms
+    //
+    function evaluateConditional(that, conditional, answers) {
+        var id, expected, answer;
+        if ('function' === typeof conditional) {
+            return !!conditional.call(that, answers);
+        }
+        for (id in conditional) {
+            if (conditional.hasOwnProperty(id)) {
+                expected = conditional[id];
+                answer = answers[id];
+                if ('function' === typeof expected) {
+                    if (!expected.call(that, answer, that.formsById[id])) {
+                        return false;
+                    }
+                }
+                else if (J.isArray(expected)) {
+                    if (!matchAny(answer, expected)) return false;
+                }
+                else if (!matchAny(answer, [ expected ])) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    // ### matchAny
+    //
+    // Returns TRUE if an answer (or one of its elements) is in a list
+    //
+    // Numbers and strings are compared loosely, e.g. 1 and '1' match.
+    //
+    // @param {mixed} answer The answer, or an array of answers
+    // @param {array} list The list of accepted values
+    //
+    // @return {boolean} TRUE, if a match is found
+    //
+    function matchAny(answer, list) {
+        var i, len;
+        if ('undefined' === typeof answer || answer === null) return false;
+        if (J.isArray(answer)) {
+            i = -1, len = answer.length;
+            for ( ; ++i < len ; ) {
+                if (matchAny(answer[i], list)) return true;
+            }
+            return false;
+        }
+        i = -1, len = list.length;
+        for ( ; ++i < len ; ) {
+            if (('' + answer) === ('' + list[i])) return true;
+        }
+        return false;
+    }
 
 })(node);
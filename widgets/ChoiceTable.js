@@ -17,7 +17,7 @@
 
     // ## Meta-data
 
-    ChoiceTable.version = '1.8.1';
+    ChoiceTable.version = '1.11.0';
     ChoiceTable.description = 'Creates a configurable table where ' +
         'each cell is a selectable choice.';
 
@@ -28,6 +28,17 @@
 
         autoHint: function(w) {
             var res;
+            if (w.ranking) {
+                res = '(drag or use the arrow keys to ';
+                if ('number' === typeof w.ranking) {
+                    res += 'rank the top ' + w.ranking + ')';
+                }
+                else {
+                    res += 'order the items)';
+                }
+                if (w.requiredChoice) res += ' *';
+                return res;
+            }
             if (!w.requiredChoice && !w.selectMultiple) return false;
             if (!w.selectMultiple) return '*';
             res = '(';
@@ -58,6 +69,10 @@
             return res;
         },
         error: function(w, value) {
+            if (w.ranking) {
+                if (w.correctChoice !== null) return 'Not correct, try again.';
+                return 'Please order the items.';
+            }
             if (value !== null &&
                 ('number' === typeof w.correctChoice ||
                 'string' === typeof w.correctChoice)) {
@@ -65,6 +80,13 @@
                 return 'Not correct, try again.';
             }
             return 'Selection required.';
+        },
+        mediaNotPlayed: function(w) {
+            if (w.requireMediaPlay === 'start') {
+                return 'Please play the media before selecting it.';
+            }
+            return 'Please view or play the media until the end before ' +
+                'selecting it.';
         }
         // correct: 'Correct.'
     };
@@ -126,6 +148,9 @@
             e = e || window.event;
             td = e.target || e.srcElement;
 
+            // Clicks on the controls of audio and video do not select.
+            if (td.tagName === 'AUDIO' || td.tagName === 'VIDEO') return;
+
             // See if it is a clickable choice.
             if ('undefined' === typeof that.choicesIds[td.id]) {
                 // It might be a nested element, try the parent.
@@ -163,6 +188,14 @@
             // console.log('VALUE: ', value);
             if (that.disabledChoices[value]) return;
 
+            // Media must be played before it can be selected.
+            if (that.requireMediaPlay && isMediaChoice(that.choices[value]) &&
+                !that.mediaPlayed[value] && !that.isChoiceCurrent(value)) {
+
+                that.setError(that.getText('mediaNotPlayed'));
+                return;
+            }
+
             // One more click.
             that.numberOfClicks++;
 
@@ -227,8 +260,92 @@
                 value = parseInt(value, 10);
                 that.onclick.call(that, value, removed, td);
             }
+
+            if (!that.oneTimeClick) {
+                that.emit('changed', parseInt(value, 10), !!removed);
+            }
         };
 
+        /**
+         * ### ChoiceTable.rankingListener
+         *
+         * The function listening on drag-and-drop and keyboard events
+         *
+         * Only active in ranking mode. Dropping a choice onto another
+         * one moves it to its position, while the arrow keys move the
+         * focused choice one position up or down.
+         *
+         * @see ChoiceTable.ranking
+         * @see ChoiceTable.moveChoice
+         */
+        this.rankingListener = function(e) {
+            var td, value, key, pos;
+
+            e = e || window.event;
+            if (e.type === 'dragover') {
+                if (that.dragged) e.preventDefault();
+                return;
+            }
+            if (e.type === 'dragend') {
+                that.dragged = null;
+                return;
+            }
+
+            td = getChoiceCell(that, e.target || e.srcElement);
+            if (!td) return;
+
+            if (e.type === 'dragstart') {
+                that.dragged = td;
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    // Firefox does not start dragging without data.
+                    e.dataTransfer.setData('text/plain', td.id);
+                }
+                return;
+            }
+
+            if (e.type === 'drop') {
+                e.preventDefault();
+                if (!that.dragged || that.dragged === td) return;
+                pos = that.choicesValues[getCellValue(that, td)];
+                value = getCellValue(that, that.dragged);
+                that.dragged = null;
+                that.moveChoice(value, pos);
+                return;
+            }
+
+            // Keydown.
+            key = e.key || e.keyCode;
+            if (key === 'ArrowUp' || key === 'ArrowLeft' ||
+                key === 'Up' || key === 'Left' || key === 38 || key === 37) {
+
+                pos = -1;
+            }
+            else if (key === 'ArrowDown' || key === 'ArrowRight' ||
+                     key === 'Down' || key === 'Right' ||
+                     key === 40 || key === 39) {
+
+                pos = 1;
+            }
+            else {
+                return;
+            }
+            e.preventDefault();
+            value = getCellValue(that, td);
+            pos += that.choicesValues[value];
+            if (pos < 0 || pos >= that.order.length) return;
+            that.moveChoice(value, pos);
+            // Moving the cell in the DOM might remove the focus.
+            if (td.focus) td.focus();
+        };
+
+        /**
+         * ### ChoiceTable.dragged
+         *
+         * The cell currently dragged in ranking mode, if any
+         */
+        this.dragged = null;
+
         /**
          * ## ChoiceTable.onclick
          *
@@ -382,6 +499,18 @@
          */
         this.order = null;
 
+        /**
+         * ### ChoiceTable.originalOrder
+         *
+         * The order of display of choices before any change by the user
+         *
+         * Differs from `order` only in ranking mode.
+         *
+         * @see ChoiceTable.order
+         * @see ChoiceTable.ranking
+         */
+        this.originalOrder = null;
+
         /**
          * ### ChoiceTable.correctChoice
          *
@@ -415,6 +544,13 @@
          */
         this.numberOfClicks = 0;
 
+        /**
+         * ### ChoiceTable.numberOfMoves
+         *
+         * Total number of choices moved by the user in ranking mode
+         */
+        this.numberOfMoves = 0;
+
         /**
          * ### ChoiceTable.selected
          *
@@ -447,6 +583,22 @@
          */
         this.selectMultiple = null;
 
+        /**
+         * ### ChoiceTable.ranking
+         *
+         * If truthy, choices are ranked by reordering them instead of clicking
+         *
+         * Choices can be reordered with drag-and-drop, or by moving the
+         * focused choice with the arrow keys. If a number N, only the top
+         * N choices are ranked.
+         *
+         * Note: this option is incompatible with `selectMultiple`
+         * and `oneTimeClick`.
+         *
+         * @see ChoiceTable.moveChoice
+         */
+        this.ranking = null;
+
         /**
         * ### ChoiceTable.oneTimeClick
         *
@@ -560,6 +712,59 @@
         * If TRUE, cells have same width regardless of content
         */
         this.sameWidthCells = true;
+
+        /**
+         * ### ChoiceTable.gallery
+         *
+         * If truthy, choices are laid out as a responsive gallery
+         *
+         * If a number, it is the number of choices per row. If TRUE, it
+         * is derived from the number of choices.
+         *
+         * @see ChoiceTable.choicesSetSize
+         */
+        this.gallery = null;
+
+        /**
+         * ### ChoiceTable.preloadMedia
+         *
+         * If TRUE, images, audio and video choices are preloaded
+         *
+         * Default TRUE
+         *
+         * @see ChoiceTable.preloaded
+         */
+        this.preloadMedia = true;
+
+        /**
+         * ### ChoiceTable.preloaded
+         *
+         * Array of elements loading the media choices in the background
+         *
+         * @see ChoiceTable.preloadMedia
+         */
+        this.preloaded = [];
+
+        /**
+         * ### ChoiceTable.requireMediaPlay
+         *
+         * If truthy, media choices can be selected only after being played
+         *
+         * Images must be loaded, audio and video played until the end,
+         * or just started if the value is 'start'.
+         *
+         * @see ChoiceTable.mediaPlayed
+         */
+        this.requireMediaPlay = null;
+
+        /**
+         * ### ChoiceTable.mediaPlayed
+         *
+         * Object containing the values of the media choices played so far
+         *
+         * @see ChoiceTable.requireMediaPlay
+         */
+        this.mediaPlayed = {};
     }
 
     // ## ChoiceTable methods
@@ -586,9 +791,21 @@
      *   - hint: a text with extra info to be displayed after mainText
      *   - choices: the array of available choices. See
      *       `ChoiceTable.renderChoice` for info about the format
+     *   - gallery: if TRUE, or the number of choices per row, choices
+     *       are laid out as a responsive gallery (useful with media)
+     *   - preloadMedia: if FALSE, media choices are not preloaded, and
+     *       images are loaded lazily. Default: TRUE
+     *   - requireMediaPlay: if TRUE, media choices can be selected only
+     *       after the image is loaded or the audio/video is played until
+     *       the end. If 'start', it is enough to start playing.
      *   - correctChoice: the array|number|string of correct choices. See
      *       `ChoiceTable.setCorrectChoice` for info about the format
      *   - selectMultiple: if TRUE multiple cells can be selected
+     *   - ranking: if TRUE, choices are ranked by reordering them. If a
+     *       number N, only the top N choices are ranked. Default
+     *       orientation becomes vertical. In this mode, `correctChoice`
+     *       is the expected ordering (of the top N choices), and
+     *       `requiredChoice` requires at least one choice to be moved
      *   - shuffleChoices: if TRUE, choices are shuffled before being added
      *       to the table
      *   - renderer: a function that will render the choices. See
@@ -611,9 +828,28 @@
             throw new TypeError('ChoiceTable.init: opts.id is missing');
         }
 
-        // Option orientation, default 'H'.
+        // Option ranking, default false.
+        tmp = opts.ranking;
+        if ('undefined' === typeof tmp) {
+            tmp = false;
+        }
+        else if ('boolean' !== typeof tmp) {
+            tmp = J.isInt(tmp, 0);
+            if (!tmp) {
+                throw new Error('ChoiceTable.init: ranking must be ' +
+                                'boolean, undefined or an integer > 0. ' +
+                                'Found: ' + opts.ranking);
+            }
+        }
+        if (tmp && (opts.selectMultiple || opts.oneTimeClick)) {
+            throw new Error('ChoiceTable.init: ranking cannot be used ' +
+                            'together with selectMultiple or oneTimeClick');
+        }
+        this.ranking = tmp;
+
+        // Option orientation, default 'H' ('V' if ranking).
         if ('undefined' === typeof opts.orientation) {
-            tmp = 'H';
+            tmp = this.ranking ? 'V' : 'H';
         }
         else if ('string' !== typeof opts.orientation) {
             throw new TypeError('ChoiceTable.init: opts.orientation must ' +
@@ -892,6 +1128,43 @@
             this.choicesSetSize = opts.choicesSetSize;
         }
 
+        // Set the gallery layout, if any.
+        if ('undefined' !== typeof opts.gallery && opts.gallery !== false) {
+            if (opts.gallery !== true && !J.isInt(opts.gallery, 0)) {
+                throw new TypeError('ChoiceTable.init: gallery must be ' +
+                                    'boolean, an integer > 0, or ' +
+                                    'undefined. Found: ' + opts.gallery);
+            }
+            if (this.left || this.right) {
+                throw new Error('ChoiceTable.init: gallery option ' +
+                                'cannot be specified when either left or ' +
+                                'right options are set.');
+            }
+            this.gallery = opts.gallery;
+            if (opts.gallery !== true) this.choicesSetSize = opts.gallery;
+        }
+
+        if ('undefined' !== typeof opts.preloadMedia) {
+            this.preloadMedia = !!opts.preloadMedia;
+        }
+
+        // Set the media play requirement, if any.
+        if (opts.requireMediaPlay === true) {
+            this.requireMediaPlay = 'end';
+        }
+        else if (opts.requireMediaPlay === 'start' ||
+                 opts.requireMediaPlay === 'end') {
+
+            this.requireMediaPlay = opts.requireMediaPlay;
+        }
+        else if ('undefined' !== typeof opts.requireMediaPlay &&
+                 opts.requireMediaPlay !== false) {
+
+            throw new TypeError('ChoiceTable.init: requireMediaPlay must ' +
+                                'be boolean, "start", "end", or ' +
+                                'undefined. Found: ' + opts.requireMediaPlay);
+        }
+
         // Add the choices.
         if ('undefined' !== typeof opts.choices) {
             this.setChoices(opts.choices);
@@ -985,6 +1258,13 @@
         // Save the order in which the choices will be added.
         this.order = J.seq(0, len-1);
         if (this.shuffleChoices) this.order = J.shuffle(this.order);
+        this.originalOrder = this.order.slice(0);
+
+        this.mediaPlayed = {};
+        if (this.preloadMedia) preloadMedia(this);
+        if (this.gallery === true) {
+            this.choicesSetSize = Math.min(len, Math.ceil(Math.sqrt(len)) + 1);
+        }
 
         // Build the table and choices at once (faster).
         if (this.table) this.buildTableAndChoices();
@@ -1194,8 +1474,10 @@
      * @param {mixed} choice The choice element. It may be string, number,
      *   array where the first element is the 'value' and the second the
      *   text to display as choice, or an object with properties value and
-     *   display. If a renderer function is defined there are no restriction
-     *   on the format of choice.
+     *   display. Media choices are objects with one property among img,
+     *   audio, or video (the path to the media) and optional properties
+     *   alt, caption, and value. If a renderer function is defined there
+     *   are no restriction on the format of choice.
      * @param {number} idx The position of the choice within the choice array
      *
      * @return {HTMLElement} td The newly created cell of the table
@@ -1208,6 +1490,10 @@
         var td, shortValue, value, width;
         td = document.createElement('td');
         if (this.tabbable) J.makeTabbable(td);
+        if (this.ranking) {
+            td.draggable = true;
+            if (idx < this.ranking) J.addClass(td, 'ranked');
+        }
 
         // Forces equal width.
         if (this.sameWidthCells && this.orientation === 'H') {
@@ -1224,17 +1510,21 @@
         }
         // Or use standard format.
         else {
+            value = this.shuffleChoices ? this.order[idx] : idx;
+
             if (J.isArray(choice)) {
                 shortValue = choice[0];
                 choice = choice[1];
             }
+            else if (isMediaChoice(choice)) {
+                shortValue = choice.value;
+                choice = renderMedia(this, td, choice, value);
+            }
             else if ('object' === typeof choice) {
                 shortValue = choice.value;
                 choice = choice.display;
             }
 
-            value = this.shuffleChoices ? this.order[idx] : idx;
-
             if ('string' === typeof choice || 'number' === typeof choice) {
                 td.innerHTML = choice;
             }
@@ -1287,7 +1577,30 @@
      */
     ChoiceTable.prototype.setCorrectChoice = function(choice) {
         var i, len;
-        if (!this.selectMultiple) {
+        if (this.ranking) {
+            if (!J.isArray(choice) || !choice.length) {
+                throw new TypeError('ChoiceTable.setCorrectChoice: choice ' +
+                                    'must be non-empty array in ranking ' +
+                                    'mode. Found: ' + choice);
+            }
+            if ('number' === typeof this.ranking &&
+                choice.length > this.ranking) {
+
+                throw new Error('ChoiceTable.setCorrectChoice: choice ' +
+                                'cannot contain more items than ranking: ' +
+                                choice.length + ' > ' + this.ranking);
+            }
+            i = -1, len = choice.length;
+            for ( ; ++i < len ; ) {
+                choice[i] = checkCorrectChoiceParam(this, choice[i]);
+                if (choice.indexOf(choice[i]) !== i) {
+                    throw new Error('ChoiceTable.setCorrectChoice: ' +
+                                    'duplicated choice in ranking: ' +
+                                    choice[i]);
+                }
+            }
+        }
+        else if (!this.selectMultiple) {
             choice = checkCorrectChoiceParam(this, choice);
         }
         else {
@@ -1356,6 +1669,7 @@
             // Class.
             tmp = this.className ? [ this.className ] : [];
             if (this.orientation !== 'H') tmp.push('choicetable-vertical');
+            if (this.gallery) tmp.push('choicetable-gallery');
             if (tmp.length) J.addClass(this.table, tmp);
             else this.table.className = '';
             // Append table.
@@ -1428,6 +1742,7 @@
         if (this.table) {
             J.removeClass(this.table, 'clickable');
             this.table.removeEventListener('click', this.listener);
+            if (this.ranking) toggleRankingListeners(this, false);
             // Remove listener to make cells clickable with the keyboard.
             if (this.tabbable) J.makeClickable(this.table, false);
         }
@@ -1448,7 +1763,8 @@
         }
         this.disabled = false;
         J.addClass(this.table, 'clickable');
-        this.table.addEventListener('click', this.listener);
+        if (this.ranking) toggleRankingListeners(this, true);
+        else this.table.addEventListener('click', this.listener);
         // Add listener to make cells clickable with the keyboard.
         if (this.tabbable) J.makeClickable(this.table);
         this.emit('enabled');
@@ -1479,6 +1795,8 @@
         var i, len, j, lenJ, c, clone, found;
         var correctChoice;
 
+        if (this.ranking) return verifyRanking(this, markAttempt);
+
         // Check the number of choices.
         if (this.requiredChoice !== null) {
             if (!this.selectMultiple) return this.currentChoice !== null;
@@ -1677,6 +1995,12 @@
      *       in the `.value` property are sorted alphabetically. Note! The
      *       choices array is not sorted. Default: TRUE.
      *
+     * In ranking mode, `choice` is the full permutation of the choices
+     * (from the top), `ranks` is an array containing the rank (starting
+     * from 1) of each choice (null if not in the top N ranked choices),
+     * `value` contains the values of ranked choices in order, and
+     * `nMoves` the number of moves.
+     *
      * @return {object} Object containing the choice and paradata
      *
      * @see ChoiceTable.verifyChoice
@@ -1693,14 +2017,28 @@
             nClicks: this.numberOfClicks
         };
         if ('undefined' === typeof opts.highlight) opts.highlight = true;
+        if (this.ranking) {
+            obj.choice = this.order.slice(0);
+            obj.ranks = getRanks(this);
+            obj.nMoves = this.numberOfMoves;
+        }
         if (opts.processChoice) {
             obj.choice = opts.processChoice.call(this, obj.choice);
         }
-        if (this.shuffleChoices) obj.order = this.order;
+        if (this.shuffleChoices) obj.order = this.originalOrder;
 
         // Option getValue backward compatible.
         if (opts.addValue !== false && opts.getValue !== false) {
-            if (!this.selectMultiple) {
+            if (this.ranking) {
+                len = getRankedCount(this);
+                obj.value = new Array(len);
+                i = -1;
+                for ( ; ++i < len ; ) {
+                    obj.value[i] =
+                        getValueFromChoice(this.choices[this.order[i]]);
+                }
+            }
+            else if (!this.selectMultiple) {
                 obj.value = getValueFromChoice(this.choices[obj.choice]);
             }
             else {
@@ -1755,7 +2093,7 @@
      * @experimental
      */
     ChoiceTable.prototype.setValues = function(options) {
-        var choice, correctChoice, tmp;
+        var choice, correctChoice, tmp, values;
         var i, len, j, lenJ;
 
         if (!this.choices || !this.choices.length) {
@@ -1774,6 +2112,11 @@
                             'built yet.');
         }
 
+        if (this.ranking) {
+            setRankingValues(this, options);
+            return;
+        }
+
         // Value this.correctChoice can be undefined, string or array.
         // If no correct choice is set, we simply ignore the correct param.
         if (options.correct && this.correctChoice !== null) {
@@ -1795,7 +2138,7 @@
                     }
                 }
 
-                this.choicesCells[choice].click();
+                clickCell(this, this.choicesCells[choice]);
             }
             return;
         }
@@ -1803,8 +2146,9 @@
         // Set values, random or pre-set.
         i = -1;
         if ('undefined' !== typeof options.values) {
-            if (!J.isArray(options.values)) tmp = [ options.values ];
-            len = tmp.length;
+            values = J.isArray(options.values) ?
+                options.values : [ options.values ];
+            len = values.length;
             // Can be true/false or a number > 1.
             if (this.selectMultiple) {
                 tmp = 'number' === typeof this.selectMultiple ?
@@ -1814,17 +2158,32 @@
                                     'cannot be larger than max allowed set: ' +
                                     len +  ' > ' +  tmp);
                 }
-                tmp = options.values;
+            }
+            else if (len > 1) {
+                throw new Error('ChoiceTable.setValues: values array ' +
+                                'cannot contain more than one value if ' +
+                                'selectMultiple is false. Found: ' + len);
             }
 
             // Validate value.
             for ( ; ++i < len ; ) {
-                choice = J.isInt(tmp[i], -1, (this.choices.length-1), 1, 1);
+                choice = J.isInt(values[i], -1, (this.choices.length-1),
+                                 1, 1);
                 if (false === choice) {
                     throw new Error('ChoiceTable.setValues: invalid ' +
-                                    'choice value. Found: ' + tmp[i]);
+                                    'choice value. Found: ' + values[i]);
+                }
+                // Values are choice indexes, cells are in display order.
+                if (this.shuffleChoices) {
+                    j = -1, lenJ = this.order.length;
+                    for ( ; ++j < lenJ ; ) {
+                        if (this.order[j] === choice) {
+                            choice = j;
+                            break;
+                        }
+                    }
                 }
-                this.choicesCells[choice].click();
+                clickCell(this, this.choicesCells[choice]);
             }
         }
         else {
@@ -1853,7 +2212,7 @@
                 else {
                     // Resolve to cell idx (might differ if shuffled).
                     j =  this.choicesValues[choice];
-                    this.choicesCells[j].click();
+                    clickCell(this, this.choicesCells[j]);
                 }
             }
         }
@@ -1879,7 +2238,12 @@
         this.numberOfClicks = 0;
         this.timeCurrentChoice = null;
 
-        if (this.selectMultiple) {
+        if (this.ranking) {
+            this.numberOfMoves = 0;
+            this.currentChoice = null;
+            if (this.choicesCells) applyOrder(this, this.originalOrder);
+        }
+        else if (this.selectMultiple) {
             i = -1, len = this.selected.length;
             for ( ; ++i < len ; ) {
                 J.removeClass(this.selected[i], 'selected');
@@ -1908,44 +2272,64 @@
      * Shuffles the order of the choices
      */
     ChoiceTable.prototype.shuffle = function() {
-        var order, H;
-        var i, len, cell, choice;
-        var choicesValues, choicesCells;
-        var parentTR;
+        applyOrder(this, J.shuffle(this.order));
+        this.originalOrder = this.order.slice(0);
+    };
 
-        H = this.orientation === 'H';
-        order = J.shuffle(this.order);
-        i = -1, len = order.length;
-        choicesValues = {};
-        choicesCells = new Array(len);
+    /**
+     * ### ChoiceTable.moveChoice
+     *
+     * Moves a choice to a new position (ranking mode only)
+     *
+     * Other choices are shifted accordingly.
+     *
+     * @param {number|string} choice The value of the choice to move
+     * @param {number} position The new position (0 is the top)
+     *
+     * @return {boolean} TRUE if the choice was moved, FALSE if it
+     *   already was in the requested position
+     *
+     * @see ChoiceTable.ranking
+     * @see ChoiceTable.rankingListener
+     */
+    ChoiceTable.prototype.moveChoice = function(choice, position) {
+        var from, order, len;
+        if (!this.ranking) {
+            throw new Error('ChoiceTable.moveChoice: ranking mode ' +
+                            'is not active');
+        }
+        if ('string' === typeof choice) choice = parseInt(choice, 10);
+        from = this.choicesValues[choice];
+        if ('undefined' === typeof from) {
+            throw new Error('ChoiceTable.moveChoice: choice not found: ' +
+                            choice);
+        }
+        len = this.order.length;
+        if (false === J.isInt(position, -1, len)) {
+            throw new TypeError('ChoiceTable.moveChoice: position must be ' +
+                                'an integer between 0 and ' + (len - 1) +
+                                '. Found: ' + position);
+        }
+        if (from === position) return false;
 
-        for ( ; ++i < len ; ) {
-            choice = order[i];
-            cell = this.choicesCells[this.choicesValues[choice]];
-            choicesCells[i] = cell;
-            choicesValues[choice] = i;
-            if (H) {
-                this.trs[0].appendChild(cell);
-            }
-            else {
-                parentTR = cell.parentElement || cell.parentNode;
-                this.table.appendChild(parentTR);
-            }
+        order = this.order.slice(0);
+        order.splice(from, 1);
+        order.splice(position, 0, choice);
+        applyOrder(this, order);
+
+        this.numberOfMoves++;
+        this.currentChoice = order.slice(0);
+        if ('string' === typeof this.timeFrom) {
+            this.timeCurrentChoice = node.timer.getTimeSince(this.timeFrom);
         }
-        if (this.rightCell) {
-            if (H) {
-                this.trs[0].appendChild(this.rightCell);
-            }
-            else {
-                parentTR = this.rightCell.parentElement ||
-                    this.rightCell.parentNode;
-                this.table.appendChild(parentTR);
-            }
+        else {
+            this.timeCurrentChoice = Date.now ?
+                Date.now() : new Date().getTime();
         }
 
-        this.order = order;
-        this.choicesCells = choicesCells;
-        this.choicesValues = choicesValues;
+        if (this.isHighlighted()) this.unhighlight();
+        this.emit('changed', order.slice(0));
+        return true;
     };
 
     // ## Helper methods.
@@ -1980,6 +2364,366 @@
         return choice;
     }
 
+    /**
+     * ### applyOrder
+     *
+     * Displays the choices in the given order
+     *
+     * Updates `order`, `choicesCells`, and `choicesValues` accordingly.
+     *
+     * @param {ChoiceTable} that This instance
+     * @param {array} order The new order of the choices
+     *
+     * @see ChoiceTable.shuffle
+     * @see ChoiceTable.moveChoice
+     */
+    function applyOrder(that, order) {
+        var H, i, len, cell, choice, ranked;
+        var choicesValues, choicesCells;
+        var parentTR;
+
+        H = that.orientation === 'H';
+        i = -1, len = order.length;
+        choicesValues = {};
+        choicesCells = new Array(len);
+        if ('number' === typeof that.ranking) ranked = that.ranking;
+
+        for ( ; ++i < len ; ) {
+            choice = order[i];
+            cell = that.choicesCells[that.choicesValues[choice]];
+            choicesCells[i] = cell;
+            choicesValues[choice] = i;
+            if (ranked) {
+                J.removeClass(cell, 'ranked');
+                if (i < ranked) J.addClass(cell, 'ranked');
+            }
+            if (H) {
+                that.trs[0].appendChild(cell);
+            }
+            else {
+                parentTR = cell.parentElement || cell.parentNode;
+                that.table.appendChild(parentTR);
+            }
+        }
+        if (that.rightCell) {
+            if (H) {
+                that.trs[0].appendChild(that.rightCell);
+            }
+            else {
+                parentTR = that.rightCell.parentElement ||
+                    that.rightCell.parentNode;
+                that.table.appendChild(parentTR);
+            }
+        }
+
+        that.order = order.slice(0);
+        that.choicesCells = choicesCells;
+        that.choicesValues = choicesValues;
+    }
+
+    /**
+     * ### toggleRankingListeners
+     *
+     * Adds or removes the drag-and-drop and keyboard listeners for ranking
+     *
+     * @param {ChoiceTable} that This instance
+     * @param {boolean} on TRUE to add the listeners, FALSE to remove them
+     *
+     * @see ChoiceTable.rankingListener
+     */
+    function toggleRankingListeners(that, on) {
+        var events, i, len, method;
+        events = [ 'dragstart', 'dragover', 'drop', 'dragend', 'keydown' ];
+        method = on ? 'addEventListener' : 'removeEventListener';
+        i = -1, len = events.length;
+        for ( ; ++i < len ; ) {
+            that.table[method](events[i], that.rankingListener);
+        }
+        if (that.choicesCells) {
+            i = -1, len = that.choicesCells.length;
+            for ( ; ++i < len ; ) {
+                that.choicesCells[i].draggable = on;
+            }
+        }
+    }
+
+    /**
+     * ### getChoiceCell
+     *
+     * Returns the choice cell containing an element, if any
+     *
+     * The element itself, its parent, or grand-parent can be a choice cell.
+     *
+     * @param {ChoiceTable} that This instance
+     * @param {HTMLElement} el The element
+     *
+     * @return {HTMLElement|null} The choice cell, or null if not found
+     *
+     * @see ChoiceTable.listener
+     */
+    function getChoiceCell(that, el) {
+        var i;
+        for (i = 0 ; i < 3 && el ; i++) {
+            if (el.id && 'undefined' !== typeof that.choicesIds[el.id]) {
+                return el;
+            }
+            el = el.parentNode;
+        }
+        return null;
+    }
+
+    /**
+     * ### clickCell
+     *
+     * Clicks on a cell, marking its media as played if required
+     *
+     * Used when setting values programmatically.
+     *
+     * @param {ChoiceTable} that This instance
+     * @param {HTMLElement} td The cell to click
+     *
+     * @see ChoiceTable.setValues
+     * @see ChoiceTable.requireMediaPlay
+     */
+    function clickCell(that, td) {
+        if (that.requireMediaPlay) {
+            that.mediaPlayed[getCellValue(that, td)] = true;
+        }
+        td.click();
+    }
+
+    /**
+     * ### isMediaChoice
+     *
+     * Returns TRUE if a choice is an image, audio, or video
+     *
+     * @param {mixed} choice The choice to check
+     *
+     * @return {boolean} TRUE if the choice is a media object
+     *
+     * @see ChoiceTable.renderChoice
+     */
+    function isMediaChoice(choice) {
+        return !!choice && 'object' === typeof choice &&
+            ('string' === typeof choice.img ||
+             'string' === typeof choice.audio ||
+             'string' === typeof choice.video);
+    }
+
+    /**
+     * ### renderMedia
+     *
+     * Creates the element displaying a media choice
+     *
+     * Listeners keep track of the media played, as required by option
+     * `requireMediaPlay`.
+     *
+     * @param {ChoiceTable} that This instance
+     * @param {HTMLElement} td The cell containing the choice
+     * @param {object} choice The media choice
+     * @param {number} value The value of the choice
+     *
+     * @return {HTMLElement} The element containing the media
+     *
+     * @see isMediaChoice
+     * @see ChoiceTable.mediaPlayed
+     */
+    function renderMedia(that, td, choice, value) {
+        var div, media, type, onPlayed;
+        J.addClass(td, 'choicetable-media');
+        div = document.createElement('div');
+        onPlayed = function() {
+            that.mediaPlayed[value] = true;
+            J.addClass(td, 'played');
+        };
+        if (choice.img) {
+            media = W.add('img', div, {
+                src: choice.img,
+                alt: choice.alt || ''
+            });
+            // Lazy loading only when not preloading.
+            if (!that.preloadMedia) media.setAttribute('loading', 'lazy');
+            // Might be already loaded from cache.
+            if (media.complete && media.naturalWidth) onPlayed();
+            else media.onload = onPlayed;
+        }
+        else {
+            type = choice.audio ? 'audio' : 'video';
+            media = W.add(type, div, { src: choice[type] });
+            media.controls = true;
+            media.preload = that.preloadMedia ? 'auto' : 'metadata';
+            if (choice.alt) media.title = choice.alt;
+            media.addEventListener(that.requireMediaPlay === 'start' ?
+                                   'play' : 'ended', onPlayed);
+        }
+        media.style.maxWidth = '100%';
+        media.style.height = 'auto';
+        if (choice.caption) {
+            W.add('div', div, {
+                className: 'choicetable-caption',
+                innerHTML: choice.caption
+            });
+        }
+        return div;
+    }
+
+    /**
+     * ### preloadMedia
+     *
+     * Starts loading the media choices in the background
+     *
+     * @param {ChoiceTable} that This instance
+     *
+     * @see ChoiceTable.preloadMedia
+     * @see ChoiceTable.preloaded
+     */
+    function preloadMedia(that) {
+        var i, len, choice, el;
+        that.preloaded = [];
+        i = -1, len = that.choices.length;
+        for ( ; ++i < len ; ) {
+            choice = that.choices[i];
+            if (!isMediaChoice(choice)) continue;
+            if (choice.img) {
+                el = new Image();
+                el.src = choice.img;
+            }
+            else {
+                el = document.createElement(choice.audio ? 'audio' : 'video');
+                el.preload = 'auto';
+                el.src = choice.audio || choice.video;
+            }
+            that.preloaded.push(el);
+        }
+    }
+
+    /**
+     * ### getCellValue
+     *
+     * Returns the value of the choice associated with a cell
+     *
+     * @param {ChoiceTable} that This instance
+     * @param {HTMLElement} td The choice cell
+     *
+     * @return {number} The value of the choice
+     */
+    function getCellValue(that, td) {
+        return parseInt(td.id.split(that.separator)[1], 10);
+    }
+
+    /**
+     * ### getRankedCount
+     *
+     * Returns the number of choices being ranked
+     *
+     * @param {ChoiceTable} that This instance
+     *
+     * @return {number} The number of ranked choices
+     *
+     * @see ChoiceTable.ranking
+     */
+    function getRankedCount(that) {
+        var len;
+        len = that.order.length;
+        if ('number' === typeof that.ranking && that.ranking < len) {
+            return that.ranking;
+        }
+        return len;
+    }
+
+    /**
+     * ### getRanks
+     *
+     * Returns the rank of each choice (starting from 1)
+     *
+     * Choices not in the top N ranked choices have rank null.
+     *
+     * @param {ChoiceTable} that This instance
+     *
+     * @return {array} Array of ranks, indexed by choice
+     *
+     * @see ChoiceTable.getValues
+     */
+    function getRanks(that) {
+        var i, len, n, ranks;
+        len = that.order.length;
+        n = getRankedCount(that);
+        ranks = new Array(len);
+        i = -1;
+        for ( ; ++i < len ; ) {
+            ranks[that.order[i]] = i < n ? (i + 1) : null;
+        }
+        return ranks;
+    }
+
+    /**
+     * ### verifyRanking
+     *
+     * Verifies the current ranking
+     *
+     * If `requiredChoice` is set, at least one choice must have been
+     * moved. If `correctChoice` is set, the top choices must match
+     * it in the same order.
+     *
+     * @param {ChoiceTable} that This instance
+     * @param {boolean} markAttempt Optional. If TRUE, the current ranking
+     *   is added to the attempts array. Default: TRUE
+     *
+     * @return {boolean|null} TRUE if current ranking is correct,
+     *   FALSE if it is not correct, or NULL if no check is set
+     *
+     * @see ChoiceTable.verifyChoice
+     */
+    function verifyRanking(that, markAttempt) {
+        var i, len;
+        if (that.requiredChoice !== null && !that.numberOfMoves) return false;
+        if (that.correctChoice === null) {
+            return that.requiredChoice !== null ? true : null;
+        }
+        len = that.correctChoice.length;
+        if ('undefined' === typeof markAttempt || markAttempt) {
+            that.attempts.push(that.order.slice(0, len));
+        }
+        i = -1;
+        for ( ; ++i < len ; ) {
+            if (that.order[i] !== that.correctChoice[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * ### setRankingValues
+     *
+     * Sets the ranking as specified by the options of setValues
+     *
+     * The ranking can be the correct one (option `correct`), as
+     * specified by the array of choices in option `values`, or random.
+     * Choices not specified keep their relative order after those
+     * specified.
+     *
+     * @param {ChoiceTable} that This instance
+     * @param {object} options The options of setValues
+     *
+     * @see ChoiceTable.setValues
+     */
+    function setRankingValues(that, options) {
+        var values, i, len;
+        if (options.correct && that.correctChoice !== null) {
+            values = that.correctChoice;
+        }
+        else if ('undefined' !== typeof options.values) {
+            values = J.isArray(options.values) ?
+                options.values : [ options.values ];
+        }
+        else {
+            values = J.shuffle(that.order);
+        }
+        i = -1, len = values.length;
+        for ( ; ++i < len ; ) {
+            that.moveChoice(values[i], i);
+        }
+    }
+
     /**
      * ### createTR
      *
@@ -2023,10 +2767,16 @@
      * @see ChoiceTable.renderChoice
      */
     function getValueFromChoice(choice, display) {
+        var src;
         if ('string' === typeof choice || 'number' === typeof choice) {
             return choice;
         }
         if (J.isArray(choice)) return choice[display ? 1 : 0];
+        if (isMediaChoice(choice)) {
+            src = choice.img || choice.audio || choice.video;
+            if (display) return choice.caption || choice.alt || src;
+            return 'undefined' === typeof choice.value ? src : choice.value;
+        }
         if ('object' === typeof choice) {
             return choice[ display ? 'display' : 'value' ];
         }
@@ -17,7 +17,7 @@
 
     // ## Meta-data
 
-    ChoiceTableGroup.version = '1.8.0';
+    ChoiceTableGroup.version = '1.10.0';
     ChoiceTableGroup.description = 'Groups together and manages sets of ' +
         'ChoiceTable widgets.';
 
@@ -117,6 +117,13 @@
             name = value[0];
             value = value[1];
 
+            // In a matrix with columns, the cell is handled by its own table.
+            if (that.columns) {
+                item = that.cellsById[name];
+                if (item) item.listener(e);
+                return;
+            }
+
             item = that.itemsById[name];
 
             // Not a clickable cell.
@@ -153,6 +160,8 @@
                 value = parseInt(value, 10);
                 that.onclick.call(that, name, value, removed, td);
             }
+
+            that.emit('changed', name, parseInt(value, 10), !!removed);
         };
 
         /**
@@ -330,6 +339,38 @@
         */
         this.header = null;
 
+        /**
+         * ### ChoiceTableGroup.columns
+         *
+         * The columns of a matrix with mixed input types, if any
+         *
+         * Each column is an object with properties `id`, `type`, and
+         * `header`, and the options for the widget of each cell. Available
+         * types are:
+         *
+         *   - radio: a ChoiceTable with the given `choices`
+         *   - checkbox: a ChoiceTable with the given `choices`, where
+         *       multiple choices can be selected
+         *   - dropdown: a Dropdown with the given `choices`
+         *   - any type of CustomInput (e.g., 'number', 'int', 'text')
+         *
+         * If set, each item is a row containing one widget for each column.
+         *
+         * @see ChoiceTableGroup.cellsById
+         */
+        this.columns = null;
+
+        /**
+         * ### ChoiceTableGroup.cellsById
+         *
+         * Map of the ids of the widgets in each cell of a matrix to widgets
+         *
+         * The id of each widget is: item id + '_' + column id.
+         *
+         * @see ChoiceTableGroup.columns
+         */
+        this.cellsById = {};
+
         // Options passed to each individual item.
 
         /**
@@ -444,6 +485,8 @@
      *       or FALSE, to measure absolute time for current choice
      *   - tabbable: if TRUE, each cell can be reached with TAB and clicked
      *       with SPACE or ENTER. Default: TRUE.
+     *   - columns: array of columns for a matrix with mixed input types.
+     *       See `ChoiceTableGroup.columns`. Orientation must be horizontal.
      *
      * @param {object} opts Configuration options
      */
@@ -641,7 +684,11 @@
         this.freeText = 'string' === typeof opts.freeText ?
             opts.freeText : !!opts.freeText;
 
-        if (opts.header) {
+        if ('undefined' !== typeof opts.columns) {
+            this.columns = checkColumns(this, opts.columns);
+        }
+
+        if (opts.header && !this.columns) {
             if (!J.isArray(opts.header) ||
                 opts.header.length !== opts.choices.length) {
 
@@ -712,7 +759,10 @@
 
         H = this.orientation === 'H';
         i = -1, len = this.itemsSettings.length;
-        if (H) {
+        if (this.columns) {
+            buildMatrix(this);
+        }
+        else if (H) {
 
             if (this.header) {
                 tr = W.add('tr', this.table);
@@ -922,6 +972,7 @@
         this.table.removeEventListener('click', this.listener);
         // Remove listener to make cells clickable with the keyboard.
         if (this.tabbable) J.makeClickable(this.table, false);
+        if (this.columns) toggleInputCells(this, 'disable');
         this.emit('disabled');
     };
 
@@ -939,6 +990,7 @@
         this.table.addEventListener('click', this.listener);
         // Add listener to make cells clickable with the keyboard.
         if (this.tabbable) J.makeClickable(this.table);
+        if (this.columns) toggleInputCells(this, 'enable');
         this.emit('enabled');
     };
 
@@ -964,7 +1016,14 @@
         markAttempt = 'undefined' === typeof markAttempt ? true : markAttempt;
         i = -1, len = this.items.length;
         for ( ; ++i < len ; ) {
-            out[this.items[i].id] = this.items[i].verifyChoice(markAttempt);
+            if (this.columns) {
+                out[this.items[i].id] =
+                    verifyRow(this, this.items[i], markAttempt);
+            }
+            else {
+                out[this.items[i].id] =
+                    this.items[i].verifyChoice(markAttempt);
+            }
         }
         return out;
     };
@@ -1004,6 +1063,7 @@
      */
     ChoiceTableGroup.prototype.unsetCurrentChoice = function(choice) {
         var i, len;
+        if (this.columns) return;
         i = -1, len = this.items.length;
         for ( ; ++i < len ; ) {
             this.items[i].unsetCurrentChoice(choice);
@@ -1064,6 +1124,18 @@
      *       then it resets the state of all items before
      *       returning it. Default: FALSE.
      *
+     * If `columns` are set, `items` contains for each item an object
+     * with the values of the widget in each column, and `values`
+     * contains for each item an object with the value of each column:
+     *
+     * ```
+     *  {
+     *      items: { product1: { rating: { ... }, price: { ... } } },
+     *      values: { product1: { rating: 4, price: 12 } },
+     *      ...
+     *  }
+     * ```
+     *
      * @return {object} Object containing the choice and paradata
      *
      * @see ChoiceTableGroup.verifyChoice
@@ -1082,9 +1154,14 @@
         // Make sure reset is done only at the end.
         toReset = opts.reset;
         opts.reset = false;
+        if (this.columns) obj.values = {};
         i = -1, len = this.items.length;
         for ( ; ++i < len ; ) {
             tbl = this.items[i];
+            if (this.columns) {
+                if (getRowValues(this, tbl, opts, obj)) toHighlight = true;
+                continue;
+            }
             obj.items[tbl.id] = tbl.getValues(opts);
             if (obj.items[tbl.id].choice === null) {
                 obj.missValues = true;
@@ -1147,7 +1224,8 @@
         opts = opts || {};
         i = -1, len = this.items.length;
         for ( ; ++i < len ; ) {
-            this.items[i].setValues(opts);
+            if (this.columns) forEachCell(this.items[i], 'setValues', opts);
+            else this.items[i].setValues(opts);
         }
 
         // Make a random comment.
@@ -1170,7 +1248,8 @@
         opts = opts || {};
         i = -1, len = this.items.length;
         for ( ; ++i < len ; ) {
-            this.items[i].reset(opts);
+            if (this.columns) forEachCell(this.items[i], 'reset', opts);
+            else this.items[i].reset(opts);
         }
         // Delete textarea, if found.
         if (this.textarea) this.textarea.value = '';
@@ -1312,6 +1391,8 @@
         var ct, s, idx;
         idx = that.order[i];
         s = mixinSettings(that, that.itemsSettings[idx], i);
+        // Paradata are collected by the group.
+        if ('undefined' === typeof s.paradata) s.paradata = false;
         ct = node.widgets.get('ChoiceTable', s);
         if (that.itemsById[ct.id]) {
             throw new Error('ChoiceTableGroup.buildTable: an item ' +
@@ -1327,6 +1408,331 @@
         return ct;
     }
 
+    /**
+     * ### checkColumns
+     *
+     * Validates the columns of a matrix with mixed input types
+     *
+     * @param {ChoiceTableGroup} that This instance
+     * @param {array} columns The columns to validate
+     *
+     * @return {array} The validated columns
+     *
+     * @see ChoiceTableGroup.columns
+     */
+    function checkColumns(that, columns) {
+        var i, len, c, ids;
+        if (!J.isArray(columns) || !columns.length) {
+            throw new TypeError('ChoiceTableGroup.init: columns must be ' +
+                                'a non-empty array or undefined. Found: ' +
+                                columns);
+        }
+        if (that.orientation !== 'H') {
+            throw new Error('ChoiceTableGroup.init: columns require ' +
+                            'horizontal orientation');
+        }
+        ids = {};
+        i = -1, len = columns.length;
+        for ( ; ++i < len ; ) {
+            c = columns[i];
+            if ('object' !== typeof c || !c) {
+                throw new TypeError('ChoiceTableGroup.init: each column ' +
+                                    'must be object. Found: ' + c);
+            }
+            if ('string' !== typeof c.id || c.id.trim() === '') {
+                throw new TypeError('ChoiceTableGroup.init: column id must ' +
+                                    'be a non-empty string. Found: ' + c.id);
+            }
+            if (ids[c.id]) {
+                throw new Error('ChoiceTableGroup.init: duplicated ' +
+                                'column id: ' + c.id);
+            }
+            ids[c.id] = true;
+            if ('string' !== typeof c.type) {
+                throw new TypeError('ChoiceTableGroup.init: column type ' +
+                                    'must be string. Found: ' + c.type);
+            }
+            if ((c.type === 'radio' || c.type === 'checkbox' ||
+                 c.type === 'dropdown') &&
+                (!J.isArray(c.choices) || !c.choices.length)) {
+
+                throw new TypeError('ChoiceTableGroup.init: column "' +
+                                    c.id + '" of type ' + c.type + ' ' +
+                                    'requires a non-empty array of choices');
+            }
+        }
+        return columns;
+    }
+
+    /**
+     * ### buildMatrix
+     *
+     * Builds a matrix with a row for each item and mixed-type columns
+     *
+     * @param {ChoiceTableGroup} that This instance
+     *
+     * @see ChoiceTableGroup.columns
+     * @see getMatrixCell
+     */
+    function buildMatrix(that) {
+        var i, len, j, lenJ, tr, td, s, idx, row, col;
+
+        // Header with the name of the columns.
+        tr = W.add('tr', that.table);
+        W.add('td', tr, { className: 'header' });
+        j = -1, lenJ = that.columns.length;
+        for ( ; ++j < lenJ ; ) {
+            col = that.columns[j];
+            td = W.add('td', tr, {
+                innerHTML: 'undefined' === typeof col.header ?
+                    col.id : col.header,
+                className: 'header'
+            });
+            if (col.type === 'radio' || col.type === 'checkbox') {
+                td.colSpan = col.choices.length;
+            }
+        }
+
+        i = -1, len = that.itemsSettings.length;
+        for ( ; ++i < len ; ) {
+            idx = that.order[i];
+            s = that.itemsSettings[idx];
+            if ('string' === typeof s) s = { id: s };
+            else if (J.isArray(s)) s = { id: s[0], left: s[1] };
+            if ('object' !== typeof s || 'string' !== typeof s.id) {
+                throw new TypeError('ChoiceTableGroup.buildTable: item must ' +
+                                    'be string, array, or object with an ' +
+                                    'id. Found: ' + s);
+            }
+            if (that.itemsById[s.id]) {
+                throw new Error('ChoiceTableGroup.buildTable: an item ' +
+                                'with the same id already exists: ' + s.id);
+            }
+
+            tr = createTR(that, s.id);
+            row = {
+                id: s.id,
+                groupOrder: i+1,
+                cells: {},
+                leftCell: W.add('td', tr, {
+                    innerHTML: 'undefined' === typeof s.left ? s.id : s.left,
+                    className: 'choicetable-left'
+                })
+            };
+            j = -1;
+            for ( ; ++j < lenJ ; ) {
+                getMatrixCell(that, row, that.columns[j], tr);
+            }
+
+            that.itemsById[row.id] = row;
+            that.items[idx] = row;
+            that.itemsMap[row.id] = idx;
+        }
+    }
+
+    /**
+     * ### getMatrixCell
+     *
+     * Creates the widget of an item in a column, and appends it to a row
+     *
+     * @param {ChoiceTableGroup} that This instance
+     * @param {object} row The item
+     * @param {object} col The column
+     * @param {HTMLElement} tr The TR element of the row
+     *
+     * @return {Widget} The widget
+     *
+     * @see buildMatrix
+     */
+    function getMatrixCell(that, row, col, tr) {
+        var s, w, i, len, cell, name, isCT;
+
+        s = J.mixin({}, col);
+        delete s.type;
+        delete s.header;
+        s.id = row.id + '_' + col.id;
+        s.title = false;
+        s.panel = false;
+        s.listeners = false;
+        s.storeRef = false;
+        // Paradata are collected by the group.
+        s.paradata = false;
+        if ('undefined' === typeof s.timeFrom) s.timeFrom = that.timeFrom;
+
+        isCT = col.type === 'radio' || col.type === 'checkbox';
+        if (isCT) {
+            name = 'ChoiceTable';
+            if (col.type === 'checkbox' &&
+                'undefined' === typeof s.selectMultiple) {
+
+                s.selectMultiple = true;
+            }
+            s.orientation = 'H';
+            s.separator = that.separator;
+            if ('undefined' === typeof s.tabbable) s.tabbable = that.tabbable;
+        }
+        else if (col.type === 'dropdown') {
+            name = 'Dropdown';
+        }
+        else {
+            name = 'CustomInput';
+            s.type = col.type;
+        }
+
+        if (that.requiredChoice) {
+            if (name === 'CustomInput') {
+                if ('undefined' === typeof s.required) s.required = true;
+            }
+            else if ('undefined' === typeof s.requiredChoice) {
+                s.requiredChoice = name === 'Dropdown' ?
+                    true : that.requiredChoice;
+            }
+        }
+
+        if (isCT) {
+            w = node.widgets.get(name, s);
+            // Clicks are handled by the listener of the group.
+            i = -1, len = w.choicesCells.length;
+            for ( ; ++i < len ; ) {
+                cell = w.choicesCells[i];
+                tr.appendChild(cell);
+                that.choicesById[cell.id] = cell;
+            }
+        }
+        else {
+            w = node.widgets.append(name, W.add('td', tr), s);
+        }
+
+        w.on('changed', function() {
+            var args;
+            if (that.isHighlighted()) that.unhighlight();
+            args = [ 'changed', row.id, col.id ];
+            args = args.concat(Array.prototype.slice.call(arguments));
+            that.emit.apply(that, args);
+        });
+
+        row.cells[col.id] = w;
+        that.cellsById[w.id] = w;
+        return w;
+    }
+
+    /**
+     * ### getRowValues
+     *
+     * Adds the values of all the cells of an item to the values of the group
+     *
+     * @param {ChoiceTableGroup} that This instance
+     * @param {object} row The item
+     * @param {object} opts The options for getValues
+     * @param {object} obj The values of the group
+     *
+     * @return {boolean} TRUE, if the row contains an error
+     *
+     * @see ChoiceTableGroup.getValues
+     */
+    function getRowValues(that, row, opts, obj) {
+        var i, len, col, res, err;
+        obj.items[row.id] = {};
+        obj.values[row.id] = {};
+        i = -1, len = that.columns.length;
+        for ( ; ++i < len ; ) {
+            col = that.columns[i];
+            res = row.cells[col.id].getValues(opts);
+            obj.items[row.id][col.id] = res;
+            obj.values[row.id][col.id] = res.value;
+            if (res.value === null || res.value === '' ||
+                'undefined' === typeof res.value ||
+                (J.isArray(res.value) && !res.value.length)) {
+
+                obj.missValues = true;
+            }
+            if (res.isCorrect === false) {
+                obj.isCorrect = false;
+                err = true;
+            }
+        }
+        return err;
+    }
+
+    /**
+     * ### verifyRow
+     *
+     * Verifies the widgets of all the cells of an item
+     *
+     * @param {ChoiceTableGroup} that This instance
+     * @param {object} row The item
+     * @param {boolean} markAttempt If TRUE, the values are marked as an
+     *   attempt
+     *
+     * @return {object} The result of the verification for each column
+     *
+     * @see ChoiceTableGroup.verifyChoice
+     */
+    function verifyRow(that, row, markAttempt) {
+        var i, len, out, w;
+        out = {};
+        i = -1, len = that.columns.length;
+        for ( ; ++i < len ; ) {
+            w = row.cells[that.columns[i].id];
+            if ('function' === typeof w.verifyChoice) {
+                out[that.columns[i].id] = w.verifyChoice(markAttempt);
+            }
+            else {
+                out[that.columns[i].id] = w.getValues({
+                    markAttempt: markAttempt,
+                    highlight: false
+                }).isCorrect;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * ### forEachCell
+     *
+     * Calls a method on the widgets of all the cells of an item
+     *
+     * Widgets not implementing the method are skipped.
+     *
+     * @param {object} row The item
+     * @param {string} method The name of the method
+     * @param {mixed} param The parameter passed to the method
+     */
+    function forEachCell(row, method, param) {
+        var col;
+        for (col in row.cells) {
+            if (row.cells.hasOwnProperty(col) &&
+                'function' === typeof row.cells[col][method]) {
+
+                row.cells[col][method](param);
+            }
+        }
+    }
+
+    /**
+     * ### toggleInputCells
+     *
+     * Disables or enables the widgets in the cells of a matrix
+     *
+     * ChoiceTable cells are disabled by the listener of the group.
+     *
+     * @param {ChoiceTableGroup} that This instance
+     * @param {string} method Either 'disable' or 'enable'
+     */
+    function toggleInputCells(that, method) {
+        var i, len, j, lenJ, col;
+        i = -1, len = that.items.length;
+        for ( ; ++i < len ; ) {
+            j = -1, lenJ = that.columns.length;
+            for ( ; ++j < lenJ ; ) {
+                col = that.columns[j];
+                if (col.type !== 'radio' && col.type !== 'checkbox') {
+                    that.items[i].cells[col.id][method]();
+                }
+            }
+        }
+    }
+
     /**
      * ### createTR
      *
@@ -15,24 +15,21 @@
 
     // ## Meta-data
 
-    CustomInput.version = '0.12.0';
+    CustomInput.version = '0.16.0';
     CustomInput.description = 'Creates a configurable input form';
 
     CustomInput.title = false;
     CustomInput.panel = false;
     CustomInput.className = 'custominput';
 
-    CustomInput.types = {
-        text: true,
-        number: true,
-        'float': true,
-        'int': true,
-        date: true,
-        list: true,
-        us_city_state_zip: true,
-        us_state: true,
-        us_zip: true
-    };
+    /**
+     * ### CustomInput.types
+     *
+     * Map of available types of input
+     *
+     * @see CustomInput.addType
+     */
+    CustomInput.types = {};
 
     var sepNames = {
         ',': 'comma',
@@ -118,6 +115,359 @@
     var usStatesTerrLow;
     var usStatesTerrByAbbrLow;
 
+    // International formats of postal codes and phone numbers.
+    //
+    // Each country (ISO 3166-1 alpha-2 code) may define:
+    //
+    //   - name: the name of the country, used in error messages
+    //   - postal: an object with the regex validating the postal code
+    //       (after trimming, uppercasing, and collapsing white spaces),
+    //       an optional replacement string or function to normalize the
+    //       matched value, and an example
+    //   - phone: an object with the country calling code, the min and max
+    //       length of the national significant number, and the trunk
+    //       prefix to remove when dialing from abroad (if any)
+    //   - region: the label of the region item in addresses, if required
+    //
+    // Formats are simplified and validated offline.
+    var countries = {
+        AR: {
+            name: 'Argentina',
+            postal: { re: /^(\d{4}|[A-Z]\d{4}[A-Z]{3})$/, example: 'C1002AAP' },
+            phone: { cc: '54', min: 10, max: 11, trunk: '0' },
+            region: 'Province'
+        },
+        AT: {
+            name: 'Austria',
+            postal: { re: /^(\d{4})$/, example: '1010' },
+            phone: { cc: '43', min: 4, max: 13, trunk: '0' }
+        },
+        AU: {
+            name: 'Australia',
+            postal: { re: /^(\d{4})$/, example: '2000' },
+            phone: { cc: '61', min: 9, max: 9, trunk: '0' },
+            region: 'State'
+        },
+        BE: {
+            name: 'Belgium',
+            postal: { re: /^(\d{4})$/, example: '1000' },
+            phone: { cc: '32', min: 8, max: 9, trunk: '0' }
+        },
+        BG: {
+            name: 'Bulgaria',
+            postal: { re: /^(\d{4})$/, example: '1000' },
+            phone: { cc: '359', min: 8, max: 9, trunk: '0' }
+        },
+        BR: {
+            name: 'Brazil',
+            postal: { re: /^(\d{5})-? ?(\d{3})$/, fmt: '$1-$2',
+                      example: '01310-100' },
+            phone: { cc: '55', min: 10, max: 11, trunk: '0' },
+            region: 'State'
+        },
+        CA: {
+            name: 'Canada',
+            postal: {
+                re: new RegExp('^([ABCEGHJ-NPRSTVXY]\\d[ABCEGHJ-NPRSTV-Z]) ?' +
+                               '(\\d[ABCEGHJ-NPRSTV-Z]\\d)$'),
+                fmt: '$1 $2',
+                example: 'K1A 0B1'
+            },
+            phone: { cc: '1', min: 10, max: 10, trunk: '1' },
+            region: 'Province'
+        },
+        CH: {
+            name: 'Switzerland',
+            postal: { re: /^(\d{4})$/, example: '3003' },
+            phone: { cc: '41', min: 9, max: 9, trunk: '0' }
+        },
+        CN: {
+            name: 'China',
+            postal: { re: /^(\d{6})$/, example: '100000' },
+            phone: { cc: '86', min: 10, max: 11, trunk: '0' },
+            region: 'Province'
+        },
+        CY: {
+            name: 'Cyprus',
+            postal: { re: /^(\d{4})$/, example: '1010' },
+            phone: { cc: '357', min: 8, max: 8 }
+        },
+        CZ: {
+            name: 'Czech Republic',
+            postal: { re: /^(\d{3}) ?(\d{2})$/, fmt: '$1 $2',
+                      example: '110 00' },
+            phone: { cc: '420', min: 9, max: 9 }
+        },
+        DE: {
+            name: 'Germany',
+            postal: { re: /^(\d{5})$/, example: '10117' },
+            phone: { cc: '49', min: 6, max: 13, trunk: '0' }
+        },
+        DK: {
+            name: 'Denmark',
+            postal: { re: /^(\d{4})$/, example: '1050' },
+            phone: { cc: '45', min: 8, max: 8 }
+        },
+        EE: {
+            name: 'Estonia',
+            postal: { re: /^(\d{5})$/, example: '10111' },
+            phone: { cc: '372', min: 7, max: 8 }
+        },
+        ES: {
+            name: 'Spain',
+            postal: { re: /^(\d{5})$/, example: '28001' },
+            phone: { cc: '34', min: 9, max: 9 }
+        },
+        FI: {
+            name: 'Finland',
+            postal: { re: /^(\d{5})$/, example: '00100' },
+            phone: { cc: '358', min: 5, max: 12, trunk: '0' }
+        },
+        FR: {
+            name: 'France',
+            postal: { re: /^(\d{5})$/, example: '75001' },
+            phone: { cc: '33', min: 9, max: 9, trunk: '0' }
+        },
+        GB: {
+            name: 'United Kingdom',
+            postal: {
+                re: /^([A-Z]{1,2}\d[A-Z\d]?|GIR) ?(\d[A-Z]{2})$/,
+                fmt: '$1 $2',
+                example: 'SW1A 1AA'
+            },
+            phone: { cc: '44', min: 9, max: 10, trunk: '0' }
+        },
+        GR: {
+            name: 'Greece',
+            postal: { re: /^(\d{3}) ?(\d{2})$/, fmt: '$1 $2',
+                      example: '105 57' },
+            phone: { cc: '30', min: 10, max: 10 }
+        },
+        HK: {
+            name: 'Hong Kong',
+            phone: { cc: '852', min: 8, max: 8 }
+        },
+        HR: {
+            name: 'Croatia',
+            postal: { re: /^(\d{5})$/, example: '10000' },
+            phone: { cc: '385', min: 8, max: 9, trunk: '0' }
+        },
+        HU: {
+            name: 'Hungary',
+            postal: { re: /^(\d{4})$/, example: '1051' },
+            phone: { cc: '36', min: 8, max: 9, trunk: '06' }
+        },
+        ID: {
+            name: 'Indonesia',
+            postal: { re: /^(\d{5})$/, example: '10110' },
+            phone: { cc: '62', min: 8, max: 12, trunk: '0' },
+            region: 'Province'
+        },
+        IE: {
+            name: 'Ireland',
+            postal: {
+                re: /^([AC-FHKNPRTV-Y]\d{2}|D6W) ?([\dAC-FHKNPRTV-Y]{4})$/,
+                fmt: '$1 $2',
+                example: 'D02 X285'
+            },
+            phone: { cc: '353', min: 7, max: 9, trunk: '0' }
+        },
+        IL: {
+            name: 'Israel',
+            postal: { re: /^(\d{7})$/, example: '9100001' },
+            phone: { cc: '972', min: 8, max: 9, trunk: '0' }
+        },
+        IN: {
+            name: 'India',
+            postal: { re: /^(\d{3}) ?(\d{3})$/, fmt: '$1$2',
+                      example: '110001' },
+            phone: { cc: '91', min: 10, max: 10, trunk: '0' },
+            region: 'State'
+        },
+        IS: {
+            name: 'Iceland',
+            postal: { re: /^(\d{3})$/, example: '101' },
+            phone: { cc: '354', min: 7, max: 7 }
+        },
+        IT: {
+            name: 'Italy',
+            postal: { re: /^(\d{5})$/, example: '00184' },
+            phone: { cc: '39', min: 6, max: 11 }
+        },
+        JP: {
+            name: 'Japan',
+            postal: { re: /^(\d{3})-? ?(\d{4})$/, fmt: '$1-$2',
+                      example: '100-0001' },
+            phone: { cc: '81', min: 9, max: 10, trunk: '0' },
+            region: 'Prefecture'
+        },
+        KR: {
+            name: 'South Korea',
+            postal: { re: /^(\d{5})$/, example: '03051' },
+            phone: { cc: '82', min: 8, max: 10, trunk: '0' }
+        },
+        LT: {
+            name: 'Lithuania',
+            postal: { re: /^(?:LT)?-? ?(\d{5})$/, fmt: 'LT-$1',
+                      example: 'LT-01100' },
+            phone: { cc: '370', min: 8, max: 8, trunk: '8' }
+        },
+        LU: {
+            name: 'Luxembourg',
+            postal: { re: /^(?:L)?-? ?(\d{4})$/, fmt: 'L-$1',
+                      example: 'L-1111' },
+            phone: { cc: '352', min: 4, max: 11 }
+        },
+        LV: {
+            name: 'Latvia',
+            postal: { re: /^(?:LV)?-? ?(\d{4})$/, fmt: 'LV-$1',
+                      example: 'LV-1050' },
+            phone: { cc: '371', min: 8, max: 8 }
+        },
+        MT: {
+            name: 'Malta',
+            postal: { re: /^([A-Z]{3}) ?(\d{4})$/, fmt: '$1 $2',
+                      example: 'VLT 1117' },
+            phone: { cc: '356', min: 8, max: 8 }
+        },
+        MX: {
+            name: 'Mexico',
+            postal: { re: /^(\d{5})$/, example: '06000' },
+            phone: { cc: '52', min: 10, max: 10 },
+            region: 'State'
+        },
+        MY: {
+            name: 'Malaysia',
+            postal: { re: /^(\d{5})$/, example: '50050' },
+            phone: { cc: '60', min: 8, max: 10, trunk: '0' },
+            region: 'State'
+        },
+        NL: {
+            name: 'Netherlands',
+            postal: { re: /^(\d{4}) ?([A-Z]{2})$/, fmt: '$1 $2',
+                      example: '1012 JS' },
+            phone: { cc: '31', min: 9, max: 9, trunk: '0' }
+        },
+        NO: {
+            name: 'Norway',
+            postal: { re: /^(\d{4})$/, example: '0150' },
+            phone: { cc: '47', min: 8, max: 8 }
+        },
+        NZ: {
+            name: 'New Zealand',
+            postal: { re: /^(\d{4})$/, example: '6011' },
+            phone: { cc: '64', min: 8, max: 10, trunk: '0' }
+        },
+        PH: {
+            name: 'Philippines',
+            postal: { re: /^(\d{4})$/, example: '1000' },
+            phone: { cc: '63', min: 8, max: 10, trunk: '0' },
+            region: 'Province'
+        },
+        PL: {
+            name: 'Poland',
+            postal: { re: /^(\d{2})-? ?(\d{3})$/, fmt: '$1-$2',
+                      example: '00-950' },
+            phone: { cc: '48', min: 9, max: 9 }
+        },
+        PT: {
+            name: 'Portugal',
+            postal: { re: /^(\d{4})-? ?(\d{3})$/, fmt: '$1-$2',
+                      example: '1000-001' },
+            phone: { cc: '351', min: 9, max: 9 }
+        },
+        RO: {
+            name: 'Romania',
+            postal: { re: /^(\d{6})$/, example: '010011' },
+            phone: { cc: '40', min: 9, max: 9, trunk: '0' }
+        },
+        RU: {
+            name: 'Russia',
+            postal: { re: /^(\d{6})$/, example: '101000' },
+            phone: { cc: '7', min: 10, max: 10, trunk: '8' },
+            region: 'Region'
+        },
+        SE: {
+            name: 'Sweden',
+            postal: { re: /^(\d{3}) ?(\d{2})$/, fmt: '$1 $2',
+                      example: '111 52' },
+            phone: { cc: '46', min: 7, max: 9, trunk: '0' }
+        },
+        SG: {
+            name: 'Singapore',
+            postal: { re: /^(\d{6})$/, example: '018956' },
+            phone: { cc: '65', min: 8, max: 8 }
+        },
+        SI: {
+            name: 'Slovenia',
+            postal: { re: /^(?:SI)?-? ?(\d{4})$/, fmt: '$1',
+                      example: '1000' },
+            phone: { cc: '386', min: 8, max: 8, trunk: '0' }
+        },
+        SK: {
+            name: 'Slovakia',
+            postal: { re: /^(\d{3}) ?(\d{2})$/, fmt: '$1 $2',
+                      example: '811 01' },
+            phone: { cc: '421', min: 9, max: 9, trunk: '0' }
+        },
+        TH: {
+            name: 'Thailand',
+            postal: { re: /^(\d{5})$/, example: '10200' },
+            phone: { cc: '66', min: 8, max: 9, trunk: '0' },
+            region: 'Province'
+        },
+        TR: {
+            name: 'Turkey',
+            postal: { re: /^(\d{5})$/, example: '06100' },
+            phone: { cc: '90', min: 10, max: 10, trunk: '0' },
+            region: 'Province'
+        },
+        TW: {
+            name: 'Taiwan',
+            postal: { re: /^(\d{3}(?:\d{2,3})?)$/, example: '100' },
+            phone: { cc: '886', min: 8, max: 9, trunk: '0' }
+        },
+        UA: {
+            name: 'Ukraine',
+            postal: { re: /^(\d{5})$/, example: '01001' },
+            phone: { cc: '380', min: 9, max: 9, trunk: '0' }
+        },
+        US: {
+            name: 'United States',
+            postal: {
+                re: /^(\d{5})(?:-? ?(\d{4}))?$/,
+                fmt: function(m, zip, plus4) {
+                    return plus4 ? zip + '-' + plus4 : zip;
+                },
+                example: '20500'
+            },
+            phone: { cc: '1', min: 10, max: 10, trunk: '1' },
+            region: 'State'
+        },
+        VN: {
+            name: 'Vietnam',
+            postal: { re: /^(\d{6})$/, example: '100000' },
+            phone: { cc: '84', min: 9, max: 10, trunk: '0' },
+            region: 'Province'
+        },
+        ZA: {
+            name: 'South Africa',
+            postal: { re: /^(\d{4})$/, example: '0001' },
+            phone: { cc: '27', min: 9, max: 9, trunk: '0' }
+        }
+    };
+
+    // To be filled if requested: country calling code -> country codes.
+    var countriesByCC;
+
+    // Units accepted by the duration type (in seconds).
+    var durationUnits = {
+        d: 86400, day: 86400, days: 86400,
+        h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+        m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+        s: 1, sec: 1, secs: 1, second: 1, seconds: 1
+    };
+
     CustomInput.texts = {
         listErr: 'Check that there are no empty items; do not end with ' +
             'the separator',
@@ -134,51 +484,33 @@
         usStateAbbrErr: 'Not a valid state abbreviation (must be 2 characters)',
         usStateErr: 'Not a valid state (full name required)',
         usZipErr: 'Not a valid ZIP code (must be 5 digits)',
-        autoHint: function(w) {
-            var res, sep;
-            if (w.type === 'list') {
-                sep = sepNames[w.params.listSep] || w.params.listSep;
-                res = '(if more than one, separate with ' + sep + ')';
-            }
-            else if (w.type === 'us_state') {
-                res = w.params.abbr ? '(Use 2-letter abbreviation)' :
-                    '(Type the full name of the state)';
-            }
-            else if (w.type === 'us_zip') {
-                res = '(Use 5-digit ZIP code)';
-            }
-            else if (w.type === 'us_city_state_zip') {
-                sep = w.params.listSep;
-                res = '(Format: Town' + sep + ' State' + sep + ' ZIP code)';
-            }
-            else if (w.type === 'date') {
-                if (w.params.minDate && w.params.maxDate) {
-                    res = '(Must be between ' + w.params.minDate.str + ' and ' +
-                        w.params.maxDate.str + ')';
-                }
-                else if (w.params.minDate) {
-                    res = '(Must be after ' + w.params.minDate.str + ')';
-                }
-                else if (w.params.maxDate) {
-                    res = '(Must be before ' + w.params.maxDate.str + ')';
-                }
-                else {
-                    res = '(Format: ' + w.params.format + ')';
-                }
+        postalCodeErr: function(w) {
+            var c;
+            c = countries[w.params.country];
+            return 'Not a valid postal code for ' + c.name + ' (e.g., ' +
+                c.postal.example + ')';
+        },
+        phoneErr: function(w, param) {
+            if (param === 'country') {
+                return 'Phone number must be from ' +
+                    countries[w.params.country].name + ' (+' +
+                    countries[w.params.country].phone.cc + ')';
             }
-            else if (w.type === 'number' || w.type === 'int' ||
-                     w.type === 'float') {
-
-                if (w.params.min && w.params.max) {
-                    res = '(Must be between ' + w.params.min + ' and ' +
-                        w.params.max + ')';
-                }
-                else if (w.params.min) {
-                    res = '(Must be after ' + w.params.min + ')';
-                }
-                else if (w.params.max) {
-                    res = '(Must be before ' + w.params.max + ')';
-                }
+            if (param === 'prefix') {
+                return 'Phone number must start with the international ' +
+                    'prefix (e.g., +44)';
+            }
+            return 'Not a valid phone number';
+        },
+        addressErr: function(w) {
+            return 'Format: ' + getAddressItems(w).join(w.params.listSep + ' ');
+        },
+        autoHint: function(w) {
+            var res, type;
+            type = CustomInput.types[w.type];
+            if (type && type.hint) {
+                res = 'function' === typeof type.hint ?
+                    type.hint(w) : type.hint;
             }
             return w.required ? ((res || '') + ' *') : (res || false);
         },
@@ -237,6 +569,36 @@
             }
             return 'Must follow format ' + w.params.format;
         },
+        timeErr: function(w, param) {
+            if (param === 'invalid') return 'Time is invalid';
+            if (param === 'min') {
+                return 'Time must be after ' + w.params.minTime.str;
+            }
+            if (param === 'max') {
+                return 'Time must be before ' + w.params.maxTime.str;
+            }
+            return 'Must follow format ' + w.params.timeFormatStr;
+        },
+        datetimeErr: function(w, param) {
+            if (param === 'invalid') return 'Date or time is invalid';
+            if (param === 'min') {
+                return 'Must be after ' + w.params.minDate.str;
+            }
+            if (param === 'max') {
+                return 'Must be before ' + w.params.maxDate.str;
+            }
+            return 'Must follow format ' + w.params.format + ' ' +
+                w.params.timeFormatStr;
+        },
+        durationErr: function(w, param) {
+            if (param === 'min') {
+                return 'Must be at least ' + w.params.minDuration.str;
+            }
+            if (param === 'max') {
+                return 'Must be at most ' + w.params.maxDuration.str;
+            }
+            return 'Not a valid duration (e.g., 1h 30m)';
+        },
         emptyErr: 'Cannot be empty'
     };
 
@@ -468,7 +830,7 @@
      * @param {object} opts Configuration options
      */
     CustomInput.prototype.init = function(opts) {
-        var tmp, that, e, isText, setValues;
+        var tmp, that, e, type;
         that = this;
         e = 'CustomInput.init: ';
 
@@ -528,6 +890,10 @@
         else {
             this.type = 'text';
         }
+        type = CustomInput.types[this.type];
+
+        // Type-specific params, e.g., min and max, or date format.
+        if (type.init) type.init(this, opts);
 
         if (opts.validation) {
             if ('function' !== typeof opts.validation) {
@@ -537,553 +903,14 @@
             }
             tmp = opts.validation;
         }
-        else {
-            // Add default validations based on type.
-
-            if (this.type === 'number' || this.type === 'float' ||
-                this.type === 'int' || this.type === 'text') {
-
-                isText = this.type === 'text';
-
-                // Greater than.
-                if ('undefined' !== typeof opts.min) {
-                    tmp = J.isNumber(opts.min);
-                    if (false === tmp) {
-                        throw new TypeError(e + 'min must be number or ' +
-                                            'undefined. Found: ' + opts.min);
-                    }
-                    this.params.lower = opts.min;
-                    this.params.leq = true;
-                }
-                // Less than.
-                if ('undefined' !== typeof opts.max) {
-                    tmp = J.isNumber(opts.max);
-                    if (false === tmp) {
-                        throw new TypeError(e + 'max must be number or ' +
-                                            'undefined. Found: ' + opts.max);
-                    }
-                    this.params.upper = opts.max;
-                    this.params.ueq = true;
-                }
-
-                if (opts.strictlyGreater) this.params.leq = false;
-                if (opts.strictlyLess) this.params.ueq = false;
-
-                // Checks on both min and max.
-                if ('undefined' !== typeof this.params.lower &&
-                    'undefined' !== typeof this.params.upper) {
-
-                    if (this.params.lower > this.params.upper) {
-                        throw new TypeError(e + 'min cannot be greater ' +
-                                            'than max. Found: ' +
-                                            opts.min + '> ' + opts.max);
-                    }
-                    // Exact length.
-                    if (this.params.lower === this.params.upper) {
-                        if (!this.params.leq || !this.params.ueq) {
-
-                            throw new TypeError(e + 'min cannot be equal to ' +
-                                                'max when strictlyGreater or ' +
-                                                'strictlyLess are set. ' +
-                                                'Found: ' + opts.min);
-                        }
-                        if (this.type === 'int' || this.type === 'text') {
-                            if (J.isFloat(this.params.lower)) {
-
-
-                                throw new TypeError(e + 'min cannot be a ' +
-                                                    'floating point number ' +
-                                                    'and equal to ' +
-                                                    'max, when type ' +
-                                                    'is not "float". Found: ' +
-                                                    opts.min);
-                            }
-                        }
-                        // Store this to create better error strings.
-                        this.params.exactly = true;
-                    }
-                    else {
-                        // Store this to create better error strings.
-                        this.params.between = true;
-                    }
-                }
-
-                // Checks for text only.
-                if (isText) {
-
-                    this.params.noNumbers = opts.noNumbers;
-
-                    if ('undefined' !== typeof this.params.lower) {
-                        if (this.params.lower < 0) {
-                            throw new TypeError(e + 'min cannot be negative ' +
-                                                'when type is "text". Found: ' +
-                                                this.params.lower);
-                        }
-                        if (!this.params.leq) this.params.lower++;
-                    }
-                    if ('undefined' !== typeof this.params.upper) {
-                        if (this.params.upper < 0) {
-                            throw new TypeError(e + 'max cannot be negative ' +
-                                                'when type is "text". Found: ' +
-                                                this.params.upper);
-                        }
-                        if (!this.params.ueq) this.params.upper--;
-                    }
-
-                    tmp = function(value) {
-                        var len, p, out, err;
-                        p = that.params;
-                        len = value.length;
-                        out = { value: value };
-                        if (p.noNumbers && /\d/.test(value)) {
-                            err = that.getText('textErr', 'num');
-                        }
-                        else {
-                            if (p.exactly) {
-                                err = len !== p.lower;
-                            }
-                            else {
-                                if (('undefined' !== typeof p.lower &&
-                                     len < p.lower) ||
-                                    ('undefined' !== typeof p.upper &&
-                                     len > p.upper)) {
-
-                                    err = true;
-                                }
-                            }
-                            if (err) err = that.getText('textErr', len);
-                        }
-                        if (err) out.err = err;
-                        return out;
-                    };
-
-                    setValues = function() {
-                        var a, b;
-                        a = 'undefined' !== typeof that.params.lower ?
-                            (that.params.lower + 1) : 5;
-                        b = 'undefined' !== typeof that.params.upper ?
-                            that.params.upper : (a + 5);
-                        return J.randomString(J.randomInt(a, b));
-                    };
-                }
-                else {
-                    tmp = (function() {
-                        var cb;
-                        if (that.type === 'float') cb = J.isFloat;
-                        else if (that.type === 'int') cb = J.isInt;
-                        else cb = J.isNumber;
-                        return function(value) {
-                            var res, p;
-                            p = that.params;
-                            res = cb(value, p.lower, p.upper, p.leq, p.ueq);
-                            if (res !== false) return { value: res };
-                            return {
-                                value: value,
-                                err: that.getText('numericErr')
-                            };
-                        };
-                    })();
-
-                    setValues = function() {
-                        var p, a, b;
-                        p = that.params;
-                        if (that.type === 'float') return J.random();
-                        a = 0;
-                        if ('undefined' !== typeof p.lower) {
-                            a = p.leq ? (p.lower - 1) : p.lower;
-                        }
-                        if ('undefined' !== typeof p.upper) {
-                            b = p.ueq ? p.upper : (p.upper - 1);
-                        }
-                        else {
-                            b = 100 + a;
-                        }
-                        return J.randomInt(a, b);
-                    };
-                }
-
-                // Preset inputWidth.
-                if (this.params.upper) {
-                    if (this.params.upper < 10) this.inputWidth = '100px';
-                    else if (this.params.upper < 20) this.inputWidth = '200px';
-                }
-
-            }
-            else if (this.type === 'date') {
-                if ('undefined' !== typeof opts.format) {
-                    // TODO: use regex.
-                    if (opts.format !== 'mm-dd-yy' &&
-                        opts.format !== 'dd-mm-yy' &&
-                        opts.format !== 'mm-dd-yyyy' &&
-                        opts.format !== 'dd-mm-yyyy' &&
-                        opts.format !== 'mm.dd.yy' &&
-                        opts.format !== 'dd.mm.yy' &&
-                        opts.format !== 'mm.dd.yyyy' &&
-                        opts.format !== 'dd.mm.yyyy' &&
-                        opts.format !== 'mm/dd/yy' &&
-                        opts.format !== 'dd/mm/yy' &&
-                        opts.format !== 'mm/dd/yyyy' &&
-                        opts.format !== 'dd/mm/yyyy') {
-
-                        throw new Error(e + 'date format is invalid. Found: ' +
-                                        opts.format);
-                    }
-                    this.params.format = opts.format;
-                }
-                else {
-                    this.params.format = 'mm/dd/yyyy';
-                }
-
-                this.params.sep = this.params.format.charAt(2);
-                tmp = this.params.format.split(this.params.sep);
-                this.params.yearDigits = tmp[2].length;
-                this.params.dayPos = tmp[0].charAt(0) === 'd' ? 0 : 1;
-                this.params.monthPos =  this.params.dayPos ? 0 : 1;
-                this.params.dateLen = tmp[2].length + 6;
-                if (opts.minDate) {
-                    tmp = getParsedDate(opts.minDate, this.params);
-                    if (!tmp) {
-                        throw new Error(e + 'minDate must be a Date object. ' +
-                                        'Found: ' + opts.minDate);
-                    }
-                    this.params.minDate = tmp;
-                }
-                if (opts.maxDate) {
-                    tmp = getParsedDate(opts.maxDate, this.params);
-                    if (!tmp) {
-                        throw new Error(e + 'maxDate must be a Date object. ' +
-                                        'Found: ' + opts.maxDate);
-                    }
-                    if (this.params.minDate &&
-                        this.params.minDate.obj > tmp.obj) {
-
-                        throw new Error(e + 'maxDate cannot be prior to ' +
-                                        'minDate. Found: ' + tmp.str +
-                                        ' < ' + this.params.minDate.str);
-                    }
-                    this.params.maxDate = tmp;
-                }
-
-                // Preset inputWidth.
-                if (this.params.yearDigits === 2) this.inputWidth = '100px';
-                else this.inputWidth = '150px';
-
-                // Preset placeholder.
-                this.placeholder = this.params.format;
-
-                tmp = function(value) {
-                    var p, tokens, tmp, res, dayNum, l1, l2;
-                    p = that.params;
-
-                    // Is the format valid.
-
-                    tokens = value.split(p.sep);
-                    if (tokens.length !== 3) {
-                        return { err: that.getText('dateErr') };
-                    }
-
-                    // Year.
-                    if (tokens[2].length !== p.yearDigits) {
-                        return { err: that.getText('dateErr') };
-                    }
-
-                    // Now we check if the date is valid.
-
-                    res = {};
-                    if (p.yearDigits === 2) {
-                        l1 = -1;
-                        l2 = 100;
-                    }
-                    else {
-                        l1 = -1;
-                        l2 = 10000;
-                    }
-                    tmp = J.isInt(tokens[2], l1, l2);
-                    if (tmp !== false) res.year = tmp;
-                    else res.err = true;
-
-                    // Month.
-                    tmp = J.isInt(tokens[p.monthPos], 1, 12, 1, 1);
-                    if (!tmp) res.err = true;
-                    else res.month = tmp;
-                    // 31 or 30 days?
-                    if (tmp === 1 || tmp === 3 || tmp === 5 || tmp === 7 ||
-                        tmp === 8 || tmp === 10 || tmp === 12) {
-
-                        dayNum = 31;
-                    }
-                    else if (tmp !== 2) {
-                        dayNum = 30;
-                    }
-                    else {
-                        // Is it leap year?
-                        dayNum = (res.year % 4 === 0 && res.year % 100 !== 0) ||
-                            res.year % 400 === 0 ? 29 : 28;
-                    }
-                    res.month = tmp;
-                    // Day.
-                    tmp = J.isInt(tokens[p.dayPos], 1, dayNum, 1, 1);
-                    if (!tmp) res.err = true;
-                    else res.day = tmp;
-
-                    if (res.err) {
-                        res.err = that.getText('dateErr', 'invalid');
-                    }
-                    else if (p.minDate || p.maxDate) {
-                        tmp = new Date(value);
-                        if (p.minDate.obj && p.minDate.obj > tmp) {
-                            res.err = that.getText('dateErr', 'min');
-                        }
-                        else if (p.maxDate.obj && p.maxDate.obj < tmp) {
-                            res.err = that.getText('dateErr', 'max');
-                        }
-                    }
-                    if (!res.err) {
-                        res.value = value;
-                        res = { value: res };
-                    }
-                    return res;
-                };
-
-                setValues = function() {
-                    var p, minD, maxD, d, day, month, year;
-                    p = that.params;
-                    minD = p.minDate ? p.minDate.obj : new Date('01/01/1900');
-                    maxD = p.maxDate ? p.maxDate.obj : undefined;
-                    d = J.randomDate(minD, maxD);
-                    day = d.getDate();
-                    month = (d.getMonth() + 1);
-                    year = d.getFullYear();
-                    if (p.yearDigits === 2) year = ('' + year).substr(2);
-                    if (p.monthPos === 0) d = month + p.sep + day;
-                    else d = day + p.sep + month;
-                    d += p.sep + year;
-                    return d;
-                };
-            }
-            else if (this.type === 'us_state') {
-                if (opts.abbreviation) {
-                    this.params.abbr = true;
-                    this.inputWidth = '100px';
-                }
-                else {
-                    this.inputWidth = '200px';
-                }
-                if (opts.territories !== false) {
-                    this.terr = true;
-                    if (this.params.abbr) {
-                        tmp = getUsStatesList('usStatesTerrByAbbrLow');
-                    }
-                    else {
-                        tmp = getUsStatesList('usStatesTerrLow');
-                    }
-                }
-                else {
-                    if (this.params.abbr) {
-                        tmp = getUsStatesList('usStatesByAbbrLow');
-                    }
-                    else {
-                        tmp = getUsStatesList('usStatesLow');
-                    }
-                }
-                this.params.usStateVal = tmp;
-
-                tmp = function(value) {
-                    var res;
-                    res = { value: value };
-                    if (!that.params.usStateVal[value.toLowerCase()]) {
-                        res.err = that.getText('usStateErr');
-                    }
-                    return res;
-                };
-
-                setValues = function() {
-                    return J.randomKey(that.params.usStateVal);
-                };
-
-            }
-            else if (this.type === 'us_zip') {
-                tmp = function(value) {
-                    var res;
-                    res = { value: value };
-                    if (!isValidUSZip(value)) {
-                        res.err = that.getText('usZipErr');
-                    }
-                    return res;
-                };
-
-                setValues = function() {
-                    return Math.floor(Math.random()*90000) + 10000;
-                };
-            }
-
-            // Lists.
-
-            else if (this.type === 'list' ||
-                     this.type === 'us_city_state_zip') {
-
-                if (opts.listSeparator) {
-                    if ('string' !== typeof opts.listSeparator) {
-                        throw new TypeError(e + 'listSeparator must be ' +
-                                            'string or undefined. Found: ' +
-                                            opts.listSeperator);
-                    }
-                    this.params.listSep = opts.listSeparator;
-                }
-                else {
-                    this.params.listSep = ',';
-                }
-
-                if (this.type === 'us_city_state_zip') {
-
-                    getUsStatesList('usStatesTerrByAbbr');
-                    this.params.minItems = this.params.maxItems = 3;
-                    this.params.fixedSize = true;
-                    this.params.itemValidation = function(item, idx) {
-                        if (idx === 2) {
-                            if (!usStatesTerrByAbbr[item.toUpperCase()]) {
-                                return { err: that.getText('usStateAbbrErr') };
-                            }
-                        }
-                        else if (idx === 3) {
-                            if (!isValidUSZip(item)) {
-                                return { err: that.getText('usZipErr') };
-                            }
-                        }
-                    };
-
-                    this.placeholder = 'Town' + this.params.listSep +
-                        ' State' + this.params.listSep + ' ZIP';
-                }
-                else {
-                    if ('undefined' !== typeof opts.minItems) {
-                        tmp = J.isInt(opts.minItems, 0);
-                        if (tmp === false) {
-                            throw new TypeError(e + 'minItems must be ' +
-                                                'a positive integer. Found: ' +
-                                                opts.minItems);
-                        }
-                        this.params.minItems = tmp;
-                    }
-                    else if (this.required) {
-                        this.params.minItems = 1;
-                    }
-                    if ('undefined' !== typeof opts.maxItems) {
-                        tmp = J.isInt(opts.maxItems, 0);
-                        if (tmp === false) {
-                            throw new TypeError(e + 'maxItems must be ' +
-                                                'a positive integer. Found: ' +
-                                                opts.maxItems);
-                        }
-                        if (this.params.minItems &&
-                            this.params.minItems > tmp) {
-
-                            throw new TypeError(e + 'maxItems must be larger ' +
-                                                'than minItems. Found: ' +
-                                                tmp + ' < ' +
-                                                this.params.minItems);
-                        }
-                        this.params.maxItems = tmp;
-                    }
-                }
-
-                tmp = function(value) {
-                    var i, len, v, iVal, err;
-                    value = value.split(that.params.listSep);
-                    len = value.length;
-                    if (!len) return value;
-                    iVal = that.params.itemValidation;
-                    i = 0;
-                    v = value[0].trim();
-                    if (!v) return { err: that.getText('listErr') };
-                    if (iVal) {
-                        err = iVal(v, 1);
-                        if (err) return err;
-                    }
-                    value[i++] = v;
-                    if (len > 1) {
-                        v = value[1].trim();
-                        if (!v) return { err: that.getText('listErr') };
-                        if (iVal) {
-                            err = iVal(v, (i+1));
-                            if (err) return err;
-                        }
-                        value[i++] = v;
-                    }
-                    if (len > 2) {
-                        v = value[2].trim();
-                        if (!v) return { err: that.getText('listErr') };
-                        if (iVal) {
-                            err = iVal(v, (i+1));
-                            if (err) return err;
-                        }
-                        value[i++] = v;
-                    }
-                    if (len > 3) {
-                        for ( ; i < len ; ) {
-                            v = value[i].trim();
-                            if (!v) return { err: that.getText('listErr') };
-                            if (iVal) {
-                                err = iVal(v, (i+1));
-                                if (err) return err;
-                            }
-                            value[i++] = v;
-                        }
-                    }
-                    // Need to do it here, because some elements might be empty.
-                    if (that.params.minItems && i < that.params.minItems) {
-                        return { err: that.getText('listSizeErr', 'min') };
-                    }
-                    if (that.params.maxItems && i > that.params.maxItems) {
-                        return { err: that.getText('listSizeErr', 'max') };
-                    }
-                    return { value: value };
-                };
-
-                if (this.type === 'us_city_state_zip') {
-                    setValues = function() {
-                        var sep;
-                        sep = that.params.listSep + ' ';
-                        return J.randomString(8) + sep +
-                            J.randomKey(usStatesTerrByAbbr) + sep +
-                            (Math.floor(Math.random()*90000) + 10000);
-                    };
-                }
-                else {
-                    setValues = function(opts) {
-                        var p, minItems, nItems, i, str, sample;
-                        p = that.params;
-                        minItems = p.minItems || 0;
-                        if (opts.availableValues) {
-                            nItems = J.randomInt(minItems,
-                                                 opts.availableValues.length);
-                            nItems--;
-                            sample = J.sample(0, (nItems-1));
-                        }
-                        else {
-                            nItems = J.randomInt(minItems,
-                                                 p.maxItems || (minItems + 5));
-                            nItems--;
-                        }
-                        str = '';
-                        for (i = 0; i < nItems; i++) {
-                            if (i !== 0) str += p.listSep + ' ';
-                            if (sample) str += opts.availableValues[sample[i]];
-                            else str += J.randomString(J.randomInt(3,10));
-                        }
-                        return str;
-                    };
-                }
-
-            }
-
-            // US_Town,State, Zip Code
-
-            // TODO: add other types, e.g., email.
+        else if (type.validation) {
+            tmp = function(value) {
+                return type.validation(value, that);
+            };
         }
 
         // Variable tmp contains a validation function, either from
-        // defaults, or from user option.
+        // the type, or from user option.
 
         this.validation = function(value) {
             var res;
@@ -1098,7 +925,11 @@
             return res;
         };
 
-        this._setValues = setValues;
+        if (type.setValues) {
+            this._setValues = function(opts) {
+                return type.setValues(that, opts);
+            };
+        }
 
         // Preprocess
 
@@ -1109,54 +940,10 @@
             }
             this.preprocess = opts.preprocess;
         }
-        else if (opts.preprocess !== false) {
-
-            if (this.type === 'date') {
-                this.preprocess = function(input) {
-                    var sep, len;
-                    len = input.value.length;
-                    sep = that.params.sep;
-                    if (len === 2) {
-                        if (input.selectionStart === 2) {
-                            if (input.value.charAt(1) !== sep) {
-                                input.value += sep;
-                            }
-                        }
-                    }
-                    else if (len === 5) {
-                        if (input.selectionStart === 5) {
-                            if (input.value.charAt(4) !== sep &&
-                                (input.value.split(sep).length - 1) === 1) {
-
-                                input.value += sep;
-                            }
-                        }
-                    }
-                    else if (len > this.params.dateLen) {
-                        input.value =
-                            input.value.substring(0, this.params.dateLen);
-                    }
-                };
-            }
-            else if (this.type === 'list' ||
-                     this.type === 'us_city_state_zip') {
-
-                // Add a space after separator, if separator is not space.
-                if (this.params.listSep.trim() !== '') {
-                    this.preprocess = function(input) {
-                        var sep, len;
-                        len = input.value.length;
-                        sep = that.params.listSep;
-                        if (len > 1 &&
-                            len === input.selectionStart &&
-                            input.value.charAt(len-1) === sep &&
-                            input.value.charAt(len-2) !== sep) {
-
-                            input.value += ' ';
-                        }
-                    };
-                }
-            }
+        else if (opts.preprocess !== false && type.preprocess) {
+            this.preprocess = function(input) {
+                type.preprocess(input, that);
+            };
         }
 
         // Postprocess.
@@ -1168,8 +955,10 @@
             }
             this.postprocess = opts.postprocess;
         }
-        else {
-            // Add postprocess as needed.
+        else if (type.postprocess) {
+            this.postprocess = function(value, valid) {
+                return type.postprocess(value, valid, that);
+            };
         }
 
         // Oninput.
@@ -1300,6 +1089,7 @@
                 }
                 // In case something else needs to be updated.
                 if (that.oninput) that.oninput(res, that);
+                that.emit('changed', that.input.value);
             }, that.validationSpeed);
         };
         this.input.onclick = function() {
@@ -1511,14 +1301,1533 @@
                 value = tmp[J.randomInt(0, tmp.length) -1];
             }
         }
-        else {
+        else if (this._setValues) {
             value = this._setValues(opts);
         }
+        else {
+            // Type does not define how to generate random values.
+            value = J.randomString(J.randomInt(3, 10));
+        }
         this.input.value = value;
         if (this.preprocess) this.preprocess(this.input);
     };
 
-    // ## Helper functions.
+    // ## Static methods
+
+    /**
+     * ### CustomInput.addType
+     *
+     * Registers a new type of input, or replaces an existing one
+     *
+     * A type is an object with the following optional properties:
+     *
+     *   - init: function(w, opts) evaluating type-specific options and
+     *       storing them in `w.params`, and possibly setting
+     *       `w.placeholder` and `w.inputWidth`
+     *   - validation: function(value, w) returning an object with the
+     *       validated `value`, and an `err` message if the value is invalid
+     *   - preprocess: function(input, w) modifying the input element
+     *       while the user is typing
+     *   - postprocess: function(value, valid, w) returning the value
+     *       to be returned by getValues
+     *   - hint: a string, or function(w) returning a string, displayed
+     *       as default hint (see `CustomInput.texts.autoHint`)
+     *   - setValues: function(w, opts) returning a random valid value
+     *   - texts: object of new texts (e.g., error messages) to add
+     *       to `CustomInput.texts`
+     *
+     * Validation functions should use `w.getText` to retrieve error
+     * messages, so that they can be customized.
+     *
+     *  ```
+     *     CustomInput.addType('email', {
+     *         validation: function(value, w) {
+     *             if (J.isEmail(value)) return { value: value };
+     *             return { value: value, err: w.getText('emailErr') };
+     *         },
+     *         hint: '(e.g., name@example.com)',
+     *         texts: { emailErr: 'Not a valid email' }
+     *     });
+     *  ```
+     *
+     * @param {string} name The name of the type
+     * @param {object} type The type definition
+     *
+     * @return {object} The registered type
+     *
+     * @see CustomInput.types
+     */
+    CustomInput.addType = function(name, type) {
+        var i, len, p, fields;
+        if ('string' !== typeof name || name.trim() === '') {
+            throw new TypeError('CustomInput.addType: name must be a ' +
+                                'non-empty string. Found: ' + name);
+        }
+        if ('object' !== typeof type || !type) {
+            throw new TypeError('CustomInput.addType: type must be ' +
+                                'object. Found: ' + type);
+        }
+        fields = [ 'init', 'validation', 'preprocess', 'postprocess',
+                   'setValues' ];
+        i = -1, len = fields.length;
+        for ( ; ++i < len ; ) {
+            p = type[fields[i]];
+            if ('undefined' !== typeof p && 'function' !== typeof p) {
+                throw new TypeError('CustomInput.addType: ' + fields[i] +
+                                    ' must be function or undefined. ' +
+                                    'Found: ' + p + ' (type "' + name + '")');
+            }
+        }
+        if ('undefined' !== typeof type.hint && false !== type.hint &&
+            'string' !== typeof type.hint && 'function' !== typeof type.hint) {
+
+            throw new TypeError('CustomInput.addType: hint must be string, ' +
+                                'function, false or undefined. Found: ' +
+                                type.hint + ' (type "' + name + '")');
+        }
+        if ('undefined' !== typeof type.texts) {
+            if ('object' !== typeof type.texts || !type.texts) {
+                throw new TypeError('CustomInput.addType: texts must be ' +
+                                    'object or undefined. Found: ' +
+                                    type.texts + ' (type "' + name + '")');
+            }
+            J.mixin(CustomInput.texts, type.texts);
+        }
+        CustomInput.types[name] = type;
+        return type;
+    };
+
+    // ## Built-in types
+
+    CustomInput.addType('text', {
+        init: function(w, opts) {
+            setMinMaxParams(w, opts);
+
+            w.params.noNumbers = opts.noNumbers;
+
+            if ('undefined' !== typeof w.params.lower) {
+                if (w.params.lower < 0) {
+                    throw new TypeError('CustomInput.init: min cannot be ' +
+                                        'negative when type is "text". ' +
+                                        'Found: ' + w.params.lower);
+                }
+                if (!w.params.leq) w.params.lower++;
+            }
+            if ('undefined' !== typeof w.params.upper) {
+                if (w.params.upper < 0) {
+                    throw new TypeError('CustomInput.init: max cannot be ' +
+                                        'negative when type is "text". ' +
+                                        'Found: ' + w.params.upper);
+                }
+                if (!w.params.ueq) w.params.upper--;
+            }
+
+            presetInputWidth(w);
+        },
+        validation: function(value, w) {
+            var len, p, out, err;
+            p = w.params;
+            len = value.length;
+            out = { value: value };
+            if (p.noNumbers && /\d/.test(value)) {
+                err = w.getText('textErr', 'num');
+            }
+            else {
+                if (p.exactly) {
+                    err = len !== p.lower;
+                }
+                else {
+                    if (('undefined' !== typeof p.lower &&
+                         len < p.lower) ||
+                        ('undefined' !== typeof p.upper &&
+                         len > p.upper)) {
+
+                        err = true;
+                    }
+                }
+                if (err) err = w.getText('textErr', len);
+            }
+            if (err) out.err = err;
+            return out;
+        },
+        setValues: function(w) {
+            var a, b;
+            a = 'undefined' !== typeof w.params.lower ?
+                (w.params.lower + 1) : 5;
+            b = 'undefined' !== typeof w.params.upper ?
+                w.params.upper : (a + 5);
+            return J.randomString(J.randomInt(a, b));
+        }
+    });
+
+    CustomInput.addType('number', getNumericType(J.isNumber));
+    CustomInput.addType('float', getNumericType(J.isFloat));
+    CustomInput.addType('int', getNumericType(J.isInt));
+
+    CustomInput.addType('date', {
+        init: function(w, opts) {
+            setDateFormat(w, opts);
+
+            // Preset inputWidth.
+            if (w.params.yearDigits === 2) w.inputWidth = '100px';
+            else w.inputWidth = '150px';
+
+            // Preset placeholder.
+            w.placeholder = w.params.format;
+        },
+        validation: function(value, w) {
+            var res, tmp;
+            res = parseDate(value, w.params);
+            if (res.err) {
+                res.err = w.getText('dateErr', res.err);
+                return res;
+            }
+            tmp = checkMinMax(getDateObj(res, w.params), w.params.minDate,
+                              w.params.maxDate);
+            if (tmp) {
+                res.err = w.getText('dateErr', tmp);
+                return res;
+            }
+            res.value = value;
+            return { value: res };
+        },
+        preprocess: function(input, w) {
+            preprocessDate(input, w);
+            if (input.value.length > w.params.dateLen) {
+                input.value = input.value.substring(0, w.params.dateLen);
+            }
+        },
+        hint: function(w) {
+            return getMinMaxHint(w.params.minDate, w.params.maxDate,
+                                 w.params.format);
+        },
+        setValues: function(w) {
+            var p, minD, maxD;
+            p = w.params;
+            minD = p.minDate ? p.minDate.obj : new Date('01/01/1900');
+            maxD = p.maxDate ? p.maxDate.obj : undefined;
+            return formatDate(J.randomDate(minD, maxD), p);
+        }
+    });
+
+    CustomInput.addType('time', {
+        init: function(w, opts) {
+            setTimeFormat(w, opts);
+            if ('undefined' !== typeof opts.minTime) {
+                w.params.minTime = getParsedTime(opts.minTime, w.params,
+                                                 'minTime');
+            }
+            if ('undefined' !== typeof opts.maxTime) {
+                w.params.maxTime = getParsedTime(opts.maxTime, w.params,
+                                                 'maxTime');
+                if (w.params.minTime &&
+                    w.params.minTime.obj > w.params.maxTime.obj) {
+
+                    throw new Error('CustomInput.init: maxTime cannot be ' +
+                                    'prior to minTime. Found: ' +
+                                    w.params.maxTime.str + ' < ' +
+                                    w.params.minTime.str);
+                }
+            }
+            w.inputWidth = '100px';
+            w.placeholder = w.params.timeFormatStr;
+        },
+        validation: function(value, w) {
+            var res, tmp;
+            res = parseTime(value, w.params);
+            if (res.err) {
+                res.err = w.getText('timeErr', res.err);
+                return res;
+            }
+            tmp = checkMinMax((res.hours * 60 + res.minutes),
+                              w.params.minTime, w.params.maxTime);
+            if (tmp) {
+                res.err = w.getText('timeErr', tmp);
+                return res;
+            }
+            res.value = value;
+            return { value: res };
+        },
+        hint: function(w) {
+            return getMinMaxHint(w.params.minTime, w.params.maxTime,
+                                 w.params.timeFormatStr);
+        },
+        setValues: function(w) {
+            var p, a, b;
+            p = w.params;
+            a = p.minTime ? p.minTime.obj : 0;
+            b = p.maxTime ? p.maxTime.obj : 1439;
+            return formatTime(J.randomInt(a - 1, b), p);
+        }
+    });
+
+    CustomInput.addType('datetime', {
+        init: function(w, opts) {
+            setDateFormat(w, opts);
+            setTimeFormat(w, opts, 'timeFormat');
+            // Add time to the string representation of min and max.
+            if (w.params.minDate) {
+                w.params.minDate.str += ' ' +
+                    formatTime(getMinutes(w.params.minDate.obj), w.params);
+            }
+            if (w.params.maxDate) {
+                w.params.maxDate.str += ' ' +
+                    formatTime(getMinutes(w.params.maxDate.obj), w.params);
+            }
+            w.inputWidth = w.params.yearDigits === 2 ? '200px' : '250px';
+            w.placeholder = w.params.format + ' ' + w.params.timeFormatStr;
+        },
+        validation: function(value, w) {
+            var res, time, idx, tmp;
+            value = value.trim();
+            idx = value.indexOf(' ');
+            if (idx === -1) return { err: w.getText('datetimeErr') };
+
+            res = parseDate(value.substring(0, idx), w.params);
+            if (res.err) {
+                res.err = w.getText('datetimeErr', res.err);
+                return res;
+            }
+            time = parseTime(value.substring(idx + 1), w.params);
+            if (time.err) {
+                time.err = w.getText('datetimeErr', time.err);
+                return time;
+            }
+            res.hours = time.hours;
+            res.minutes = time.minutes;
+            tmp = checkMinMax(getDateObj(res, w.params), w.params.minDate,
+                              w.params.maxDate);
+            if (tmp) {
+                res.err = w.getText('datetimeErr', tmp);
+                return res;
+            }
+            res.value = value;
+            return { value: res };
+        },
+        preprocess: preprocessDate,
+        hint: function(w) {
+            return getMinMaxHint(w.params.minDate, w.params.maxDate,
+                                 w.params.format + ' ' +
+                                 w.params.timeFormatStr);
+        },
+        setValues: function(w) {
+            var p, d, minD, maxD;
+            p = w.params;
+            minD = p.minDate ? p.minDate.obj : new Date('01/01/1900');
+            maxD = p.maxDate ? p.maxDate.obj : undefined;
+            d = J.randomDate(minD, maxD);
+            return formatDate(d, p) + ' ' + formatTime(getMinutes(d), p);
+        }
+    });
+
+    CustomInput.addType('duration', {
+        init: function(w, opts) {
+            var tmp;
+            if ('undefined' !== typeof opts.unit) {
+                if (!durationUnits[opts.unit]) {
+                    throw new TypeError('CustomInput.init: unit must be ' +
+                                        '"d", "h", "m", "s" or undefined. ' +
+                                        'Found: ' + opts.unit);
+                }
+                w.params.unit = durationUnits[opts.unit];
+            }
+            if ('undefined' !== typeof opts.min) {
+                tmp = getParsedDuration(opts.min, w.params, 'min');
+                w.params.minDuration = tmp;
+            }
+            if ('undefined' !== typeof opts.max) {
+                tmp = getParsedDuration(opts.max, w.params, 'max');
+                if (w.params.minDuration &&
+                    w.params.minDuration.obj > tmp.obj) {
+
+                    throw new Error('CustomInput.init: max cannot be ' +
+                                    'less than min. Found: ' + tmp.str +
+                                    ' < ' + w.params.minDuration.str);
+                }
+                w.params.maxDuration = tmp;
+            }
+            w.inputWidth = '150px';
+        },
+        validation: function(value, w) {
+            var res, tmp;
+            res = parseDuration(value, w.params);
+            if (res === false) {
+                return { value: value, err: w.getText('durationErr') };
+            }
+            tmp = checkMinMax(res, w.params.minDuration, w.params.maxDuration);
+            if (tmp) {
+                return { value: value, err: w.getText('durationErr', tmp) };
+            }
+            return { value: { seconds: res, value: value } };
+        },
+        hint: function(w) {
+            return getMinMaxHint(w.params.minDuration, w.params.maxDuration,
+                                 false) || '(e.g., 1h 30m)';
+        },
+        setValues: function(w) {
+            var p, a, b;
+            p = w.params;
+            a = p.minDuration ? p.minDuration.obj : 0;
+            b = p.maxDuration ? p.maxDuration.obj : 86400;
+            // Whole minutes, unless the range is too small.
+            if (b - a >= 60) {
+                a = Math.ceil(a / 60);
+                b = Math.floor(b / 60);
+                return formatDuration(J.randomInt(a - 1, b) * 60);
+            }
+            return formatDuration(J.randomInt(a - 1, b));
+        }
+    });
+
+    CustomInput.addType('us_state', {
+        init: function(w, opts) {
+            var tmp;
+            if (opts.abbreviation) {
+                w.params.abbr = true;
+                w.inputWidth = '100px';
+            }
+            else {
+                w.inputWidth = '200px';
+            }
+            if (opts.territories !== false) {
+                w.terr = true;
+                if (w.params.abbr) {
+                    tmp = getUsStatesList('usStatesTerrByAbbrLow');
+                }
+                else {
+                    tmp = getUsStatesList('usStatesTerrLow');
+                }
+            }
+            else {
+                if (w.params.abbr) {
+                    tmp = getUsStatesList('usStatesByAbbrLow');
+                }
+                else {
+                    tmp = getUsStatesList('usStatesLow');
+                }
+            }
+            w.params.usStateVal = tmp;
+        },
+        validation: function(value, w) {
+            var res;
+            res = { value: value };
+            if (!w.params.usStateVal[value.toLowerCase()]) {
+                res.err = w.getText('usStateErr');
+            }
+            return res;
+        },
+        hint: function(w) {
+            return w.params.abbr ? '(Use 2-letter abbreviation)' :
+                '(Type the full name of the state)';
+        },
+        setValues: function(w) {
+            return J.randomKey(w.params.usStateVal);
+        }
+    });
+
+    CustomInput.addType('us_zip', {
+        validation: function(value, w) {
+            var res;
+            res = { value: value };
+            if (!isValidUSZip(value)) {
+                res.err = w.getText('usZipErr');
+            }
+            return res;
+        },
+        hint: '(Use 5-digit ZIP code)',
+        setValues: function() {
+            return Math.floor(Math.random()*90000) + 10000;
+        }
+    });
+
+    // Lists.
+
+    CustomInput.addType('list', {
+        init: function(w, opts) {
+            var tmp;
+            setListSeparator(w, opts);
+            if ('undefined' !== typeof opts.minItems) {
+                tmp = J.isInt(opts.minItems, 0);
+                if (tmp === false) {
+                    throw new TypeError('CustomInput.init: minItems must ' +
+                                        'be a positive integer. Found: ' +
+                                        opts.minItems);
+                }
+                w.params.minItems = tmp;
+            }
+            else if (w.required) {
+                w.params.minItems = 1;
+            }
+            if ('undefined' !== typeof opts.maxItems) {
+                tmp = J.isInt(opts.maxItems, 0);
+                if (tmp === false) {
+                    throw new TypeError('CustomInput.init: maxItems must ' +
+                                        'be a positive integer. Found: ' +
+                                        opts.maxItems);
+                }
+                if (w.params.minItems && w.params.minItems > tmp) {
+                    throw new TypeError('CustomInput.init: maxItems must ' +
+                                        'be larger than minItems. Found: ' +
+                                        tmp + ' < ' + w.params.minItems);
+                }
+                w.params.maxItems = tmp;
+            }
+        },
+        validation: validateList,
+        preprocess: preprocessList,
+        hint: function(w) {
+            var sep;
+            sep = sepNames[w.params.listSep] || w.params.listSep;
+            return '(if more than one, separate with ' + sep + ')';
+        },
+        setValues: function(w, opts) {
+            var p, minItems, nItems, i, str, sample;
+            p = w.params;
+            minItems = p.minItems || 0;
+            if (opts.availableValues) {
+                nItems = J.randomInt(minItems,
+                                     opts.availableValues.length);
+                nItems--;
+                sample = J.sample(0, (nItems-1));
+            }
+            else {
+                nItems = J.randomInt(minItems,
+                                     p.maxItems || (minItems + 5));
+                nItems--;
+            }
+            str = '';
+            for (i = 0; i < nItems; i++) {
+                if (i !== 0) str += p.listSep + ' ';
+                if (sample) str += opts.availableValues[sample[i]];
+                else str += J.randomString(J.randomInt(3,10));
+            }
+            return str;
+        }
+    });
+
+    // US_Town,State, Zip Code
+
+    CustomInput.addType('us_city_state_zip', {
+        init: function(w, opts) {
+            setListSeparator(w, opts);
+            getUsStatesList('usStatesTerrByAbbr');
+            w.params.minItems = w.params.maxItems = 3;
+            w.params.fixedSize = true;
+            w.params.itemValidation = function(item, idx) {
+                if (idx === 2) {
+                    if (!usStatesTerrByAbbr[item.toUpperCase()]) {
+                        return { err: w.getText('usStateAbbrErr') };
+                    }
+                }
+                else if (idx === 3) {
+                    if (!isValidUSZip(item)) {
+                        return { err: w.getText('usZipErr') };
+                    }
+                }
+            };
+
+            w.placeholder = 'Town' + w.params.listSep +
+                ' State' + w.params.listSep + ' ZIP';
+        },
+        validation: validateList,
+        preprocess: preprocessList,
+        hint: function(w) {
+            var sep;
+            sep = w.params.listSep;
+            return '(Format: Town' + sep + ' State' + sep + ' ZIP code)';
+        },
+        setValues: function(w) {
+            var sep;
+            sep = w.params.listSep + ' ';
+            return J.randomString(8) + sep +
+                J.randomKey(usStatesTerrByAbbr) + sep +
+                (Math.floor(Math.random()*90000) + 10000);
+        }
+    });
+
+    // International types.
+
+    CustomInput.addType('postal_code', {
+        init: function(w, opts) {
+            setCountry(w, opts, 'postal');
+            w.inputWidth = '150px';
+            w.placeholder = countries[w.params.country].postal.example;
+        },
+        validation: function(value, w) {
+            var res;
+            res = normalizePostalCode(value, w.params.country);
+            if (res === false) {
+                return { value: value, err: w.getText('postalCodeErr') };
+            }
+            return { value: res };
+        },
+        hint: function(w) {
+            return '(e.g., ' + countries[w.params.country].postal.example +
+                ')';
+        },
+        setValues: function(w) {
+            return countries[w.params.country].postal.example;
+        }
+    });
+
+    CustomInput.addType('phone', {
+        init: function(w, opts) {
+            if ('undefined' !== typeof opts.country) {
+                setCountry(w, opts, 'phone');
+            }
+            w.inputWidth = '200px';
+        },
+        validation: function(value, w) {
+            var res;
+            res = normalizePhone(value, w.params.country);
+            if ('string' !== typeof res) {
+                return { value: value, err: w.getText('phoneErr', res.err) };
+            }
+            return { value: res };
+        },
+        hint: function(w) {
+            if (!w.params.country) {
+                return '(Start with the international prefix, e.g., +44)';
+            }
+            return '(Include the area code)';
+        },
+        setValues: function(w) {
+            var c, i, str;
+            if (w.params.country) c = countries[w.params.country].phone;
+            else c = countries[J.randomKey(countries)].phone;
+            str = '+' + c.cc + J.randomInt(1, 9);
+            for (i = 1; i < c.max; i++) {
+                str += J.randomInt(0, 10) - 1;
+            }
+            return str;
+        }
+    });
+
+    CustomInput.addType('address', {
+        init: function(w, opts) {
+            var items;
+            setCountry(w, opts, 'postal');
+            setListSeparator(w, opts);
+            items = getAddressItems(w);
+            w.params.minItems = w.params.maxItems = items.length;
+            w.params.fixedSize = true;
+            w.params.itemValidation = function(item, idx) {
+                if (idx === items.length) {
+                    if (false === normalizePostalCode(item, w.params.country)) {
+                        return { err: w.getText('postalCodeErr') };
+                    }
+                }
+                else if (idx === 3 && w.params.country === 'US') {
+                    getUsStatesList('usStatesTerrByAbbr');
+                    if (!usStatesTerrByAbbr[item.toUpperCase()] &&
+                        !getUsStatesList('usStatesTerrLow')[
+                            item.toLowerCase()]) {
+
+                        return { err: w.getText('usStateErr') };
+                    }
+                }
+            };
+            w.placeholder = items.join(w.params.listSep + ' ');
+            w.inputWidth = '400px';
+        },
+        validation: function(value, w) {
+            var res, c, items;
+            if (value.split(w.params.listSep).length !==
+                w.params.minItems) {
+
+                return { value: value, err: w.getText('addressErr') };
+            }
+            res = validateList(value, w);
+            if (res.err) return res;
+            items = res.value;
+            c = w.params.country;
+            res = { street: items[0], city: items[1] };
+            if (countries[c].region) res.region = items[2];
+            res.postalCode = normalizePostalCode(items[items.length-1], c);
+            res.country = c;
+            return { value: res };
+        },
+        preprocess: preprocessList,
+        hint: function(w) {
+            return '(Format: ' +
+                getAddressItems(w).join(w.params.listSep + ' ') + ')';
+        },
+        setValues: function(w) {
+            var c, sep, str;
+            c = countries[w.params.country];
+            sep = w.params.listSep + ' ';
+            str = J.randomInt(0, 100) + ' ' + J.randomString(8) + sep +
+                J.randomString(8) + sep;
+            if (c.region) {
+                if (w.params.country === 'US') {
+                    str += J.randomKey(getUsStatesList('usStatesTerrByAbbr'));
+                }
+                else {
+                    str += J.randomString(8);
+                }
+                str += sep;
+            }
+            return str + c.postal.example;
+        }
+    });
+
+    // TODO: add other types, e.g., email.
+
+    // ## Helper functions.
+
+    // ### setMinMaxParams
+    //
+    // Evaluates options min, max, strictlyGreater and strictlyLess
+    //
+    // Used by numeric and text types.
+    //
+    // @param {CustomInput} w The widget
+    // @param {object} opts The options passed to init
+    //
+    function setMinMaxParams(w, opts) {
+        var tmp, e;
+        e = 'CustomInput.init: ';
+        // Greater than.
+        if ('undefined' !== typeof opts.min) {
+            tmp = J.isNumber(opts.min);
+            if (false === tmp) {
+                throw new TypeError(e + 'min must be number or ' +
+                                    'undefined. Found: ' + opts.min);
+            }
+            w.params.lower = opts.min;
+            w.params.leq = true;
+        }
+        // Less than.
+        if ('undefined' !== typeof opts.max) {
+            tmp = J.isNumber(opts.max);
+            if (false === tmp) {
+                throw new TypeError(e + 'max must be number or ' +
+                                    'undefined. Found: ' + opts.max);
+            }
+            w.params.upper = opts.max;
+            w.params.ueq = true;
+        }
+
+        if (opts.strictlyGreater) w.params.leq = false;
+        if (opts.strictlyLess) w.params.ueq = false;
+
+        // Checks on both min and max.
+        if ('undefined' !== typeof w.params.lower &&
+            'undefined' !== typeof w.params.upper) {
+
+            if (w.params.lower > w.params.upper) {
+                throw new TypeError(e + 'min cannot be greater ' +
+                                    'than max. Found: ' +
+                                    opts.min + '> ' + opts.max);
+            }
+            // Exact length.
+            if (w.params.lower === w.params.upper) {
+                if (!w.params.leq || !w.params.ueq) {
+
+                    throw new TypeError(e + 'min cannot be equal to ' +
+                                        'max when strictlyGreater or ' +
+                                        'strictlyLess are set. ' +
+                                        'Found: ' + opts.min);
+                }
+                if (w.type === 'int' || w.type === 'text') {
+                    if (J.isFloat(w.params.lower)) {
+
+
+                        throw new TypeError(e + 'min cannot be a ' +
+                                            'floating point number ' +
+                                            'and equal to ' +
+                                            'max, when type ' +
+                                            'is not "float". Found: ' +
+                                            opts.min);
+                    }
+                }
+                // Store this to create better error strings.
+                w.params.exactly = true;
+            }
+            else {
+                // Store this to create better error strings.
+                w.params.between = true;
+            }
+        }
+    }
+
+    // ### presetInputWidth
+    //
+    // Sets the width of the input based on the max param, if any
+    //
+    // @param {CustomInput} w The widget
+    //
+    function presetInputWidth(w) {
+        if (w.params.upper) {
+            if (w.params.upper < 10) w.inputWidth = '100px';
+            else if (w.params.upper < 20) w.inputWidth = '200px';
+        }
+    }
+
+    // ### getNumericType
+    //
+    // Returns the definition of a numeric type
+    //
+    // @param {function} cb The JSUS function parsing the value,
+    //   e.g. J.isInt
+    //
+    // @return {object} The type definition
+    //
+    // @see CustomInput.addType
+    //
+    function getNumericType(cb) {
+        return {
+            init: function(w, opts) {
+                setMinMaxParams(w, opts);
+                presetInputWidth(w);
+            },
+            validation: function(value, w) {
+                var res, p;
+                p = w.params;
+                res = cb(value, p.lower, p.upper, p.leq, p.ueq);
+                if (res !== false) return { value: res };
+                return {
+                    value: value,
+                    err: w.getText('numericErr')
+                };
+            },
+            hint: function(w) {
+                if (w.params.min && w.params.max) {
+                    return '(Must be between ' + w.params.min + ' and ' +
+                        w.params.max + ')';
+                }
+                if (w.params.min) {
+                    return '(Must be after ' + w.params.min + ')';
+                }
+                if (w.params.max) {
+                    return '(Must be before ' + w.params.max + ')';
+                }
+                return false;
+            },
+            setValues: function(w) {
+                var p, a, b;
+                p = w.params;
+                if (w.type === 'float') return J.random();
+                a = 0;
+                if ('undefined' !== typeof p.lower) {
+                    a = p.leq ? (p.lower - 1) : p.lower;
+                }
+                if ('undefined' !== typeof p.upper) {
+                    b = p.ueq ? p.upper : (p.upper - 1);
+                }
+                else {
+                    b = 100 + a;
+                }
+                return J.randomInt(a, b);
+            }
+        };
+    }
+
+    // ### setListSeparator
+    //
+    // Evaluates option listSeparator (default: comma)
+    //
+    // @param {CustomInput} w The widget
+    // @param {object} opts The options passed to init
+    //
+    function setListSeparator(w, opts) {
+        if (opts.listSeparator) {
+            if ('string' !== typeof opts.listSeparator) {
+                throw new TypeError('CustomInput.init: listSeparator must ' +
+                                    'be string or undefined. Found: ' +
+                                    opts.listSeperator);
+            }
+            w.params.listSep = opts.listSeparator;
+        }
+        else {
+            w.params.listSep = ',';
+        }
+    }
+
+    // ### validateList
+    //
+    // Validates a list of items separated by the list separator
+    //
+    // Each item is validated by params.itemValidation, if any.
+    //
+    // @param {string} value The value to validate
+    // @param {CustomInput} w The widget
+    //
+    // @return {object} The validation result
+    //
+    function validateList(value, w) {
+        var i, len, v, iVal, err;
+        value = value.split(w.params.listSep);
+        len = value.length;
+        if (!len) return value;
+        iVal = w.params.itemValidation;
+        i = 0;
+        v = value[0].trim();
+        if (!v) return { err: w.getText('listErr') };
+        if (iVal) {
+            err = iVal(v, 1);
+            if (err) return err;
+        }
+        value[i++] = v;
+        if (len > 1) {
+            v = value[1].trim();
+            if (!v) return { err: w.getText('listErr') };
+            if (iVal) {
+                err = iVal(v, (i+1));
+                if (err) return err;
+            }
+            value[i++] = v;
+        }
+        if (len > 2) {
+            v = value[2].trim();
+            if (!v) return { err: w.getText('listErr') };
+            if (iVal) {
+                err = iVal(v, (i+1));
+                if (err) return err;
+            }
+            value[i++] = v;
+        }
+        if (len > 3) {
+            for ( ; i < len ; ) {
+                v = value[i].trim();
+                if (!v) return { err: w.getText('listErr') };
+                if (iVal) {
+                    err = iVal(v, (i+1));
+                    if (err) return err;
+                }
+                value[i++] = v;
+            }
+        }
+        // Need to do it here, because some elements might be empty.
+        if (w.params.minItems && i < w.params.minItems) {
+            return { err: w.getText('listSizeErr', 'min') };
+        }
+        if (w.params.maxItems && i > w.params.maxItems) {
+            return { err: w.getText('listSizeErr', 'max') };
+        }
+        return { value: value };
+    }
+
+    // ### preprocessList
+    //
+    // Adds a space after separator, if separator is not space
+    //
+    // @param {HTMLElement} input The input element
+    // @param {CustomInput} w The widget
+    //
+    function preprocessList(input, w) {
+        var sep, len;
+        sep = w.params.listSep;
+        if (sep.trim() === '') return;
+        len = input.value.length;
+        if (len > 1 &&
+            len === input.selectionStart &&
+            input.value.charAt(len-1) === sep &&
+            input.value.charAt(len-2) !== sep) {
+
+            input.value += ' ';
+        }
+    }
+
+
+    // ### setCountry
+    //
+    // Evaluates option country and stores it in params
+    //
+    // @param {CustomInput} w The widget
+    // @param {object} opts The options passed to init
+    // @param {string} what The format required for the country, e.g.
+    //   'postal' or 'phone'
+    //
+    function setCountry(w, opts, what) {
+        var c;
+        c = opts.country;
+        if ('string' !== typeof c || c.trim() === '') {
+            throw new TypeError('CustomInput.init: country must be a ' +
+                                'non-empty string when type is "' + w.type +
+                                '". Found: ' + c);
+        }
+        c = c.trim().toUpperCase();
+        if (!countries[c] || !countries[c][what]) {
+            throw new Error('CustomInput.init: country not supported for ' +
+                            'type "' + w.type + '": ' + opts.country);
+        }
+        w.params.country = c;
+    }
+
+    // ### normalizePostalCode
+    //
+    // Validates a postal code and returns it in its normalized format
+    //
+    // @param {string} value The postal code
+    // @param {string} country The country code
+    //
+    // @return {string|boolean} The normalized postal code, or FALSE
+    //   if not valid
+    //
+    function normalizePostalCode(value, country) {
+        var p;
+        p = countries[country].postal;
+        value = value.trim().toUpperCase().replace(/\s+/g, ' ');
+        if (!p.re.test(value)) return false;
+        return value.replace(p.re, p.fmt || '$&');
+    }
+
+    // ### normalizePhone
+    //
+    // Validates a phone number and returns it in E.164 format
+    //
+    // The number can be written with spaces, dots, hyphens, slashes and
+    // parentheses. Numbers in national format are accepted only if the
+    // country is known.
+    //
+    // @param {string} value The phone number
+    // @param {string} country Optional. The country code
+    //
+    // @return {string|object} The normalized phone number (e.g.
+    //   +442079460000), or an object with the error type
+    //
+    function normalizePhone(value, country) {
+        var p, intl, nsn, codes, i;
+        value = value.trim().replace(/[\s.\/()\-]/g, '');
+        if (!/^\+?\d+$/.test(value)) return { err: true };
+
+        p = country ? countries[country].phone : null;
+        if (value.charAt(0) === '+') {
+            intl = value.substring(1);
+        }
+        else if (value.substring(0, 2) === '00') {
+            intl = value.substring(2);
+        }
+        else if (p && p.cc === '1' && value.substring(0, 3) === '011') {
+            intl = value.substring(3);
+        }
+
+        if (intl) {
+            if (p) {
+                if (intl.indexOf(p.cc) !== 0) return { err: 'country' };
+            }
+            else {
+                // Country calling codes are prefix-free, max 3 digits.
+                codes = getCountriesByCC();
+                for (i = 1; i <= 3 && !p; i++) {
+                    if (codes[intl.substring(0, i)]) {
+                        p = countries[codes[intl.substring(0, i)][0]].phone;
+                    }
+                }
+                // Unknown country, just check the max length in E.164.
+                if (!p) {
+                    return intl.length >= 8 && intl.length <= 15 ?
+                        '+' + intl : { err: true };
+                }
+            }
+            nsn = intl.substring(p.cc.length);
+        }
+        else {
+            if (!p) return { err: 'prefix' };
+            nsn = value;
+        }
+        // Remove trunk prefix, also if written after the country calling
+        // code, e.g., +44 (0)20...
+        if (p.trunk && nsn.indexOf(p.trunk) === 0 &&
+            (nsn.length - p.trunk.length) >= p.min) {
+
+            nsn = nsn.substring(p.trunk.length);
+        }
+        if (nsn.length < p.min || nsn.length > p.max) return { err: true };
+        return '+' + p.cc + nsn;
+    }
+
+    // ### getCountriesByCC
+    //
+    // Returns a map of country calling codes to arrays of country codes
+    //
+    // @return {object} The map
+    //
+    function getCountriesByCC() {
+        var c, cc;
+        if (countriesByCC) return countriesByCC;
+        countriesByCC = {};
+        for (c in countries) {
+            if (countries.hasOwnProperty(c) && countries[c].phone) {
+                cc = countries[c].phone.cc;
+                if (!countriesByCC[cc]) countriesByCC[cc] = [];
+                countriesByCC[cc].push(c);
+            }
+        }
+        return countriesByCC;
+    }
+
+    // ### getAddressItems
+    //
+    // Returns the names of the items of an address in the widget's country
+    //
+    // @param {CustomInput} w The widget
+    //
+    // @return {array} The names of the items
+    //
+    function getAddressItems(w) {
+        var c, items;
+        c = countries[w.params.country];
+        items = [ 'Street', 'City' ];
+        if (c.region) items.push(c.region);
+        items.push(w.params.country === 'US' ? 'ZIP code' : 'Postal code');
+        return items;
+    }
+
+    // ### setDateFormat
+    //
+    // Evaluates options format, minDate, and maxDate and stores them in params
+    //
+    // @param {CustomInput} w The widget
+    // @param {object} opts The options passed to init
+    //
+    function setDateFormat(w, opts) {
+        var tmp;
+        if ('undefined' !== typeof opts.format) {
+            // TODO: use regex.
+            if (opts.format !== 'mm-dd-yy' &&
+                opts.format !== 'dd-mm-yy' &&
+                opts.format !== 'mm-dd-yyyy' &&
+                opts.format !== 'dd-mm-yyyy' &&
+                opts.format !== 'mm.dd.yy' &&
+                opts.format !== 'dd.mm.yy' &&
+                opts.format !== 'mm.dd.yyyy' &&
+                opts.format !== 'dd.mm.yyyy' &&
+                opts.format !== 'mm/dd/yy' &&
+                opts.format !== 'dd/mm/yy' &&
+                opts.format !== 'mm/dd/yyyy' &&
+                opts.format !== 'dd/mm/yyyy') {
+
+                throw new Error('CustomInput.init: date format is ' +
+                                'invalid. Found: ' + opts.format);
+            }
+            w.params.format = opts.format;
+        }
+        else {
+            w.params.format = 'mm/dd/yyyy';
+        }
+
+        w.params.sep = w.params.format.charAt(2);
+        tmp = w.params.format.split(w.params.sep);
+        w.params.yearDigits = tmp[2].length;
+        w.params.dayPos = tmp[0].charAt(0) === 'd' ? 0 : 1;
+        w.params.monthPos =  w.params.dayPos ? 0 : 1;
+        w.params.dateLen = tmp[2].length + 6;
+        if (opts.minDate) {
+            tmp = getParsedDate(opts.minDate, w.params);
+            if (!tmp) {
+                throw new Error('CustomInput.init: minDate must be a ' +
+                                'Date object. Found: ' + opts.minDate);
+            }
+            w.params.minDate = tmp;
+        }
+        if (opts.maxDate) {
+            tmp = getParsedDate(opts.maxDate, w.params);
+            if (!tmp) {
+                throw new Error('CustomInput.init: maxDate must be a ' +
+                                'Date object. Found: ' + opts.maxDate);
+            }
+            if (w.params.minDate &&
+                w.params.minDate.obj > tmp.obj) {
+
+                throw new Error('CustomInput.init: maxDate cannot be ' +
+                                'prior to minDate. Found: ' + tmp.str +
+                                ' < ' + w.params.minDate.str);
+            }
+            w.params.maxDate = tmp;
+        }
+    }
+
+    // ### parseDate
+    //
+    // Parses a date string according to the format in params
+    //
+    // @param {string} value The date string
+    // @param {object} p The configuration object for date format
+    //
+    // @return {object} An object with the year, month and day, or with
+    //   an err property: TRUE if the format is wrong, 'invalid' if the
+    //   date does not exist
+    //
+    function parseDate(value, p) {
+        var tokens, tmp, res, dayNum, l1, l2;
+
+        // Is the format valid.
+
+        tokens = value.split(p.sep);
+        if (tokens.length !== 3) return { err: true };
+
+        // Year.
+        if (tokens[2].length !== p.yearDigits) return { err: true };
+
+        // Now we check if the date is valid.
+
+        res = {};
+        if (p.yearDigits === 2) {
+            l1 = -1;
+            l2 = 100;
+        }
+        else {
+            l1 = -1;
+            l2 = 10000;
+        }
+        tmp = J.isInt(tokens[2], l1, l2);
+        if (tmp !== false) res.year = tmp;
+        else res.err = true;
+
+        // Month.
+        tmp = J.isInt(tokens[p.monthPos], 1, 12, 1, 1);
+        if (!tmp) res.err = true;
+        else res.month = tmp;
+        // 31 or 30 days?
+        if (tmp === 1 || tmp === 3 || tmp === 5 || tmp === 7 ||
+            tmp === 8 || tmp === 10 || tmp === 12) {
+
+            dayNum = 31;
+        }
+        else if (tmp !== 2) {
+            dayNum = 30;
+        }
+        else {
+            // Is it leap year?
+            dayNum = (res.year % 4 === 0 && res.year % 100 !== 0) ||
+                res.year % 400 === 0 ? 29 : 28;
+        }
+        res.month = tmp;
+        // Day.
+        tmp = J.isInt(tokens[p.dayPos], 1, dayNum, 1, 1);
+        if (!tmp) res.err = true;
+        else res.day = tmp;
+
+        if (res.err) res.err = 'invalid';
+        return res;
+    }
+
+    // ### preprocessDate
+    //
+    // Adds the separator after day and month, while the user is typing
+    //
+    // @param {HTMLElement} input The input element
+    // @param {CustomInput} w The widget
+    //
+    function preprocessDate(input, w) {
+        var sep, len;
+        len = input.value.length;
+        sep = w.params.sep;
+        if (len === 2) {
+            if (input.selectionStart === 2) {
+                if (input.value.charAt(1) !== sep) {
+                    input.value += sep;
+                }
+            }
+        }
+        else if (len === 5) {
+            if (input.selectionStart === 5) {
+                if (input.value.charAt(4) !== sep &&
+                    (input.value.split(sep).length - 1) === 1) {
+
+                    input.value += sep;
+                }
+            }
+        }
+    }
+
+    // ### getDateObj
+    //
+    // Creates a date object from the result of parseDate
+    //
+    // @param {object} res The parsed date, optionally with hours and minutes
+    // @param {object} p The configuration object for date format
+    //
+    // @return {Date} The date object
+    //
+    // @see parseDate
+    //
+    function getDateObj(res, p) {
+        var d;
+        d = new Date(res.year, (res.month - 1), res.day,
+                     res.hours || 0, res.minutes || 0);
+        // Two-digit years are in the 20th century for Date.
+        if (p.yearDigits === 2) d.setFullYear(2000 + res.year);
+        return d;
+    }
+
+    // ### formatDate
+    //
+    // Formats a date object according to the format in params
+    //
+    // @param {Date} d The date
+    // @param {object} p The configuration object for date format
+    //
+    // @return {string} The formatted date
+    //
+    function formatDate(d, p) {
+        var day, month, year, res;
+        day = d.getDate();
+        month = (d.getMonth() + 1);
+        year = d.getFullYear();
+        if (p.yearDigits === 2) year = ('' + year).substr(2);
+        if (p.monthPos === 0) res = month + p.sep + day;
+        else res = day + p.sep + month;
+        return res + p.sep + year;
+    }
+
+    // ### setTimeFormat
+    //
+    // Evaluates the time format option ('24h' or '12h') and stores it
+    //
+    // @param {CustomInput} w The widget
+    // @param {object} opts The options passed to init
+    // @param {string} name Optional. The name of the option. Default: 'format'
+    //
+    function setTimeFormat(w, opts, name) {
+        var f;
+        name = name || 'format';
+        f = opts[name];
+        if ('undefined' === typeof f) {
+            f = '24h';
+        }
+        else if (f !== '24h' && f !== '12h') {
+            throw new Error('CustomInput.init: ' + name + ' must be "24h", ' +
+                            '"12h" or undefined. Found: ' + f);
+        }
+        w.params.timeFormat = f;
+        w.params.timeFormatStr = f === '24h' ? 'HH:MM' : 'hh:mm am/pm';
+    }
+
+    // ### parseTime
+    //
+    // Parses a time string according to the time format in params
+    //
+    // @param {string} value The time string
+    // @param {object} p The configuration object for time format
+    //
+    // @return {object} An object with hours (0-23) and minutes, or with
+    //   an err property: TRUE if the format is wrong, 'invalid' if the
+    //   time does not exist
+    //
+    function parseTime(value, p) {
+        var tokens, h, m;
+        value = value.trim();
+        if (p.timeFormat === '12h') {
+            tokens = /^(\d{1,2}):(\d{2}) ?([ap])\.?m\.?$/i.exec(value);
+            if (!tokens) return { err: true };
+            h = J.isInt(tokens[1], 1, 12, 1, 1);
+            if (h !== false) {
+                if (h === 12) h = 0;
+                if (tokens[3].toLowerCase() === 'p') h += 12;
+            }
+        }
+        else {
+            tokens = /^(\d{1,2}):(\d{2})$/.exec(value);
+            if (!tokens) return { err: true };
+            h = J.isInt(tokens[1], 0, 23, 1, 1);
+        }
+        m = J.isInt(tokens[2], 0, 59, 1, 1);
+        if (h === false || m === false) return { err: 'invalid' };
+        return { hours: h, minutes: m };
+    }
+
+    // ### getParsedTime
+    //
+    // Parses a time option (minTime, maxTime) for the time type
+    //
+    // Accepts a string in the widget's format or in 24h format, or
+    // a Date object.
+    //
+    // @param {string|Date} t The time
+    // @param {object} p The configuration object for time format
+    // @param {string} name The name of the option, for the error message
+    //
+    // @return {object} An object with the minutes from midnight (obj),
+    //   and the formatted time (str)
+    //
+    function getParsedTime(t, p, name) {
+        var res;
+        if (t instanceof Date) {
+            res = getMinutes(t);
+        }
+        else if ('string' === typeof t) {
+            res = parseTime(t, p);
+            if (res.err && p.timeFormat === '12h') {
+                res = parseTime(t, { timeFormat: '24h' });
+            }
+            res = res.err ? false : (res.hours * 60 + res.minutes);
+        }
+        if ('number' !== typeof res) {
+            throw new Error('CustomInput.init: ' + name + ' must be a ' +
+                            'valid time string or Date. Found: ' + t);
+        }
+        return { obj: res, str: formatTime(res, p) };
+    }
+
+    // ### getMinutes
+    //
+    // Returns the number of minutes from midnight of a date object
+    //
+    // @param {Date} d The date
+    //
+    // @return {number} The number of minutes
+    //
+    function getMinutes(d) {
+        return d.getHours() * 60 + d.getMinutes();
+    }
+
+    // ### formatTime
+    //
+    // Formats the minutes from midnight according to the time format
+    //
+    // @param {number} minutes The minutes from midnight
+    // @param {object} p The configuration object for time format
+    //
+    // @return {string} The formatted time, e.g., 14:05 or 2:05 pm
+    //
+    function formatTime(minutes, p) {
+        var h, m, suffix;
+        h = Math.floor(minutes / 60);
+        m = minutes % 60;
+        m = m < 10 ? '0' + m : '' + m;
+        if (p.timeFormat === '12h') {
+            suffix = h < 12 ? ' am' : ' pm';
+            h = h % 12;
+            if (h === 0) h = 12;
+            return h + ':' + m + suffix;
+        }
+        return (h < 10 ? '0' + h : h) + ':' + m;
+    }
+
+    // ### parseDuration
+    //
+    // Parses a duration string and returns the number of seconds
+    //
+    // Accepted formats are: "1h 30m", "1d 2h", "90 minutes", "45s",
+    // "1:30" (h:mm), "1:30:15" (h:mm:ss), and plain numbers if a
+    // default unit is set in params.
+    //
+    // @param {string} value The duration string
+    // @param {object} p The configuration object
+    //
+    // @return {number|boolean} The number of seconds, or FALSE if invalid
+    //
+    function parseDuration(value, p) {
+        var re, tokens, res, unit, found;
+        value = value.trim().toLowerCase();
+        if (value === '') return false;
+
+        // 1:30 or 1:30:15
+        tokens = /^(\d+):([0-5]\d)(?::([0-5]\d))?$/.exec(value);
+        if (tokens) {
+            return tokens[1] * 3600 + tokens[2] * 60 + (tokens[3] || 0) * 1;
+        }
+
+        // Plain number.
+        if (p.unit && /^\d+(\.\d+)?$/.test(value)) {
+            return Math.round(value * p.unit);
+        }
+
+        re = /(\d+(?:\.\d+)?)\s*([a-z]+)\s*,?\s*/g;
+        res = 0;
+        found = 0;
+        tokens = re.exec(value);
+        while (tokens) {
+            // Gaps between matches are not allowed.
+            if (tokens.index !== found) return false;
+            unit = durationUnits[tokens[2]];
+            if (!unit) return false;
+            res += tokens[1] * unit;
+            found = re.lastIndex;
+            tokens = re.exec(value);
+        }
+        if (found !== value.length) return false;
+        return Math.round(res);
+    }
+
+    // ### getParsedDuration
+    //
+    // Parses a duration option (min, max) for the duration type
+    //
+    // @param {number|string} d The duration in seconds, or a duration string
+    // @param {object} p The configuration object
+    // @param {string} name The name of the option, for the error message
+    //
+    // @return {object} An object with the number of seconds (obj),
+    //   and the formatted duration (str)
+    //
+    function getParsedDuration(d, p, name) {
+        var res;
+        if ('number' === typeof d) res = d >= 0 ? d : false;
+        else if ('string' === typeof d) res = parseDuration(d, p);
+        if ('number' !== typeof res) {
+            throw new Error('CustomInput.init: ' + name + ' must be a ' +
+                            'non-negative number of seconds or a valid ' +
+                            'duration string. Found: ' + d);
+        }
+        return { obj: res, str: formatDuration(res) };
+    }
+
+    // ### formatDuration
+    //
+    // Formats a number of seconds, e.g. 5400 -> 1h 30m
+    //
+    // @param {number} seconds The number of seconds
+    //
+    // @return {string} The formatted duration
+    //
+    function formatDuration(seconds) {
+        var res, units, i, n;
+        if (!seconds) return '0s';
+        res = [];
+        units = [ [ 'd', 86400 ], [ 'h', 3600 ], [ 'm', 60 ], [ 's', 1 ] ];
+        for (i = 0; i < units.length; i++) {
+            n = Math.floor(seconds / units[i][1]);
+            if (n) {
+                res.push(n + units[i][0]);
+                seconds -= n * units[i][1];
+            }
+        }
+        return res.join(' ');
+    }
+
+    // ### checkMinMax
+    //
+    // Compares a value against the min and max params of a type
+    //
+    // Min and max are objects with properties `obj` (the comparable value)
+    // and `str` (the string used in error messages and hints).
+    //
+    // @param {number|Date} value The value to compare
+    // @param {object} min Optional. The min object
+    // @param {object} max Optional. The max object
+    //
+    // @return {string|undefined} 'min' or 'max' if out of range
+    //
+    function checkMinMax(value, min, max) {
+        if (min && min.obj > value) return 'min';
+        if (max && max.obj < value) return 'max';
+    }
+
+    // ### getMinMaxHint
+    //
+    // Returns the hint for types with min and max params
+    //
+    // @param {object} min Optional. The min object
+    // @param {object} max Optional. The max object
+    // @param {string|boolean} format The format to display if there are
+    //   no min and max, or FALSE
+    //
+    // @return {string|boolean} The hint, or FALSE
+    //
+    // @see checkMinMax
+    //
+    function getMinMaxHint(min, max, format) {
+        if (min && max) {
+            return '(Must be between ' + min.str + ' and ' + max.str + ')';
+        }
+        if (min) return '(Must be after ' + min.str + ')';
+        if (max) return '(Must be before ' + max.str + ')';
+        return format ? '(Format: ' + format + ')' : false;
+    }
 
     // ### getParsedDate
     //
@@ -1549,9 +2858,7 @@
         catch(e) {
             return false;
         }
-        res.str = (p.dayPos ? res.day + p.sep + res.month :
-                   res.month + p.sep + res.day) + p.sep;
-        res.str += p.yearDigits === 2 ? res.year.substring(3,4) : res.year;
+        res.str = formatDate(d, p);
         return res;
     }
 
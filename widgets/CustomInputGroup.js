@@ -17,7 +17,7 @@
 
     // ## Meta-data
 
-    CustomInputGroup.version = '0.3.0';
+    CustomInputGroup.version = '0.4.0';
     CustomInputGroup.description = 'Groups together and manages sets of ' +
         'CustomInput widgets.';
 
@@ -27,10 +27,26 @@
     CustomInputGroup.separator = '::';
 
     CustomInputGroup.texts.autoHint = function(w) {
+        var res;
+        if (w.constantSum) {
+            res = '(values must add up to ' + w.constantSum.total + ')';
+            if (w.requiredChoice) res += ' *';
+            return res;
+        }
         if (w.requiredChoice) return '*';
         else return false;
     };
     CustomInputGroup.texts.inputErr = 'One or more errors detected.';
+    CustomInputGroup.texts.constantSumTotal = 'Total';
+    CustomInputGroup.texts.constantSumErr = function(w, sum) {
+        var diff, res;
+        diff = roundSum(w.constantSum.total - sum);
+        res = 'Values must add up to ' + w.constantSum.total +
+            '. Current total: ' + sum;
+        if (diff > 0) res += ' (' + diff + ' left to allocate).';
+        else res += ' (' + (-diff) + ' over).';
+        return res;
+    };
 
     // ## Dependencies
 
@@ -290,6 +306,21 @@
          */
         this.errorBox = null;
 
+        /**
+         * ### CustomInputGroup.constantSum
+         *
+         * If set, the values of all inputs must add up to a given total
+         *
+         * An object of the type `{ total: 100 }`. The running total is
+         * displayed in the summary input, and passed as third parameter
+         * to the 'changed' event, after the id and the value of the
+         * input that changed.
+         *
+         * @see CustomInputGroup.getSum
+         * @see CustomInputGroup.summaryInput
+         */
+        this.constantSum = null;
+
         /**
          * ### CustomInputGroup.validation
          *
@@ -373,6 +404,12 @@
      *       input summary field.
      *   - validation: A validation callback for all inputs.
      *   - oninput: A callback called when any input is changed
+     *   - constantSum: the total to which the values of all inputs must
+     *       add up (e.g., a budget to allocate), or an object with
+     *       property `total`. Inputs are of type 'int' (or 'float', if
+     *       the total is not an integer) with min 0 and max equal to the
+     *       total, unless specified otherwise in `sharedOptions` or by
+     *       each item. A summary input with the running total is added.
      *
      * @param {object} opts Configuration options
      */
@@ -435,6 +472,23 @@
             this.required = !!opts.required;
         }
 
+        // Option constantSum, if any.
+        tmp = opts.constantSum;
+        if ('number' === typeof tmp) tmp = { total: tmp };
+        if ('object' === typeof tmp && tmp) {
+            if ('number' !== typeof tmp.total || isNaN(tmp.total)) {
+                throw new TypeError('CustomInputGroup.init: constantSum.' +
+                                    'total must be number. Found: ' +
+                                    tmp.total);
+            }
+            this.constantSum = { total: tmp.total };
+        }
+        else if ('undefined' !== typeof tmp) {
+            throw new TypeError('CustomInputGroup.init: constantSum must ' +
+                                'be number, object or undefined. Found: ' +
+                                tmp);
+        }
+
         // Set the group, if any.
         if ('string' === typeof opts.group ||
             'number' === typeof opts.group) {
@@ -487,6 +541,15 @@
                                 opts.oninput);
         }
 
+        // Update the running total before the user-defined oninput.
+        if (this.constantSum) {
+            tmp = this.oninput;
+            this.oninput = function(res, input) {
+                that.updateSum();
+                if (tmp) tmp(res, input);
+            };
+        }
+
         // Set the mainText, if any.
         if ('string' === typeof opts.mainText) {
             this.mainText = opts.mainText;
@@ -574,6 +637,19 @@
             this.summaryInput = opts.summary;
         }
 
+        if (this.constantSum) {
+            this.sharedOptions = J.mixout(this.sharedOptions, {
+                type: this.constantSum.total % 1 === 0 ? 'int' : 'float',
+                min: 0,
+                max: this.constantSum.total
+            });
+            if (!this.summaryInput) {
+                this.summaryInput = {
+                    mainText: this.getText('constantSumTotal')
+                };
+            }
+        }
+
         // After all configuration options are evaluated, add items.
 
         if ('object' === typeof opts.table) {
@@ -658,6 +734,7 @@
         if (this.summaryInput) {
             if (!H) tr = createTR(this, 'row' + (i+1));
             addSummaryInput(this, tr, i);
+            if (this.constantSum) this.updateSum();
         }
 
 
@@ -838,6 +915,9 @@
      *       then it resets the state of all items before
      *       returning it. Default: FALSE.
      *
+     * If `constantSum` is set, the total is added under `sum`, and an
+     * error is raised if it differs from the required total.
+     *
      * @return {object} Object containing the choice and paradata
      *
      * @see CustomInputGroup.verifyChoice
@@ -890,6 +970,14 @@
             }
             if (values) values[input.id] = res.items[input.id].value;
         }
+        if (this.constantSum) {
+            res.sum = this.getSum();
+            if (!res.err && res.sum !== this.constantSum.total) {
+                res.err = this.getText('constantSumErr', res.sum);
+                res.isCorrect = false;
+                if (opts.highlight) this.setError(res.err);
+            }
+        }
         if (!res.err && values) {
             // res.err = this.getText('inputErr');
             this.validation(res, values);
@@ -925,10 +1013,20 @@
             throw new Error('CustomInputGroup.setValues: no items found.');
         }
         opts = opts || {};
-        i = -1, len = this.items.length;
-        for ( ; ++i < len ; ) {
-            this.items[i].setValues(opts);
+        // Random values adding up to the total.
+        if (this.constantSum && !opts.correct &&
+            'undefined' === typeof opts.value &&
+            'undefined' === typeof opts.values) {
+
+            setConstantSumValues(this);
+        }
+        else {
+            i = -1, len = this.items.length;
+            for ( ; ++i < len ; ) {
+                this.items[i].setValues(opts);
+            }
         }
+        if (this.constantSum) this.updateSum();
 
         // Make a random comment.
         if (this.textarea) this.textarea.value = J.randomString(100, '!Aa0');
@@ -956,6 +1054,50 @@
         if (this.textarea) this.textarea.value = '';
         if (opts.shuffleItems) this.shuffle();
         if (this.isHighlighted()) this.unhighlight();
+        if (this.constantSum) this.updateSum();
+    };
+
+    /**
+     * ### CustomInputGroup.getSum
+     *
+     * Returns the sum of the current values of all inputs
+     *
+     * Empty or non-numeric values are not counted.
+     *
+     * @return {number} The sum
+     *
+     * @see CustomInputGroup.constantSum
+     */
+    CustomInputGroup.prototype.getSum = function() {
+        var i, len, sum, value;
+        sum = 0;
+        if (!this.items) return sum;
+        i = -1, len = this.items.length;
+        for ( ; ++i < len ; ) {
+            if (!this.items[i]) continue;
+            value = parseFloat(this.items[i].getValues({ valuesOnly: true }));
+            if (!isNaN(value)) sum += value;
+        }
+        return roundSum(sum);
+    };
+
+    /**
+     * ### CustomInputGroup.updateSum
+     *
+     * Displays the current sum in the summary input
+     *
+     * @return {number} The current sum
+     *
+     * @see CustomInputGroup.getSum
+     * @see CustomInputGroup.summaryInput
+     */
+    CustomInputGroup.prototype.updateSum = function() {
+        var sum;
+        sum = this.getSum();
+        if (this.summaryInput && this.summaryInput.input) {
+            this.summaryInput.input.value = sum;
+        }
+        return sum;
     };
 
     /**
@@ -1062,6 +1204,9 @@
         // No reference is stored in node.widgets.
         s.storeRef = false;
 
+        // Paradata are collected by the group.
+        s.paradata = false;
+
         return s;
     }
 
@@ -1097,6 +1242,17 @@
         that.items[idx] = ci;
         that.itemsMap[ci.id] = idx;
 
+        // The group emits 'changed' when any input changes, with the
+        // new running total in constant-sum mode (already updated).
+        ci.on('changed', function(value) {
+            if (that.constantSum) {
+                that.emit('changed', ci.id, value, that.getSum());
+            }
+            else {
+                that.emit('changed', ci.id, value);
+            }
+        });
+
         if (s.required || s.requiredChoice || s.correctChoice) {
             // False is set manually, otherwise undefined.
             if (that.required === false) {
@@ -1135,7 +1291,8 @@
             title: false,
             panel: false,
             className: 'custominputgroup-summary',
-            disabled: true
+            disabled: true,
+            paradata: false
         }, that.sharedOptions);
         s = J.mixin(s, that.summaryInput);
         td = document.createElement('td');
@@ -1145,6 +1302,77 @@
         return ci;
     }
 
+    /**
+     * ### setConstantSumValues
+     *
+     * Sets random values in all inputs adding up to the required total
+     *
+     * The min and max of each input are respected, if possible.
+     *
+     * @param {CustomInputGroup} that This instance
+     *
+     * @see CustomInputGroup.setValues
+     */
+    function setConstantSumValues(that) {
+        var i, len, p, total, mins, maxs, restMin, restMax;
+        var remaining, lo, hi, value;
+
+        total = that.constantSum.total;
+        len = that.items.length;
+        mins = new Array(len);
+        maxs = new Array(len);
+        restMin = 0, restMax = 0;
+        i = -1;
+        for ( ; ++i < len ; ) {
+            p = that.items[i].params || {};
+            mins[i] = 'number' === typeof p.lower ? p.lower : 0;
+            maxs[i] = 'number' === typeof p.upper ? p.upper : total;
+            restMin += mins[i];
+            restMax += maxs[i];
+        }
+
+        remaining = total;
+        i = -1;
+        for ( ; ++i < len ; ) {
+            restMin -= mins[i];
+            restMax -= maxs[i];
+            if (i === (len - 1)) {
+                value = remaining;
+            }
+            else {
+                lo = Math.max(mins[i], remaining - restMax);
+                hi = Math.max(lo, Math.min(maxs[i], remaining - restMin));
+                if (that.items[i].type === 'int') {
+                    lo = Math.ceil(lo);
+                    hi = Math.max(lo, Math.floor(hi));
+                    value = J.randomInt(lo - 1, hi);
+                }
+                else {
+                    value = roundSum(lo + Math.random() * (hi - lo), 2);
+                }
+            }
+            that.items[i].setValues({ value: '' + value });
+            remaining = roundSum(remaining - value);
+        }
+    }
+
+    /**
+     * ### roundSum
+     *
+     * Rounds a sum to avoid floating point errors (e.g., 0.1 + 0.2)
+     *
+     * @param {number} n The number to round
+     * @param {number} digits Optional. The number of decimal digits.
+     *   Default: 6
+     *
+     * @return {number} The rounded number
+     */
+    function roundSum(n, digits) {
+        var k;
+        k = Math.pow(10, 'number' === typeof digits ? digits : 6);
+        return Math.round(n * k) / k;
+    }
+
     /**
      * ### createTR
      *
@@ -4,14 +4,13 @@
 
     // Meta-data.
 
-    Dropdown.version = '0.2.0';
+    Dropdown.version = '0.5.0';
     Dropdown.description = 'Creates a configurable dropdown menu.';
 
     Dropdown.texts = {
         // Texts here (more info on this later).
         error: function (w, value) {
-            if (value !== null && w.fixedChoice &&
-                w.choices.indexOf(value) < 0) {
+            if (value !== null && w.fixedChoice && !isValidChoice(w, value)) {
                 return 'No custom values allowed.'
             }
             if (value !== null && w.correctChoice !== null) {
@@ -22,6 +21,14 @@
             }
 
             return 'Answer required.';
+        },
+        noResults: 'No results found.',
+        moreResults: 'Keep typing to narrow down the results.',
+        maxSelected: function(w, max) {
+            return 'You can select up to ' + max + ' options.';
+        },
+        removeChoice: function(w, value) {
+            return 'Remove ' + value;
         }
     };
 
@@ -69,13 +76,182 @@
          */
         this.choices = null;
 
+        /**
+         * ### Dropdown.flatChoices
+         *
+         * The array of all available choices, without groups
+         *
+         * Choices can be grouped in `Dropdown.choices` with objects like:
+         *
+         * ```javascript
+         *  { group: 'Europe', choices: [ 'France', 'Italy' ] }
+         * ```
+         *
+         * Indexes of `correctChoice` and of the values returned by
+         * `getValues` refer to this array.
+         *
+         * @see Dropdown.choicesGroups
+         */
+        this.flatChoices = null;
+
+        /**
+         * ### Dropdown.choicesGroups
+         *
+         * The group of each choice in `Dropdown.flatChoices`, or null
+         */
+        this.choicesGroups = null;
+
+        /**
+         * ### Dropdown.parent
+         *
+         * The Dropdown whose value determines the choices of this one
+         *
+         * Before it is resolved, it can be the id of the parent.
+         *
+         * @see Dropdown.setParent
+         * @see Dropdown.dependentChoices
+         */
+        this.parent = null;
+
+        /**
+         * ### Dropdown.dependentChoices
+         *
+         * Computes the choices from the value of the parent Dropdown
+         *
+         * It can be a function returning the array of choices, or an
+         * object mapping each value of the parent to an array of choices.
+         *
+         * @see Dropdown.parent
+         */
+        this.dependentChoices = null;
+
+        /**
+         * ### Dropdown.children
+         *
+         * Array of Dropdowns whose choices depend on the value of this one
+         */
+        this.children = [];
+
+        /**
+         * ### Dropdown.parentListener
+         *
+         * Updates the choices when the value of the parent changes
+         *
+         * @see Dropdown.updateChoices
+         */
+        this.parentListener = function() {
+            if (that.isDestroyed && that.isDestroyed()) return;
+            that.updateChoices();
+        };
+
         /**
          * ### Dropdown.tag
          *
-         * The HTML tag: "datalist" or "select"
+         * The HTML tag: "datalist", "select", or "combobox"
+         *
+         * A combobox is a text input with a list of choices filtered
+         * while the user types.
          */
         this.tag = null;
 
+        /**
+         * ### Dropdown.selectMultiple
+         *
+         * If TRUE, multiple choices can be selected (combobox only)
+         *
+         * If a number, it is the max number of choices that can be selected.
+         */
+        this.selectMultiple = null;
+
+        /**
+         * ### Dropdown.maxResults
+         *
+         * The max number of choices displayed at once in the combobox
+         *
+         * Users must type to find choices beyond this limit, so that long
+         * lists are never rendered all at once.
+         *
+         * Default: 50
+         */
+        this.maxResults = 50;
+
+        /**
+         * ### Dropdown.list
+         *
+         * The HTML element (ul) containing the results of the combobox
+         */
+        this.list = null;
+
+        /**
+         * ### Dropdown.chips
+         *
+         * The HTML element containing the selected choices (combobox only)
+         *
+         * @see Dropdown.selectMultiple
+         */
+        this.chips = null;
+
+        /**
+         * ### Dropdown.results
+         *
+         * The indexes in `flatChoices` of the choices currently displayed
+         *
+         * @see Dropdown.activeResult
+         */
+        this.results = [];
+
+        /**
+         * ### Dropdown.activeResult
+         *
+         * The position in `results` of the choice active via keyboard
+         */
+        this.activeResult = -1;
+
+        /**
+         * ### Dropdown.comboboxListener
+         *
+         * Handles typing, keyboard navigation, and clicks in the combobox
+         */
+        this.comboboxListener = function(e) {
+            var target, value;
+            e = e || window.event;
+            target = e.target || e.srcElement;
+
+            switch(e.type) {
+            case 'input':
+            case 'focus':
+                renderResults(that);
+                break;
+            case 'blur':
+                closeList(that);
+                break;
+            case 'change':
+                // Free text typed in single-choice mode.
+                if (that.selectMultiple) return;
+                value = that.menu.value.length ? that.menu.value : null;
+                if (value !== that.currentChoice) {
+                    setCurrentChoice(that, value);
+                }
+                break;
+            case 'mousedown':
+                // Keep the focus on the input.
+                if (e.preventDefault) e.preventDefault();
+                if (target.parentNode !== that.list) return;
+                value = that.results.indexOf(getResultIdx(that, target));
+                if (value !== -1) selectResult(that, that.results[value]);
+                break;
+            case 'click':
+                if (target.className !== 'dropdown-chip-remove') return;
+                value = Array.prototype.indexOf.call(that.chips.childNodes,
+                                                     target.parentNode);
+                if (value !== -1) removeSelected(that, value);
+                break;
+            case 'keydown':
+                onKeyDown(that, e);
+                break;
+            }
+        };
+
         /**
          * ### Dropdown.menu
          *
@@ -91,45 +267,15 @@
          * @see Dropdown.onchange
          */
         this.listener = function (e) {
-            var menu, timeout;
+            var menu, value;
 
             e = e || window.event;
             menu = e.target || e.srcElement;
 
-            that.currentChoice = menu.value;
-            if (that.currentChoice.length === 0) that.currentChoice = null;
-
-            // Relative time.
-            if ('string' === typeof that.timeFrom) {
-                that.timeCurrentChoice = node.timer.getTimeSince(that.timeFrom);
-            }
-            // Absolute time.
-            else {
-                that.timeCurrentChoice = Date.now ?
-                    Date.now() : new Date().getTime();
-            }
-
-            // One more change.
-            that.numberOfChanges++;
-
-            // Remove any warning/errors on change.
-            if (that.isHighlighted()) that.unhighlight();
-
-            if (timeout) clearTimeout(timeout);
-
-            timeout = setTimeout(function () {
-                that.verifyChoice();
-                if (that.verifyChoice().err) {
-                    that.setError(that.verifyChoice().err)
-                }
-
-            }, that.validationSpeed);
-
-            // Call onchange, if any.
-            if (that.onchange) {
-                that.onchange(that.currentChoice, that);
-            }
+            value = menu.value;
+            if (value.length === 0) value = null;
 
+            setCurrentChoice(that, value);
         };
 
         /*
@@ -254,6 +400,15 @@
          */
         this.validationSpeed = 500;
 
+        /**
+         * ### Dropdown.validationTimeout
+         *
+         * The timeout for the validation after the latest change
+         *
+         * @see Dropdown.validationSpeed
+         */
+        this.validationTimeout = null;
+
     }
 
 
@@ -298,7 +453,20 @@
 
         // Add the choices.
         if ('undefined' !== typeof options.choices) {
-            this.choices = options.choices;
+            this.setChoices(options.choices);
+        }
+
+        // Choices computed from the value of a parent, if any.
+        if ('undefined' !== typeof options.dependentChoices) {
+            if ('function' !== typeof options.dependentChoices &&
+                ('object' !== typeof options.dependentChoices ||
+                 !options.dependentChoices)) {
+
+                throw new TypeError('Dropdown.init: dependentChoices must ' +
+                    'be function, object, or undefined. Found: ' +
+                    options.dependentChoices);
+            }
+            this.dependentChoices = options.dependentChoices;
         }
 
         // Option requiredChoice, if any.
@@ -318,7 +486,7 @@
                     'options requiredChoice and correctChoice');
             }
             if (J.isArray(options.correctChoice) &&
-                options.correctChoice.length > options.choices.length) {
+                options.correctChoice.length > this.flatChoices.length) {
                 throw new Error('Dropdown.init: options.correctChoice ' +
                     'length cannot exceed options.choices length');
             }
@@ -340,15 +508,67 @@
 
         if ("undefined" === typeof options.tag ||
             "datalist" === options.tag ||
-            "select" === options.tag) {
+            "select" === options.tag ||
+            "combobox" === options.tag) {
             this.tag = options.tag;
         }
         else {
             throw new TypeError('Dropdown.init: options.tag must ' +
-                'be "datalist" or "select". Found: ' +
+                'be "datalist", "select", or "combobox". Found: ' +
                 options.tag);
         }
 
+        // Option selectMultiple, default false.
+        tmp = options.selectMultiple;
+        if ('undefined' === typeof tmp) {
+            tmp = false;
+        }
+        else if ('boolean' !== typeof tmp) {
+            tmp = J.isInt(tmp, 1);
+            if (!tmp) {
+                throw new Error('Dropdown.init: selectMultiple must be ' +
+                    'undefined or an integer > 1. Found: ' +
+                    options.selectMultiple);
+            }
+        }
+        if (tmp) {
+            if ('undefined' === typeof this.tag) this.tag = 'combobox';
+            else if (this.tag !== 'combobox') {
+                throw new Error('Dropdown.init: selectMultiple requires ' +
+                    'tag "combobox". Found: ' + this.tag);
+            }
+            this.currentChoice = [];
+        }
+        this.selectMultiple = tmp;
+
+        // Option maxResults, if any.
+        if ('undefined' !== typeof options.maxResults) {
+            tmp = J.isInt(options.maxResults, 0);
+            if (tmp === false) {
+                throw new TypeError('Dropdown.init: maxResults must ' +
+                    'be a positive integer or undefined. Found: ' +
+                    options.maxResults);
+            }
+            this.maxResults = tmp;
+        }
+
+        // Link to the parent, if any. An id not yet available is
+        // resolved when the dropdown is appended.
+        if ('undefined' !== typeof options.parent) {
+            if (!this.dependentChoices) {
+                throw new Error('Dropdown.init: parent requires option ' +
+                    'dependentChoices');
+            }
+            if ('string' === typeof options.parent &&
+                !findDropdown(options.parent)) {
+
+                this.parent = options.parent;
+            }
+            else {
+                this.setParent(options.parent);
+            }
+        }
+
         // Set the main onchange listener, if any.
         if ('function' === typeof options.listener) {
             this.listener = function (e) {
@@ -427,6 +647,8 @@
         label.innerHTML = this.labelText
         this.bodyDiv.appendChild(label);
 
+        if ('string' === typeof this.parent) this.setParent(this.parent);
+
         this.setChoices(this.choices, true);
 
         this.errorBox = W.append('div', this.bodyDiv, {
@@ -435,26 +657,46 @@
     };
 
 
+    /**
+     * ### Dropdown.setChoices
+     *
+     * Sets the available choices and optionally renders them
+     *
+     * If the dropdown has a parent, choices are normally set by
+     * `Dropdown.updateChoices`.
+     *
+     * @param {array} choices The new choices
+     * @param {boolean} append If TRUE, choices are rendered
+     *
+     * @see Dropdown.updateChoices
+     */
     Dropdown.prototype.setChoices = function (choices, append) {
-        var tag, option, order;
+        var tag, option, order, group, optgroup;
         var select, datalist, input, create;
         var i, len;
 
         // TODO validate choices.
         this.choices = choices;
+        flattenChoices(this, choices);
 
         if (!append) return;
 
+        if (this.tag === 'combobox') {
+            setComboboxChoices(this);
+            return;
+        }
+
+        tag = this.tag;
         create = false;
-        if (this.menu) this.menu.innerHTML = '';
+        if (this.menu) (this.datalist || this.menu).innerHTML = '';
         else create = true;
 
         if (create) {
-            tag = this.tag;
             if (tag === "datalist" || "undefined" === typeof tag) {
 
                 datalist = W.get('datalist');
-                datalist.id = "dropdown";
+                datalist.id = this.id + '_datalist';
+                this.datalist = datalist;
 
                 input = W.get('input');
                 input.setAttribute('list', datalist.id);
@@ -481,7 +723,7 @@
 
         // Adding placeholder.
         if (this.placeholder) {
-            if (tag === "datalist") {
+            if (tag !== "select") {
                 this.menu.placeholder = this.placeholder;
             }
             else {
@@ -495,20 +737,119 @@
             }
         }
 
-        // Adding all options.
-        len = choices.length;
-        order = J.seq(0, len - 1);
-        if (this.shuffleChoices) order = J.shuffle(order);
+        // Adding all options (grouped only in select).
+        order = this.order;
+        len = order.length;
         for (i = 0; i < len; i++) {
             option = W.get('option');
-            option.value = choices[order[i]];
-            option.innerHTML = choices[order[i]];
-            this.menu.appendChild(option);
+            option.value = this.flatChoices[order[i]];
+            option.innerHTML = this.flatChoices[order[i]];
+            group = this.tag === 'select' ?
+                this.choicesGroups[order[i]] : null;
+            if (group === null) {
+                optgroup = null;
+                (this.datalist || this.menu).appendChild(option);
+            }
+            else {
+                if (!optgroup || optgroup.label !== group) {
+                    optgroup = W.add('optgroup', this.menu, { label: group });
+                }
+                optgroup.appendChild(option);
+            }
         }
 
         this.enable();
     }
 
+    /**
+     * ### Dropdown.setParent
+     *
+     * Links this dropdown to a parent whose value determines its choices
+     *
+     * Every time the value of the parent changes, choices are updated
+     * and selections no longer available are cleared.
+     *
+     * @param {Dropdown|string} parent The parent, or its id
+     *
+     * @see Dropdown.dependentChoices
+     * @see Dropdown.updateChoices
+     */
+    Dropdown.prototype.setParent = function(parent) {
+        var p;
+        if ('string' === typeof parent) {
+            p = findDropdown(parent);
+            if (!p) {
+                throw new Error('Dropdown.setParent: parent not found: ' +
+                    parent);
+            }
+            parent = p;
+        }
+        if (!(parent instanceof Dropdown)) {
+            throw new TypeError('Dropdown.setParent: parent must be ' +
+                'Dropdown or string. Found: ' + parent);
+        }
+        if (!this.dependentChoices) {
+            throw new Error('Dropdown.setParent: dependentChoices is ' +
+                'not set');
+        }
+        // Avoid cycles.
+        p = parent;
+        while (p) {
+            if (p === this) {
+                throw new Error('Dropdown.setParent: circular ' +
+                    'dependency with: ' + parent.id);
+            }
+            p = p.parent;
+        }
+        if (this.parent && 'string' !== typeof this.parent) {
+            this.parent.off('changed', this.parentListener);
+            this.parent.children.splice(this.parent.children.indexOf(this), 1);
+        }
+        this.parent = parent;
+        parent.children.push(this);
+        parent.on('changed', this.parentListener);
+        this.updateChoices();
+    };
+
+    /**
+     * ### Dropdown.updateChoices
+     *
+     * Sets the choices based on the current value of the parent
+     *
+     * Selections not available any more are cleared, and the change is
+     * propagated to the children, if any.
+     *
+     * @see Dropdown.setParent
+     */
+    Dropdown.prototype.updateChoices = function() {
+        var value, choices, dep, i, len;
+        if (!this.parent || 'string' === typeof this.parent) return;
+        value = this.parent.currentChoice;
+        dep = this.dependentChoices;
+        if ('function' === typeof dep) {
+            choices = dep.call(this, copyChoice(value), this);
+        }
+        else if (J.isArray(value)) {
+            // Choices of every selected value of the parent, grouped.
+            choices = [];
+            len = value.length;
+            for (i = 0; i < len; i++) {
+                if (dep[value[i]]) {
+                    choices.push({ group: value[i], choices: dep[value[i]] });
+                }
+            }
+        }
+        else {
+            choices = value !== null && dep[value] ? dep[value] : [];
+        }
+        if (!J.isArray(choices)) {
+            throw new TypeError('Dropdown.updateChoices: dependentChoices ' +
+                'must return an array. Found: ' + choices);
+        }
+        this.setChoices(choices, !!this.menu);
+        clearInvalidChoices(this);
+    };
+
     /**
      * ### Dropdown.verifyChoice
      *
@@ -541,26 +882,34 @@
         }
 
         if (this.requiredChoice) {
-            res.value = current !== null;
+            res.value = current !== null &&
+                (!this.selectMultiple || current.length > 0);
         }
 
         // If no correct choice is set return null.
         if ('undefined' === typeof correct) res.value = null;
-        if ('string' === typeof correct) {
-            res.value = current === correct;
-        }
-        if ('number' === typeof correct) {
-            res.value = current === this.choices[correct];
+        if (this.selectMultiple && correct !== null &&
+            'undefined' !== typeof correct) {
+
+            res.value = verifyMultiple(this, correct, current);
         }
-        if (J.isArray(correct)) {
-            var correctOptions = correct.map(function (x) {
-                return that.choices[x];
-            });
-            res.value = correctOptions.indexOf(current) >= 0;
+        else {
+            if ('string' === typeof correct) {
+                res.value = current === correct;
+            }
+            if ('number' === typeof correct) {
+                res.value = current === this.flatChoices[correct];
+            }
+            if (J.isArray(correct)) {
+                var correctOptions = correct.map(function (x) {
+                    return that.flatChoices[x];
+                });
+                res.value = correctOptions.indexOf(current) >= 0;
+            }
         }
 
         if (this.fixedChoice) {
-            if (this.choices.indexOf(current) < 0) res.value = false;
+            if (!isValidChoice(this, current)) res.value = false;
         }
 
         if (this.validation) {
@@ -634,6 +983,9 @@
      *
      * Paradata that is not set or recorded will be omitted
      *
+     * If the dropdown has a parent, `chain` contains the id and the value
+     * of all the linked dropdowns, from the first parent to this one.
+     *
      * @return {object} Object containing the choice and paradata
      *
      * @see Dropdown.verifyChoice
@@ -646,16 +998,20 @@
         obj = {
             id: this.id,
             choice: this.fixedChoice ?
-                this.choices.indexOf(this.currentChoice) : this.currentChoice,
+                getChoiceIdx(this, this.currentChoice) :
+                copyChoice(this.currentChoice),
             time: this.timeCurrentChoice,
             nChanges: this.numberOfChanges
         };
         if ('undefined' === typeof opts.highlight) opts.highlight = true;
         if (this.shuffleChoices) obj.order = this.order;
+        if (this.parent && 'string' !== typeof this.parent) {
+            obj.chain = getChain(this);
+        }
 
         // Option getValue backward compatible.
         if (opts.addValue !== false && opts.getValue !== false) {
-            obj.value = this.currentChoice;
+            obj.value = copyChoice(this.currentChoice);
         }
 
         if (null !== this.correctChoice || null !== this.requiredChoice ||
@@ -697,7 +1053,16 @@
     Dropdown.prototype.disable = function () {
         if (this.disabled === true) return;
         this.disabled = true;
-        if (this.menu) this.menu.removeEventListener('change', this.listener);
+        if (this.tag === 'combobox') {
+            if (this.menu) {
+                toggleComboboxListeners(this, false);
+                this.menu.disabled = true;
+                closeList(this);
+            }
+        }
+        else if (this.menu) {
+            this.menu.removeEventListener('change', this.listener);
+        }
         this.emit('disabled');
     };
 
@@ -712,8 +1077,606 @@
             throw new Error('Dropdown.enable: dropdown menu not found.');
         }
         this.disabled = false;
-        this.menu.addEventListener('change', this.listener);
+        if (this.tag === 'combobox') {
+            toggleComboboxListeners(this, true);
+            this.menu.disabled = false;
+        }
+        else {
+            this.menu.addEventListener('change', this.listener);
+        }
         this.emit('enabled');
     };
 
+    // ## Helper functions.
+
+    /**
+     * ### setCurrentChoice
+     *
+     * Updates the current choice and the paradata, and validates it
+     *
+     * @param {Dropdown} that This instance
+     * @param {string|array|null} value The new choice
+     */
+    function setCurrentChoice(that, value) {
+        that.currentChoice = value;
+
+        // Relative time.
+        if ('string' === typeof that.timeFrom) {
+            that.timeCurrentChoice = node.timer.getTimeSince(that.timeFrom);
+        }
+        // Absolute time.
+        else {
+            that.timeCurrentChoice = Date.now ?
+                Date.now() : new Date().getTime();
+        }
+
+        // One more change.
+        that.numberOfChanges++;
+
+        // Remove any warning/errors on change.
+        if (that.isHighlighted()) that.unhighlight();
+
+        if (that.validationTimeout) clearTimeout(that.validationTimeout);
+
+        that.validationTimeout = setTimeout(function () {
+            that.validationTimeout = null;
+            if (that.verifyChoice().err) {
+                that.setError(that.verifyChoice().err)
+            }
+
+        }, that.validationSpeed);
+
+        // Call onchange, if any.
+        if (that.onchange) {
+            that.onchange(that.currentChoice, that);
+        }
+
+        that.emit('changed', copyChoice(that.currentChoice));
+    }
+
+    /**
+     * ### findDropdown
+     *
+     * Returns the appended Dropdown with the given id, if any
+     *
+     * @param {string} id The id of the dropdown
+     *
+     * @return {Dropdown|null} The dropdown, or null if not found
+     */
+    function findDropdown(id) {
+        var i, len, w;
+        i = -1, len = node.widgets.instances.length;
+        for ( ; ++i < len ; ) {
+            w = node.widgets.instances[i];
+            if (w.id === id && w instanceof Dropdown) return w;
+        }
+        return null;
+    }
+
+    /**
+     * ### clearInvalidChoices
+     *
+     * Clears the selections not available among the current choices
+     *
+     * @param {Dropdown} that This instance
+     */
+    function clearInvalidChoices(that) {
+        var i, len, valid;
+        if (that.selectMultiple) {
+            valid = [];
+            len = that.currentChoice.length;
+            for (i = 0; i < len; i++) {
+                if (that.flatChoices.indexOf(that.currentChoice[i]) !== -1) {
+                    valid.push(that.currentChoice[i]);
+                }
+            }
+            if (valid.length === len) return;
+            if (that.chips) {
+                that.chips.innerHTML = '';
+                for (i = 0; i < valid.length; i++) addChip(that, valid[i]);
+            }
+            setCurrentChoice(that, valid);
+        }
+        else if (that.currentChoice !== null &&
+                 that.flatChoices.indexOf(that.currentChoice) === -1) {
+
+            if (that.menu) that.menu.value = '';
+            setCurrentChoice(that, null);
+        }
+    }
+
+    /**
+     * ### getChain
+     *
+     * Returns the ids and values of all the parents and of this dropdown
+     *
+     * @param {Dropdown} that This instance
+     *
+     * @return {array} Array of objects with `id` and `value`
+     */
+    function getChain(that) {
+        var chain;
+        chain = [];
+        while (that && 'string' !== typeof that) {
+            chain.unshift({
+                id: that.id,
+                value: copyChoice(that.currentChoice)
+            });
+            that = that.parent;
+        }
+        return chain;
+    }
+
+    /**
+     * ### flattenChoices
+     *
+     * Sets the flat array of choices, their groups, and their order
+     *
+     * If choices are shuffled, they are shuffled within each group.
+     *
+     * @param {Dropdown} that This instance
+     * @param {array} choices The choices, possibly grouped
+     *
+     * @see Dropdown.flatChoices
+     * @see Dropdown.choicesGroups
+     */
+    function flattenChoices(that, choices) {
+        var i, len, j, lenJ, c, order, block, group;
+        that.flatChoices = [];
+        that.choicesGroups = [];
+        len = choices ? choices.length : 0;
+        for (i = 0; i < len; i++) {
+            c = choices[i];
+            if (c && 'object' === typeof c && J.isArray(c.choices)) {
+                lenJ = c.choices.length;
+                for (j = 0; j < lenJ; j++) {
+                    that.flatChoices.push(c.choices[j]);
+                    that.choicesGroups.push(c.group);
+                }
+            }
+            else {
+                that.flatChoices.push(c);
+                that.choicesGroups.push(null);
+            }
+        }
+
+        len = that.flatChoices.length;
+        order = len ? J.seq(0, len - 1) : [];
+        if (that.shuffleChoices) {
+            that.order = [];
+            block = [];
+            for (i = 0; i < len; i++) {
+                if (block.length && that.choicesGroups[i] !== group) {
+                    that.order = that.order.concat(J.shuffle(block));
+                    block = [];
+                }
+                group = that.choicesGroups[i];
+                block.push(order[i]);
+            }
+            // Last group.
+            if (block.length) that.order = that.order.concat(J.shuffle(block));
+        }
+        else {
+            that.order = order;
+        }
+    }
+
+    /**
+     * ### setComboboxChoices
+     *
+     * Creates the combobox, if not existing, and updates the results
+     *
+     * @param {Dropdown} that This instance
+     */
+    function setComboboxChoices(that) {
+        var input;
+        if (!that.menu) {
+            if (that.selectMultiple) {
+                that.chips = W.add('div', that.bodyDiv, {
+                    className: 'dropdown-chips'
+                });
+            }
+            input = W.add('input', that.bodyDiv, {
+                id: that.id,
+                type: 'text',
+                autocomplete: 'off',
+                className: 'dropdown-search'
+            });
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-expanded', 'false');
+            input.setAttribute('aria-controls', that.id + '_list');
+            if (that.placeholder) input.placeholder = that.placeholder;
+            if (that.inputWidth) input.style.width = that.inputWidth;
+            that.menu = input;
+
+            that.list = W.add('ul', that.bodyDiv, {
+                id: that.id + '_list',
+                className: 'dropdown-list'
+            });
+            that.list.setAttribute('role', 'listbox');
+            if (that.selectMultiple) {
+                that.list.setAttribute('aria-multiselectable', 'true');
+            }
+            that.list.style.display = 'none';
+
+            that.enable();
+        }
+        else if (that.list.style.display !== 'none') {
+            renderResults(that);
+        }
+    }
+
+    /**
+     * ### toggleComboboxListeners
+     *
+     * Adds or removes the listeners of the combobox
+     *
+     * @param {Dropdown} that This instance
+     * @param {boolean} add TRUE to add the listeners, FALSE to remove them
+     *
+     * @see Dropdown.comboboxListener
+     */
+    function toggleComboboxListeners(that, add) {
+        var method, cb;
+        method = add ? 'addEventListener' : 'removeEventListener';
+        cb = that.comboboxListener;
+        that.menu[method]('input', cb);
+        that.menu[method]('focus', cb);
+        that.menu[method]('blur', cb);
+        that.menu[method]('change', cb);
+        that.menu[method]('keydown', cb);
+        that.list[method]('mousedown', cb);
+        if (that.chips) that.chips[method]('click', cb);
+    }
+
+    /**
+     * ### searchChoices
+     *
+     * Returns the indexes of the choices matching a query
+     *
+     * Choices already selected are skipped. The search stops as soon
+     * as more than `maxResults` choices are found.
+     *
+     * @param {Dropdown} that This instance
+     * @param {string} query The text typed by the user
+     *
+     * @return {object} Object with the indexes of the matching choices
+     *   (`results`), and a flag if more choices are matching (`more`)
+     */
+    function searchChoices(that, query) {
+        var i, len, idx, res, max;
+        query = query.trim().toLowerCase();
+        max = that.maxResults;
+        res = [];
+        len = that.order.length;
+        for (i = 0; i < len && res.length <= max; i++) {
+            idx = that.order[i];
+            if (that.selectMultiple &&
+                that.currentChoice.indexOf(that.flatChoices[idx]) !== -1) {
+
+                continue;
+            }
+            if (query === '' ||
+                ('' + that.flatChoices[idx]).toLowerCase()
+                .indexOf(query) !== -1) {
+
+                res.push(idx);
+            }
+        }
+        return { results: res.slice(0, max), more: res.length > max };
+    }
+
+    /**
+     * ### renderResults
+     *
+     * Displays the choices matching the current text in the combobox
+     *
+     * @param {Dropdown} that This instance
+     */
+    function renderResults(that) {
+        var i, len, search, li, idx, group;
+
+        that.list.innerHTML = '';
+        that.activeResult = -1;
+        that.menu.removeAttribute('aria-activedescendant');
+
+        if ('number' === typeof that.selectMultiple &&
+            that.currentChoice.length >= that.selectMultiple) {
+
+            that.results = [];
+            addInfo(that, that.getText('maxSelected', that.selectMultiple));
+        }
+        else {
+            search = searchChoices(that, that.menu.value);
+            that.results = search.results;
+            len = search.results.length;
+            for (i = 0; i < len; i++) {
+                idx = search.results[i];
+                if (that.choicesGroups[idx] !== null &&
+                    that.choicesGroups[idx] !== group) {
+
+                    li = W.add('li', that.list, {
+                        className: 'dropdown-group',
+                        innerHTML: that.choicesGroups[idx]
+                    });
+                    li.setAttribute('role', 'presentation');
+                }
+                group = that.choicesGroups[idx];
+                li = W.add('li', that.list, {
+                    id: that.id + '_opt_' + idx,
+                    className: 'dropdown-option',
+                    innerHTML: that.flatChoices[idx]
+                });
+                li.setAttribute('role', 'option');
+            }
+            if (!len) addInfo(that, that.getText('noResults'));
+            else if (search.more) addInfo(that, that.getText('moreResults'));
+        }
+
+        that.list.style.display = '';
+        that.menu.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * ### addInfo
+     *
+     * Adds a non-selectable message to the list of results
+     *
+     * @param {Dropdown} that This instance
+     * @param {string} text The message
+     */
+    function addInfo(that, text) {
+        var li;
+        li = W.add('li', that.list, {
+            className: 'dropdown-info',
+            innerHTML: text
+        });
+        li.setAttribute('role', 'presentation');
+    }
+
+    /**
+     * ### closeList
+     *
+     * Hides the list of results of the combobox
+     *
+     * @param {Dropdown} that This instance
+     */
+    function closeList(that) {
+        if (!that.list) return;
+        that.list.style.display = 'none';
+        that.list.innerHTML = '';
+        that.results = [];
+        that.activeResult = -1;
+        that.menu.setAttribute('aria-expanded', 'false');
+        that.menu.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * ### getResultIdx
+     *
+     * Returns the index in `flatChoices` of a rendered option
+     *
+     * @param {Dropdown} that This instance
+     * @param {HTMLElement} li The option
+     *
+     * @return {number} The index, or -1 if not an option
+     */
+    function getResultIdx(that, li) {
+        var prefix;
+        prefix = that.id + '_opt_';
+        if (!li.id || li.id.indexOf(prefix) !== 0) return -1;
+        return parseInt(li.id.substr(prefix.length), 10);
+    }
+
+    /**
+     * ### setActiveResult
+     *
+     * Marks a result as active for keyboard navigation
+     *
+     * @param {Dropdown} that This instance
+     * @param {number} pos The position in `results`
+     */
+    function setActiveResult(that, pos) {
+        var li;
+        if (that.activeResult !== -1) {
+            li = W.gid(that.id + '_opt_' + that.results[that.activeResult]);
+            if (li) J.removeClass(li, 'active');
+        }
+        that.activeResult = pos;
+        li = W.gid(that.id + '_opt_' + that.results[pos]);
+        if (!li) return;
+        J.addClass(li, 'active');
+        that.menu.setAttribute('aria-activedescendant', li.id);
+        if ('function' === typeof li.scrollIntoView) {
+            li.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * ### onKeyDown
+     *
+     * Handles keyboard navigation in the combobox
+     *
+     * @param {Dropdown} that This instance
+     * @param {KeyboardEvent} e The event
+     */
+    function onKeyDown(that, e) {
+        var len;
+        len = that.results.length;
+        switch(e.key) {
+        case 'ArrowDown':
+        case 'Down':
+            if (that.list.style.display === 'none') renderResults(that);
+            else if (len) setActiveResult(that, (that.activeResult + 1) % len);
+            break;
+        case 'ArrowUp':
+        case 'Up':
+            if (!len) return;
+            setActiveResult(that, that.activeResult <= 0 ?
+                            len - 1 : that.activeResult - 1);
+            break;
+        case 'Enter':
+            if (that.activeResult === -1) return;
+            selectResult(that, that.results[that.activeResult]);
+            break;
+        case 'Escape':
+        case 'Esc':
+            closeList(that);
+            break;
+        case 'Backspace':
+            if (!that.selectMultiple || that.menu.value !== '' ||
+                !that.currentChoice.length) {
+
+                return;
+            }
+            removeSelected(that, that.currentChoice.length - 1);
+            break;
+        default:
+            return;
+        }
+        if (e.preventDefault) e.preventDefault();
+    }
+
+    /**
+     * ### selectResult
+     *
+     * Selects a choice from the list of results of the combobox
+     *
+     * @param {Dropdown} that This instance
+     * @param {number} idx The index of the choice in `flatChoices`
+     */
+    function selectResult(that, idx) {
+        var value;
+        value = that.flatChoices[idx];
+        if (!that.selectMultiple) {
+            that.menu.value = value;
+            closeList(that);
+            if (value !== that.currentChoice) setCurrentChoice(that, value);
+            return;
+        }
+        if ('number' === typeof that.selectMultiple &&
+            that.currentChoice.length >= that.selectMultiple) {
+
+            return;
+        }
+        addChip(that, value);
+        that.menu.value = '';
+        setCurrentChoice(that, that.currentChoice.concat([ value ]));
+        renderResults(that);
+    }
+
+    /**
+     * ### addChip
+     *
+     * Displays a selected choice with a button to remove it
+     *
+     * @param {Dropdown} that This instance
+     * @param {string} value The selected choice
+     */
+    function addChip(that, value) {
+        var chip, btn;
+        chip = W.add('span', that.chips, {
+            className: 'dropdown-chip',
+            innerHTML: value
+        });
+        btn = W.add('button', chip, {
+            type: 'button',
+            className: 'dropdown-chip-remove',
+            innerHTML: '&times;'
+        });
+        btn.setAttribute('aria-label', that.getText('removeChoice', value));
+    }
+
+    /**
+     * ### removeSelected
+     *
+     * Removes a selected choice in the combobox
+     *
+     * @param {Dropdown} that This instance
+     * @param {number} pos The position of the choice in `currentChoice`
+     */
+    function removeSelected(that, pos) {
+        var value;
+        that.chips.removeChild(that.chips.childNodes[pos]);
+        value = that.currentChoice.slice(0);
+        value.splice(pos, 1);
+        setCurrentChoice(that, value);
+        if (that.list.style.display !== 'none') renderResults(that);
+    }
+
+    /**
+     * ### verifyMultiple
+     *
+     * Checks if the selected choices are exactly the correct ones
+     *
+     * @param {Dropdown} that This instance
+     * @param {mixed} correct The correct choice/s, as values or indexes
+     * @param {array} current The selected choices
+     *
+     * @return {boolean} TRUE if the selected choices are correct
+     */
+    function verifyMultiple(that, correct, current) {
+        var i, len;
+        if (!J.isArray(correct)) correct = [ correct ];
+        len = correct.length;
+        if (current.length !== len) return false;
+        for (i = 0; i < len; i++) {
+            if (current.indexOf('number' === typeof correct[i] ?
+                that.flatChoices[correct[i]] : correct[i]) === -1) {
+
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * ### isValidChoice
+     *
+     * Checks if a value (or all values, if an array) is one of the choices
+     *
+     * @param {Dropdown} that This instance
+     * @param {string|array} value The value/s to check
+     *
+     * @return {boolean} TRUE if valid
+     */
+    function isValidChoice(that, value) {
+        var i, len;
+        if (!J.isArray(value)) return that.flatChoices.indexOf(value) !== -1;
+        len = value.length;
+        for (i = 0; i < len; i++) {
+            if (that.flatChoices.indexOf(value[i]) === -1) return false;
+        }
+        return true;
+    }
+
+    /**
+     * ### getChoiceIdx
+     *
+     * Returns the index/es in `flatChoices` of a value (or of all values)
+     *
+     * @param {Dropdown} that This instance
+     * @param {string|array} value The value/s
+     *
+     * @return {number|array} The index/es
+     */
+    function getChoiceIdx(that, value) {
+        if (!J.isArray(value)) return that.flatChoices.indexOf(value);
+        return value.map(function(v) { return that.flatChoices.indexOf(v); });
+    }
+
+    /**
+     * ### copyChoice
+     *
+     * Returns a copy of the choice, if it is an array
+     *
+     * @param {string|array|null} value The choice
+     *
+     * @return {string|array|null} The copy
+     */
+    function copyChoice(value) {
+        return J.isArray(value) ? value.slice(0) : value;
+    }
+
 })(node);
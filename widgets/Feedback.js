@@ -19,7 +19,7 @@
 
     // ## Meta-data
 
-    Feedback.version = '1.6.0';
+    Feedback.version = '1.7.0';
     Feedback.description = 'Displays a configurable feedback form';
 
     Feedback.title = 'Feedback';
@@ -620,6 +620,7 @@
         J.addEvent(this.feedbackForm, 'input', function() {
             if (that.isHighlighted()) that.unhighlight();
             that.verifyFeedback(false, true);
+            that.emit('changed', that.textareaElement.value);
         });
         J.addEvent(this.feedbackForm, 'click', function() {
             if (that.isHighlighted()) that.unhighlight();
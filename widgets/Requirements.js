@@ -18,7 +18,7 @@
 
     // ## Meta-data
 
-    Requirements.version = '0.7.2';
+    Requirements.version = '0.9.0';
     Requirements.description = 'Checks a set of requirements and display the ' +
         'results';
 
@@ -30,6 +30,380 @@
                                 ' issue with your browser or to bad network' +
                                 ' connectivity.';
     Requirements.texts.testPassed = 'All tests passed.';
+    Requirements.texts.warning = 'Warning: ';
+    Requirements.texts.timeout = function(w, name) {
+        return 'Requirement ' + name + ' is taking too long.';
+    };
+    Requirements.texts.summary = function(w, s) {
+        var res;
+        res = s.passed + ' passed';
+        if (s.failed) res += ', ' + s.failed + ' failed';
+        if (s.warnings) res += ', ' + s.warnings + ' with warnings';
+        if (s.skipped) res += ', ' + s.skipped + ' skipped';
+        return res + '.';
+    };
+    Requirements.texts.screenSize = function(w, d) {
+        return 'Your screen is too small: ' + d.width + 'x' + d.height +
+            ' pixels (minimum ' + d.minWidth + 'x' + d.minHeight + ').';
+    };
+    Requirements.texts.pointer = function(w, d) {
+        return 'A ' + (d.require === 'touch' ? 'touch screen' : 'mouse') +
+            ' is required.';
+    };
+    Requirements.texts.cookies = 'Cookies must be enabled.';
+    Requirements.texts.storage = function(w, d) {
+        return 'Your browser does not allow storing data (' + d + ').';
+    };
+    Requirements.texts.audioFormat = 'Your browser cannot play audio files.';
+    Requirements.texts.audioPlay = function(w, d) {
+        return 'Audio playback failed' + (d ? ': ' + d : '.');
+    };
+    Requirements.texts.latency = function(w, d) {
+        if (d.latency === null) return 'The server did not respond.';
+        return 'Your connection is too slow: ' + d.latency + 'ms (maximum ' +
+            d.maxLatency + 'ms).';
+    };
+    Requirements.texts.visibility = 'Your browser does not support the ' +
+                                    'Page Visibility API.';
+    Requirements.texts.features = function(w, d) {
+        return 'Your browser does not support: ' + d.join(', ') + '.';
+    };
+
+    /**
+     * ## Requirements.checks
+     *
+     * Library of named checks that can be used as requirements
+     *
+     * Checks are referenced by name in the requirements array, and
+     * configured with the `params` object:
+     *
+     *  ```
+     *     requirements: [
+     *         'cookies',
+     *         { name: 'screenSize', params: { minWidth: 1024 } },
+     *         { name: 'bigScreen', check: 'screenSize',
+     *           params: { minWidth: 1280, window: true } }
+     *     ]
+     *  ```
+     *
+     * Each check reports structured data in `Requirements.results`.
+     * New checks can be added to this object; they are executed
+     * with the same parameters as the `cb` of the requirements, plus
+     * the widget as third parameter.
+     *
+     * @see Requirements.addRequirements
+     */
+    Requirements.checks = {
+
+        /**
+         * ### Requirements.checks.screenSize
+         *
+         * Checks the minimum size of the screen
+         *
+         * Params: minWidth (default 800), minHeight (default 600), and
+         * window: if TRUE, the size of the browser window is checked.
+         */
+        screenSize: function(update, params, w) {
+            var data, errors;
+            data = {
+                screenWidth: window.screen ? window.screen.width : null,
+                screenHeight: window.screen ? window.screen.height : null,
+                windowWidth: window.innerWidth,
+                windowHeight: window.innerHeight,
+                pixelRatio: window.devicePixelRatio || 1,
+                minWidth: 'number' === typeof params.minWidth ?
+                    params.minWidth : 800,
+                minHeight: 'number' === typeof params.minHeight ?
+                    params.minHeight : 600
+            };
+            data.width = params.window ? data.windowWidth : data.screenWidth;
+            data.height = params.window ?
+                data.windowHeight : data.screenHeight;
+            errors = [];
+            if (data.width < data.minWidth || data.height < data.minHeight) {
+                errors.push(w.getText('screenSize', data));
+            }
+            return { success: !errors.length, errors: errors, data: data };
+        },
+
+        /**
+         * ### Requirements.checks.pointer
+         *
+         * Detects touch screens and mouse-like pointing devices
+         *
+         * Params: require: 'touch' or 'mouse'. If not set, devices are
+         * only reported.
+         */
+        pointer: function(update, params, w) {
+            var data, errors, nav;
+            nav = window.navigator || {};
+            data = {
+                touch: 'ontouchstart' in window || nav.maxTouchPoints > 0,
+                mouse: null,
+                maxTouchPoints: nav.maxTouchPoints || 0,
+                require: params.require || null
+            };
+            if (window.matchMedia) {
+                data.mouse = window.matchMedia('(any-pointer: fine)').matches;
+            }
+            errors = [];
+            if ((data.require === 'touch' && !data.touch) ||
+                (data.require === 'mouse' && data.mouse === false)) {
+
+                errors.push(w.getText('pointer', data));
+            }
+            return { success: !errors.length, errors: errors, data: data };
+        },
+
+        /**
+         * ### Requirements.checks.cookies
+         *
+         * Checks that cookies can be set
+         */
+        cookies: function(update, params, w) {
+            var enabled;
+            enabled = !!(window.navigator && window.navigator.cookieEnabled);
+            if (enabled) {
+                try {
+                    document.cookie = 'ng_requirements=1; path=/';
+                    enabled =
+                        document.cookie.indexOf('ng_requirements=') !== -1;
+                    document.cookie = 'ng_requirements=; path=/; ' +
+                        'expires=Thu, 01 Jan 1970 00:00:00 GMT';
+                }
+                catch(e) {
+                    enabled = false;
+                }
+            }
+            return {
+                success: enabled,
+                errors: enabled ? [] : [ w.getText('cookies') ],
+                data: { cookies: enabled }
+            };
+        },
+
+        /**
+         * ### Requirements.checks.localStorage
+         *
+         * Checks that data can be saved in the localStorage
+         *
+         * Params: session: if TRUE, the sessionStorage is checked too.
+         */
+        localStorage: function(update, params, w) {
+            var data, errors;
+            data = { localStorage: isStorageAvailable('localStorage') };
+            errors = [];
+            if (!data.localStorage) {
+                errors.push(w.getText('storage', 'localStorage'));
+            }
+            if (params.session) {
+                data.sessionStorage = isStorageAvailable('sessionStorage');
+                if (!data.sessionStorage) {
+                    errors.push(w.getText('storage', 'sessionStorage'));
+                }
+            }
+            return { success: !errors.length, errors: errors, data: data };
+        },
+
+        /**
+         * ### Requirements.checks.audio
+         *
+         * Checks that audio files can be played
+         *
+         * Params:
+         *
+         *   - formats: array of MIME types, at least one of which must
+         *       be playable. Default: [ 'audio/mpeg', 'audio/ogg' ]
+         *   - src: the path to an audio file. If set, the file is
+         *       actually played (asynchronously)
+         *   - muted: if FALSE, the file is played with sound. Note:
+         *       browsers may block playback with sound until the user
+         *       interacts with the page. Default: TRUE
+         */
+        audio: function(update, params, w) {
+            var data, audio, formats, i, len, finished, done, promise;
+            formats = params.formats || [ 'audio/mpeg', 'audio/ogg' ];
+            data = {
+                formats: {},
+                webAudio: !!(window.AudioContext || window.webkitAudioContext)
+            };
+            audio = 'function' === typeof window.Audio ? new Audio() : null;
+            i = -1, len = formats.length;
+            for ( ; ++i < len ; ) {
+                data.formats[formats[i]] = !!audio &&
+                    audio.canPlayType(formats[i]) !== '';
+                if (data.formats[formats[i]]) data.playable = true;
+            }
+            if (!data.playable) {
+                data.playable = false;
+                return {
+                    success: false,
+                    errors: [ w.getText('audioFormat') ],
+                    data: data
+                };
+            }
+            if (!params.src) return { success: true, errors: [], data: data };
+
+            done = function(err) {
+                if (finished) return;
+                finished = true;
+                audio.pause();
+                data.played = !err;
+                update(!err, err ? [ w.getText('audioPlay', err) ] : [], data);
+            };
+            audio.muted = params.muted !== false;
+            audio.onerror = function() { done('file could not be loaded'); };
+            audio.onplaying = function() { done(); };
+            audio.src = params.src;
+            try {
+                promise = audio.play();
+                if (promise && 'function' === typeof promise['catch']) {
+                    promise['catch'](function(e) {
+                        done(extractErrorMsg(e));
+                    });
+                }
+            }
+            catch(e) {
+                done(extractErrorMsg(e));
+            }
+        },
+
+        /**
+         * ### Requirements.checks.latency
+         *
+         * Checks that the round-trip time to the server is below a threshold
+         *
+         * Sends GET messages to the server. No handler is registered by
+         * default: the logic of the room where the widget is displayed
+         * (e.g., the requirements room) must reply to them with:
+         *
+         *  ```
+         *     node.on.get('requirements_latency', function() {
+         *         return 1;
+         *     });
+         *  ```
+         *
+         * If the server never replies (e.g., the handler is missing), a
+         * warning is logged and the check is passed, unless param
+         * `strict` is TRUE. If the server stops replying after the first
+         * reply, the check fails.
+         *
+         * Params:
+         *
+         *   - maxLatency: max average latency in milliseconds. Default: 500
+         *   - pings: the number of messages to send. Default: 3
+         *   - label: the label of the GET messages.
+         *       Default: 'requirements_latency'
+         *   - timeout: max time to wait for a reply. Default: 5000
+         *   - strict: if TRUE, the check fails if the server never
+         *       replies. Default: FALSE
+         */
+        latency: function(update, params, w) {
+            var data, times, label, ping, finished;
+            data = {
+                maxLatency: params.maxLatency || 500,
+                pings: params.pings || 3,
+                latency: null,
+                times: []
+            };
+            times = data.times;
+            label = params.label || 'requirements_latency';
+            ping = function() {
+                var start = J.now();
+                node.get(label, function() {
+                    if (finished) return;
+                    times.push(J.now() - start);
+                    if (times.length < data.pings) {
+                        ping();
+                        return;
+                    }
+                    finished = true;
+                    data.latency = Math.round(sum(times) / times.length);
+                    if (data.latency <= data.maxLatency) {
+                        update(true, [], data);
+                    }
+                    else {
+                        update(false, [ w.getText('latency', data) ], data);
+                    }
+                }, 'SERVER', {
+                    timeout: params.timeout || 5000,
+                    timeoutCb: function() {
+                        if (finished) return;
+                        finished = true;
+                        if (!times.length && !params.strict) {
+                            node.warn('Requirements.checks.latency: no ' +
+                                      'reply from the server. Is there a ' +
+                                      'GET handler for "' + label + '"?');
+                            data.noReply = true;
+                            update(true, [], data);
+                            return;
+                        }
+                        update(false, [ w.getText('latency', data) ], data);
+                    }
+                });
+            };
+            ping();
+        },
+
+        /**
+         * ### Requirements.checks.visibility
+         *
+         * Checks that the Page Visibility API is supported
+         *
+         * The API is used to detect when participants leave the page.
+         */
+        visibility: function(update, params, w) {
+            var data, prefixes, prop, i, len;
+            data = { supported: false, prefix: null, hidden: null };
+            prefixes = [ '', 'webkit', 'moz', 'ms' ];
+            i = -1, len = prefixes.length;
+            for ( ; ++i < len ; ) {
+                prop = prefixes[i] ? prefixes[i] + 'Hidden' : 'hidden';
+                if ('undefined' !== typeof document[prop]) {
+                    data.supported = true;
+                    data.prefix = prefixes[i];
+                    data.hidden = !!document[prop];
+                    break;
+                }
+            }
+            return {
+                success: data.supported,
+                errors: data.supported ? [] : [ w.getText('visibility') ],
+                data: data
+            };
+        },
+
+        /**
+         * ### Requirements.checks.features
+         *
+         * Checks that the browser supports a list of features
+         *
+         * Params: features: array of feature names. Names are either
+         * among: JSON, addEventListener, querySelector, localStorage,
+         * WebSocket, Promise, fetch, canvas, or the path of a property
+         * of `window` (e.g., 'Intl.DateTimeFormat').
+         * Default: [ 'JSON', 'addEventListener', 'querySelector',
+         * 'WebSocket' ].
+         */
+        features: function(update, params, w) {
+            var data, features, missing, i, len;
+            features = params.features ||
+                [ 'JSON', 'addEventListener', 'querySelector', 'WebSocket' ];
+            data = {};
+            missing = [];
+            i = -1, len = features.length;
+            for ( ; ++i < len ; ) {
+                data[features[i]] = hasFeature(features[i]);
+                if (!data[features[i]]) missing.push(features[i]);
+            }
+            return {
+                success: !missing.length,
+                errors: missing.length ?
+                    [ w.getText('features', missing) ] : [],
+                data: data
+            };
+        }
+    };
 
     // ## Dependencies
 
@@ -113,14 +487,28 @@
         /**
          * ### Requirements.hasFailed
          *
-         * TRUE if at least one test has failed
+         * TRUE if at least one blocking test has failed
          */
         this.hasFailed = false;
 
+        /**
+         * ### Requirements.stopOnFailure
+         *
+         * If TRUE, tests are executed in order, stopping at the first failure
+         *
+         * Only blocking tests can stop the execution, the remaining
+         * tests are skipped.
+         */
+        this.stopOnFailure = false;
+
         /**
          * ### Requirements.results
          *
          * The outcomes of all tests
+         *
+         * Each outcome is an object with properties: name, success,
+         * errors, data, status ('passed', 'failed', 'warning', or
+         * 'skipped'), blocking, timedOut, attempts, and time.
          */
         this.results = [];
 
@@ -209,7 +597,8 @@
 
             text = document.createTextNode(o.content.text);
             span = document.createElement('span');
-            span.className = 'requirement';
+            span.className = o.content.warning ?
+                'requirement requirement-warning' : 'requirement';
             span.appendChild(img);
 
             span.appendChild(text);
@@ -226,8 +615,17 @@
      *
      * Available options:
      *
-     *   - requirements: array of callback functions or objects formatted as
-     *      { cb: function [, params: object] [, name: string] };
+     *   - requirements: array of callback functions, names of checks in
+     *      `Requirements.checks`, or objects formatted as
+     *      { cb: function [, params: object] [, name: string] } or
+     *      { name: string [, check: string] [, params: object] };
+     *      objects may also contain: timeout (max execution time in
+     *      milliseconds), retries (how many times a failed test is
+     *      repeated), backoff (milliseconds before the first retry,
+     *      doubling at every retry, default 1000), and warning (if TRUE,
+     *      a failure is displayed, but does not fail the requirements)
+     *   - stopOnFailure: if TRUE, tests are executed in order, and
+     *      the execution stops at the first blocking failure
      *   - onComplete: function executed with either failure or success
      *   - onFailure: function executed when at least one test fails
      *   - onSuccess: function executed when all tests succeed
@@ -236,6 +634,7 @@
      * @param {object} conf Configuration object.
      */
     Requirements.prototype.init = function(conf) {
+        var i, len;
         if ('object' !== typeof conf) {
             throw new TypeError('Requirements.init: conf must be object. ' +
                                 'Found: ' + conf);
@@ -246,7 +645,12 @@
                                     'must be array or undefined. Found: ' +
                                     conf.requirements);
             }
-            this.requirements = conf.requirements;
+            this.requirements = [];
+            i = -1, len = conf.requirements.length;
+            for ( ; ++i < len ; ) {
+                this.requirements.push(getRequirement(conf.requirements[i],
+                                                      'Requirements.init'));
+            }
         }
         if ('undefined' !== typeof conf.onComplete) {
             if (null !== conf.onComplete &&
@@ -278,6 +682,9 @@
             }
             this.onFailure = conf.onFailure;
         }
+        if ('undefined' !== typeof conf.stopOnFailure) {
+            this.stopOnFailure = !!conf.stopOnFailure;
+        }
         if (conf.maxExecTime) {
             if (null !== conf.maxExecTime &&
                 'number' !== typeof conf.maxExecTime) {
@@ -306,20 +713,18 @@
      * In both cases the return is an array, where every item is an
      * error message. Empty array means test passed.
      *
+     * Checks of the library can be added by name, or with an object
+     * containing the name and the params of the check.
+     *
      * @see this.requirements
+     * @see Requirements.checks
      */
     Requirements.prototype.addRequirements = function() {
         var i, len;
         i = -1, len = arguments.length;
         for ( ; ++i < len ; ) {
-            if ('function' !== typeof arguments[i] &&
-                'object' !== typeof arguments[i] ) {
-
-                throw new TypeError('Requirements.addRequirements: ' +
-                                    'requirements must be function or ' +
-                                    'object. Found: ' + arguments[i]);
-            }
-            this.requirements.push(arguments[i]);
+            this.requirements.push(getRequirement(arguments[i],
+                                   'Requirements.addRequirements'));
         }
     };
 
@@ -331,6 +736,9 @@
      * Can add a timeout for the max execution time of the callbacks, if the
      * corresponding option is set.
      *
+     * If `stopOnFailure` is TRUE, callbacks are executed one after
+     * the other.
+     *
      * Results are displayed conditionally
      *
      * @param {boolean} display If TRUE, results are displayed
@@ -342,7 +750,7 @@
      */
     Requirements.prototype.checkRequirements = function(display) {
         var i, len;
-        var errors, cbName, errMsg;
+        var errors;
         if (!this.requirements.length) {
             throw new Error('Requirements.checkRequirements: no requirements ' +
                             'to check.');
@@ -351,24 +759,13 @@
         this.updateStillChecking(this.requirements.length, true);
 
         errors = [];
-        i = -1, len = this.requirements.length;
-        for ( ; ++i < len ; ) {
-            // Get Test Name.
-            if (this.requirements[i] && this.requirements[i].name) {
-                cbName = this.requirements[i].name;
-            }
-            else {
-                cbName = i + 1;
-            }
-            try {
-                resultCb(this, cbName, i);
-            }
-            catch(e) {
-                this.hasFailed = true;
-                errMsg = extractErrorMsg(e);
-                this.updateStillChecking(-1);
-                errors.push('An error occurred in requirement n.' +
-                            cbName + ': ' + errMsg);
+        if (this.stopOnFailure) {
+            runSequence(this, 0, errors);
+        }
+        else {
+            i = -1, len = this.requirements.length;
+            for ( ; ++i < len ; ) {
+                startRequirement(this, i, errors);
             }
         }
 
@@ -490,9 +887,15 @@
 
         this.dots.stop();
 
+        if (this.summaryResults) {
+            this.summaryResults.innerHTML =
+                this.getText('summary', getSummary(this));
+        }
+
         if (this.sayResults) {
             results = {
                 success: !this.hasFailed,
+                summary: getSummary(this),
                 results: this.results
             };
 
@@ -524,6 +927,8 @@
      *
      * @param {array} results The array containing the return values of all
      *   the requirements
+     * @param {boolean} warning Optional. If TRUE, errors are displayed
+     *   as warnings
      *
      * @see this.onComplete
      * @see this.onSuccess
@@ -531,7 +936,7 @@
      * @see this.stillCheckings
      * @see this.requirements
      */
-    Requirements.prototype.displayResults = function(results) {
+    Requirements.prototype.displayResults = function(results, warning) {
         var i, len;
 
         if (!this.list) {
@@ -558,7 +963,9 @@
             for ( ; ++i < len ; ) {
                 this.list.addDT({
                     success: false,
-                    text: results[i]
+                    warning: !!warning,
+                    text: warning ?
+                        this.getText('warning') + results[i] : results[i]
                 });
             }
         }
@@ -611,52 +1018,372 @@
 
     // ## Helper methods.
 
-    function resultCb(that, name, i) {
-        var req, update, res;
+    /**
+     * ### getName
+     *
+     * Returns the name of the i-th requirement
+     *
+     * @param {Requirements} that This instance
+     * @param {number} i The position of the requirement
+     *
+     * @return {string|number} The name, or the position (from 1)
+     */
+    function getName(that, i) {
+        var req;
+        req = that.requirements[i];
+        return req && req.name ? req.name : i + 1;
+    }
+
+    /**
+     * ### startRequirement
+     *
+     * Starts the i-th requirement, catching the errors
+     *
+     * @param {Requirements} that This instance
+     * @param {number} i The position of the requirement
+     * @param {array} errors The array collecting the errors
+     * @param {function} onDone Optional. Callback executed with the status
+     *   of the requirement once completed
+     *
+     * @return {boolean} FALSE, if an error occurred
+     *
+     * @see resultCb
+     */
+    function startRequirement(that, i, errors, onDone) {
+        var name;
+        name = getName(that, i);
+        try {
+            resultCb(that, name, i, onDone);
+            return true;
+        }
+        catch(e) {
+            that.hasFailed = true;
+            that.updateStillChecking(-1);
+            errors.push('An error occurred in requirement n.' +
+                        name + ': ' + extractErrorMsg(e));
+            return false;
+        }
+    }
 
-        update = function(success, errors, data) {
+    /**
+     * ### runSequence
+     *
+     * Executes the requirements in order, stopping at the first failure
+     *
+     * Remaining requirements are marked as skipped.
+     *
+     * @param {Requirements} that This instance
+     * @param {number} i The position of the requirement to execute
+     * @param {array} errors The array collecting the errors
+     *
+     * @see Requirements.stopOnFailure
+     */
+    function runSequence(that, i, errors) {
+        var started;
+        if (i >= that.requirements.length) return;
+        started = startRequirement(that, i, errors, function(status) {
+            if (status === 'failed') skipFrom(that, i + 1);
+            else runSequence(that, i + 1, errors);
+        });
+        if (!started) skipFrom(that, i + 1);
+    }
+
+    /**
+     * ### skipFrom
+     *
+     * Marks all requirements from position i as skipped
+     *
+     * @param {Requirements} that This instance
+     * @param {number} i The position of the first skipped requirement
+     */
+    function skipFrom(that, i) {
+        var len, req;
+        len = that.requirements.length;
+        for ( ; i < len ; i++) {
+            req = that.requirements[i];
+            that.results.push({
+                name: getName(that, i),
+                success: null,
+                errors: [],
+                status: 'skipped',
+                blocking: !req || !req.warning
+            });
+            that.updateStillChecking(-1);
+        }
+        if (that.isCheckingFinished()) that.checkingFinished();
+    }
+
+    /**
+     * ### resultCb
+     *
+     * Executes a requirement, retrying it upon failure if requested
+     *
+     * @param {Requirements} that This instance
+     * @param {string|number} name The name of the requirement
+     * @param {number} i The position of the requirement
+     * @param {function} onDone Optional. Callback executed with the status
+     *   of the requirement once completed
+     */
+    function resultCb(that, name, i, onDone) {
+        var req, attempt, start, run, complete;
+
+        req = that.requirements[i];
+        if ('function' !== typeof req &&
+            ('object' !== typeof req || 'function' !== typeof req.cb)) {
+
+            throw new TypeError('Requirements.checkRequirements: invalid ' +
+                                'requirement: ' + name + '.');
+        }
+
+        attempt = 0;
+        start = J.now();
+
+        complete = function(success, errors, data, timedOut) {
+            var warning, status;
             if (that.completed[name]) {
                 throw new Error('Requirements.checkRequirements: test ' +
                                 'already completed: ' + name);
             }
             that.completed[name] = true;
             that.updateStillChecking(-1);
-            if (!success) that.hasFailed = true;
 
-            if ('string' === typeof errors) errors = [ errors ];
+            warning = !!req.warning;
+            status = success ? 'passed' : warning ? 'warning' : 'failed';
+            if (!success && !warning) that.hasFailed = true;
 
-            if (errors) {
-                if (!J.isArray(errors)) {
-                    throw new Error('Requirements.checkRequirements: ' +
-                                    'errors must be array or undefined. ' +
-                                    'Found: ' + errors);
-                }
-                that.displayResults(errors);
-            }
+            if (errors) that.displayResults(errors, warning);
 
             that.results.push({
                 name: name,
                 success: success,
                 errors: errors,
-                data: data
+                data: data,
+                status: status,
+                blocking: !warning,
+                timedOut: !!timedOut,
+                attempts: attempt,
+                time: J.now() - start
             });
 
+            if (onDone) onDone(status);
             if (that.isCheckingFinished()) that.checkingFinished();
         };
 
-        req = that.requirements[i];
-        if ('function' === typeof req) {
-            res = req(update);
+        run = function() {
+            var update, res, active, timeoutId, timedOut;
+
+            attempt++;
+            active = true;
+
+            update = function(success, errors, data) {
+                if (!active) {
+                    // Late result of a timed out attempt.
+                    if (timedOut) return;
+                    throw new Error('Requirements.checkRequirements: test ' +
+                                    'already completed: ' + name);
+                }
+                active = false;
+                if (timeoutId) clearTimeout(timeoutId);
+
+                if ('string' === typeof errors) errors = [ errors ];
+
+                if (errors && !J.isArray(errors)) {
+                    throw new Error('Requirements.checkRequirements: ' +
+                                    'errors must be array or undefined. ' +
+                                    'Found: ' + errors);
+                }
+
+                if (!success && attempt <= (req.retries || 0)) {
+                    setTimeout(run, ('number' === typeof req.backoff ?
+                                     req.backoff : 1000) *
+                               Math.pow(2, attempt - 1));
+                    return;
+                }
+                complete(success, errors, data, timedOut);
+            };
+
+            if (req.timeout) {
+                timeoutId = setTimeout(function() {
+                    timeoutId = null;
+                    timedOut = true;
+                    update(false, [ that.getText('timeout', name) ]);
+                }, req.timeout);
+            }
+
+            try {
+                if ('function' === typeof req) res = req(update);
+                else res = req.cb(update, req.params || {}, that);
+            }
+            catch(e) {
+                // Errors count as failures (and can be retried).
+                if (!active) {
+                    node.warn('Requirements.checkRequirements: error in ' +
+                              'completed test ' + name + ': ' +
+                              extractErrorMsg(e));
+                    return;
+                }
+                res = {
+                    success: false,
+                    errors: [ 'An error occurred in requirement n.' +
+                              name + ': ' + extractErrorMsg(e) ]
+                };
+            }
+            // Synchronous checking.
+            if (res) update(res.success, res.errors, res.data);
+        };
+
+        run();
+    }
+
+    /**
+     * ### getRequirement
+     *
+     * Validates a requirement and resolves the checks of the library
+     *
+     * @param {mixed} req The requirement
+     * @param {string} method The name of the calling method
+     *
+     * @return {function|object} The requirement
+     *
+     * @see Requirements.checks
+     */
+    function getRequirement(req, method) {
+        var check;
+        if ('function' === typeof req) return req;
+        if ('string' === typeof req) {
+            req = { name: req };
         }
-        else if ('object' === typeof req) {
-            res = req.cb(update, req.params || {});
+        else if (!req || 'object' !== typeof req) {
+            throw new TypeError(method + ': requirements must be function, ' +
+                                'string or object. Found: ' + req);
         }
-        else {
-            throw new TypeError('Requirements.checkRequirements: invalid ' +
-                                'requirement: ' + name + '.');
+        if ('undefined' !== typeof req.timeout &&
+            ('number' !== typeof req.timeout || req.timeout <= 0)) {
+
+            throw new TypeError(method + ': timeout must be a number > 0 ' +
+                                'or undefined. Found: ' + req.timeout);
+        }
+        if ('undefined' !== typeof req.retries &&
+            false === J.isInt(req.retries, -1)) {
+
+            throw new TypeError(method + ': retries must be an integer ' +
+                                '>= 0 or undefined. Found: ' + req.retries);
+        }
+        if ('undefined' !== typeof req.backoff &&
+            ('number' !== typeof req.backoff || req.backoff < 0)) {
+
+            throw new TypeError(method + ': backoff must be a number >= 0 ' +
+                                'or undefined. Found: ' + req.backoff);
+        }
+        if ('function' === typeof req.cb) return req;
+
+        check = req.check || req.name;
+        if (!Requirements.checks.hasOwnProperty(check)) {
+            throw new Error(method + ': unknown check: ' + check);
+        }
+        return {
+            name: req.name || check,
+            cb: Requirements.checks[check],
+            params: req.params,
+            timeout: req.timeout,
+            retries: req.retries,
+            backoff: req.backoff,
+            warning: req.warning
+        };
+    }
+
+    /**
+     * ### getSummary
+     *
+     * Counts the outcomes of the requirements by status
+     *
+     * @param {Requirements} that This instance
+     *
+     * @return {object} The number of passed, failed, warnings, and
+     *   skipped requirements
+     */
+    function getSummary(that) {
+        var res, i, len, status;
+        res = { passed: 0, failed: 0, warnings: 0, skipped: 0 };
+        i = -1, len = that.results.length;
+        for ( ; ++i < len ; ) {
+            status = that.results[i].status;
+            if (status === 'warning') res.warnings++;
+            else if (res.hasOwnProperty(status)) res[status]++;
+        }
+        return res;
+    }
+
+    /**
+     * ### isStorageAvailable
+     *
+     * Returns TRUE if an item can be saved in a storage
+     *
+     * @param {string} type 'localStorage' or 'sessionStorage'
+     *
+     * @return {boolean} TRUE, if the storage is available
+     */
+    function isStorageAvailable(type) {
+        var storage, key;
+        key = 'ng_requirements';
+        try {
+            storage = window[type];
+            storage.setItem(key, key);
+            if (storage.getItem(key) !== key) return false;
+            storage.removeItem(key);
+            return true;
+        }
+        catch(e) {
+            return false;
+        }
+    }
+
+    /**
+     * ### hasFeature
+     *
+     * Returns TRUE if the browser supports a feature
+     *
+     * @param {string} feature The name of the feature, or the path of
+     *   a property of window
+     *
+     * @return {boolean} TRUE, if the feature is supported
+     *
+     * @see Requirements.checks.features
+     */
+    function hasFeature(feature) {
+        var canvas;
+        switch(feature) {
+        case 'addEventListener':
+            return 'function' === typeof document.addEventListener;
+        case 'querySelector':
+            return 'function' === typeof document.querySelector;
+        case 'localStorage':
+            return isStorageAvailable('localStorage');
+        case 'canvas':
+            canvas = document.createElement('canvas');
+            return !!(canvas.getContext && canvas.getContext('2d'));
+        default:
+            return 'undefined' !== typeof J.getNestedValue(feature, window);
+        }
+    }
+
+    /**
+     * ### sum
+     *
+     * Returns the sum of an array of numbers
+     *
+     * @param {array} arr The numbers
+     *
+     * @return {number} The sum
+     */
+    function sum(arr) {
+        var i, len, res;
+        res = 0;
+        i = -1, len = arr.length;
+        for ( ; ++i < len ; ) {
+            res += arr[i];
         }
-        // Synchronous checking.
-        if (res) update(res.success, res.errors, res.data);
+        return res;
     }
 
     function extractErrorMsg(e) {
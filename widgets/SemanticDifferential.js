@@ -0,0 +1,726 @@
+/**
+ * # SemanticDifferential
+ * Copyright(c) 2021 Stefano Balietti
+ * MIT Licensed
+ *
+ * Creates a block of bipolar rating items (e.g., cold - warm)
+ *
+ * Each item is a row with two opposite adjectives at the sides of either
+ * a set of discrete points (ChoiceTable) or a continuous visual analogue
+ * scale (Slider).
+ *
+ * @see ChoiceTable
+ * @see Slider
+ *
+ * www.nodegame.org
+ */
+(function(node) {
+
+    "use strict";
+
+    node.widgets.register('SemanticDifferential', SemanticDifferential);
+
+    // ## Meta-data
+
+    SemanticDifferential.version = '0.1.0';
+    SemanticDifferential.description = 'Creates a block of bipolar ' +
+        'rating items with discrete points or continuous sliders.';
+
+    SemanticDifferential.title = false;
+    SemanticDifferential.className = 'semanticdifferential';
+
+    SemanticDifferential.separator = '::';
+
+    SemanticDifferential.texts = {
+        autoHint: function(w) {
+            return w.required ? '*' : false;
+        },
+        error: 'Please rate all items.'
+    };
+
+    // ## Dependencies
+
+    SemanticDifferential.dependencies = {
+        JSUS: {}
+    };
+
+    /**
+     * ## SemanticDifferential constructor
+     *
+     * Creates a new instance of SemanticDifferential
+     */
+    function SemanticDifferential() {
+
+        /**
+         * ### SemanticDifferential.table
+         *
+         * The table containing all the items
+         */
+        this.table = null;
+
+        /**
+         * ### SemanticDifferential.trs
+         *
+         * Collection of all trs created
+         */
+        this.trs = [];
+
+        /**
+         * ### SemanticDifferential.itemsSettings
+         *
+         * The normalized settings of each item
+         *
+         * Each item is an object with properties `id`, `left`, and `right`.
+         */
+        this.itemsSettings = null;
+
+        /**
+         * ### SemanticDifferential.items
+         *
+         * The array of widgets (ChoiceTable or Slider) of each item
+         */
+        this.items = [];
+
+        /**
+         * ### SemanticDifferential.itemsById
+         *
+         * Map of items ids to widgets
+         */
+        this.itemsById = {};
+
+        /**
+         * ### SemanticDifferential.order
+         *
+         * The order of display of the items
+         */
+        this.order = null;
+
+        /**
+         * ### SemanticDifferential.type
+         *
+         * The type of scale: 'discrete' or 'continuous'
+         *
+         * Continuous scales range from 0 to 100.
+         *
+         * Default: 'discrete'
+         */
+        this.type = 'discrete';
+
+        /**
+         * ### SemanticDifferential.points
+         *
+         * The number of points of discrete scales
+         *
+         * Default: 7
+         */
+        this.points = 7;
+
+        /**
+         * ### SemanticDifferential.pointLabels
+         *
+         * The labels of the points of discrete scales
+         *
+         * Default: the numbers from 1 to points
+         */
+        this.pointLabels = null;
+
+        /**
+         * ### SemanticDifferential.flipped
+         *
+         * Map of the ids of the items whose poles are flipped
+         *
+         * Values in getValues are always reported as if poles were not
+         * flipped, that is with the left adjective at the low end.
+         */
+        this.flipped = {};
+
+        /**
+         * ### SemanticDifferential.shuffleItems
+         *
+         * If TRUE, items are shuffled
+         */
+        this.shuffleItems = null;
+
+        /**
+         * ### SemanticDifferential.required
+         *
+         * If TRUE, all items must be rated
+         */
+        this.required = null;
+
+        /**
+         * ### SemanticDifferential.mainText
+         *
+         * A text preceeding the items
+         */
+        this.mainText = null;
+
+        /**
+         * ### SemanticDifferential.hint
+         *
+         * An additional text with information about the items
+         *
+         * If not specified, it may be auto-filled, e.g. '*'.
+         *
+         * @see SemanticDifferential.texts.autoHint
+         */
+        this.hint = null;
+
+        /**
+         * ### SemanticDifferential.sharedOptions
+         *
+         * Options passed to the widget of each item
+         */
+        this.sharedOptions = {};
+
+        /**
+         * ### SemanticDifferential.errorBox
+         *
+         * An HTML element displayed when a validation error occurs
+         */
+        this.errorBox = null;
+
+        /**
+         * ### SemanticDifferential.timeFrom
+         *
+         * Time is measured from timestamp as saved by node.timer
+         *
+         * @see node.timer.getTimeSince
+         */
+        this.timeFrom = 'step';
+    }
+
+    // ## SemanticDifferential methods
+
+    /**
+     * ### SemanticDifferential.init
+     *
+     * Initializes the instance
+     *
+     * Available options are:
+     *
+     *   - items: array of items. Each item is an object with properties
+     *       `id`, `left`, and `right` (the two adjectives), or an array
+     *       [ id, left, right ].
+     *   - type: 'discrete' or 'continuous'. Default: 'discrete'
+     *   - points: number of points of discrete scales. Default: 7
+     *   - pointLabels: array of labels of the points. Default: numbers
+     *   - shuffleItems: if TRUE, items are shuffled. Default: FALSE
+     *   - flipPoles: TRUE to flip the poles of a random half of the items,
+     *       or an array of ids of the items to flip. Default: FALSE
+     *   - required: if TRUE, all items must be rated. Default: FALSE
+     *   - mainText: a text preceeding the items
+     *   - hint: a text with information about the items, or FALSE
+     *   - sharedOptions: options passed to the widget of each item
+     *
+     * @param {object} opts Configuration options
+     */
+    SemanticDifferential.prototype.init = function(opts) {
+        var tmp, e, i, len;
+        e = 'SemanticDifferential.init: ';
+
+        if (!this.id) throw new TypeError(e + 'id is missing');
+
+        if ('undefined' !== typeof opts.type) {
+            if (opts.type !== 'discrete' && opts.type !== 'continuous') {
+                throw new TypeError(e + 'type must be "discrete", ' +
+                                    '"continuous", or undefined. Found: ' +
+                                    opts.type);
+            }
+            this.type = opts.type;
+        }
+
+        if ('undefined' !== typeof opts.points) {
+            tmp = J.isInt(opts.points, 1);
+            if (false === tmp) {
+                throw new TypeError(e + 'points must be an integer > 1 ' +
+                                    'or undefined. Found: ' + opts.points);
+            }
+            this.points = tmp;
+        }
+
+        if ('undefined' !== typeof opts.pointLabels) {
+            if (!J.isArray(opts.pointLabels) ||
+                opts.pointLabels.length !== this.points) {
+
+                throw new TypeError(e + 'pointLabels must be an array of ' +
+                                    'length ' + this.points + ' or ' +
+                                    'undefined. Found: ' + opts.pointLabels);
+            }
+            this.pointLabels = opts.pointLabels;
+        }
+        else {
+            this.pointLabels = J.seq(1, this.points);
+        }
+
+        if (!J.isArray(opts.items) || !opts.items.length) {
+            throw new TypeError(e + 'items must be a non-empty array. ' +
+                                'Found: ' + opts.items);
+        }
+        this.itemsSettings = new Array(opts.items.length);
+        i = -1, len = opts.items.length;
+        for ( ; ++i < len ; ) {
+            this.itemsSettings[i] = checkItem(this, opts.items[i]);
+        }
+
+        // Option shuffleItems, default false.
+        if ('undefined' === typeof opts.shuffleItems) tmp = false;
+        else tmp = !!opts.shuffleItems;
+        this.shuffleItems = tmp;
+
+        this.order = J.seq(0, len - 1);
+        if (this.shuffleItems) this.order = J.shuffle(this.order);
+
+        tmp = opts.flipPoles;
+        if (tmp === true) {
+            // Flip a random half of the items.
+            tmp = J.shuffle(J.seq(0, len - 1)).slice(0, Math.floor(len / 2));
+            i = -1;
+            for ( ; ++i < tmp.length ; ) {
+                this.flipped[this.itemsSettings[tmp[i]].id] = true;
+            }
+        }
+        else if (J.isArray(tmp)) {
+            i = -1;
+            for ( ; ++i < tmp.length ; ) {
+                if (!this.itemsSettings.some(function(s) {
+                    return s.id === tmp[i];
+                })) {
+                    throw new Error(e + 'flipPoles contains an unknown ' +
+                                    'item: ' + tmp[i]);
+                }
+                this.flipped[tmp[i]] = true;
+            }
+        }
+        else if ('undefined' !== typeof tmp && false !== tmp) {
+            throw new TypeError(e + 'flipPoles must be boolean, array, or ' +
+                                'undefined. Found: ' + tmp);
+        }
+
+        if ('undefined' !== typeof opts.required) {
+            this.required = !!opts.required;
+        }
+
+        if (opts.mainText) {
+            if ('string' !== typeof opts.mainText) {
+                throw new TypeError(e + 'mainText must be string or ' +
+                                    'undefined. Found: ' + opts.mainText);
+            }
+            this.mainText = opts.mainText;
+        }
+
+        if ('undefined' !== typeof opts.hint) {
+            if (false !== opts.hint && 'string' !== typeof opts.hint) {
+                throw new TypeError(e + 'hint must be a string, false, or ' +
+                                    'undefined. Found: ' + opts.hint);
+            }
+            this.hint = opts.hint;
+        }
+        else {
+            this.hint = this.getText('autoHint');
+        }
+
+        if ('undefined' !== typeof opts.sharedOptions) {
+            if ('object' !== typeof opts.sharedOptions ||
+                !opts.sharedOptions) {
+
+                throw new TypeError(e + 'sharedOptions must be object or ' +
+                                    'undefined. Found: ' + opts.sharedOptions);
+            }
+            this.sharedOptions = opts.sharedOptions;
+        }
+
+        if ('undefined' !== typeof opts.timeFrom) this.timeFrom = opts.timeFrom;
+    };
+
+    /**
+     * ### SemanticDifferential.append
+     *
+     * Implements Widget.append
+     *
+     * @see Widget.append
+     */
+    SemanticDifferential.prototype.append = function() {
+        var i, len;
+
+        if (W.getElementById(this.id)) {
+            throw new Error('SemanticDifferential.append: id is not ' +
+                            'unique: ' + this.id);
+        }
+
+        if (this.mainText) {
+            this.spanMainText = W.append('span', this.bodyDiv, {
+                className: 'semanticdifferential-maintext',
+                innerHTML: this.mainText
+            });
+        }
+        if (this.hint) {
+            W.append('span', this.spanMainText || this.bodyDiv, {
+                className: 'semanticdifferential-hint',
+                innerHTML: this.hint
+            });
+        }
+
+        this.table = W.append('table', this.bodyDiv, {
+            id: this.id,
+            className: 'semanticdifferential-table ' + this.type
+        });
+
+        i = -1, len = this.order.length;
+        for ( ; ++i < len ; ) {
+            addItem(this, this.order[i], i);
+        }
+
+        this.errorBox = W.append('div', this.bodyDiv, { className: 'errbox' });
+    };
+
+    /**
+     * ### SemanticDifferential.listeners
+     *
+     * Implements Widget.listeners
+     *
+     * Adds two listeners two disable/enable the widget on events:
+     * INPUT_DISABLE, INPUT_ENABLE
+     *
+     * @see Widget.listeners
+     */
+    SemanticDifferential.prototype.listeners = function() {
+        var that = this;
+        node.on('INPUT_DISABLE', function() {
+            that.disable();
+        });
+        node.on('INPUT_ENABLE', function() {
+            that.enable();
+        });
+    };
+
+    /**
+     * ### SemanticDifferential.disable
+     *
+     * Disables all items
+     */
+    SemanticDifferential.prototype.disable = function() {
+        var i, len;
+        if (this.disabled === true) return;
+        this.disabled = true;
+        i = -1, len = this.items.length;
+        for ( ; ++i < len ; ) {
+            if (this.type === 'discrete') this.items[i].disable();
+            else this.items[i].slider.disabled = true;
+        }
+        this.emit('disabled');
+    };
+
+    /**
+     * ### SemanticDifferential.enable
+     *
+     * Enables all items
+     */
+    SemanticDifferential.prototype.enable = function() {
+        var i, len;
+        if (this.disabled === false) return;
+        this.disabled = false;
+        i = -1, len = this.items.length;
+        for ( ; ++i < len ; ) {
+            if (this.type === 'discrete') this.items[i].enable();
+            else this.items[i].slider.disabled = false;
+        }
+        this.emit('enabled');
+    };
+
+    /**
+     * ### SemanticDifferential.highlight
+     *
+     * Highlights the table of the items
+     *
+     * @param {string} The style for the table's border.
+     *   Default '3px solid red'
+     */
+    SemanticDifferential.prototype.highlight = function(border) {
+        if (border && 'string' !== typeof border) {
+            throw new TypeError('SemanticDifferential.highlight: border ' +
+                                'must be string or undefined. Found: ' +
+                                border);
+        }
+        if (!this.table || this.highlighted === true) return;
+        this.table.style.border = border || '3px solid red';
+        this.highlighted = true;
+        this.emit('highlighted', border);
+    };
+
+    /**
+     * ### SemanticDifferential.unhighlight
+     *
+     * Removes highlight from the table of the items
+     */
+    SemanticDifferential.prototype.unhighlight = function() {
+        if (!this.table || this.highlighted !== true) return;
+        this.table.style.border = '';
+        this.highlighted = false;
+        this.errorBox.innerHTML = '';
+        this.emit('unhighlighted');
+    };
+
+    /**
+     * ### SemanticDifferential.getValues
+     *
+     * Returns the rating of each item
+     *
+     * For each item, `items` contains an object with:
+     *
+     *   - left, right: the adjectives, as if poles were not flipped
+     *   - value: the rating, from the left to the right adjective (from
+     *       1 to points for discrete scales, from 0 to 100 for
+     *       continuous scales), or null if not rated
+     *   - rawValue: the rating as displayed (differs if flipped)
+     *   - flipped: TRUE if the poles were flipped
+     *   - position: the position of the item on screen (from 1)
+     *   - time: the time of the latest rating
+     *
+     * @param {object} opts Optional. Configures the return value.
+     *   Available options:
+     *
+     *   - highlight: If TRUE, the widget is highlighted if not all
+     *       required items are rated. Default: TRUE.
+     *
+     * @return {object} Object containing the ratings
+     */
+    SemanticDifferential.prototype.getValues = function(opts) {
+        var res, i, len, s, row;
+        opts = opts || {};
+        if ('undefined' === typeof opts.highlight) opts.highlight = true;
+        res = {
+            id: this.id,
+            type: this.type,
+            order: this.order,
+            items: {},
+            isCorrect: true
+        };
+        i = -1, len = this.itemsSettings.length;
+        for ( ; ++i < len ; ) {
+            s = this.itemsSettings[i];
+            row = getItemValues(this, s, i);
+            res.items[s.id] = row;
+            if (row.value === null) {
+                res.missValues = true;
+                if (this.required) res.isCorrect = false;
+            }
+        }
+        if (!res.isCorrect && opts.highlight) {
+            this.highlight();
+            this.errorBox.innerHTML = this.getText('error');
+        }
+        return res;
+    };
+
+    /**
+     * ### SemanticDifferential.setValues
+     *
+     * Sets the ratings of the items
+     *
+     * @param {object} opts Optional. Option `values` is an object mapping
+     *   items ids to ratings (as returned by getValues). If not set,
+     *   random ratings are set.
+     */
+    SemanticDifferential.prototype.setValues = function(opts) {
+        var i, len, s, value, w;
+        opts = opts || {};
+        i = -1, len = this.itemsSettings.length;
+        for ( ; ++i < len ; ) {
+            s = this.itemsSettings[i];
+            w = this.items[i];
+            if (opts.values) {
+                if ('undefined' === typeof opts.values[s.id]) continue;
+                value = toRaw(this, s.id, opts.values[s.id]);
+            }
+            else if (this.type === 'discrete') {
+                value = J.randomInt(0, this.points);
+            }
+            else {
+                value = J.randomInt(-1, 100);
+            }
+            if (this.type === 'discrete') {
+                // Clicking on the current choice would deselect it.
+                if (w.currentChoice !== value - 1) {
+                    w.setValues({ values: value - 1 });
+                }
+            }
+            else {
+                w.setValues({ value: value });
+            }
+        }
+    };
+
+    /**
+     * ### SemanticDifferential.reset
+     *
+     * Removes the ratings of discrete items
+     *
+     * Continuous sliders cannot be reset.
+     */
+    SemanticDifferential.prototype.reset = function() {
+        var i, len;
+        if (this.type !== 'discrete') return;
+        i = -1, len = this.items.length;
+        for ( ; ++i < len ; ) {
+            this.items[i].reset();
+        }
+    };
+
+    // ## Helper functions.
+
+    /**
+     * ### checkItem
+     *
+     * Validates and normalizes an item
+     *
+     * @param {SemanticDifferential} that This instance
+     * @param {object|array} item The item
+     *
+     * @return {object} The normalized item
+     */
+    function checkItem(that, item) {
+        if (J.isArray(item)) {
+            item = { id: item[0], left: item[1], right: item[2] };
+        }
+        if ('object' !== typeof item || !item ||
+            'string' !== typeof item.id || item.id.trim() === '' ||
+            'string' !== typeof item.left ||
+            'string' !== typeof item.right) {
+
+            throw new TypeError('SemanticDifferential.init: each item must ' +
+                                'be an object or array with id, left, and ' +
+                                'right strings. Found: ' + item);
+        }
+        if (that.itemsSettings.some(function(s) {
+            return s && s.id === item.id;
+        })) {
+            throw new Error('SemanticDifferential.init: duplicated item ' +
+                            'id: ' + item.id);
+        }
+        return { id: item.id, left: item.left, right: item.right };
+    }
+
+    /**
+     * ### addItem
+     *
+     * Creates the row and the widget of an item
+     *
+     * @param {SemanticDifferential} that This instance
+     * @param {number} idx The index of the item in itemsSettings
+     * @param {number} pos The position of the item on screen
+     */
+    function addItem(that, idx, pos) {
+        var s, tr, td, flip, opts, w, sep;
+        s = that.itemsSettings[idx];
+        flip = !!that.flipped[s.id];
+
+        tr = W.add('tr', that.table);
+        sep = SemanticDifferential.separator;
+        tr.id = that.id + sep + 'tr' + sep + s.id;
+        that.trs.push(tr);
+
+        W.add('td', tr, {
+            className: 'semanticdifferential-left',
+            innerHTML: flip ? s.right : s.left
+        });
+        td = W.add('td', tr, { className: 'semanticdifferential-scale' });
+
+        opts = J.mixout({
+            id: s.id,
+            title: false,
+            panel: false,
+            storeRef: false,
+            // Paradata are collected by the group.
+            paradata: false,
+            timeFrom: that.timeFrom,
+            group: that.id,
+            groupOrder: pos + 1
+        }, that.sharedOptions);
+
+        if (that.type === 'discrete') {
+            opts.choices = that.pointLabels;
+            opts.requiredChoice = !!that.required;
+            w = node.widgets.append('ChoiceTable', td, opts);
+        }
+        else {
+            opts = J.mixout(opts, {
+                type: 'flat',
+                noInitialThumb: true,
+                displayValue: false,
+                displayNoChange: false
+            });
+            opts.min = 0;
+            opts.max = 100;
+            opts.required = !!that.required;
+            w = node.widgets.append('Slider', td, opts);
+        }
+
+        W.add('td', tr, {
+            className: 'semanticdifferential-right',
+            innerHTML: flip ? s.left : s.right
+        });
+
+        w.on('changed', function() {
+            if (that.isHighlighted()) that.unhighlight();
+            that.emit('changed', s.id, getItemValues(that, s, idx).value);
+        });
+
+        that.items[idx] = w;
+        that.itemsById[s.id] = w;
+    }
+
+    /**
+     * ### getItemValues
+     *
+     * Returns the rating of an item
+     *
+     * @param {SemanticDifferential} that This instance
+     * @param {object} s The settings of the item
+     * @param {number} idx The index of the item in itemsSettings
+     *
+     * @return {object} The rating
+     *
+     * @see SemanticDifferential.getValues
+     */
+    function getItemValues(that, s, idx) {
+        var w, res, raw;
+        w = that.items[idx];
+        res = w.getValues({ highlight: false, markAttempt: false });
+        if (that.type === 'discrete') {
+            raw = res.choice === null ? null : res.choice + 1;
+        }
+        else {
+            raw = res.value;
+        }
+        return {
+            left: s.left,
+            right: s.right,
+            value: raw === null ? null : toRaw(that, s.id, raw),
+            rawValue: raw,
+            flipped: !!that.flipped[s.id],
+            position: that.order.indexOf(idx) + 1,
+            time: res.time
+        };
+    }
+
+    /**
+     * ### toRaw
+     *
+     * Converts a rating between displayed and unflipped scale
+     *
+     * The conversion is symmetric, so it works in both directions.
+     *
+     * @param {SemanticDifferential} that This instance
+     * @param {string} id The id of the item
+     * @param {number} value The rating
+     *
+     * @return {number} The converted rating
+     */
+    function toRaw(that, id, value) {
+        if (!that.flipped[id]) return value;
+        return that.type === 'discrete' ?
+            that.points + 1 - value : 100 - value;
+    }
+
+})(node);
@@ -17,7 +17,7 @@
 
     // ## Meta-data
 
-    Slider.version = '0.4.0';
+    Slider.version = '0.8.0';
     Slider.description = 'Creates a configurable slider';
 
     Slider.title = false;
@@ -27,11 +27,41 @@
 
     Slider.texts = {
         currentValue: function(widget, value) {
-            return 'Value: ' + value;
+            if (!J.isArray(value)) return 'Value: ' + value;
+            if (value.length === 2) return 'Range: ' + value.join(' - ');
+            return 'Values: ' + value.join(', ');
         },
-        noChange: 'No change'
+        noChange: 'No change',
+        noValue: 'Click on the slider to select a value'
     };
 
+    // Number of positions of the input slider with a logarithmic scale.
+    var LOG_RESOLUTION = 1000;
+
+    // Styles overlapping the input sliders of multiple thumbs, so that
+    // only the thumbs catch the mouse. Added once with the first one.
+    var MULTI_SLIDER_CSS = [
+        'div.multi-slider { position: relative; }',
+        'div.multi-slider input.volume-slider { position: absolute; ' +
+            'left: 0; top: 0; margin: 0; pointer-events: none; ' +
+            'background: transparent; }',
+        'div.multi-slider input.volume-slider::-webkit-slider-thumb ' +
+            '{ pointer-events: auto; }',
+        'div.multi-slider input.volume-slider::-moz-range-thumb ' +
+            '{ pointer-events: auto; }'
+    ];
+    var multiSliderCss = false;
+
+    // Styles hiding the thumb until the first interaction, if option
+    // noInitialThumb is set. Added once with the first one.
+    var NO_THUMB_CSS = [
+        'div.slider-nothumb input.volume-slider::-webkit-slider-thumb ' +
+            '{ opacity: 0; }',
+        'div.slider-nothumb input.volume-slider::-moz-range-thumb ' +
+            '{ opacity: 0; }'
+    ];
+    var noThumbCss = false;
+
 
     /**
      * ## Slider constructor
@@ -54,6 +84,37 @@
          */
         this.rangeFill = null;
 
+        /** Slider.sliders
+         *
+         * The HTML input slider Elements, if there is more than one thumb
+         *
+         * The first one is also referenced by `Slider.slider`.
+         *
+         * @see Slider.thumbs
+         */
+        this.sliders = null;
+
+        /** Slider.thumbs
+         *
+         * The number of thumbs (handles) of the slider
+         *
+         * With two thumbs, the slider selects a range (lower and upper
+         * bound). With more thumbs, it splits the scale into bins, e.g.,
+         * to elicit a probability distribution.
+         *
+         * If greater than 1, values are arrays with one value per thumb,
+         * sorted in ascending order.
+         */
+        this.thumbs = 1;
+
+        /** Slider.thumbMoves
+         *
+         * The total movement of each thumb, if there is more than one
+         *
+         * @see Slider.totalMove
+         */
+        this.thumbMoves = null;
+
         /** Slider.scale
          *
          * Scaling factor for the slider (fixed to 1 for now)
@@ -63,6 +124,11 @@
         /** Slider.currentValue
          *
          * The current value of the slider
+         *
+         * With one thumb, it is the position of the thumb as a percentage
+         * of the scale; with more thumbs, the array of values on the scale.
+         *
+         * @see Slider.getValues
          */
         this.currentValue = 50;
 
@@ -119,7 +185,11 @@
 
         /** Slider.correctValue
          *
-         * The correct value of the slider, if any
+         * The correct value of the slider on the scale, if any
+         *
+         * With more than one thumb, it can be an array with the correct
+         * value of each thumb, or a number that must be included between
+         * the first and the last thumb (e.g., in a confidence interval).
          */
         this.correctValue = null;
 
@@ -158,6 +228,57 @@
          */
         this.totalMove = 0;
 
+        /** Slider.moved
+         *
+         * TRUE, if the participant moved the slider at least once
+         *
+         * With noInitialThumb, clicking on the slider counts as a move,
+         * even if the value does not change. Values set programmatically
+         * (e.g., with setValues) do not count.
+         */
+        this.moved = false;
+
+        /** Slider.noInitialThumb
+         *
+         * If TRUE, the thumb is hidden until the participant clicks
+         *
+         * This way, responses are not biased by the initial value. Until
+         * the slider is moved, its value is null.
+         */
+        this.noInitialThumb = false;
+
+        /** Slider.thumbShown
+         *
+         * TRUE, if the thumb hidden with noInitialThumb is displayed
+         */
+        this.thumbShown = false;
+
+        /** Slider.log
+         *
+         * If TRUE, the scale is logarithmic (min must be positive)
+         */
+        this.log = false;
+
+        /** Slider.step
+         *
+         * The interval between two values the slider snaps to, if any
+         */
+        this.step = null;
+
+        /** Slider.ticks
+         *
+         * The values at which tick marks are displayed, if any
+         */
+        this.ticks = null;
+
+        /** Slider.anchors
+         *
+         * Array of labels displayed at given positions of the slider
+         *
+         * Each anchor is an object with properties `value` and `label`.
+         */
+        this.anchors = null;
+
         /** Slider.volumeSlider
          *
          * If TRUE, only the slider to the left of the pointer is colored
@@ -190,28 +311,50 @@
 
             if (that.isHighlighted()) that.unhighlight();
 
-            timeOut = setTimeout(function() {
-                var percent, diffPercent;
+            // Only browser events are movements by the participant.
+            if (noChange && noChange !== true) {
+                that.moved = true;
+                if (that.noInitialThumb) showThumb(that);
+            }
 
-                percent = (that.slider.value - that.min) * that.scale;
-                diffPercent = percent - that.currentValue;
-                that.currentValue = percent;
+            // Thumbs cannot cross each other.
+            if (that.thumbs > 1 && noChange && noChange.target) {
+                clampThumb(that, noChange.target);
+            }
 
-                // console.log(diffPercent);
-                // console.log(that.slider.value, percent);
+            timeOut = setTimeout(function() {
+                var percent, diffPercent, value;
 
-                if (that.type === 'volume') {
-                    // Otherwise it goes a bit outside.
-                    if (percent > 99) percent = 99;
-                    that.rangeFill.style.width = percent + '%';
+                if (that.thumbs > 1) {
+                    diffPercent = updateThumbs(that);
+                    value = that.currentValue.slice(0);
                 }
                 else {
-                    that.rangeFill.style.width = '99%';
+                    value = Number(toValue(that, that.slider.value));
+                    percent = getPercent(that, value);
+                    diffPercent = percent - that.currentValue;
+                    that.currentValue = percent;
+
+                    if (that.noInitialThumb && !that.thumbShown) {
+                        // Nothing to display until the first click.
+                        percent = 0;
+                        value = null;
+                    }
+
+                    if (that.type === 'volume') {
+                        // Otherwise it goes a bit outside.
+                        if (percent > 99) percent = 99;
+                        that.rangeFill.style.width = percent + '%';
+                    }
+                    else {
+                        that.rangeFill.style.width = '99%';
+                    }
                 }
 
                 if (that.displayValue) {
-                    that.valueSpan.innerHTML =
-                        that.getText('currentValue', that.slider.value);
+                    that.valueSpan.innerHTML = value === null ?
+                        that.getText('noValue') :
+                        that.getText('currentValue', value);
                 }
 
                 if (that.displayNoChange && noChange !== true) {
@@ -224,9 +367,11 @@
                 that.totalMove += Math.abs(diffPercent);
 
                 if (that.onmove) {
-                    that.onmove.call(that, that.slider.value, diffPercent);
+                    that.onmove.call(that, value, diffPercent);
                 }
 
+                that.emit('changed', value);
+
                 timeOut = null;
             }, 0);
         }
@@ -281,10 +426,48 @@
             this.max = tmp;
         }
 
-        this.scale = 100 / (this.max - this.min);
+        if ('undefined' !== typeof opts.log) this.log = !!opts.log;
+        if (this.log && this.min <= 0) {
+            throw new Error(e + 'min must be positive with a logarithmic ' +
+                            'scale. Found: ' + this.min);
+        }
 
-        tmp = opts.initialValue;
+        // The scale converts positions of the input slider to percentages.
+        this.scale = 100 / (this.log ? LOG_RESOLUTION : this.max - this.min);
+
+        if ('undefined' !== typeof opts.step) {
+            tmp = J.isNumber(opts.step, 0);
+            if (false === tmp) {
+                throw new TypeError(e + 'step must be a positive number ' +
+                                    'or undefined. Found: ' + opts.step);
+            }
+            this.step = tmp;
+        }
+
+        tmp = opts.thumbs;
+        if (opts.range) {
+            if ('undefined' !== typeof tmp && tmp !== 2) {
+                throw new Error(e + 'range requires 2 thumbs. Found: ' + tmp);
+            }
+            tmp = 2;
+        }
         if ('undefined' !== typeof tmp) {
+            tmp = J.isInt(tmp, 0);
+            if (false === tmp) {
+                throw new TypeError(e + 'thumbs must be a positive integer ' +
+                                    'or undefined. Found: ' + opts.thumbs);
+            }
+            this.thumbs = tmp;
+        }
+
+        tmp = opts.initialValue;
+        if (this.thumbs > 1) {
+            tmp = getInitialValues(this, tmp);
+            this.initialValue = tmp;
+            this.currentValue = tmp.slice(0);
+            this.thumbMoves = J.rep(0, this.thumbs);
+        }
+        else if ('undefined' !== typeof tmp) {
             if (tmp === 'random') {
                 tmp = J.randomInt((this.min-1), this.max);
             }
@@ -297,8 +480,61 @@
                 }
 
             }
-            // currentValue is used with the first update.
-            this.initialValue = this.currentValue = tmp;
+            this.initialValue = tmp;
+        }
+        else if (this.log) {
+            this.initialValue = toValue(this, LOG_RESOLUTION / 2);
+        }
+        // currentValue (a percentage) is used with the first update.
+        if (this.thumbs === 1) {
+            this.currentValue = getPercent(this, this.initialValue);
+        }
+
+        if ('undefined' !== typeof opts.noInitialThumb) {
+            this.noInitialThumb = !!opts.noInitialThumb;
+            if (this.noInitialThumb && this.thumbs > 1) {
+                throw new Error(e + 'noInitialThumb cannot be used with ' +
+                                'more than one thumb');
+            }
+        }
+
+        tmp = opts.ticks;
+        if (tmp === true) {
+            this.ticks = getDefaultTicks(this);
+        }
+        else if (J.isArray(tmp)) {
+            if (!checkValues(this, tmp)) {
+                throw new Error(e + 'ticks must be numbers between ' +
+                                this.min + ' and ' + this.max + '. Found: ' +
+                                tmp);
+            }
+            this.ticks = tmp;
+        }
+        else if ('undefined' !== typeof tmp && false !== tmp) {
+            throw new TypeError(e + 'ticks must be true, false, array, ' +
+                                'or undefined. Found: ' + tmp);
+        }
+
+        tmp = opts.anchors;
+        if ('undefined' !== typeof tmp) {
+            if (!J.isArray(tmp)) {
+                throw new TypeError(e + 'anchors must be array or ' +
+                                    'undefined. Found: ' + tmp);
+            }
+            tmp.forEach(function(a) {
+                if ('object' !== typeof a || !a ||
+                    false === J.isNumber(a.value, this.min, this.max,
+                                         true, true) ||
+                    'string' !== typeof a.label) {
+
+                    throw new TypeError(e + 'each anchor must be an ' +
+                                        'object with a numeric value ' +
+                                        'between ' + this.min + ' and ' +
+                                        this.max + ' and a string label. ' +
+                                        'Found: ' + a);
+                }
+            }, this);
+            this.anchors = tmp;
         }
 
         if ('undefined' !== typeof opts.displayValue) {
@@ -378,14 +614,25 @@
         }
 
         if ('undefined' !== typeof opts.correctValue) {
-            if (false === J.isNumber(opts.correctValue,
-                                     this.min, this.max, true, true)) {
+            tmp = opts.correctValue;
+            if (this.thumbs > 1 && J.isArray(tmp)) {
+                if (tmp.length !== this.thumbs ||
+                    !checkValues(this, tmp)) {
+
+                    throw new Error(e + 'correctValue must be an array of ' +
+                                    this.thumbs + ' numbers between ' +
+                                    this.min + ' and ' + this.max +
+                                    '. Found: ' + tmp);
+                }
+            }
+            else if (false === J.isNumber(tmp, this.min, this.max,
+                                          true, true)) {
 
                 throw new Error(e + 'correctValue must be a number between ' +
                                 this.min + ' and ' + this.max + '. Found: ' +
                                 opts.correctValue);
             }
-            this.correctValue = opts.correctValue;
+            this.correctValue = tmp;
         }
     };
 
@@ -396,7 +643,7 @@
      * @param {object} opts Configuration options
      */
     Slider.prototype.append = function() {
-        var container;
+        var container, slider, i;
 
         // The original color of the rangeFill container (default black)
         // that is replaced upon highlighting.
@@ -429,24 +676,70 @@
             // id: 'range-fill'
         });
 
-        this.slider = W.add('input', container, {
-            className: 'volume-slider',
-            // id: 'range-slider-input',
-            name: 'rangeslider',
-            type: 'range',
-            min: this.min,
-            max: this.max
-        });
+        if (this.thumbs > 1) {
+            J.addClass(container, 'multi-slider');
+            this.sliders = new Array(this.thumbs);
+            if (!multiSliderCss) {
+                MULTI_SLIDER_CSS.forEach(function(rule) { W.cssRule(rule); });
+                multiSliderCss = true;
+            }
+        }
 
-        this.slider.onmouseover = function() {
-            tmpColor = that.rangeFill.style.background || 'black';
-            that.rangeFill.style.background = that.hoverColor;
-        };
-        this.slider.onmouseout = function() {
-            that.rangeFill.style.background = tmpColor;
-        };
+        i = -1;
+        for ( ; ++i < this.thumbs ; ) {
+            slider = W.add('input', container, {
+                className: 'volume-slider',
+                // id: 'range-slider-input',
+                name: 'rangeslider',
+                type: 'range',
+                min: this.log ? 0 : this.min,
+                max: this.log ? LOG_RESOLUTION : this.max
+            });
+            // With a logarithmic scale, values are snapped in toValue.
+            if (this.step && !this.log) slider.step = this.step;
+
+            slider.onmouseover = function() {
+                tmpColor = that.rangeFill.style.background || 'black';
+                that.rangeFill.style.background = that.hoverColor;
+            };
+            slider.onmouseout = function() {
+                that.rangeFill.style.background = tmpColor;
+            };
+
+            if (this.sliderWidth) slider.style.width = this.sliderWidth;
 
-        if (this.sliderWidth) this.slider.style.width = this.sliderWidth;
+            if (this.sliders) {
+                this.sliders[i] = slider;
+                slider.value = toPosition(this, this.initialValue[i]);
+                slider.oninput = this.listener;
+            }
+        }
+        this.slider = this.sliders ? this.sliders[0] : slider;
+
+        if (this.noInitialThumb) {
+            J.addClass(container, 'slider-nothumb');
+            if (!noThumbCss) {
+                NO_THUMB_CSS.forEach(function(rule) { W.cssRule(rule); });
+                noThumbCss = true;
+            }
+            // Clicking does not fire oninput if the value does not change.
+            this.slider.onpointerdown = function() {
+                showThumb(that);
+            };
+            this.slider.onclick = function() {
+                if (that.moved) return;
+                showThumb(that);
+                that.moved = true;
+                that.listener(true);
+            };
+        }
+
+        if (this.ticks) {
+            addMarks(this, container, 'slider-ticks', this.ticks);
+        }
+        if (this.anchors) {
+            addMarks(this, this.bodyDiv, 'slider-anchors', this.anchors);
+        }
 
         if (this.displayValue) {
             this.valueSpan = W.add('span', this.bodyDiv, {
@@ -464,8 +757,21 @@
             });
             this.noChangeCheckbox.onclick = function() {
                 if (that.noChangeCheckbox.checked) {
-                    if (that.slider.value === that.initialValue) return;
-                    that.slider.value = that.initialValue;
+                    if (that.sliders) {
+                        setThumbs(that, that.initialValue);
+                        that.listener(true);
+                        J.addClass(that.noChangeSpan, 'italic');
+                        return;
+                    }
+                    if (that.noInitialThumb) showThumb(that);
+                    if (toValue(that, that.slider.value) ===
+                        that.initialValue) {
+
+                        // Update the display, if the thumb was hidden.
+                        if (that.noInitialThumb) that.listener(true);
+                        return;
+                    }
+                    that.slider.value = toPosition(that, that.initialValue);
                     that.listener(true);
                     J.addClass(that.noChangeSpan, 'italic');
                 }
@@ -476,40 +782,431 @@
             };
         }
 
-        this.slider.oninput = this.listener;
-        this.slider.value = this.initialValue;
+        if (!this.sliders) {
+            this.slider.oninput = this.listener;
+            this.slider.value = toPosition(this, this.initialValue);
+        }
 
         this.slider.oninput();
     };
 
+    /**
+     * ### Slider.getValues
+     *
+     * Returns the current value of the slider
+     *
+     * Values (including `value`, `bins`, and the correct value) are
+     * always on the scale of the slider, between min and max, for any
+     * number of thumbs; instead, `totalMove` and `thumbMoves` are
+     * percentages of the scale. Before v0.8.0, `value` was a percentage
+     * of the scale, unless the scale was logarithmic.
+     *
+     * With more than one thumb, `value` is the array of the values of
+     * all thumbs, `bins` the array of the widths of the intervals in
+     * which the thumbs split the scale (from min to max), and
+     * `thumbMoves` the total movement of each thumb.
+     *
+     * If the slider is required, every thumb must be moved.
+     *
+     * If `noInitialThumb` is TRUE and the slider was not moved, `value`
+     * is null. Flag `moved` is TRUE if the participant moved the slider
+     * at least once.
+     *
+     * @param {object} opts Optional. Configuration options
+     *
+     * @return {object} The values of the slider
+     */
     Slider.prototype.getValues = function(opts) {
-        var res, value, nochange;
+        var res, value, nochange, obj;
         opts = opts || {};
         res = true;
         if ('undefined' === typeof opts.highlight) opts.highlight = true;
-        value = this.currentValue;
         nochange = this.noChangeCheckbox && this.noChangeCheckbox.checked;
-        if ((this.required && this.totalMove === 0 && !nochange) ||
-           (null !== this.correctValue && this.correctValue !== value)) {
+        if (this.sliders) value = this.currentValue.slice(0);
+        else if (this.noInitialThumb && !this.thumbShown) value = null;
+        else value = Number(toValue(this, this.slider.value));
+        if ((this.required && !isMoved(this) && !nochange) ||
+           (null !== this.correctValue && !isCorrectValue(this, value))) {
 
             if (opts.highlight) this.highlight();
             res = false;
         }
 
-        return {
+        obj = {
             value: value,
             noChange: !!nochange,
-            initialValue: this.initialValue,
+            initialValue: this.sliders ?
+                this.initialValue.slice(0) : this.initialValue,
             totalMove: this.totalMove,
+            moved: this.moved,
             isCorrect: res,
             time: node.timer.getTimeSince(this.timeFrom)
         };
+        if (this.sliders) {
+            obj.bins = getBins(this, value);
+            obj.thumbMoves = this.thumbMoves.slice(0);
+        }
+        return obj;
     };
 
+    /**
+     * ### Slider.setValues
+     *
+     * Sets the value of the slider
+     *
+     * @param {object} opts Optional. Configuration options. Option `value`
+     *   is the new value, or an array of values if there is more than
+     *   one thumb (random, if undefined). With one thumb, a null or
+     *   undefined value is ignored, so that a hidden thumb stays hidden.
+     */
     Slider.prototype.setValues = function(opts) {
         opts = opts || {};
-        this.slider.value = opts.value;
+        if (this.sliders) {
+            setThumbs(this, 'undefined' === typeof opts.value ?
+                      getInitialValues(this, 'random') : opts.value);
+            this.listener(true);
+            return;
+        }
+        if (opts.value === null || 'undefined' === typeof opts.value) return;
+        this.slider.value = toPosition(this, opts.value);
+        if (this.noInitialThumb) showThumb(this);
         this.slider.oninput();
     };
 
+    // ## Helper functions.
+
+    /**
+     * ### getInitialValues
+     *
+     * Returns the initial values of the thumbs
+     *
+     * @param {Slider} that This instance
+     * @param {array|string} value Optional. The initial values, or 'random'.
+     *   Default: thumbs equally spaced
+     *
+     * @return {array} The initial values, sorted
+     */
+    function getInitialValues(that, value) {
+        var i, res;
+        res = new Array(that.thumbs);
+        if ('undefined' === typeof value) {
+            for (i = 0; i < that.thumbs; i++) {
+                res[i] = that.min + Math.round((that.max - that.min) *
+                                               (i + 1) / (that.thumbs + 1));
+            }
+            return res;
+        }
+        if (value === 'random') {
+            for (i = 0; i < that.thumbs; i++) {
+                res[i] = J.randomInt((that.min - 1), that.max);
+            }
+        }
+        else {
+            if (!J.isArray(value) || value.length !== that.thumbs ||
+                !checkValues(that, value)) {
+
+                throw new TypeError('Slider.init: initialValue must be ' +
+                                    '"random", undefined, or an array of ' +
+                                    that.thumbs + ' integers >= ' +
+                                    that.min + ' and <= ' + that.max +
+                                    '. Found: ' + value);
+            }
+            res = value.slice(0);
+        }
+        return res.sort(function(a, b) { return a - b; });
+    }
+
+    /**
+     * ### checkValues
+     *
+     * Checks that all values are numbers between min and max
+     *
+     * @param {Slider} that This instance
+     * @param {array} values The values to check
+     *
+     * @return {boolean} TRUE, if all values are valid
+     */
+    function checkValues(that, values) {
+        var i;
+        for (i = 0; i < values.length; i++) {
+            if (false === J.isNumber(values[i], that.min, that.max,
+                                     true, true)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * ### setThumbs
+     *
+     * Sets the values of all thumbs (sorted)
+     *
+     * @param {Slider} that This instance
+     * @param {array} values The new values
+     */
+    function setThumbs(that, values) {
+        var i;
+        if (!J.isArray(values) || values.length !== that.thumbs) {
+            throw new TypeError('Slider.setValues: value must be an array ' +
+                                'of length ' + that.thumbs + '. Found: ' +
+                                values);
+        }
+        values = values.slice(0).sort(function(a, b) { return a - b; });
+        for (i = 0; i < that.thumbs; i++) {
+            that.sliders[i].value = toPosition(that, values[i]);
+        }
+    }
+
+    /**
+     * ### clampThumb
+     *
+     * Prevents a thumb from moving past its neighbors
+     *
+     * @param {Slider} that This instance
+     * @param {HTMLElement} slider The input slider that was moved
+     */
+    function clampThumb(that, slider) {
+        var idx, value;
+        idx = that.sliders.indexOf(slider);
+        if (idx === -1) return;
+        value = Number(slider.value);
+        if (idx > 0 && value < Number(that.sliders[idx-1].value)) {
+            slider.value = that.sliders[idx-1].value;
+        }
+        else if (idx < (that.thumbs - 1) &&
+                 value > Number(that.sliders[idx+1].value)) {
+
+            slider.value = that.sliders[idx+1].value;
+        }
+    }
+
+    /**
+     * ### updateThumbs
+     *
+     * Updates the current values, the movements, and the fill of the thumbs
+     *
+     * @param {Slider} that This instance
+     *
+     * @return {number} The total movement (in percentage of the scale)
+     */
+    function updateThumbs(that) {
+        var i, value, diff, total, first, last;
+        total = 0;
+        for (i = 0; i < that.thumbs; i++) {
+            value = Number(toValue(that, that.sliders[i].value));
+            diff = Math.abs(getPercent(that, value) -
+                            getPercent(that, that.currentValue[i]));
+            that.thumbMoves[i] += diff;
+            total += diff;
+            that.currentValue[i] = value;
+        }
+        if (that.type === 'volume') {
+            // The fill goes from the first to the last thumb.
+            first = getPercent(that, that.currentValue[0]);
+            last = getPercent(that, that.currentValue[that.thumbs-1]);
+            // Otherwise it goes a bit outside.
+            if (last > 99) last = 99;
+            that.rangeFill.style.marginLeft = first + '%';
+            that.rangeFill.style.width = Math.max(0, last - first) + '%';
+        }
+        else {
+            that.rangeFill.style.width = '99%';
+        }
+        return total;
+    }
+
+    /**
+     * ### isMoved
+     *
+     * Returns TRUE if the slider (or every thumb) was moved
+     *
+     * @param {Slider} that This instance
+     *
+     * @return {boolean} TRUE, if moved
+     */
+    function isMoved(that) {
+        var i;
+        if (!that.sliders) return that.moved || that.totalMove !== 0;
+        for (i = 0; i < that.thumbs; i++) {
+            if (that.thumbMoves[i] === 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * ### isCorrectValue
+     *
+     * Compares the current value/s with the correct value
+     *
+     * @param {Slider} that This instance
+     * @param {number|array} value The current value/s
+     *
+     * @return {boolean} TRUE, if correct
+     *
+     * @see Slider.correctValue
+     */
+    function isCorrectValue(that, value) {
+        var i, correct;
+        correct = that.correctValue;
+        if (!that.sliders) return correct === value;
+        if (!J.isArray(correct)) {
+            return value[0] <= correct && correct <= value[that.thumbs-1];
+        }
+        for (i = 0; i < that.thumbs; i++) {
+            if (correct[i] !== value[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * ### toValue
+     *
+     * Converts a position of the input slider to a value on the scale
+     *
+     * With a linear scale, the position is returned as it is.
+     *
+     * @param {Slider} that This instance
+     * @param {number|string} pos The position
+     *
+     * @return {number|string} The value
+     */
+    function toValue(that, pos) {
+        var value;
+        if (!that.log) return pos;
+        value = Math.exp(Math.log(that.min) + (pos / LOG_RESOLUTION) *
+                         (Math.log(that.max) - Math.log(that.min)));
+        if (that.step) value = Math.round(value / that.step) * that.step;
+        // Removes floating point errors.
+        value = Number(value.toPrecision(that.step ? 12 : 3));
+        return Math.min(that.max, Math.max(that.min, value));
+    }
+
+    /**
+     * ### toPosition
+     *
+     * Converts a value on the scale to a position of the input slider
+     *
+     * @param {Slider} that This instance
+     * @param {number} value The value
+     *
+     * @return {number} The position
+     */
+    function toPosition(that, value) {
+        if (!that.log) return value;
+        return Math.round(getPercent(that, value) * LOG_RESOLUTION / 100);
+    }
+
+    /**
+     * ### getPercent
+     *
+     * Returns the position of a value on the scale as a percentage
+     *
+     * @param {Slider} that This instance
+     * @param {number} value The value
+     *
+     * @return {number} The percentage
+     */
+    function getPercent(that, value) {
+        if (!that.log) return (value - that.min) * 100 / (that.max - that.min);
+        return 100 * (Math.log(value) - Math.log(that.min)) /
+            (Math.log(that.max) - Math.log(that.min));
+    }
+
+    /**
+     * ### getDefaultTicks
+     *
+     * Returns the values of the tick marks when `ticks` is TRUE
+     *
+     * Ticks are placed at every step, or at every 10% of the scale
+     * if no step is set (at every power of 10 with a logarithmic scale).
+     * Steps yielding more than 100 ticks are ignored.
+     *
+     * @param {Slider} that This instance
+     *
+     * @return {array} The values of the ticks
+     */
+    function getDefaultTicks(that) {
+        var res, v, step;
+        res = [];
+        if (that.log) {
+            v = Math.pow(10, Math.ceil(Math.log(that.min) / Math.LN10));
+            for ( ; v <= that.max ; v *= 10) res.push(v);
+            return res;
+        }
+        step = that.step;
+        if (!step || (that.max - that.min) / step > 100) {
+            step = (that.max - that.min) / 10;
+        }
+        for (v = that.min; v <= that.max; v += step) {
+            res.push(Number(v.toPrecision(12)));
+        }
+        return res;
+    }
+
+    /**
+     * ### addMarks
+     *
+     * Adds tick marks or anchor labels at their position on the scale
+     *
+     * @param {Slider} that This instance
+     * @param {HTMLElement} root The element to which marks are appended
+     * @param {string} className The class of the container of the marks
+     * @param {array} marks Array of values, or of objects with
+     *   properties `value` and `label`
+     */
+    function addMarks(that, root, className, marks) {
+        var div, i, span, value, label;
+        div = W.add('div', root, { className: className });
+        div.style.position = 'relative';
+        for (i = 0; i < marks.length; i++) {
+            value = 'object' === typeof marks[i] ? marks[i].value : marks[i];
+            label = 'object' === typeof marks[i] ? marks[i].label : '';
+            span = W.add('span', div, {
+                className: className.slice(0, -1),
+                innerHTML: label
+            });
+            span.style.position = 'absolute';
+            span.style.left = getPercent(that, value) + '%';
+            span.style.transform = 'translateX(-50%)';
+        }
+    }
+
+    /**
+     * ### showThumb
+     *
+     * Displays the thumb hidden with option noInitialThumb
+     *
+     * @param {Slider} that This instance
+     */
+    function showThumb(that) {
+        var container;
+        if (that.thumbShown) return;
+        that.thumbShown = true;
+        container = that.slider.parentNode;
+        if (container) J.removeClass(container, 'slider-nothumb');
+    }
+
+    /**
+     * ### getBins
+     *
+     * Returns the widths of the intervals in which the thumbs split the scale
+     *
+     * @param {Slider} that This instance
+     * @param {array} value The values of the thumbs
+     *
+     * @return {array} The widths, from min to max
+     */
+    function getBins(that, value) {
+        var i, res, prev;
+        res = new Array(that.thumbs + 1);
+        prev = that.min;
+        for (i = 0; i < that.thumbs; i++) {
+            res[i] = value[i] - prev;
+            prev = value[i];
+        }
+        res[i] = that.max - prev;
+        return res;
+    }
+
 })(node);